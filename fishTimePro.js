@@ -2,38 +2,143 @@
 // 作用：
 // 1) 在状态栏显示"今日工资"
 // 2) 悬浮提示显示"距离下班时间"
-// 3) 读取用户在设置中配置的上下班时间（四段）、月薪与休息日
-// 4) 拉取并解析中国节假日 ICS，计算当月总工作日与已上班天数，判断今日是否工作日
+// 3) 读取用户在设置中配置的上下班时间（四段或任意工作时段，支持跨零点）、月薪与休息日
+// 4) 读取节假日 ICS（可配置的远程/本地来源，内置数据兜底），计算当月总工作日与已上班天数，判断今日是否工作日
 // 5) 每秒更新一次显示，逻辑与现有 HTML 页面保持一致（午休、下班后全额、节假日/休息日为 0 等）
+// 计算逻辑位于 src/ 下的各模块（engine.js、calendar.js 等），不依赖 vscode，可通过 npm test 单独验证。
 
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const vscode = require('vscode');
-const https = require('https');
+const { mergeCalendars } = require('./src/calendar');
+const { resolveSource, createHolidayCache, readBundledICS } = require('./src/holidaySources');
+const { computeSnapshot, computeDayRecord } = require('./src/engine');
+const { shouldAutoStartOvertime } = require('./src/overtime');
+const { dayKey, classifyDay, explainDay, resolveWorkDate, setDateToMinutes } = require('./src/schedule');
+const { LEAVE_TYPES, resolveLeavePolicy, parseDateKey, parseDateRange, countLeave } = require('./src/leave');
+const { pendingCloseDates, appendRecords, replaceRecords, parsePeriod, selectRecords, toCSV, toJSON } = require('./src/history');
+const { resolveActivityConfig, accumulateActivity, splitEarnings } = require('./src/activity');
+const { resolveNotificationConfig, stateForDay, dueNotifications } = require('./src/notifications');
+const { setTranslator, t, createFormatter } = require('./src/l10n');
+const { resolveStatusBarConfig, renderTemplate, progressBar, escapeMarkdown, hasVisibleText } = require('./src/statusTemplate');
+const { HEARTBEAT_MS, liveWindows, electLeader, latestActivity } = require('./src/leader');
+const { getYearIndex, nextHoliday, suggestLeave } = require('./src/yearIndex');
+const { resolveRegion, createRegionCalendar } = require('./src/regions');
+const { resolveTimeZone, dateIn, formatClock } = require('./src/timeZone');
+const { resolveFlexibleHours, createClockRecord, shouldClockInOnActivity } = require('./src/flexHours');
+const { DAY_TYPES, buildMonthView, renderMonthHtml, describeReason } = require('./src/monthView');
+const { CONFIG_SECTION, LEGACY_SECTION, ICS_URL, readConfig, effectiveSettings, planMigration, validateConfig } = require('./src/config');
+const { resolveExportConfig, dayStatus, buildExportState, writeStateFile, createStateServer } = require('./src/exporter');
+const { createApi, stateChangeType } = require('./src/api');
 
 /**
- * 远程 ICS 源地址（与 HTML 一致）。
- * 包含合法的 DTSTART;VALUE=DATE 与 SUMMARY 描述，用于识别"假期第N天"和"补班/调休"。
+ * ICS 缓存有效期（毫秒）。避免频繁网络请求，设置为 24 小时；过期后重新验证，失败时继续使用旧数据。
  */
-const ICS_URL = 'https://www.shuy.com/githubfiles/china-holiday-calender/master/holidayCal.ics';
+const ICS_CACHE_TTL = 24 * 60 * 60 * 1000;
 
 /**
- * ICS 缓存有效期（毫秒）。避免频繁网络请求，设置为 24 小时。
+ * 加班记录在 globalState 中的键；进行中的加班每分钟记录一次心跳，
+ * 重启时若心跳已超过 OVERTIME_STALE_MS，则视为在最后一次心跳时结束。
  */
-const ICS_CACHE_TTL = 24 * 60 * 60 * 1000;
+const OVERTIME_STATE_KEY = 'fishTime.overtime';
+const OVERTIME_STALE_MS = 2 * 60 * 1000;
+
+/** 请假记录在 globalState 中的键：{ days: { 'YYYY-MM-DD': 请假类型 } } */
+const LEAVE_STATE_KEY = 'fishTime.leave';
+
+/** 收入历史在 globalState 中的键：{ days: { 'YYYY-MM-DD': 结算记录 }, lastClosed } */
+const HISTORY_STATE_KEY = 'fishTime.history';
+
+/** 编辑器活跃度在 globalState 中的键：{ days: { 'YYYY-MM-DD': { activeMs, idleMs } } }，每分钟保存一次 */
+const ACTIVITY_STATE_KEY = 'fishTime.activity';
+const ACTIVITY_SAVE_MS = 60 * 1000;
+/** 活跃度只保留最近 62 天（更早的已随历史记录结算） */
+const ACTIVITY_KEEP_DAYS = 62;
+
+/** 手动指定的日期类型在 globalState 中的键：{ days: { 'YYYY-MM-DD': 'workday' | 'rest' | 'holiday' } }，优先于节假日日历与作息规则 */
+const OVERRIDE_STATE_KEY = 'fishTime.overrides';
+
+/** 弹性工时打卡记录在 globalState 中的键（多窗口共享），格式见 src/flexHours.js；与活跃度一样只保留最近 62 天 */
+const CLOCK_STATE_KEY = 'fishTime.clock';
+
+/** 提醒状态在 globalState 中的键（多窗口共享），格式见 src/notifications.js */
+const NOTIFICATION_STATE_KEY = 'fishTime.notifications';
+/** 认领提醒后等待其他窗口写入的时间：等待结束时认领记录仍属于本窗口才弹出，保证多窗口只提醒一次 */
+const NOTIFICATION_CLAIM_MS = 1500;
+/** 本窗口的标识，用于认领提醒与选举主窗口 */
+const WINDOW_ID = `${process.pid}-${Math.random().toString(36).slice(2, 10)}`;
+
+/** 各窗口心跳在 globalState 中的键前缀（每个窗口一个键，避免多窗口同时写入同一个键时互相覆盖），格式见 src/leader.js */
+const WINDOW_KEY_PREFIX = 'fishTime.window.';
+
+/** 状态导出的 HTTP 服务启动失败（如端口被占用）后的重试间隔 */
+const EXPORT_RETRY_MS = 60 * 1000;
+
+/** 状态栏金额显示税前（gross）还是税后（net），保存在 globalState 中 */
+const AMOUNT_MODE_KEY = 'fishTime.amountMode';
+
+/** 自定义命令：打开 FishTime 设置（状态栏项的点击命令） */
+const OPEN_SETTINGS_COMMAND = 'fishTime.openSettings';
+/** 命令：诊断（输出生效的设置、设置问题、节假日来源与今天的判定） */
+const DIAGNOSE_COMMAND = 'fishTime.diagnose';
+/** 返回 JSON 文本的查询命令（与公开 API 的同名方法对应，参数相同） */
+const API_COMMANDS = {
+    'fishTime.getSnapshot': 'getSnapshot',
+    'fishTime.getDay': 'getDay',
+    'fishTime.isWorkday': 'isWorkday',
+    'fishTime.getHolidays': 'getHolidays'
+};
 
 // 扩展级状态
 let statusBarItem = null;           // 状态栏项
+let secondaryStatusBarItem = null;  // 第二个状态栏项（"状态栏"设置中 secondaryText 不为空时创建）
+let statusBarLayout = '';           // 当前状态栏项的位置与优先级，变化时重建状态栏项
 let timerAmount = null;             // 金额更新定时器（100ms）
 let timerTooltip = null;            // 悬浮窗更新定时器（1s）
-let holidayCache = {                // ICS 缓存
-    text: '',
-    fetchedAt: 0
-};
+let holidayCache = null;            // 节假日来源缓存（持久化到 globalState，activate 中创建）
+let extensionContext = null;        // 扩展上下文（用于读写 globalState）
 // 为避免悬浮窗因每次赋值而"闪烁"，记录上次已设置的 tooltip 文本，仅在文本变化时更新
 let lastTooltipText = '';
-// 最近一次计算的上下文：供金额高频更新复用，避免每100ms都解析 ICS 与月度工作日
+// 最近一次计算的上下文（作息、日历、薪资）：供金额高频更新复用，避免每100ms都拉取与解析 ICS
 let lastContext = null;
+// 最近一次读取节假日来源的结果：供"查看节假日缓存状态"命令展示
+let holidayState = null;
+// 最近一次合并得到的日历对象：来源内容未变化时复用，保留其按月解析缓存
+let calendarCache = { key: null, calendar: null, ignoredRules: {} };
+// 当前地区的内置节假日数据（首次使用或切换地区、时区时读取）：{ region, timeZone, calendar }
+let bundledCalendar = null;
 // 智能降频：记录窗口焦点状态，前台高频、后台降频
 let isFocused = true;
+// 编辑器活跃度：最近一次编辑器活动时间、上次累计时间、上次保存时间与内存中的累计数据
+let lastActivityAt = 0;
+let lastActivityTick = 0;
+let lastActivitySave = 0;
+let activityState = null;
+// 多窗口：本窗口打开时间、上次写入心跳的时间、是否为主窗口，以及所有窗口中最近一次编辑器活动的时间
+const windowSince = Date.now();
+let lastHeartbeat = 0;
+let isLeader = true;
+let sharedActivityAt = 0;
+// 正在认领中的提醒 id，避免同一窗口重复认领
+const pendingNotifications = new Set();
+// 月历 webview（"打开日历"命令创建，关闭后为 null）与其显示的月份
+let calendarPanel = null;
+let calendarMonth = null;
+// 金额、百分比与日期的格式化工具（按"语言区域"与"货币"设置创建，设置变更时重建）
+let formatter = null;
+// 设置的语义校验结果（启动与设置变更时更新），以及上次提示过的问题（相同的问题不重复提示）
+let configWarnings = [];
+let shownWarnings = '';
+// "诊断"命令的输出面板（首次使用时创建）
+let outputChannel = null;
+// 状态导出（仅主窗口）：HTTP 服务 { key, server, port, error, retryAt }，以及状态文件的上次尝试写入、成功写入的时间与错误
+let exportServer = null;
+let exportFile = { attemptedAt: 0, writtenAt: 0, error: null };
+// 公开 API 的状态变化事件（activate 中创建），以及最近一次刷新时的状态（见 exporter.dayStatus）
+let stateChanges = null;
+let lastStatus = null;
 // 定时器间隔（毫秒）：前台/后台两套频率
 const TIMER_MS = {
     amountFocused: 1000,
@@ -75,30 +180,35 @@ function openSettingAndSearch(searchKey) {
 /**
  * 激活扩展：创建状态栏、启动计时器、监听配置变更。
  * @param {vscode.ExtensionContext} context
+ * @returns {ReturnType<typeof createApi>} 公开 API（其他扩展通过 vscode.extensions.getExtension(...).exports 使用）
  */
 function activate(context) {
     // 设置插件启动时间
     extensionStartTime = new Date();
 
+    extensionContext = context;
+    // 界面文字通过 VS Code 的 l10n 机制翻译（l10n/bundle.l10n.*.json）
+    if (vscode.l10n) setTranslator((message, ...args) => vscode.l10n.t(message, ...args));
+    // 打开编辑器即视为一次活动
+    lastActivityAt = Date.now();
+    // 上次运行中未结束的加班（VS Code 已关闭），按最后一次心跳结束
+    closeStaleOvertime(Date.now());
+
+    // 节假日来源缓存：持久化到 globalState，重启或离线时仍可使用上次成功的数据
+    holidayCache = createHolidayCache({ ttl: ICS_CACHE_TTL, storage: context.globalState });
+
     // 注册自定义命令：打开FishTime设置
-    const openFishTimeSettingsCommand = 'fishTime.openSettings';
-    const disposable = vscode.commands.registerCommand(openFishTimeSettingsCommand, () => {
-        openSettingAndSearch('fishTime');
+    const disposable = vscode.commands.registerCommand(OPEN_SETTINGS_COMMAND, () => {
+        openSettingAndSearch(CONFIG_SECTION);
     });
     context.subscriptions.push(disposable);
 
-    // 创建状态栏项：改为靠左显示，但不最左，保持在其他左侧信息之后
-    // VS Code 规则：对于左侧（StatusBarAlignment.Left），优先级数值越大越靠左；越小越靠右。
-    // 为了"靠左但不最左"，这里设置一个较小的优先级（例如 -100），让它排在左侧的其他信息后面。
-    statusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, -100);
-    statusBarItem.text = 'FishTime 准备中...';
-    statusBarItem.tooltip = '正在初始化...';
+    // 迁移旧版设置（写入新设置后经配置变更事件刷新），并校验设置
+    migrateLegacySettings();
+    checkConfig();
 
-    // 添加点击事件：打开并定位到 FishTime 插件设置
-    // 使用自定义命令ID，避免直接使用函数导致的command 'undefined' not found错误
-    statusBarItem.command = openFishTimeSettingsCommand;
-
-    statusBarItem.show();
+    // 创建状态栏项（位置、优先级与第二个状态栏项由"状态栏"设置决定）
+    createStatusBarItems(resolveStatusBarConfig(getConfig().statusBar));
 
     // 启动两个定时器：
     // 1) 悬浮窗（tooltip）每秒刷新一次：计算月度工作日、节假日与当前工作状态；
@@ -114,7 +224,7 @@ function activate(context) {
         try {
             updateAmountText();
         } catch (err) {
-            statusBarItem.text = 'FishTime: 金额计算错误';
+            statusBarItem.text = t('FishTime: failed to calculate the amount');
         }
     };
     // 首次立即更新，保证进入后即有数据
@@ -123,31 +233,256 @@ function activate(context) {
     // 根据焦点状态启动定时器（智能降频）
     restartTimers(updateTooltip, updateAmount);
 
-    // 监听窗口焦点变化：前台高频、后台降频
+    // 注册命令：强制刷新节假日日历（忽略缓存有效期与失败退避）
+    context.subscriptions.push(vscode.commands.registerCommand('fishTime.refreshHolidayCalendar', async () => {
+        const state = await loadHolidayCalendar(getConfig(), { force: true });
+        await updateTooltip();
+        updateAmount();
+        if (state.failed) {
+            vscode.window.showWarningMessage(t('Holiday calendar refreshed, but {0} source(s) are unavailable (using cached or bundled data).', state.failed));
+        } else {
+            vscode.window.showInformationMessage(t('Holiday calendar refreshed.'));
+        }
+    }));
+
+    // 注册命令：开始/结束加班
+    context.subscriptions.push(vscode.commands.registerCommand('fishTime.startOvertime', async () => {
+        if (!startOvertime(new Date())) {
+            vscode.window.showInformationMessage(t('Overtime is already in progress.'));
+            return;
+        }
+        await updateTooltip();
+        updateAmount();
+    }));
+    context.subscriptions.push(vscode.commands.registerCommand('fishTime.stopOvertime', async () => {
+        if (!stopOvertime(new Date())) {
+            vscode.window.showInformationMessage(t('No overtime is in progress.'));
+            return;
+        }
+        await updateTooltip();
+        updateAmount();
+    }));
+
+    // 注册命令：弹性工时上班打卡
+    context.subscriptions.push(vscode.commands.registerCommand('fishTime.clockIn', async () => {
+        if (await promptClockIn()) {
+            await updateTooltip();
+            updateAmount();
+        }
+    }));
+
+    // 注册命令：标记/取消请假
+    context.subscriptions.push(vscode.commands.registerCommand('fishTime.markLeave', async () => {
+        if (await promptMarkLeave()) {
+            await updateTooltip();
+            updateAmount();
+        }
+    }));
+    context.subscriptions.push(vscode.commands.registerCommand('fishTime.clearLeave', async () => {
+        if (await promptClearLeave()) {
+            await updateTooltip();
+            updateAmount();
+        }
+    }));
+
+    // 注册命令：年度假期总览（各段假期、补班日与拼假建议），选择拼假建议后标记年假
+    context.subscriptions.push(vscode.commands.registerCommand('fishTime.showHolidayOverview', async () => {
+        if (await showHolidayOverview(dateIn(new Date(), resolveTimeZone(getConfig().timeZone)).getFullYear())) {
+            await updateTooltip();
+            updateAmount();
+        }
+    }));
+
+    // 注册命令：打开月历（每天的类型、判定依据与收入，点击日期可手动指定类型）
+    context.subscriptions.push(vscode.commands.registerCommand('fishTime.openCalendar', () => openCalendar(async () => {
+        await updateTooltip();
+        updateAmount();
+    })));
+
+    // 注册命令：导出收入记录（按月或按年，CSV/JSON）
+    context.subscriptions.push(vscode.commands.registerCommand('fishTime.exportHistory', () => promptExportHistory()));
+
+    // 注册命令：切换状态栏金额为税前/税后（需启用税后工资）
+    context.subscriptions.push(vscode.commands.registerCommand('fishTime.toggleNetPay', async () => {
+        if (!getConfig().netPay?.enabled) {
+            const choice = await vscode.window.showInformationMessage(t('Net pay is not enabled. Please enable it in settings first.'), t('Open Settings'));
+            if (choice) openSettingAndSearch('fish-time-pro.18_net-pay');
+            return;
+        }
+        const next = getAmountMode() === 'net' ? 'gross' : 'net';
+        await context.globalState.update(AMOUNT_MODE_KEY, next);
+        updateAmount();
+    }));
+
+    // 注册命令：查看节假日缓存状态
+    context.subscriptions.push(vscode.commands.registerCommand('fishTime.showHolidayCacheStatus', async () => {
+        const state = holidayState || await loadHolidayCalendar(getConfig());
+        vscode.window.showInformationMessage(t('FishTime holiday cache status'), { modal: true, detail: describeHolidayCache(state) });
+    }));
+
+    // 注册命令：诊断（生效的设置、设置问题、节假日来源与今天的判定）
+    context.subscriptions.push(vscode.commands.registerCommand(DIAGNOSE_COMMAND, () => showDiagnostics(async () => {
+        await updateTooltip();
+        updateAmount();
+    })));
+
+    // 监听窗口焦点变化：前台高频、后台降频；窗口获得焦点同时视为一次编辑器活动
     const winFocusDisposer = vscode.window.onDidChangeWindowState(e => {
         isFocused = !!e.focused;
+        if (isFocused) markActivity();
         restartTimers(updateTooltip, updateAmount);
     });
     context.subscriptions.push(winFocusDisposer);
 
+    // 监听编辑器活动（编辑、选区与活动编辑器变化、终端），用于区分专注与摸鱼
+    context.subscriptions.push(
+        vscode.workspace.onDidChangeTextDocument(e => {
+            // 输出面板等非文件文档的变化不是用户操作
+            if (e.document.uri.scheme === 'file' || e.document.uri.scheme === 'untitled') markActivity();
+        }),
+        vscode.window.onDidChangeTextEditorSelection(markActivity),
+        vscode.window.onDidChangeActiveTextEditor(markActivity),
+        vscode.window.onDidOpenTerminal(markActivity),
+        vscode.window.onDidChangeActiveTerminal(markActivity)
+    );
+    // 终端命令执行事件需要较新的 VS Code（1.93+）
+    if (typeof vscode.window.onDidStartTerminalShellExecution === 'function') {
+        context.subscriptions.push(vscode.window.onDidStartTerminalShellExecution(markActivity));
+    }
+
+    // 注册命令：查看每日专注/摸鱼统计
+    context.subscriptions.push(vscode.commands.registerCommand('fishTime.showActivity', () => {
+        vscode.window.showInformationMessage(t('FishTime daily slacking stats'), { modal: true, detail: describeActivity() });
+    }));
+
+    // 公开 API：查询快照、日期类型与假期，订阅状态变化（上班、午休、下班等）
+    stateChanges = new vscode.EventEmitter();
+    context.subscriptions.push(stateChanges);
+    const api = createApi({
+        getContext: readyContext,
+        getState: (input, now) => stateAt(input, now),
+        onDidChangeState: stateChanges.event
+    });
+    // 注册命令：与 API 相同的查询，返回 JSON 文本（供任务的 ${command:...} 与快捷键脚本使用）
+    for (const [command, method] of Object.entries(API_COMMANDS)) {
+        context.subscriptions.push(vscode.commands.registerCommand(command, async (...args) => JSON.stringify(await api[method](...args))));
+    }
+
     // 监听配置变更：用户修改设置后，立即重新计算显示
     const cfgDisposer = vscode.workspace.onDidChangeConfiguration(e => {
-        if (e.affectsConfiguration('fishTime')) {
-            // 配置变化时，重算上下文并立即刷新两侧显示
+        // 用户又写入了旧版设置时再次迁移
+        if (e.affectsConfiguration(LEGACY_SECTION)) migrateLegacySettings();
+        if (e.affectsConfiguration(CONFIG_SECTION)) {
+            // 配置变化时，重算上下文与格式化工具（状态栏位置变化时重建状态栏项）并立即刷新两侧显示
             lastContext = null;
-            updateTooltip();
+            formatter = null;
+            createStatusBarItems(resolveStatusBarConfig(getConfig().statusBar));
+            checkConfig();
+            updateTooltip().then(renderCalendar).catch(showCalendarError);
             updateAmount();
         }
     });
     context.subscriptions.push(cfgDisposer);
 
-    // 扩展停用时清理定时器
+    // 扩展停用时清理定时器与状态栏项，并保存活跃度
     context.subscriptions.push({
         dispose() {
             if (timerTooltip) { clearInterval(timerTooltip); timerTooltip = null; }
             if (timerAmount) { clearInterval(timerAmount); timerAmount = null; }
+            disposeStatusBarItems();
+            if (calendarPanel) calendarPanel.dispose();
+            if (outputChannel) outputChannel.dispose();
+            stopExportServer();
+            saveActivityState();
+            leaveWindows();
+            stateChanges = null;
         }
     });
+
+    return api;
+}
+
+/**
+ * 写入本窗口心跳（每 HEARTBEAT_MS 一次）并选举主窗口。主窗口顺带清理已关闭窗口的心跳。
+ * 旧版 VS Code 的 globalState 不支持列出键时，每个窗口都视为主窗口（与单窗口行为相同）。
+ * @param {number} nowMs
+ * @returns {boolean} 本窗口是否为主窗口
+ */
+function heartbeat(nowMs) {
+    const store = extensionContext?.globalState;
+    if (!store || typeof store.keys !== 'function') return true;
+    const self = { id: WINDOW_ID, since: windowSince, heartbeat: nowMs, lastActivityAt };
+    if (nowMs - lastHeartbeat >= HEARTBEAT_MS) {
+        lastHeartbeat = nowMs;
+        try { store.update(WINDOW_KEY_PREFIX + WINDOW_ID, self); } catch { }
+    }
+    const keys = store.keys().filter(key => key.startsWith(WINDOW_KEY_PREFIX));
+    const windows = [self, ...keys.filter(key => key !== WINDOW_KEY_PREFIX + WINDOW_ID).map(key => store.get(key))];
+    const leader = electLeader(windows, nowMs) === WINDOW_ID;
+    if (leader) {
+        const live = new Set(liveWindows(windows, nowMs).map(w => w.id));
+        for (const key of keys) {
+            if (!live.has(key.slice(WINDOW_KEY_PREFIX.length))) {
+                try { store.update(key, undefined); } catch { }
+            }
+        }
+    }
+    // 主从切换时丢弃内存中的活跃度，改为读取共享数据（接替的主窗口从最近保存的数据继续累计）
+    if (leader !== isLeader) activityState = null;
+    isLeader = leader;
+    sharedActivityAt = latestActivity(windows, nowMs);
+    return leader;
+}
+
+/**
+ * 窗口关闭时移除本窗口心跳，其他窗口在下一次刷新时即可接替主窗口。
+ */
+function leaveWindows() {
+    const store = extensionContext?.globalState;
+    if (!store || typeof store.keys !== 'function') return;
+    try { store.update(WINDOW_KEY_PREFIX + WINDOW_ID, undefined); } catch { }
+}
+
+/**
+ * 按"状态栏"设置创建状态栏项；位置与优先级只能在创建时指定，因此仅在它们变化时重建。
+ * VS Code 规则：同一侧优先级数值越大越靠左；默认靠左并使用较小的优先级（-100），排在左侧其他信息之后。
+ * @param {ReturnType<typeof resolveStatusBarConfig>} config
+ */
+function createStatusBarItems(config) {
+    const layout = JSON.stringify([
+        config.alignment,
+        config.priority,
+        config.secondaryText ? [config.secondaryAlignment, config.secondaryPriority] : null
+    ]);
+    if (layout === statusBarLayout) return;
+    disposeStatusBarItems();
+    statusBarLayout = layout;
+
+    const create = (alignment, priority) => {
+        const item = vscode.window.createStatusBarItem(alignment === 'right' ? vscode.StatusBarAlignment.Right : vscode.StatusBarAlignment.Left, priority);
+        // 点击打开并定位到 FishTime 插件设置
+        // 使用自定义命令ID，避免直接使用函数导致的command 'undefined' not found错误
+        item.command = OPEN_SETTINGS_COMMAND;
+        return item;
+    };
+    statusBarItem = create(config.alignment, config.priority);
+    statusBarItem.text = t('FishTime is starting...');
+    statusBarItem.tooltip = t('Initializing...');
+    statusBarItem.show();
+    // 第二个状态栏项在首次刷新文字后显示（内容为空时隐藏）
+    if (config.secondaryText) secondaryStatusBarItem = create(config.secondaryAlignment, config.secondaryPriority);
+    lastTooltipText = '';
+}
+
+/**
+ * 移除状态栏项。
+ */
+function disposeStatusBarItems() {
+    if (statusBarItem) statusBarItem.dispose();
+    if (secondaryStatusBarItem) secondaryStatusBarItem.dispose();
+    statusBarItem = null;
+    secondaryStatusBarItem = null;
+    statusBarLayout = '';
 }
 
 /**
@@ -156,62 +491,149 @@ function activate(context) {
 function deactivate() {
     if (timerTooltip) clearInterval(timerTooltip);
     if (timerAmount) clearInterval(timerAmount);
+    disposeStatusBarItems();
+    stopExportServer();
+    leaveWindows();
 }
 
 /**
- * 读取用户配置，提供默认值与基本格式校验。
+ * 读取用户配置（设置项与默认值见 src/config.js）。
  */
 function getConfig() {
-    const cfg = vscode.workspace.getConfiguration('fishTime');
-
-    // 月薪
-    const monthlySalary = cfg.get('0_monthly-salary', 20450);
-    // 读取四段时间，格式为 HH:mm
-    const morningStart = cfg.get('1_morning-start', '10:00');
-    const morningEnd = cfg.get('2_morning-end', '11:30');
-    const afternoonStart = cfg.get('3_afternoon-start', '13:30');
-    const afternoonEnd = cfg.get('4_afternoon-end', '18:00');
-    // 休息日（数组：1-7代表周一至周日；周日为7）
-    const restDays = cfg.get('5_restDays', [6, 7]);
+    const cfg = vscode.workspace.getConfiguration(CONFIG_SECTION);
+    return readConfig((key, defaultValue) => cfg.get(key, defaultValue));
+}
 
-    return {
-        monthlySalary,
-        morningStart,
-        morningEnd,
-        afternoonStart,
-        afternoonEnd,
-        restDays
-    };
+/**
+ * 迁移旧版设置：早期版本从 fishTime.* 读取设置，用户在 settings.json 中写下的这些设置迁移到 fish-time-pro.* 的同一作用域
+ * （新设置已有值时保留新值），迁移后移除旧设置。旧设置未在扩展中声明，VS Code 拒绝修改时保留原样，"诊断"命令中会列出。
+ * @returns {Promise<number>} 迁移的设置数
+ */
+async function migrateLegacySettings() {
+    const inspect = (section, key) => vscode.workspace.getConfiguration(section).inspect(key);
+    const targets = { globalValue: vscode.ConfigurationTarget.Global, workspaceValue: vscode.ConfigurationTarget.Workspace };
+    const settings = vscode.workspace.getConfiguration();
+    let migrated = 0;
+    for (const item of planMigration(inspect)) {
+        const target = targets[item.scope];
+        if (item.current === undefined) {
+            try {
+                await settings.update(item.to, item.value, target);
+                migrated++;
+            } catch {
+                continue;
+            }
+        } else if (JSON.stringify(item.current) !== JSON.stringify(item.value)) {
+            // 新旧设置不同：以新设置为准，旧设置留给用户确认
+            continue;
+        }
+        try { await settings.update(item.from, undefined, target); } catch { }
+    }
+    if (migrated > 0) {
+        vscode.window.showInformationMessage(t('Moved {0} FishTime setting(s) from "{1}.*" to "{2}.*", where the settings editor shows them.', migrated, LEGACY_SECTION, CONFIG_SECTION));
+    }
+    return migrated;
 }
 
 /**
- * 工具：将 HH:mm 字符串转为分钟数（从 00:00 起）；非法则返回默认。
- * @param {string} hhmm
- * @param {number} defMinutes 默认分钟（例如 9:00 -> 540）
+ * 校验设置（见 src/config.js 的 validateConfig）；出现新的问题时提示，可查看诊断或打开对应的设置。
  */
-function parseHHMMToMinutes(hhmm, defMinutes) {
-    try {
-        const m = hhmm.match(/^([01]\d|2[0-3]):([0-5]\d)$/);
-        if (!m) return defMinutes;
-        const h = parseInt(m[1], 10);
-        const min = parseInt(m[2], 10);
-        return h * 60 + min;
-    } catch {
-        return defMinutes;
+function checkConfig() {
+    configWarnings = validateConfig(getConfig());
+    const key = JSON.stringify(configWarnings);
+    if (key === shownWarnings) return;
+    shownWarnings = key;
+    if (!configWarnings.length) return;
+    const [first] = configWarnings;
+    const diagnose = t('Diagnose');
+    const open = t('Open Settings');
+    const message = configWarnings.length > 1
+        ? t('FishTime found {0} problems in your settings, e.g. {1}: {2}', configWarnings.length, first.setting, first.message)
+        : t('FishTime found a problem in your settings. {0}: {1}', first.setting, first.message);
+    vscode.window.showWarningMessage(message, diagnose, open).then(choice => {
+        if (choice === diagnose) vscode.commands.executeCommand(DIAGNOSE_COMMAND);
+        else if (choice === open) openSettingAndSearch(first.setting);
+    });
+}
+
+/**
+ * 诊断：在输出面板列出生效的设置（及其来源）、未迁移的旧版设置、设置问题、节假日来源状态与今天的判定依据。
+ * @param {() => Promise<void>} refresh 刷新状态栏（保证使用最新的设置与日历）
+ */
+async function showDiagnostics(refresh) {
+    await refresh();
+    const inspect = (section, key) => vscode.workspace.getConfiguration(section).inspect(key);
+    const sources = { default: t('default'), user: t('user settings'), workspace: t('workspace settings'), workspaceFolder: t('folder settings') };
+    const now = new Date();
+    const lines = [t('FishTime diagnostics ({0})', now.toLocaleString())];
+
+    lines.push('', `## ${t('Settings')}`);
+    for (const { setting, value, source } of effectiveSettings(inspect)) {
+        lines.push(`${setting} = ${JSON.stringify(value)} (${sources[source]})`);
+    }
+    const legacy = planMigration(inspect);
+    if (legacy.length) {
+        lines.push('', `## ${t('Legacy settings (no longer used)')}`);
+        for (const item of legacy) {
+            lines.push(t('{0} = {1} ({2}): {3} is used instead', item.from, JSON.stringify(item.value), sources[item.scope === 'globalValue' ? 'user' : 'workspace'], item.to));
+        }
     }
+
+    lines.push('', `## ${t('Problems')}`);
+    configWarnings = validateConfig(getConfig());
+    if (!configWarnings.length) lines.push(t('No problems found.'));
+    for (const { setting, message } of configWarnings) lines.push(`- ${setting}: ${message}`);
+
+    lines.push('', `## ${t('Holiday calendar')}`);
+    const holiday = holidayState || await loadHolidayCalendar(getConfig());
+    lines.push(t('Region: {0}', t(resolveRegion(holiday.region).label)));
+    lines.push(describeHolidayCache(holiday));
+
+    lines.push('', `## ${t('Live export')}`);
+    lines.push(describeExport(getConfig()));
+
+    if (lastContext) {
+        const { schedule, calendar } = lastContext;
+        const snapshot = computeSnapshot(lastContext, now);
+        const date = snapshot.workDate;
+        const explained = explainDay(date, schedule, calendar);
+        const label = ((calendar.getLabels && calendar.getLabels(date.getFullYear(), date.getMonth() + 1)) || {})[date.getDate()] || '';
+        lines.push('', `## ${t('Today')}`);
+        lines.push(t('Work date: {0} ({1}), time zone: {2}', dayKey(date), getFormatter().weekday(date), schedule.timeZone || t('local ({0})', Intl.DateTimeFormat().resolvedOptions().timeZone)));
+        lines.push(t('Type: {0}', t(DAY_TYPES[explained.reason === 'makeup' ? 'makeup' : explained.kind].label)));
+        lines.push(t('Why: {0}', describeReason(explained, label)));
+        if (snapshot.todayLeave) lines.push(t('On leave: {0}', t(LEAVE_TYPES[snapshot.todayLeave].label)));
+        if (snapshot.segments.length) {
+            lines.push(t('Work segments: {0}', snapshot.segments.map(seg => `${formatTimeHHMM(seg.start)}-${formatTimeHHMM(seg.end)}`).join(', ')));
+        }
+        if (snapshot.statusLabel) lines.push(t('Status: {0}', snapshot.statusLabel));
+        lines.push(t('Earned today: {0}', formatMoney(snapshot.earned)));
+    }
+
+    if (!outputChannel) outputChannel = vscode.window.createOutputChannel('FishTime');
+    outputChannel.clear();
+    outputChannel.appendLine(lines.join('\n'));
+    outputChannel.show(true);
 }
 
 /**
- * 工具：根据分钟数设置到一个 Date（当天）。
- * @param {Date} base
- * @param {number} minutesFromMidnight
+ * 读取格式化工具（首次使用或设置变更后按"语言区域"与"货币"设置创建）。
+ * @returns {ReturnType<typeof createFormatter>}
  */
-function setDateToMinutes(base, minutesFromMidnight) {
-    const d = new Date(base);
-    const h = Math.floor(minutesFromMidnight / 60);
-    const m = minutesFromMidnight % 60;
-    d.setHours(h, m, 0, 0);
-    return d;
+function getFormatter() {
+    if (!formatter) {
+        const cfg = getConfig();
+        formatter = createFormatter({ locale: cfg.locale, currency: cfg.currency }, vscode.env.language);
+    }
+    return formatter;
+}
+
+/**
+ * 工具：按语言区域与货币格式化金额（含货币符号与千分位）。
+ * @param {number} amount
+ */
+function formatMoney(amount) {
+    return getFormatter().money(amount);
 }
 
 /**
@@ -229,471 +651,1341 @@ function formatDiffToHMS(msDiff) {
 }
 
 /**
- * 工具：格式化时间为 HH:mm（用于静态显示上午/下午结束时间，避免因每秒倒计时导致的闪烁）
+ * 工具：格式化时间为 HH:mm（用于静态显示上午/下午结束时间，避免因每秒倒计时导致的闪烁）。
+ * 设置了雇主时区时按该时区显示，与设置中的上下班时间一致。
  * @param {Date} d
  */
 function formatTimeHHMM(d) {
-    const h = d.getHours().toString().padStart(2, '0');
-    const m = d.getMinutes().toString().padStart(2, '0');
-    return `${h}:${m}`;
+    return formatClock(d, lastContext?.schedule.timeZone);
 }
 
 /**
- * 拉取节假日 ICS 文本（带缓存）。
+ * 工具：格式化时间为 MM-DD HH:mm（用于显示节假日数据的更新时间）
+ * @param {Date} d
  */
-async function fetchHolidayICS(context) {
-    const now = Date.now();
-    // 先读扩展级缓存
-    if (holidayCache.text && holidayCache.fetchedAt && (now - holidayCache.fetchedAt) < ICS_CACHE_TTL) {
-        return holidayCache.text;
+function formatDateTime(d) {
+    const mo = (d.getMonth() + 1).toString().padStart(2, '0');
+    const day = d.getDate().toString().padStart(2, '0');
+    return `${mo}-${day} ${formatTimeHHMM(d)}`;
+}
+
+/**
+ * 读取全部节假日来源并按优先级合并为一个日历，内置数据作为最后的兜底：只用于所有来源都没有数据的年份。
+ * 所有日历访问都经过持久化缓存 holidayCache：重启后直接使用上次成功的数据，过期数据仍会使用并给出提示。
+ * @param {{ holidaySources: Array<string>, holidayKeywords: object, region: string }} cfg 配置：来源列表（按优先级）、事件分类关键词与地区
+ * @param {{ force?: boolean }} [options] force 为 true 时忽略有效期与失败退避，立即重新拉取
+ * @returns {Promise<{ calendar: object, region: string, active: { label: string, fetchedAt: number, stale: boolean } | null, failed: number, results: Array<object>, invalid: Array<{ spec: string, error: string }> }>}
+ */
+async function loadHolidayCalendar(cfg, options = {}) {
+    const region = resolveRegion(cfg.region);
+    // 默认的远程来源是中国大陆的数据，其他地区不使用（可在"节假日来源"中添加本地区的日历）
+    const specs = (Array.isArray(cfg.holidaySources) ? cfg.holidaySources : []).filter(spec => region.id === 'cn' || spec !== ICS_URL);
+    const workspaceFolder = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
+    const sources = [];
+    const invalid = [];
+    for (const spec of specs) {
+        try {
+            sources.push(resolveSource(spec, { workspaceFolder }));
+        } catch (err) {
+            invalid.push({ spec: String(spec), error: String(err?.message || err) });
+        }
     }
-    // 再尝试读全局存储缓存
-    try {
-        const cached = context?.globalState?.get('fishTime.icsCache');
-        if (cached && cached.text && cached.fetchedAt && (now - cached.fetchedAt) < ICS_CACHE_TTL) {
-            holidayCache = cached;
-            return holidayCache.text;
+
+    // 远程来源只由主窗口拉取，其他窗口读取主窗口写入的缓存（手动刷新时仍会拉取）
+    const results = await holidayCache.load(sources, Date.now(), { remote: isLeader, ...options });
+    const failed = invalid.length + results.filter(r => r.error).length;
+    const usable = results.filter(r => r.text);
+
+    // 地区、时区、来源内容与分类关键词未变化时复用合并后的日历；来源按地区的关键词分类（用户关键词优先），
+    // 内置数据始终按地区的默认关键词分类并推算补假；带时刻的事件按雇主时区确定日期
+    const keywords = cfg.holidayKeywords || {};
+    const timeZone = resolveTimeZone(cfg.timeZone);
+    const key = region.id + (timeZone || '') + JSON.stringify(keywords) + usable.map(r => `|${r.source.location}@${r.fetchedAt}`).join('');
+    if (calendarCache.key !== key) {
+        if (bundledCalendar?.region !== region.id || bundledCalendar.timeZone !== timeZone) {
+            bundledCalendar = {
+                region: region.id,
+                timeZone,
+                calendar: createRegionCalendar(readBundledICS(region.id), region.id, { observe: true, timeZone })
+            };
         }
-    } catch { }
+        const calendars = usable.map(r => createRegionCalendar(r.text, region.id, { keywords, timeZone }));
+        calendarCache = {
+            key,
+            calendar: mergeCalendars(calendars, bundledCalendar.calendar),
+            // 来源位置 -> 未展开的重复规则（见 describeHolidayCache）
+            ignoredRules: Object.fromEntries(usable.map((r, i) => [r.source.location, calendars[i].ignoredRules]))
+        };
+    }
 
-    // 网络拉取（https）
-    const text = await new Promise((resolve, reject) => {
-        https.get(ICS_URL, res => {
-            if (res.statusCode !== 200) {
-                reject(new Error(`ICS 请求失败，状态码：${res.statusCode}`));
-                return;
-            }
-            let data = '';
-            res.on('data', chunk => data += chunk);
-            res.on('end', () => resolve(data));
-        }).on('error', reject);
-    });
+    const active = usable[0] ? { label: usable[0].source.label, fetchedAt: usable[0].fetchedAt, stale: usable[0].stale } : null;
+    holidayState = { calendar: calendarCache.calendar, region: region.id, active, failed, results, invalid, ignoredRules: calendarCache.ignoredRules };
+    return holidayState;
+}
 
-    holidayCache = { text, fetchedAt: now };
-    try { context?.globalState?.update('fishTime.icsCache', holidayCache); } catch { }
-    return text;
-}
-
-/**
- * 解析 ICS：提取本月的假期（holidays）与补班/调休工作日（workdays）。
- * 规则与 HTML 保持一致：
- * - DTSTART;VALUE=DATE:YYYYMMDD 记为假期天（如果 SUMMARY 中含"假期第N天"会用于显示，但此处我们只需天数用于工作日计算）
- * - DTSTART:YYYYMMDD... 且 SUMMARY 包含"补班/调休/班/compensateday"视为工作日（覆盖休息日）
- */
-function parseICSForMonth(icsText, year, month) {
-    const lines = (icsText || '').split('\n');
-    const holidays = []; // 假期天（当月）
-    const workdays = []; // 补班/调休的工作日（当月）
-
-    let currentEvent = null;
-    for (const line of lines) {
-        if (line.startsWith('BEGIN:VEVENT')) {
-            currentEvent = {};
-        } else if (line.startsWith('DTSTART;VALUE=DATE:')) {
-            const dateStr = line.split(':')[1];
-            const y = parseInt(dateStr.slice(0, 4));
-            const m = parseInt(dateStr.slice(4, 6));
-            const d = parseInt(dateStr.slice(6, 8));
-            if (currentEvent) currentEvent.valueDate = { y, m, d, dateStr };
-        } else if (line.startsWith('DTSTART:')) {
-            const dateStr = line.split(':')[1].slice(0, 8);
-            const y = parseInt(dateStr.slice(0, 4));
-            const m = parseInt(dateStr.slice(4, 6));
-            const d = parseInt(dateStr.slice(6, 8));
-            if (currentEvent) currentEvent.startDate = { y, m, d, dateStr };
-        } else if (line.startsWith('SUMMARY:')) {
-            const summary = line.split(':')[1] || '';
-            if (currentEvent) currentEvent.summary = summary;
-        } else if (line.startsWith('END:VEVENT')) {
-            if (currentEvent) {
-                // 记录假期天（基于 VALUE=DATE）
-                if (currentEvent.valueDate && currentEvent.valueDate.y === year && currentEvent.valueDate.m === month) {
-                    holidays.push(currentEvent.valueDate.d);
-                }
-                // 记录补班/调休（基于 DTSTART + SUMMARY关键词）
-                const s = (currentEvent.summary || '').toLowerCase();
-                const isCompensate = (
-                    s.includes('补班') ||
-                    (s.includes('调休') && s.includes('上班')) ||
-                    s.includes('上班') ||
-                    s.includes('compensateday') ||
-                    s.includes('compensate') ||
-                    s.includes('make-up') ||
-                    s.includes('make up') ||
-                    s.includes('workday')
-                );
-                if (currentEvent.startDate && currentEvent.startDate.y === year && currentEvent.startDate.m === month && isCompensate) {
-                    workdays.push(currentEvent.startDate.d);
-                }
-            }
-            currentEvent = null;
+/**
+ * 以多行文本描述各节假日来源的缓存状态（供"查看节假日缓存状态"命令使用）。
+ * @param {{ region: string, results: Array<object>, invalid: Array<object>, ignoredRules?: Record<string, Array<object>> }} state 最近一次 loadHolidayCalendar 的结果
+ */
+function describeHolidayCache(state) {
+    const lines = [];
+    const now = Date.now();
+    for (const r of state.results) {
+        let status = t('OK');
+        if (!r.text) status = t('Unavailable');
+        else if (r.stale) status = t('Expired (still using the cache)');
+        lines.push(t('{0}: {1}', r.source.label, status));
+        lines.push(`  ${t('Source: {0}', r.source.spec)}`);
+        if (r.fetchedAt) lines.push(`  ${t('Last updated: {0}', formatDateTime(new Date(r.fetchedAt)))}`);
+        if (r.error) lines.push(`  ${t('Last error: {0}', r.error)}`);
+        if (r.error && r.retryAt > now) lines.push(`  ${t('Next retry: {0}', formatDateTime(new Date(r.retryAt)))}`);
+        const ignored = (r.text && state.ignoredRules?.[r.source.location]) || [];
+        if (ignored.length) {
+            lines.push(`  ${t('Unsupported recurrence rules (only the first date is used): {0}', ignored.map(e => `${e.summary} (${e.rule})`).join(', '))}`);
         }
     }
+    for (const item of state.invalid) {
+        lines.push(t('{0}: invalid setting', item.spec));
+        lines.push(`  ${item.error}`);
+    }
+    lines.push(t('Bundled data for {0} (this year and next): always used as the fallback', t(resolveRegion(state.region).label)));
+    if (!isLeader) lines.push(t('Remote sources are downloaded by another VS Code window.'));
+    return lines.join('\n');
+}
 
-    return { holidays, workdays };
-}
-
-/**
- * 计算当月"总工作日"、"已上班天数"与"今日是否为工作日"。
- * 新规则：
- * - 总工作日 = 所有周一至周五的天数 - 法定节假日 + 补班/调休日
- * - 今日是否工作日 = 是否为周一至周五且不在法定节假日中
- * - 节假日视为带薪假期，计入本月工作天数和累计工资
- */
-function calcWorkingDays(year, month, restDaysConfig, holidays, workdays) {
-    const daysInMonth = new Date(year, month, 0).getDate(); // 注意这里 month 为 1-12（与 new Date 保持一致传递）
-    const today = new Date();
-    const currentDay = today.getDate();
-
-    let totalWorkingDays = 0;
-    let workedDays = 0;
-    let isTodayWorkingDay = false;
-    let isTodayHoliday = false;
-
-    // restDaysConfig：例如 [6,7] 表示周六与周日休息；Date.getDay(): 0=周日 -> 映射为7，其它 1-6 不变
-    const restSet = new Set((restDaysConfig || []).map(n => parseInt(n, 10)).filter(n => n >= 1 && n <= 7));
-
-    for (let day = 1; day <= daysInMonth; day++) {
-        const date = new Date(year, month - 1, day);
-        const dow = date.getDay(); // 0-6，0是周日
-        const dowHuman = (dow === 0) ? 7 : dow; // 1-7，人类友好
-
-        // 检查这一天是否为法定节假日
-        const isHoliday = holidays.includes(day);
-        
-        // 检查这一天是否为补班/调休日
-        const isWorkday = workdays.includes(day);
-        
-        // 判断是否为工作日：周一到周五且不在法定节假日中，或者是在补班/调休日
-        let isWorkingDay = false;
-        if (isWorkday) {
-            // 如果是补班/调休日，则为工作日
-            isWorkingDay = true;
-        } else if (isHoliday) {
-            // 如果是法定节假日，则不是工作日
-            isWorkingDay = false;
-        } else if (restSet.has(dowHuman)) {
-            // 如果是用户配置的休息日（如周末），则不是工作日
-            isWorkingDay = false;
-        } else {
-            // 否则是工作日（周一到周五，非法定节假日）
-            isWorkingDay = true;
-        }
+/**
+ * 读取加班记录：{ sessions: [{ start, end, lastSeen }], autoStartedOn }（时间均为毫秒时间戳）。
+ */
+function getOvertimeState() {
+    const state = extensionContext?.globalState?.get(OVERTIME_STATE_KEY);
+    return {
+        sessions: Array.isArray(state?.sessions) ? state.sessions : [],
+        autoStartedOn: state?.autoStartedOn || null
+    };
+}
 
-        if (isWorkingDay) {
-            totalWorkingDays++;
-            if (day <= currentDay) workedDays++;
-            if (day === currentDay) isTodayWorkingDay = true;
-        } else if (isHoliday && day <= currentDay) {
-            // 如果是法定节假日且在今天或之前，则计入已上班天数（带薪假期）
-            workedDays++;
-            if (day === currentDay) {
-                isTodayHoliday = true;
-                isTodayWorkingDay = true; // 节假日也视为工作日（带薪假期）
-            }
+/**
+ * 保存加班记录，仅保留上月初以来的记录（本期累计最早只需要上月起始日以后的记录）。
+ * @param {ReturnType<typeof getOvertimeState>} state
+ */
+function saveOvertimeState(state) {
+    const now = new Date();
+    const keepFrom = new Date(now.getFullYear(), now.getMonth() - 1, 1).getTime();
+    const sessions = state.sessions.filter(s => !s.end || s.end >= keepFrom);
+    try { extensionContext?.globalState?.update(OVERTIME_STATE_KEY, { ...state, sessions }); } catch { }
+}
+
+/**
+ * 开始加班。已有进行中的加班时返回 false。
+ * @param {Date} now
+ * @param {{ auto?: string }} [options] auto 为自动开始的工作日键（YYYY-MM-DD），避免同一天重复自动开始
+ */
+function startOvertime(now, options = {}) {
+    const state = getOvertimeState();
+    if (state.sessions.some(s => !s.end)) return false;
+    state.sessions.push({ start: now.getTime(), end: null, lastSeen: now.getTime() });
+    if (options.auto) state.autoStartedOn = options.auto;
+    saveOvertimeState(state);
+    return true;
+}
+
+/**
+ * 结束进行中的加班。没有进行中的加班时返回 false。
+ * @param {Date} now
+ */
+function stopOvertime(now) {
+    const state = getOvertimeState();
+    const active = state.sessions.find(s => !s.end);
+    if (!active) return false;
+    active.end = now.getTime();
+    saveOvertimeState(state);
+    return true;
+}
+
+/**
+ * 结束上次运行遗留的加班：心跳超过 OVERTIME_STALE_MS 的记录在最后一次心跳时结束。
+ * @param {number} nowMs
+ */
+function closeStaleOvertime(nowMs) {
+    const state = getOvertimeState();
+    const active = state.sessions.find(s => !s.end);
+    if (!active || nowMs - (active.lastSeen || active.start) < OVERTIME_STALE_MS) return;
+    active.end = active.lastSeen || active.start;
+    saveOvertimeState(state);
+}
+
+/**
+ * 每次刷新时维护加班记录：为进行中的加班记录心跳（每分钟一次），并按配置自动开始加班。
+ * @param {object} cfg getConfig 的结果
+ * @param {object} snapshot computeSnapshot 的结果
+ * @param {Date} now
+ */
+function tickOvertime(cfg, snapshot, now) {
+    const state = getOvertimeState();
+    const active = state.sessions.find(s => !s.end);
+    if (active) {
+        if (now.getTime() - (active.lastSeen || 0) >= 60 * 1000) {
+            active.lastSeen = now.getTime();
+            saveOvertimeState(state);
         }
+        return false;
+    }
+    if (shouldAutoStartOvertime(cfg.overtime, snapshot, state, now, resolveTimeZone(cfg.timeZone))) {
+        return startOvertime(now, { auto: dayKey(snapshot.workDate) });
     }
+    return false;
+}
 
-    return { totalWorkingDays, workedDays, isTodayWorkingDay, isTodayHoliday };
+/**
+ * 读取弹性工时打卡记录：{ days: { 'YYYY-MM-DD': { clockIn, clockOut, source } } }。
+ */
+function getClockState() {
+    const state = extensionContext?.globalState?.get(CLOCK_STATE_KEY);
+    return { days: { ...(state?.days || {}) } };
 }
 
 /**
- * 计算距离下一个休息日的天数
- * @param {number} year 当前年份
- * @param {number} month 当前月份（1-12）
- * @param {Array<number>} restDaysConfig 用户配置的休息日（1-7）
- * @param {Array<number>} holidays 当月法定节假日天数
- * @param {Array<number>} workdays 当月补班/调休天数
- * @param {string} icsText ICS文本，用于解析未来月份的假期和补班
- * @returns {number} 距离下一个休息日的天数
+ * 保存打卡记录，并清理过早的日期（已随历史记录结算）。
+ * @param {ReturnType<typeof getClockState>} state
  */
-function calcNextRestDay(year, month, restDaysConfig, holidays, workdays, icsText) {
-    const today = new Date();
+async function saveClockState(state) {
+    const keepFrom = new Date();
+    keepFrom.setDate(keepFrom.getDate() - ACTIVITY_KEEP_DAYS);
+    const keepKey = dayKey(keepFrom);
+    for (const key of Object.keys(state.days)) {
+        if (key < keepKey) delete state.days[key];
+    }
+    try { await extensionContext?.globalState?.update(CLOCK_STATE_KEY, state); } catch { }
+}
 
-    // restDaysConfig：例如 [6,7] 表示周六与周日休息；Date.getDay(): 0=周日 -> 映射为7，其它 1-6 不变
-    const restSet = new Set((restDaysConfig || []).map(n => parseInt(n, 10)).filter(n => n >= 1 && n <= 7));
+/**
+ * 每次刷新时按编辑器活动自动上班打卡（弹性工时，仅在工作日且未请假时）：上班时间为最早上班时间之后的编辑器活动时刻。
+ * @param {object} snapshot computeSnapshot 的结果
+ * @param {Date} now
+ * @returns {boolean} 是否新打卡
+ */
+function tickClockIn(snapshot, now) {
+    const { flexible, timeZone } = lastContext.schedule;
+    if (!snapshot.isTodayWorkingDay) return false;
+    const lastActivity = Math.max(lastActivityAt, sharedActivityAt);
+    if (!shouldClockInOnActivity(flexible, snapshot.workDate, lastActivity, now, timeZone)) return false;
+    const state = getClockState();
+    state.days[dayKey(snapshot.workDate)] = createClockRecord(lastActivity, snapshot.workDate, flexible, timeZone, 'activity');
+    saveClockState(state);
+    return true;
+}
 
-    // 从今天开始，依次检查每一天是否为休息日
-    let nextRestDay = null;
-    let checkDate = new Date(today);
+/**
+ * 弹性工时上班打卡（命令）：以当前时刻为今天的上班时间，并推算下班时间；今天已打卡时确认后重新打卡。
+ * @returns {Promise<boolean>} 是否有记录变更
+ */
+async function promptClockIn() {
+    const cfg = getConfig();
+    const flexible = resolveFlexibleHours(cfg.flexibleHours);
+    if (!flexible) {
+        const choice = await vscode.window.showInformationMessage(t('Flexible hours are not enabled. Please enable them in settings first.'), t('Open Settings'));
+        if (choice) openSettingAndSearch('fish-time-pro.28_flexible-hours');
+        return false;
+    }
+    const timeZone = resolveTimeZone(cfg.timeZone);
+    const now = new Date();
+    const workDate = dateIn(now, timeZone);
+    const key = dayKey(workDate);
+    const state = getClockState();
+    const existing = state.days[key];
+    if (existing) {
+        const confirm = t('Clock In Again');
+        const choice = await vscode.window.showWarningMessage(
+            t('You already clocked in at {0} today. Clock in again now?', formatClock(existing.clockIn, timeZone)),
+            { modal: true },
+            confirm
+        );
+        if (choice !== confirm) return false;
+    }
+    const record = createClockRecord(now.getTime(), workDate, flexible, timeZone, 'command');
+    state.days[key] = record;
+    await saveClockState(state);
+    vscode.window.showInformationMessage(t('Clocked in at {0}. Clock-out time: {1}.', formatClock(record.clockIn, timeZone), formatClock(record.clockOut, timeZone)));
+    return true;
+}
 
-    // 最多检查30天，避免无限循环
-    for (let i = 0; i < 30; i++) {
-        const checkYear = checkDate.getFullYear();
-        const checkMonth = checkDate.getMonth() + 1;
-        const checkDay = checkDate.getDate();
-        const dow = checkDate.getDay(); // 0-6，0是周日
-        const dowHuman = (dow === 0) ? 7 : dow; // 1-7，人类友好
+/**
+ * 读取请假记录：{ days: { 'YYYY-MM-DD': 请假类型 } }。
+ */
+function getLeaveState() {
+    const state = extensionContext?.globalState?.get(LEAVE_STATE_KEY);
+    return { days: { ...(state?.days || {}) } };
+}
 
-        let isRestDay = false;
+/**
+ * 保存请假记录。
+ * @param {ReturnType<typeof getLeaveState>} state
+ */
+async function saveLeaveState(state) {
+    try { await extensionContext?.globalState?.update(LEAVE_STATE_KEY, state); } catch { }
+}
 
-        // 重新获取当月的节假日和补班信息（如果月份或年份变化）
-        let currentMonthHolidays = holidays;
-        let currentMonthWorkdays = workdays;
-        if (checkMonth !== month || checkYear !== year) {
-            // 如果月份或年份变化，重新解析对应月份的ICS
-            const parsed = parseICSForMonth(icsText, checkYear, checkMonth);
-            currentMonthHolidays = parsed.holidays;
-            currentMonthWorkdays = parsed.workdays;
+/**
+ * 交互式标记请假：选择类型 → 输入日期或范围，仅标记其中的工作日。
+ * @returns {Promise<boolean>} 是否有记录变更
+ */
+async function promptMarkLeave() {
+    const cfg = getConfig();
+    const policy = resolveLeavePolicy(cfg.leave);
+    const picked = await vscode.window.showQuickPick(
+        Object.entries(LEAVE_TYPES).map(([type, info]) => ({
+            label: t(info.label),
+            description: t('Paid at {0}%', Math.round(policy.ratios[type] * 100)),
+            type
+        })),
+        { placeHolder: t('Select a leave type') }
+    );
+    if (!picked) return false;
+
+    const input = await vscode.window.showInputBox({
+        prompt: t('Leave date or range, e.g. 2026-10-20 or 2026-10-20~2026-10-22'),
+        value: dayKey(dateIn(new Date(), resolveTimeZone(cfg.timeZone))),
+        validateInput: text => parseDateRange(text) ? null : t('Enter YYYY-MM-DD or YYYY-MM-DD~YYYY-MM-DD (up to 366 days)')
+    });
+    const dates = input && parseDateRange(input);
+    if (!dates) return false;
+
+    // 休息日与法定节假日无需请假，只标记工作日（与状态栏使用同一作息规则判定）
+    const { calendar } = await loadHolidayCalendar(cfg);
+    const { schedule } = buildContext(cfg, calendar);
+    const workdays = dates.filter(date => classifyDay(date, schedule, calendar) === 'workday');
+    if (!workdays.length) {
+        vscode.window.showInformationMessage(t('All selected dates are rest days or public holidays, no leave needed.'));
+        return false;
+    }
+
+    const state = getLeaveState();
+    for (const date of workdays) state.days[dayKey(date)] = picked.type;
+    await saveLeaveState(state);
+    // 补记已结算日期的请假（如次日补记病假）时重新结算这些日期
+    await resettleDays(workdays.map(dayKey), buildContext(cfg, calendar));
+
+    let message = t('Marked {0} day(s) of {1}.', workdays.length, picked.label);
+    if (picked.type === 'annual') {
+        // 两句之间的分隔随语言而定（中文不加空格）
+        message = t('{0} {1}', message, describeAnnualBalance(state, workdays[0].getFullYear(), policy));
+    }
+    vscode.window.showInformationMessage(message);
+    return true;
+}
+
+/**
+ * 某年年假的剩余或超出天数（按已标记的请假计算）。
+ * @param {ReturnType<typeof getLeaveState>} state
+ * @param {number} year
+ * @param {ReturnType<typeof resolveLeavePolicy>} policy
+ * @returns {string}
+ */
+function describeAnnualBalance(state, year, policy) {
+    const remaining = policy.annualDays - countLeave(state, year);
+    return remaining >= 0
+        ? t('{0} annual leave remaining: {1} day(s).', year, remaining)
+        : t('{0} annual leave exceeded by {1} day(s).', year, -remaining);
+}
+
+/**
+ * 交互式取消请假：从已标记的日期中多选删除（最近的日期排在前面）。
+ * @returns {Promise<boolean>} 是否有记录变更
+ */
+async function promptClearLeave() {
+    const state = getLeaveState();
+    const items = Object.keys(state.days).sort().reverse().map(key => {
+        const date = parseDateKey(key);
+        const type = LEAVE_TYPES[state.days[key]];
+        return {
+            label: t('{0} ({1})', key, date ? getFormatter().weekday(date) : '?'),
+            description: type ? t(type.label) : state.days[key],
+            key
+        };
+    });
+    if (!items.length) {
+        vscode.window.showInformationMessage(t('No leave has been marked yet.'));
+        return false;
+    }
+    const picked = await vscode.window.showQuickPick(items, { placeHolder: t('Select the leave dates to clear'), canPickMany: true });
+    if (!picked || !picked.length) return false;
+    for (const item of picked) delete state.days[item.key];
+    await saveLeaveState(state);
+    const cfg = getConfig();
+    await resettleDays(picked.map(item => item.key), buildContext(cfg, (await loadHolidayCalendar(cfg)).calendar));
+    vscode.window.showInformationMessage(t('Cleared {0} day(s) of leave.', picked.length));
+    return true;
+}
+
+/**
+ * 年度假期总览（快速选择列表）：下一个法定节假日、本年各段假期与补班日，以及尚未开始的假期的拼假建议。
+ * 选择拼假建议并确认后将其中尚未请假的日期标记为年假；可切换查看上一年/下一年。
+ * @param {number} year
+ * @returns {Promise<boolean>} 是否有记录变更
+ */
+async function showHolidayOverview(year) {
+    const cfg = getConfig();
+    const { calendar } = await loadHolidayCalendar(cfg);
+    const { schedule } = buildContext(cfg, calendar);
+    const now = new Date();
+    const today = dateIn(now, schedule.timeZone);
+    const index = getYearIndex(year, schedule, calendar);
+    const { monthDay, weekday, list } = getFormatter();
+    const range = (start, end) => (start - end === 0 ? monthDay(start) : t('{0} - {1}', monthDay(start), monthDay(end)));
+    const separator = label => ({ label, kind: vscode.QuickPickItemKind.Separator });
+    const blockName = block => block.name || t('Public holiday');
+
+    const items = [];
+    const next = year === today.getFullYear() && nextHoliday(now, schedule, calendar);
+    if (next) {
+        items.push(separator(t('Next public holiday')));
+        items.push({
+            label: `$(calendar) ${blockName(next)}`,
+            description: next.daysUntil === 0 ? t('On holiday now') : t('In {0} day(s)', next.daysUntil),
+            detail: t('{0}, {1} day(s) off', range(next.start, next.end), next.days)
+        });
+    }
+
+    items.push(separator(t('Public holidays in {0}', year)));
+    if (!index.blocks.length) items.push({ label: t('No holiday data for {0}', year) });
+    for (const block of index.blocks) {
+        items.push({
+            label: `${block.end < today ? '$(check)' : '$(calendar)'} ${blockName(block)}`,
+            description: t('{0}, {1} day(s) off', range(block.start, block.end), block.days)
+        });
+    }
+
+    if (index.makeupDays.length) {
+        items.push(separator(t('Make-up workdays in {0}', year)));
+        for (const { date, name } of index.makeupDays) {
+            items.push({
+                label: `$(briefcase) ${t('{0} ({1})', monthDay(date), weekday(date))}`,
+                description: name
+            });
         }
+    }
 
-        // 判断是否为休息日
-        if (restSet.has(dowHuman)) {
-            // 用户配置的休息日：如果不是补班/调休，则为休息日
-            if (!currentMonthWorkdays.includes(checkDay)) {
-                isRestDay = true;
-            }
-        } else {
-            // 非用户配置的休息日：如果是法定假期，则为休息日
-            if (currentMonthHolidays.includes(checkDay)) {
-                isRestDay = true;
-            }
+    // 拼假建议：只针对尚未开始请假的假期
+    const suggestions = index.blocks.flatMap(block => suggestLeave(index, block)
+        .filter(suggestion => suggestion.leaveDates[0] >= today)
+        .map(suggestion => ({ block, ...suggestion })));
+    if (suggestions.length) {
+        items.push(separator(t('Leave suggestions')));
+        for (const suggestion of suggestions) {
+            const text = t('{0}: take {1} day(s) off for {2} days in a row', blockName(suggestion.block), suggestion.leaveDates.length, suggestion.days);
+            items.push({
+                label: `$(lightbulb) ${text}`,
+                description: range(suggestion.start, suggestion.end),
+                detail: t('Leave on {0}', list(suggestion.leaveDates.map(monthDay))),
+                suggestion,
+                text
+            });
         }
+    }
+
+    items.push(separator(''));
+    items.push({ label: `$(arrow-left) ${t('Show {0}', year - 1)}`, year: year - 1 });
+    items.push({ label: `$(arrow-right) ${t('Show {0}', year + 1)}`, year: year + 1 });
+
+    const picked = await vscode.window.showQuickPick(items, { placeHolder: t('Public holidays, make-up workdays and leave suggestions for {0}', year), matchOnDescription: true });
+    if (!picked) return false;
+    if (picked.year) return showHolidayOverview(picked.year);
+    if (!picked.suggestion) return false;
+
+    // 已标记请假（如病假、事假）的日期保持不变，只标记其余日期
+    const state = getLeaveState();
+    const marked = picked.suggestion.leaveDates.filter(date => state.days[dayKey(date)]);
+    const leaveDates = picked.suggestion.leaveDates.filter(date => !state.days[dayKey(date)]);
+    if (!leaveDates.length) {
+        vscode.window.showInformationMessage(t('All dates in this suggestion are already marked as leave.'));
+        return false;
+    }
+    const policy = resolveLeavePolicy(cfg.leave);
+    const leaveYear = leaveDates[0].getFullYear();
+    const preview = { days: { ...state.days } };
+    for (const date of leaveDates) preview.days[dayKey(date)] = 'annual';
+    const details = [t('{0} ({1})', picked.text, picked.description)];
+    if (marked.length) details.push(t('Already marked as leave and kept unchanged: {0}', list(marked.map(monthDay))));
+    details.push(describeAnnualBalance(preview, leaveYear, policy));
+    const confirm = t('Mark as annual leave');
+    const choice = await vscode.window.showInformationMessage(
+        t('Mark {0} as annual leave?', list(leaveDates.map(monthDay))),
+        { modal: true, detail: details.join('\n') },
+        confirm
+    );
+    if (choice !== confirm) return false;
+    await saveLeaveState(preview);
+    const message = t('Marked {0} day(s) of {1}.', leaveDates.length, t(LEAVE_TYPES.annual.label));
+    vscode.window.showInformationMessage(t('{0} {1}', message, describeAnnualBalance(preview, leaveYear, policy)));
+    return true;
+}
+
+/**
+ * 读取手动指定的日期类型：{ days: { 'YYYY-MM-DD': 'workday' | 'rest' | 'holiday' } }。
+ */
+function getOverrideState() {
+    const state = extensionContext?.globalState?.get(OVERRIDE_STATE_KEY);
+    return { days: { ...(state?.days || {}) } };
+}
+
+/**
+ * 保存手动指定的日期类型。
+ * @param {ReturnType<typeof getOverrideState>} state
+ */
+async function saveOverrideState(state) {
+    try { await extensionContext?.globalState?.update(OVERRIDE_STATE_KEY, state); } catch { }
+}
+
+/**
+ * 工具：今天（按雇主时区）所在的月份。
+ * @returns {{ year: number, month: number }}
+ */
+function currentMonth() {
+    const today = dateIn(new Date(), resolveTimeZone(getConfig().timeZone));
+    return { year: today.getFullYear(), month: today.getMonth() + 1 };
+}
+
+/**
+ * 打开（或切换到已打开的）月历，显示今天所在的月份。
+ * @param {() => Promise<void>} refresh 手动指定日期类型后刷新状态栏
+ */
+async function openCalendar(refresh) {
+    calendarMonth = currentMonth();
+    if (calendarPanel) {
+        calendarPanel.reveal();
+    } else {
+        calendarPanel = vscode.window.createWebviewPanel('fishTime.calendar', t('Fish Time Calendar'), vscode.ViewColumn.Active, { enableScripts: true });
+        calendarPanel.onDidDispose(() => { calendarPanel = null; });
+        calendarPanel.webview.onDidReceiveMessage(message => handleCalendarMessage(message, refresh).catch(showCalendarError));
+    }
+    await renderCalendar();
+}
+
+/**
+ * 按最近上下文重新生成月历页面（月历未打开时忽略）。
+ */
+async function renderCalendar() {
+    if (!calendarPanel) return;
+    if (!lastContext) await updateStatusBar();
+    if (!lastContext || !calendarPanel) return;
+    const { year, month } = calendarMonth;
+    const { weekday, yearMonth } = getFormatter();
+    calendarPanel.webview.html = renderMonthHtml(buildMonthView(lastContext, year, month, new Date()), {
+        title: yearMonth(new Date(year, month - 1, 1)),
+        // 2026-01-05 为周一
+        weekdayNames: [0, 1, 2, 3, 4, 5, 6].map(i => weekday(new Date(2026, 0, 5 + i))),
+        money: formatMoney,
+        nonce: crypto.randomBytes(16).toString('hex'),
+        cspSource: calendarPanel.webview.cspSource
+    });
+}
+
+/**
+ * 提示月历更新失败（事件回调中的月历更新没有调用方等待其结果）。
+ * @param {unknown} err
+ */
+function showCalendarError(err) {
+    vscode.window.showErrorMessage(t('Failed to update the calendar: {0}', err?.message || err));
+}
+
+/**
+ * 处理月历页面的消息：切换月份，或点击日期后手动指定其类型。
+ * @param {{ command: string, date?: string }} message
+ * @param {() => Promise<void>} refresh
+ */
+async function handleCalendarMessage(message, refresh) {
+    const { year, month } = calendarMonth;
+    if (message.command === 'previous' || message.command === 'next') {
+        const first = new Date(year, month - 1 + (message.command === 'next' ? 1 : -1), 1);
+        calendarMonth = { year: first.getFullYear(), month: first.getMonth() + 1 };
+    } else if (message.command === 'today') {
+        calendarMonth = currentMonth();
+    } else if (message.command === 'override') {
+        if (!await promptOverrideDay(message.date)) return;
+        await refresh();
+    } else {
+        return;
+    }
+    await renderCalendar();
+}
+
+/**
+ * 手动指定某天的类型（工作日/休息日/法定节假日），或恢复为按节假日日历与作息规则判断。
+ * 已结算的日期按新的类型重新结算。
+ * @param {string} key YYYY-MM-DD
+ * @returns {Promise<boolean>} 是否有记录变更
+ */
+async function promptOverrideDay(key) {
+    const date = parseDateKey(key);
+    if (!date || !lastContext) return false;
+    const state = getOverrideState();
+    const current = state.days[key] || null;
+    const items = ['workday', 'rest', 'holiday'].map(kind => ({ label: t(DAY_TYPES[kind].label), kind }));
+    items.push({ label: t('Follow the holiday calendar and schedule rules'), kind: null });
+    for (const item of items) {
+        if (item.kind === current) item.description = t('Current');
+    }
+    const picked = await vscode.window.showQuickPick(items, { placeHolder: t('Set the type of {0} ({1})', key, getFormatter().weekday(date)) });
+    if (!picked || picked.kind === current) return false;
+    if (picked.kind) state.days[key] = picked.kind;
+    else delete state.days[key];
+    await saveOverrideState(state);
+    await resettleDays([key], buildContext(getConfig(), lastContext.calendar));
+    return true;
+}
+
+/**
+ * 读取收入历史。
+ * @returns {{ days: Record<string, object>, lastClosed: string | null }}
+ */
+function getHistoryState() {
+    const state = extensionContext?.globalState?.get(HISTORY_STATE_KEY);
+    return { days: state?.days || {}, lastClosed: state?.lastClosed || null };
+}
+
+/**
+ * 结算 workDate 之前尚未结算的日期并保存（通常在每天第一次刷新时结算前一天）。
+ * 结算使用结算时的配置；此后修改配置不再影响这些日期。只由主窗口结算，其他窗口读取已保存的记录。
+ * @param {object} context computeSnapshot 的输入
+ * @param {Date} workDate
+ * @returns {ReturnType<typeof getHistoryState>}
+ */
+function closePastDays(context, workDate) {
+    const history = getHistoryState();
+    const dates = pendingCloseDates(history, workDate);
+    if (!dates.length || !isLeader) return history;
+    const closedAt = Date.now();
+    const records = dates.map(date => settleDay(context, date, closedAt));
+    const next = appendRecords(history, records);
+    try { extensionContext?.globalState?.update(HISTORY_STATE_KEY, next); } catch { }
+    return next;
+}
+
+/**
+ * 重新结算其中已结算的日期（事后手动指定日期类型或标记、取消请假时），使本期累计、导出与月历金额与新的记录一致。
+ * @param {string[]} keys 受影响的日期 YYYY-MM-DD
+ * @param {object} context 已包含变更的计算上下文（见 buildContext）
+ */
+async function resettleDays(keys, context) {
+    const history = getHistoryState();
+    const closedAt = Date.now();
+    const records = keys.filter(key => history.days[key]).map(key => settleDay(context, parseDateKey(key), closedAt));
+    if (!records.length) return;
+    try { await extensionContext?.globalState?.update(HISTORY_STATE_KEY, replaceRecords(history, records)); } catch { }
+}
+
+/**
+ * 结算某一天的收入记录，并附上当天的专注/摸鱼统计（当天打开过编辑器时）。
+ * @param {object} context 同 computeSnapshot 的输入
+ * @param {Date} date
+ * @param {number} closedAt 结算时刻
+ */
+function settleDay(context, date, closedAt) {
+    const record = { ...computeDayRecord(context, date), closedAt };
+    const activity = getActivityState().days[record.date];
+    if (activity) {
+        record.activeMs = activity.activeMs;
+        record.idleMs = activity.idleMs;
+        record.fishPay = splitEarnings(record.earned, record.dayRate, record.workMs, activity.activeMs).fishEarned;
+    }
+    return record;
+}
 
-        // 如果是休息日，则返回
-        if (isRestDay) {
-            nextRestDay = checkDate;
-            break;
+/**
+ * 交互式导出收入记录：选择周期与格式，保存为文件。只包含已结算的日期（不含今天）。
+ */
+async function promptExportHistory() {
+    const now = dateIn(new Date(), resolveTimeZone(getConfig().timeZone));
+    const pad = n => String(n).padStart(2, '0');
+    const lastMonth = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+    const periodPick = await vscode.window.showQuickPick([
+        { label: t('This month'), period: `${now.getFullYear()}-${pad(now.getMonth() + 1)}` },
+        { label: t('Last month'), period: `${lastMonth.getFullYear()}-${pad(lastMonth.getMonth() + 1)}` },
+        { label: t('This year'), period: String(now.getFullYear()) },
+        { label: t('Last year'), period: String(now.getFullYear() - 1) },
+        { label: t('Another month or year…'), period: null }
+    ].map(item => ({ ...item, description: item.period || '' })), { placeHolder: t('Select the period to export') });
+    if (!periodPick) return;
+
+    let period = periodPick.period;
+    if (!period) {
+        const input = await vscode.window.showInputBox({
+            prompt: t('Export period: YYYY-MM (month) or YYYY (year)'),
+            validateInput: text => parsePeriod(text) ? null : t('Enter YYYY-MM or YYYY')
+        });
+        period = parsePeriod(input);
+        if (!period) return;
+    }
+
+    const records = selectRecords(getHistoryState(), period);
+    if (!records.length) {
+        vscode.window.showInformationMessage(t('There are no closed earnings records for {0}.', period));
+        return;
+    }
+
+    const formatPick = await vscode.window.showQuickPick([
+        { label: 'CSV', description: t('Opens in Excel'), ext: 'csv' },
+        { label: 'JSON', description: t('Includes a summary and all records'), ext: 'json' }
+    ], { placeHolder: t('Select the export format') });
+    if (!formatPick) return;
+
+    const uri = await vscode.window.showSaveDialog({
+        defaultUri: vscode.Uri.file(path.join(os.homedir(), `fish-time-${period}.${formatPick.ext}`)),
+        filters: { [formatPick.label]: [formatPick.ext] }
+    });
+    if (!uri) return;
+
+    const content = formatPick.ext === 'csv' ? toCSV(records) : toJSON(records, period, now);
+    try {
+        await fs.promises.writeFile(uri.fsPath, content, 'utf8');
+    } catch (err) {
+        vscode.window.showErrorMessage(t('Export failed: {0}', err?.message || err));
+        return;
+    }
+    const choice = await vscode.window.showInformationMessage(t('Exported {0} day(s) of earnings records (today is not closed yet and is not included).', records.length), t('Open File'));
+    if (choice) vscode.window.showTextDocument(uri);
+}
+
+/**
+ * 记录一次编辑器活动。
+ */
+function markActivity() {
+    lastActivityAt = Date.now();
+}
+
+/**
+ * 读取活跃度数据（主窗口首次读取后缓存在内存中，定期保存；其他窗口每次读取主窗口保存的数据）。
+ * @returns {{ days: Record<string, { activeMs: number, idleMs: number }> }}
+ */
+function getActivityState() {
+    if (!activityState || !isLeader) {
+        const state = extensionContext?.globalState?.get(ACTIVITY_STATE_KEY);
+        activityState = { days: { ...(state?.days || {}) } };
+    }
+    return activityState;
+}
+
+/**
+ * 保存活跃度数据，并清理过早的日期。
+ */
+function saveActivityState() {
+    if (!activityState || !isLeader) return;
+    const keepFrom = new Date();
+    keepFrom.setDate(keepFrom.getDate() - ACTIVITY_KEEP_DAYS);
+    const keepKey = dayKey(keepFrom);
+    for (const key of Object.keys(activityState.days)) {
+        if (key < keepKey) delete activityState.days[key];
+    }
+    lastActivitySave = Date.now();
+    try { extensionContext?.globalState?.update(ACTIVITY_STATE_KEY, activityState); } catch { }
+}
+
+/**
+ * 每次刷新时累计上次刷新以来的专注/摸鱼时长（仅工作日的工作时段内）。
+ * 只由主窗口累计（任一窗口有编辑器活动即为专注），其他窗口读取主窗口保存的数据。
+ * @param {object} cfg getConfig 的结果
+ * @param {object} snapshot computeSnapshot 的结果
+ * @param {Date} now
+ * @returns {{ activeMs: number, idleMs: number } | null} 今日累计；未启用或今日不上班时为 null
+ */
+function tickActivity(cfg, snapshot, now) {
+    const config = resolveActivityConfig(cfg.activity);
+    const from = lastActivityTick || now.getTime();
+    lastActivityTick = now.getTime();
+    if (!config.enabled || !snapshot.isTodayWorkingDay || snapshot.isTodayHoliday) return null;
+
+    const key = dayKey(snapshot.workDate);
+    const state = getActivityState();
+    if (!isLeader) return state.days[key] || { activeMs: 0, idleMs: 0 };
+    state.days[key] = accumulateActivity(state.days[key] || { activeMs: 0, idleMs: 0 }, {
+        from,
+        to: now.getTime(),
+        lastActivity: Math.max(lastActivityAt, sharedActivityAt),
+        idleThresholdMs: config.idleMs,
+        segments: snapshot.segments
+    });
+    if (now.getTime() - lastActivitySave >= ACTIVITY_SAVE_MS) saveActivityState();
+    return state.days[key];
+}
+
+/**
+ * 生成每日专注/摸鱼统计文本：今天（实时）与最近 14 个已结算的工作日。
+ */
+function describeActivity() {
+    const hm = ms => `${Math.floor(ms / 3600000)}:${String(Math.floor((ms % 3600000) / 60000)).padStart(2, '0')}`;
+    const line = (label, activeMs, fishMs, fishPay) => {
+        const total = activeMs + fishMs;
+        const percent = total > 0 ? Math.round((fishMs / total) * 100) : 0;
+        return t('{0}  focused {1}  slacking {2} ({3}%)  slacking pay {4}', label, hm(activeMs), hm(fishMs), percent, formatMoney(fishPay));
+    };
+
+    const lines = [];
+    if (lastContext) {
+        const snapshot = computeSnapshot(lastContext, new Date());
+        const today = getActivityState().days[dayKey(snapshot.workDate)];
+        if (today && snapshot.isTodayWorkingDay) {
+            const workMs = snapshot.segments.reduce((sum, seg) => sum + (seg.end - seg.start), 0);
+            const passedMs = snapshot.ratio * workMs;
+            const { fishEarned } = splitEarnings(snapshot.earned, snapshot.dailySalary, workMs, today.activeMs);
+            lines.push(line(t('Today'), today.activeMs, Math.max(0, passedMs - today.activeMs), fishEarned));
         }
+    }
+    const records = Object.values(getHistoryState().days)
+        .filter(r => typeof r.activeMs === 'number')
+        .sort((a, b) => (a.date < b.date ? 1 : -1))
+        .slice(0, 14);
+    for (const r of records) {
+        lines.push(line(r.date.slice(5), r.activeMs, Math.max(0, r.workMs - r.activeMs), r.fishPay || 0));
+    }
+    return lines.length ? lines.join('\n') : t('No stats yet (only editor activity during work hours on workdays is tracked).');
+}
 
-        // 检查下一天
-        checkDate.setDate(checkDate.getDate() + 1);
+/**
+ * 检查此刻应发出的提醒，并逐个认领后弹出。
+ * @param {object} cfg getConfig 的结果
+ * @param {object} snapshot computeSnapshot 的结果
+ * @param {Date} now
+ */
+function checkNotifications(cfg, snapshot, now) {
+    if (!resolveNotificationConfig(cfg.notifications).enabled || !extensionContext) return;
+    const state = stateForDay(extensionContext.globalState.get(NOTIFICATION_STATE_KEY), dayKey(snapshot.workDate));
+    for (const notification of dueNotifications(snapshot, lastContext, cfg.notifications, state, now)) {
+        if (!pendingNotifications.has(notification.id)) claimNotification(cfg, notification, snapshot);
     }
+}
 
-    // 计算距离天数
-    if (nextRestDay) {
-        const diffTime = nextRestDay - today;
-        const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-        return diffDays;
+/**
+ * 更新当天的提醒状态（读取最新值后修改并保存）。
+ * @param {string} day YYYY-MM-DD
+ * @param {(state: ReturnType<typeof stateForDay>) => void} change
+ */
+async function updateNotificationState(day, change) {
+    const state = stateForDay(extensionContext.globalState.get(NOTIFICATION_STATE_KEY), day);
+    change(state);
+    await extensionContext.globalState.update(NOTIFICATION_STATE_KEY, state);
+}
+
+/**
+ * 认领提醒：写入本窗口标识，等待片刻后仍由本窗口持有才弹出（多个窗口同时认领时只有最后写入的窗口弹出）。
+ * @param {object} cfg getConfig 的结果
+ * @param {ReturnType<typeof dueNotifications>[number]} notification
+ * @param {object} snapshot computeSnapshot 的结果
+ */
+async function claimNotification(cfg, notification, snapshot) {
+    const day = dayKey(snapshot.workDate);
+    pendingNotifications.add(notification.id);
+    try {
+        await updateNotificationState(day, state => {
+            state.fired[notification.id] = WINDOW_ID;
+            delete state.snoozed[notification.id];
+        });
+        await new Promise(resolve => setTimeout(resolve, NOTIFICATION_CLAIM_MS));
+        const state = stateForDay(extensionContext.globalState.get(NOTIFICATION_STATE_KEY), day);
+        if (state.fired[notification.id] !== WINDOW_ID) return;
+    } catch {
+        return;
+    } finally {
+        pendingNotifications.delete(notification.id);
+    }
+    showNotification(cfg, notification, snapshot);
+}
+
+/**
+ * 弹出提醒，并处理"稍后提醒"与"今天不再提醒"。
+ * @param {object} cfg getConfig 的结果
+ * @param {ReturnType<typeof dueNotifications>[number]} notification
+ * @param {object} snapshot computeSnapshot 的结果
+ */
+async function showNotification(cfg, notification, snapshot) {
+    const SNOOZE = t('Remind Me Later');
+    const MUTE = t("Don't Show Again Today");
+    const choice = await vscode.window.showInformationMessage(t('FishTime: {0}', describeNotification(notification, snapshot)), SNOOZE, MUTE);
+    if (choice !== SNOOZE && choice !== MUTE) return;
+
+    const { snoozeMinutes } = resolveNotificationConfig(cfg.notifications);
+    await updateNotificationState(dayKey(snapshot.workDate), state => {
+        if (choice === SNOOZE) state.snoozed[notification.id] = Date.now() + snoozeMinutes * 60 * 1000;
+        else if (!state.muted.includes(notification.type)) state.muted.push(notification.type);
+    });
+}
+
+/**
+ * 生成提醒文案。
+ * @param {ReturnType<typeof dueNotifications>[number]} notification
+ * @param {object} snapshot computeSnapshot 的结果（下班总结使用其中的今日与本月工资）
+ * @returns {string}
+ */
+function describeNotification(notification, snapshot) {
+    const minutesLeft = notification.target ? Math.ceil((notification.target.getTime() - Date.now()) / 60000) : 0;
+    switch (notification.type) {
+        case 'lunch':
+            return minutesLeft > 0
+                ? t('Lunch break in {0} min ({1})', minutesLeft, formatTimeHHMM(notification.target))
+                : t("It's lunch time ({0})", formatTimeHHMM(notification.target));
+        case 'clockOutSoon':
+            return minutesLeft > 0
+                ? t('Clock-out in {0} min ({1}), time to wrap up', minutesLeft, formatTimeHHMM(notification.target))
+                : t("It's clock-out time ({0})", formatTimeHHMM(notification.target));
+        case 'clockOut': {
+            // 下班总结与状态栏一致：显示税后时按税后金额
+            const showNet = snapshot.net && getAmountMode() === 'net';
+            const earned = showNet ? snapshot.net.earned : snapshot.earned;
+            const overtimePay = showNet ? snapshot.net.overtimeToday : snapshot.overtime.todayPay;
+            const monthToDate = showNet ? snapshot.net.monthToDate : snapshot.monthToDate;
+            const overtimeText = overtimePay > 0 ? t(', overtime {0}', formatMoney(overtimePay)) : '';
+            return showNet
+                ? t("Time to clock out! Today's net pay {0}{1}, total {2}: {3}", formatMoney(earned), overtimeText, periodLabel(snapshot), formatMoney(monthToDate))
+                : t("Time to clock out! Today's pay {0}{1}, total {2}: {3}", formatMoney(earned), overtimeText, periodLabel(snapshot), formatMoney(monthToDate));
+        }
+        case 'holidayEve':
+            return t('The holiday starts tomorrow with {0} day(s) off. Hang in there!', notification.daysOff);
+        case 'milestone':
+            return t("Today's earnings have reached {0}!", formatMoney(notification.amount));
+        default:
+            return notification.type;
     }
+}
 
-    return 0;
+/**
+ * 计薪周期是否为自然月。
+ * @param {object} snapshot computeSnapshot 的结果
+ */
+function isCalendarMonthPeriod(snapshot) {
+    return snapshot.payPeriod.start.getDate() === 1;
+}
+
+/**
+ * 累计数值的周期名称：计薪周期为自然月时为"本月"，否则为"本期"。
+ * @param {object} snapshot computeSnapshot 的结果
+ */
+function periodLabel(snapshot) {
+    return isCalendarMonthPeriod(snapshot) ? t('this month') : t('this pay period');
+}
+
+/**
+ * 由配置、节假日日历与保存的记录（手动指定的日期类型、打卡、加班与请假）建立计算上下文（computeSnapshot 的输入）。
+ * 状态栏、请假标记与重新结算使用同一上下文，保证各处对日期的判定一致。
+ * @param {object} cfg getConfig 的结果
+ * @param {{ getMonth: Function, getLabels?: Function }} calendar 合并后的节假日日历
+ */
+function buildContext(cfg, calendar) {
+    return {
+        schedule: {
+            morningStart: cfg.morningStart,
+            morningEnd: cfg.morningEnd,
+            afternoonStart: cfg.afternoonStart,
+            afternoonEnd: cfg.afternoonEnd,
+            segments: cfg.workSegments,
+            weekdaySchedules: cfg.weekdaySchedules,
+            restDays: cfg.restDays,
+            rotations: cfg.restRotations,
+            overrides: getOverrideState().days,
+            timeZone: resolveTimeZone(cfg.timeZone),
+            flexible: resolveFlexibleHours(cfg.flexibleHours, getClockState().days)
+        },
+        calendar,
+        salary: cfg.salary,
+        overtime: { sessions: getOvertimeState().sessions, multipliers: cfg.overtime?.multipliers },
+        netPay: cfg.netPay,
+        leave: { ...cfg.leave, days: getLeaveState().days },
+        payPeriod: cfg.payPeriod,
+        statusBar: resolveStatusBarConfig(cfg.statusBar)
+    };
 }
 
 /**
  * 计算并更新状态栏文本与悬浮提示。
- * 文本：￥xxx.xx
- * 悬浮：距离下班：HH:mm:ss（并根据情况显示"已下班/未到上班时间/今日非工作日"等）
+ * 文本：按"状态栏"设置中的模板生成（默认为今日工资与进度百分比，见 updateAmountText）
+ * 悬浮：Markdown，可由模板自定义；默认显示状态、倒计时与本期统计等
  */
 async function updateStatusBar() {
     if (!statusBarItem) return;
 
-    const now = new Date();
-    const year = now.getFullYear();
-    const month = now.getMonth() + 1; // 1-12
-
     // 读取配置
     const cfg = getConfig();
-    const msMin = parseHHMMToMinutes(cfg.morningStart, 9 * 60);
-    const meMin = parseHHMMToMinutes(cfg.morningEnd, 12 * 60);
-    const asMin = parseHHMMToMinutes(cfg.afternoonStart, 13 * 60);
-    const aeMin = parseHHMMToMinutes(cfg.afternoonEnd, 18 * 60);
-
-    // 基本时间顺序保护（若配置异常，做顺序修正，避免负值）：
-    const morningStartDate = setDateToMinutes(now, msMin);
-    const morningEndDate = setDateToMinutes(now, Math.max(meMin, msMin));
-    const afternoonStartDate = setDateToMinutes(now, Math.max(asMin, meMin));
-    const afternoonEndDate = setDateToMinutes(now, Math.max(aeMin, asMin));
-
-    // 拉取与解析 ICS（尝试缓存）
-    let icsText = '';
-    try {
-        // globalState 无法在此函数直接访问，这里通过扩展上下文存储不太方便。
-        // 简化处理：仅使用扩展级内存 holidayCache（activate 中初始化后可更新），
-        // 若需要 globalState，请将 context 传入或在 activate 内封装。
-        // 为了保持最少变更，此处直接按缓存规则决定是否重新下载。
-        const nowMs = Date.now();
-        if (!(holidayCache.text && holidayCache.fetchedAt && (nowMs - holidayCache.fetchedAt) < ICS_CACHE_TTL)) {
-            icsText = await new Promise((resolve, reject) => {
-                https.get(ICS_URL, res => {
-                    if (res.statusCode !== 200) {
-                        reject(new Error(`ICS 请求失败，状态码：${res.statusCode}`));
-                        return;
-                    }
-                    let data = '';
-                    res.on('data', chunk => data += chunk);
-                    res.on('end', () => resolve(data));
-                }).on('error', reject);
-            });
-            holidayCache = { text: icsText, fetchedAt: nowMs };
-        } else {
-            icsText = holidayCache.text;
-        }
-    } catch (err) {
-        // 网络错误时，置空 ICS 文本，后续计算仅按休息日配置进行
-        icsText = '';
-    }
-
-    // 解析当月假期与补班
-    const { holidays, workdays } = parseICSForMonth(icsText, year, month);
-
-    // 计算本月工作日相关数据
-    const { totalWorkingDays, workedDays, isTodayWorkingDay, isTodayHoliday } = calcWorkingDays(year, month, cfg.restDays, holidays, workdays);
-
-
-    // 计算"今日工资"与"距离下班时间"
-    const monthlySalary = Number(cfg.monthlySalary) || 0;
-    const nowMin = now.getHours() * 60 + now.getMinutes();
-    const totalWorkMs = (morningEndDate - morningStartDate) + (afternoonEndDate - afternoonStartDate);
-
-    let earned = 0;
-    let statusLabel = '';
-    let dailySalary = 0; // 用于"本月工资"累计计算（两位小数）
-
-    if (!isTodayWorkingDay || totalWorkingDays <= 0 || monthlySalary <= 0 || totalWorkMs <= 0) {
-        // 非工作日或配置不可用：显示为 0，并给提示
-        earned = 0;
-        if (isTodayHoliday) {
-            statusLabel = '今天放假';
-            // 节假日时，获得当日日薪
-            dailySalary = monthlySalary / totalWorkingDays;
-            earned = dailySalary;
-        } else if (!isTodayWorkingDay) statusLabel = '今天休息';
-        else if (totalWorkingDays <= 0) statusLabel = '本月总工作日为 0（请检查节假日数据与休息日配置）';
-        else if (monthlySalary <= 0) statusLabel = '请在设置中配置月薪';
-        else statusLabel = '时间配置异常，请检查上下班时间';
-    } else {
-        // 今日为工作日：计算已过工作时长比例
-        let passedMs = 0;
-        if (now < morningStartDate) {
-            // 未到上班时间
-            passedMs = 0;
-            statusLabel = '未到上班时间';
-        } else if (now >= morningStartDate && now <= morningEndDate) {
-            // 上午工作中
-            passedMs = now - morningStartDate;
-            statusLabel = '上午工作中';
-        } else if (now > morningEndDate && now < afternoonStartDate) {
-            // 午休时间
-            passedMs = morningEndDate - morningStartDate;
-            statusLabel = '午休时间';
-        } else if (now >= afternoonStartDate && now <= afternoonEndDate) {
-            // 下午工作中
-            passedMs = (morningEndDate - morningStartDate) + (now - afternoonStartDate);
-            statusLabel = '下午工作中';
-        } else {
-            // 已下班（晚于下午结束）
-            passedMs = totalWorkMs; // 视为全天完成
-            statusLabel = '已下班';
+    // 写入心跳并确定本窗口是否为主窗口（主窗口负责拉取、结算、累计与提醒）
+    heartbeat(Date.now());
+
+    // 读取并合并节假日来源（各来源带缓存；全部失败时使用内置数据）
+    const holiday = await loadHolidayCalendar(cfg);
+
+    // 记录最近上下文，供金额高频刷新使用（避免每100ms拉取与解析 ICS）
+    lastContext = buildContext(cfg, holiday.calendar);
+
+    const now = new Date();
+    // 结算此前尚未结算的日期；本月累计中已结算的日期以历史为准
+    lastContext.history = closePastDays(lastContext, resolveWorkDate(lastContext.schedule, lastContext.calendar, now));
+    let snapshot = computeSnapshot(lastContext, now);
+    // 弹性工时：最早上班时间之后有编辑器活动时自动上班打卡（主窗口），并以最新记录重新计算
+    if (isLeader && tickClockIn(snapshot, now)) {
+        lastContext.schedule.flexible = { ...lastContext.schedule.flexible, days: getClockState().days };
+        snapshot = computeSnapshot(lastContext, now);
+    }
+    // 到达自动加班时刻时开始加班（主窗口），并以最新记录重新计算
+    if (isLeader && tickOvertime(cfg, snapshot, now)) {
+        lastContext.overtime = { ...lastContext.overtime, sessions: getOvertimeState().sessions };
+        snapshot = computeSnapshot(lastContext, now);
+    }
+    const activity = tickActivity(cfg, snapshot, now);
+    if (isLeader) checkNotifications(cfg, snapshot, now);
+    tickExport(cfg, now);
+    notifyStateChange(snapshot, now);
+
+    // 悬浮提示（Markdown）：
+    // 1) 状态（未到上班/工作中/休息中/已下班/休息日/节假日）与今日进度条
+    // 2) 今天：距离本段结束或下段开始、距离下班的倒计时（仅工作日），专注/摸鱼，加班，今日税后
+    // 3) 本期统计：工作天数（含进度条）、请假、累计工资、发薪日与税后预计
+    // 4) 节假日数据来源与更新时间，以及点击提示
+    // 用户在"状态栏"设置中自定义悬浮提示模板时，2)-4) 以 {todaySection} 等占位符提供。
+    // 每秒刷新一次，提供实时信息；仍使用"文本变更才更新"的策略，减少不必要重绘。
+    const todayLines = [];
+
+    // 设置了雇主时区时，同时显示雇主当地时间与本机时间
+    const { timeZone } = lastContext.schedule;
+    if (timeZone) {
+        todayLines.push(t('Employer time: {0} ({1}), local time: {2}', formatClock(now, timeZone), timeZone, formatClock(now)));
+    }
+    // 倒计时由当前或下一个工作时段决定；节假日与休息日不显示
+    if (snapshot.isTodayHoliday) {
+        todayLines.push(t('Today is a public holiday. Enjoy your paid day off!'));
+    } else if (snapshot.isTodayWorkingDay && snapshot.workEndDate) {
+        // 倒计时与目标时刻
+        const until = target => [formatDiffToHMS(target - now), formatTimeHHMM(target)];
+        // 处于最后一段时"本段结束"即为下班，只显示下班倒计时
+        if (snapshot.currentSegment >= 0 && snapshot.currentSegment < snapshot.segments.length - 1) {
+            todayLines.push(t('Until this segment ends: {0} ({1})', ...until(snapshot.segments[snapshot.currentSegment].end)));
+        } else if (snapshot.nextSegment === 0) {
+            todayLines.push(t('Until work starts: {0} ({1})', ...until(snapshot.segments[0].start)));
+        } else if (snapshot.nextSegment > 0) {
+            todayLines.push(t('Until the next segment: {0} ({1})', ...until(snapshot.segments[snapshot.nextSegment].start)));
         }
+        // 弹性工时：下班时间由打卡时间推算
+        const clock = lastContext.schedule.flexible?.days[dayKey(snapshot.workDate)];
+        if (clock) todayLines.push(t('Clocked in at {0}', formatTimeHHMM(new Date(clock.clockIn))));
+        todayLines.push(t('Until clock-out: {0} ({1})', ...until(snapshot.workEndDate)));
+    } else if (snapshot.isTodayWorkingDay && lastContext.schedule.flexible) {
+        // 弹性工时尚未打卡
+        const { flexible } = lastContext.schedule;
+        const earliest = formatTimeHHMM(setDateToMinutes(snapshot.workDate, flexible.earliestStartMin, timeZone));
+        todayLines.push(flexible.clockInOnActivity
+            ? t('Not clocked in yet: work starts with your first editor activity after {0}, or run "Fish Time: Clock In"', earliest)
+            : t('Not clocked in yet: run "Fish Time: Clock In" to start your workday'));
+    }
 
-        dailySalary = monthlySalary / totalWorkingDays;
-        const ratio = Math.max(0, Math.min(1, passedMs / totalWorkMs));
-        earned = dailySalary * ratio;
-        // 下班后显示整日工资
-        if (now > afternoonEndDate) earned = dailySalary;
+    // 专注/摸鱼：工作时段内已过去的时间中，编辑器活跃的部分为专注，其余（含未打开编辑器）为摸鱼
+    if (activity && !snapshot.todayLeave && snapshot.ratio > 0) {
+        const workMs = snapshot.segments.reduce((sum, seg) => sum + (seg.end - seg.start), 0);
+        const fishMs = Math.max(0, snapshot.ratio * workMs - activity.activeMs);
+        const { activeEarned, fishEarned } = splitEarnings(snapshot.earned, snapshot.dailySalary, workMs, activity.activeMs);
+        const percent = snapshot.earned > 0 ? Math.round((fishEarned / snapshot.earned) * 100) : 0;
+        todayLines.push(t('Focused: {0}, {1}', formatDiffToHMS(activity.activeMs), formatMoney(activeEarned)));
+        todayLines.push(t('Slacking: {0}, {1} ({2}%)', formatDiffToHMS(fishMs), formatMoney(fishEarned), percent));
     }
 
-    // 若前面未在工作日分支计算，则在此统一计算日薪（避免本月工资无法累计）
-    if (dailySalary === 0 && monthlySalary > 0 && totalWorkingDays > 0) {
-        dailySalary = monthlySalary / totalWorkingDays;
+    // 加班：进行中提示、今日加班时长与工资（单独列出，已计入本月累计）
+    const { overtime } = snapshot;
+    if (overtime.active) {
+        todayLines.push(t('Working overtime: since {0}, current rate ×{1}', formatTimeHHMM(overtime.activeSince), overtime.multiplier));
+    }
+    if (overtime.todayMs > 0) {
+        todayLines.push(t('Overtime today: {0}, {1}', formatDiffToHMS(overtime.todayMs), formatMoney(overtime.todayPay)));
     }
 
-    // 记录最近上下文，供金额高频刷新使用（避免每100ms解析 ICS 与月度工作日）
-    lastContext = {
-        morningStartDate,
-        morningEndDate,
-        afternoonStartDate,
-        afternoonEndDate,
-        totalWorkingDays,
-        isTodayWorkingDay,
-        isTodayHoliday,
-        monthlySalary,
-    };
+    // 税后：今日的税前/扣除/税后
+    if (snapshot.net) {
+        const todayGross = snapshot.earned + overtime.todayPay;
+        const todayNet = snapshot.net.earned + snapshot.net.overtimeToday;
+        todayLines.push(t('Today: gross {0}, deductions {1}, net {2}', formatMoney(todayGross), formatMoney(todayGross - todayNet), formatMoney(todayNet)));
+    }
 
-    // 悬浮窗显示信息：
-    // 1) 点击提示（新增）
-    // 2) 状态（未到上班/上午工作中/午休/下午工作中/已下班/休息日/节假日）
-    // 3) 距离上午结束的倒计时（HH:mm:ss）- 节假日不显示
-    // 4) 距离下午结束的倒计时（HH:mm:ss）- 节假日不显示
-    // 5) 月度统计
-    // 每秒刷新一次，提供实时信息；仍使用"文本变更才更新"的策略，减少不必要重绘。
-    const tooltipLines = [];
-    tooltipLines.push('单击打开 FishTimePro 设置');
-    
-    if (statusLabel) tooltipLines.push(statusLabel);
-    
-    // 节假日时不显示距离上下班的倒计时
-    if (!isTodayHoliday) {
-        tooltipLines.push(`距离上午结束：${formatDiffToHMS(morningEndDate - now)}`);
-        tooltipLines.push(`距离下午结束：${formatDiffToHMS(afternoonEndDate - now)}`);
+    // 本期统计（计薪周期不是自然月时按周期统计，并显示周期起止）：
+    // 实际工作天数（计算自休息日、法定节假日与补班/调休）与本期工资（此前各天按薪资模型的整日工资 + 今天的实时进度工资 + 本期加班工资）
+    // 显示"已工作天数/本期工作天数"，其中 workedDays 包含"今天"若今天为工作日；法定节假日单独列出
+    const periodLines = [];
+    const period = periodLabel(snapshot);
+    if (!isCalendarMonthPeriod(snapshot)) {
+        const { start, end } = snapshot.payPeriod;
+        const last = new Date(end.getFullYear(), end.getMonth(), end.getDate() - 1);
+        const { monthDay } = getFormatter();
+        periodLines.push(t('Pay period: {0} - {1} (salary for month {2})', monthDay(start), monthDay(last), snapshot.payPeriod.month));
+    }
+    let holidayDaysText = '';
+    if (snapshot.totalHolidays > 0) {
+        holidayDaysText = cfg.salary.holidayPay === 'unpaid'
+            ? t(' (public holidays {0} / {1} days, unpaid)', snapshot.passedHolidays, snapshot.totalHolidays)
+            : t(' (public holidays {0} / {1} days)', snapshot.passedHolidays, snapshot.totalHolidays);
+    }
+    periodLines.push(t('Working days ({0}): {1} / {2}{3}', period, snapshot.workedDays, snapshot.totalWorkingDays, holidayDaysText));
+    if (snapshot.totalWorkingDays > 0) periodLines.push(progressBar(snapshot.workedDays / snapshot.totalWorkingDays));
+    // 请假：本期请假天数与本年剩余年假
+    if (snapshot.leaveDays > 0) {
+        periodLines.push(t('Leave ({0}): {1} / {2} day(s)', period, snapshot.passedLeaveDays, snapshot.leaveDays));
+    }
+    const leavePolicy = resolveLeavePolicy(cfg.leave);
+    if (leavePolicy.annualDays > 0) {
+        const year = snapshot.workDate.getFullYear();
+        const remaining = leavePolicy.annualDays - countLeave(lastContext.leave, year);
+        periodLines.push(t('Annual leave left: {0} / {1} day(s)', remaining, leavePolicy.annualDays));
+    }
+    if (overtime.rangePay > 0) {
+        periodLines.push(t('Overtime pay ({0}): {1}', period, formatMoney(overtime.rangePay)));
+    }
+    periodLines.push(t('Earned ({0}): {1}', period, formatMoney(snapshot.monthToDate)));
+    // 发薪日倒计时（遇节假日或休息日已按规则调整）
+    if (snapshot.payday) {
+        const { date, days } = snapshot.payday;
+        periodLines.push(days === 0 ? t("It's payday!") : t('Until payday: {0} day(s) ({1})', days, getFormatter().monthDay(date)));
+    }
+    // 下一个法定节假日（含相连的休息日）；放假中显示假期结束日期
+    if (snapshot.nextHoliday) {
+        const { name, daysUntil, start, end } = snapshot.nextHoliday;
+        const { monthDay } = getFormatter();
+        periodLines.push(daysUntil === 0
+            ? t('On holiday: {0}, until {1}', name || t('Public holiday'), monthDay(end))
+            : t('Next public holiday: {0} in {1} day(s) ({2})', name || t('Public holiday'), daysUntil, monthDay(start)));
+    }
+
+    // 税后：本期累计的税前/扣除/税后，以及本期预计的五险一金与个税
+    if (snapshot.net) {
+        const { net } = snapshot;
+        const { contributions } = net.month;
+        periodLines.push(t('To date ({0}): gross {1}, deductions {2}, net {3}', period, formatMoney(snapshot.monthToDate), formatMoney(snapshot.monthToDate - net.monthToDate), formatMoney(net.monthToDate)));
+        periodLines.push(t('Projected ({0}): gross {1}, social insurance {2}, housing fund {3}, income tax {4}, net {5}',
+            period,
+            formatMoney(net.month.gross),
+            formatMoney(contributions.pension + contributions.medical + contributions.unemployment),
+            formatMoney(contributions.housingFund),
+            formatMoney(net.month.tax),
+            formatMoney(net.month.net)));
+    }
+
+    // 节假日数据来源与更新时间
+    const sourceLines = [];
+    const sourceText = holiday.active
+        ? t('{0} (updated {1})', holiday.active.label, formatDateTime(new Date(holiday.active.fetchedAt)))
+        : t('bundled data for {0} (this year and next)', t(resolveRegion(holiday.region).label));
+    const failedText = holiday.failed ? t(', {0} source(s) unavailable', holiday.failed) : '';
+    sourceLines.push(t('Holiday data: {0}', sourceText) + failedText);
+    if (holiday.active && holiday.active.stale) {
+        sourceLines.push(t('⚠ Holiday data is out of date and cannot be updated right now, using the cache'));
+    }
+    if (configWarnings.length) {
+        sourceLines.push(t('⚠ {0} problem(s) in your settings, run "Fish Time: Diagnose" for details', configWarnings.length));
+    }
+
+    // 各段内逐行换行（Markdown 行末两个空格），占位符的值按原样显示（转义 Markdown 字符）
+    const section = lines => lines.map(escapeMarkdown).join('  \n');
+    const values = {
+        ...mapValues(templateValues(snapshot, now), escapeMarkdown),
+        todaySection: section(todayLines),
+        periodSection: section(periodLines),
+        sourceSection: section(sourceLines)
+    };
+    const { tooltip } = lastContext.statusBar;
+    let markdown;
+    if (tooltip) {
+        markdown = renderTemplate(tooltip, values);
     } else {
-        tooltipLines.push('今天是法定节假日，享受带薪假期！');
-    }
-    
-    // 追加两段：
-    // 4) 本月实际工作天数（计算自休息日、法定节假日与补班/调休）
-    // 5) 本月工资（前N-1天为整日工资 + 今天的实时进度工资，保留两位小数）
-    const monthlyToDate = (dailySalary > 0)
-        ? (isTodayWorkingDay ? ((workedDays - 1) * dailySalary + earned) : (workedDays * dailySalary))
-        : 0;
-    const monthlyToDateText = new Intl.NumberFormat('zh-CN', { minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(monthlyToDate);
-    // 显示"已工作天数/本月工作天数"，其中 workedDays 包含"今天"若今天为工作日
-    tooltipLines.push(`本月工作天数：${workedDays} / ${totalWorkingDays}`);
-    tooltipLines.push(`本月累计工资：￥ ${monthlyToDateText}`);
-
-    const newTooltip = tooltipLines.join('\n');
-    if (newTooltip !== lastTooltipText) {
+        const header = [snapshot.statusLabel ? `**${values.status}**` : '', `${values.progress} ${values.percent}`].filter(Boolean).join('  \n');
+        const footer = `*${escapeMarkdown(t('Click to open FishTimePro settings'))}*`;
+        markdown = [header, values.todaySection, values.periodSection, values.sourceSection, footer].filter(Boolean).join('\n\n---\n\n');
+    }
+    if (markdown !== lastTooltipText) {
+        // 支持 $(icon) 图标
+        const newTooltip = new vscode.MarkdownString(markdown, true);
         statusBarItem.tooltip = newTooltip;
-        lastTooltipText = newTooltip;
+        if (secondaryStatusBarItem) secondaryStatusBarItem.tooltip = newTooltip;
+        lastTooltipText = markdown;
     }
 }
 
+/**
+ * 某时刻的状态（状态导出、公开 API 的快照与状态变化事件使用同一格式）。
+ * @param {object} context 计算上下文（同 lastContext）
+ * @param {Date} now
+ * @param {ReturnType<typeof computeSnapshot>} [snapshot] 已算好的 computeSnapshot(context, now)
+ * @returns {ReturnType<typeof buildExportState>}
+ */
+function stateAt(context, now, snapshot = computeSnapshot(context, now)) {
+    return buildExportState(snapshot, now, {
+        currency: getFormatter().currency,
+        amountMode: snapshot.net && getAmountMode() === 'net' ? 'net' : 'gross',
+        text: templateValues(snapshot, now)
+    });
+}
+
+/**
+ * 每次刷新时维护状态导出（仅主窗口，避免多个窗口争用文件与端口）：按间隔写入状态文件，按设置启动或停止 HTTP 服务。
+ * @param {object} cfg getConfig 的结果
+ * @param {Date} now
+ */
+function tickExport(cfg, now) {
+    const config = resolveExportConfig(cfg.liveExport);
+    syncExportServer(isLeader && config.http && config.token ? config : null, now.getTime());
+    if (!isLeader || !config.file || now.getTime() - exportFile.attemptedAt < config.intervalSeconds * 1000) return;
+    exportFile.attemptedAt = now.getTime();
+    if (!lastContext) return;
+    const state = stateAt(lastContext, now);
+    writeStateFile(config.filePath, state).then(
+        () => { exportFile = { ...exportFile, writtenAt: Date.now(), error: null }; },
+        err => { exportFile = { ...exportFile, error: String(err?.message || err) }; }
+    );
+}
+
+/**
+ * 按设置启动、重启（端口、令牌或格式变化时）或停止状态导出的 HTTP 服务（只监听 127.0.0.1）；
+ * 启动失败（如端口被占用）时每 EXPORT_RETRY_MS 重试一次。
+ * @param {ReturnType<typeof resolveExportConfig> | null} config 为 null 时停止服务
+ * @param {number} nowMs
+ */
+function syncExportServer(config, nowMs) {
+    const key = config ? JSON.stringify([config.port, config.token, config.prometheus]) : null;
+    if (exportServer?.key === key && !(exportServer?.error && nowMs >= exportServer.retryAt)) return;
+    stopExportServer();
+    if (!config) return;
+    const server = createStateServer({ token: config.token, prometheus: config.prometheus, getState: () => lastContext && stateAt(lastContext, new Date()) });
+    const entry = { key, server, port: config.port, error: null, retryAt: 0 };
+    server.on('error', err => {
+        entry.error = String(err?.message || err);
+        entry.retryAt = Date.now() + EXPORT_RETRY_MS;
+    });
+    server.listen(config.port, '127.0.0.1');
+    exportServer = entry;
+}
+
+/**
+ * 停止状态导出的 HTTP 服务（含保持中的连接）。
+ */
+function stopExportServer() {
+    if (!exportServer) return;
+    const { server } = exportServer;
+    exportServer = null;
+    try {
+        server.close();
+        if (typeof server.closeAllConnections === 'function') server.closeAllConnections();
+    } catch { }
+}
+
+/**
+ * 公开 API 使用的计算上下文：尚未完成首次刷新（或配置刚变化）时先刷新一次。
+ * @returns {Promise<object>}
+ */
+async function readyContext() {
+    if (!lastContext) await updateStatusBar();
+    if (!lastContext) throw new Error(t('FishTime is not active.'));
+    return lastContext;
+}
+
+/**
+ * 状态（上班、休息、下班等）变化时触发公开 API 的状态变化事件；首次刷新只记录状态。
+ * @param {ReturnType<typeof computeSnapshot>} snapshot
+ * @param {Date} now
+ */
+function notifyStateChange(snapshot, now) {
+    const status = dayStatus(snapshot);
+    const previous = lastStatus;
+    lastStatus = status;
+    if (!stateChanges || !previous || previous === status) return;
+    stateChanges.fire({ type: stateChangeType(previous, status), previous, status, state: stateAt(lastContext, now, snapshot) });
+}
+
+/**
+ * 以多行文本描述状态导出的情况（供"诊断"命令使用）。
+ * @param {object} cfg getConfig 的结果
+ */
+function describeExport(cfg) {
+    const config = resolveExportConfig(cfg.liveExport);
+    if (!config.file && !config.http) return t('Live export is off.');
+    if (!isLeader) return t('Published by another VS Code window.');
+    const lines = [];
+    if (config.file) {
+        lines.push(t('State file: {0}', config.filePath));
+        if (exportFile.writtenAt) lines.push(`  ${t('Last updated: {0}', formatDateTime(new Date(exportFile.writtenAt)))}`);
+        if (exportFile.error) lines.push(`  ${t('Last error: {0}', exportFile.error)}`);
+    }
+    if (config.http && !config.token) {
+        lines.push(t('HTTP endpoint: not started (no access token)'));
+    } else if (config.http && exportServer) {
+        const base = `http://127.0.0.1:${exportServer.port}`;
+        lines.push(t('HTTP endpoint: {0}', config.prometheus ? `${base}/state, ${base}/metrics` : `${base}/state`));
+        if (exportServer.error) lines.push(`  ${t('Last error: {0}', exportServer.error)}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * 状态栏模板占位符的取值（已格式化的文字）。金额在显示税后时为税后金额。
+ * @param {object} snapshot computeSnapshot 的结果
+ * @param {Date} now
+ * @returns {Record<string, string | number>}
+ */
+function templateValues(snapshot, now) {
+    const { earned, ratio, overtime, net } = snapshot;
+    // 启用税后工资且选择显示税后时，金额按当月税后比例折算
+    const showNet = net && getAmountMode() === 'net';
+    const earnedText = formatMoney(showNet ? net.earned : earned);
+    // 下班倒计时：工作日下班前显示，已下班、节假日与休息日为空
+    const beforeClockOut = snapshot.isTodayWorkingDay && !snapshot.isTodayHoliday && snapshot.workEndDate && now < snapshot.workEndDate;
+    return {
+        earned: showNet ? t('Net {0}', earnedText) : earnedText,
+        // 今日有加班时单独显示加班工资
+        overtime: (overtime.todayPay > 0 || overtime.active)
+            ? `  +  ${t('Overtime {0}', formatMoney(showNet ? net.overtimeToday : overtime.todayPay))}`
+            : '',
+        percent: getFormatter().percent(ratio),
+        progress: progressBar(ratio),
+        countdown: beforeClockOut ? formatDiffToHMS(snapshot.workEndDate - now) : '',
+        clockOut: snapshot.isTodayWorkingDay && snapshot.workEndDate ? formatTimeHHMM(snapshot.workEndDate) : '',
+        status: snapshot.statusLabel || '',
+        monthToDate: formatMoney(showNet ? net.monthToDate : snapshot.monthToDate),
+        workedDays: snapshot.workedDays,
+        totalDays: snapshot.totalWorkingDays,
+        periodProgress: progressBar(snapshot.totalWorkingDays > 0 ? snapshot.workedDays / snapshot.totalWorkingDays : 0),
+        nextRestDays: snapshot.nextRestDays,
+        nextHoliday: snapshot.nextHoliday ? snapshot.nextHoliday.daysUntil : '',
+        payday: snapshot.payday ? snapshot.payday.days : '',
+        // 雇主时区的当前时间（未设置时区时与本机时间相同）
+        employerTime: formatTimeHHMM(now),
+        localTime: formatClock(now)
+    };
+}
+
+/**
+ * 工具：对对象的每个值应用函数。
+ * @param {object} obj
+ * @param {Function} fn
+ */
+function mapValues(obj, fn) {
+    return Object.fromEntries(Object.entries(obj).map(([key, value]) => [key, fn(value)]));
+}
+
 /**
  * 仅更新状态栏金额文本（每100ms），使用最近一次的上下文。
- * 避免高频解析 ICS 与月度工作日，提高性能并呈现"连续变化"。
+ * 避免高频拉取与解析 ICS，提高性能并呈现"连续变化"。
  */
 function updateAmountText() {
     if (!statusBarItem || !lastContext) return;
     const now = new Date();
-    const {
-        morningStartDate,
-        morningEndDate,
-        afternoonStartDate,
-        afternoonEndDate,
-        totalWorkingDays,
-        isTodayWorkingDay,
-        isTodayHoliday,
-        monthlySalary
-    } = lastContext;
-
-    const totalWorkMs = (morningEndDate - morningStartDate) + (afternoonEndDate - afternoonStartDate);
-    let earned = 0;
-    let ratio = 0; // 今日工作进度（0-1）
-    
-    if (isTodayHoliday) {
-        // 节假日时，显示当日日薪和100%进度
-        const dailySalary = monthlySalary / totalWorkingDays;
-        earned = dailySalary;
-        ratio = 1;
-    } else if (!isTodayWorkingDay || totalWorkingDays <= 0 || monthlySalary <= 0 || totalWorkMs <= 0) {
-        earned = 0;
-        ratio = 0;
-    } else {
-        let passedMs = 0;
-        if (now < morningStartDate) {
-            passedMs = 0;
-        } else if (now >= morningStartDate && now <= morningEndDate) {
-            passedMs = now - morningStartDate;
-        } else if (now > morningEndDate && now < afternoonStartDate) {
-            passedMs = morningEndDate - morningStartDate;
-        } else if (now >= afternoonStartDate && now <= afternoonEndDate) {
-            passedMs = (morningEndDate - morningStartDate) + (now - afternoonStartDate);
-        } else {
-            passedMs = totalWorkMs; // 已下班，视为全天完成
-        }
-
-        const dailySalary = monthlySalary / totalWorkingDays;
-        ratio = Math.max(0, Math.min(1, passedMs / totalWorkMs));
-        earned = (now > afternoonEndDate) ? dailySalary : (dailySalary * ratio);
+    const values = templateValues(computeSnapshot(lastContext, now), now);
+    const { text, secondaryText } = lastContext.statusBar;
+    statusBarItem.text = renderTemplate(text, values);
+    // 第二个状态栏项（如下班倒计时）：内容为空时隐藏
+    if (secondaryStatusBarItem) {
+        secondaryStatusBarItem.text = renderTemplate(secondaryText, values);
+        if (hasVisibleText(secondaryStatusBarItem.text)) secondaryStatusBarItem.show();
+        else secondaryStatusBarItem.hide();
     }
+}
 
-    const earnedText = new Intl.NumberFormat('zh-CN', { minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(earned);
-    const percentText = new Intl.NumberFormat('zh-CN', { minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(ratio * 100);
-    statusBarItem.text = `￥ ${earnedText}  |  ${percentText}%`;
+/**
+ * 读取状态栏金额显示方式：启用税后工资后默认显示税后。
+ * @returns {'gross' | 'net'}
+ */
+function getAmountMode() {
+    return extensionContext?.globalState?.get(AMOUNT_MODE_KEY) === 'gross' ? 'gross' : 'net';
 }
 
 module.exports = {
     activate,
     deactivate
-};
\ No newline at end of file
+};
@@ -0,0 +1,62 @@
+// 编辑器活跃度：根据最近一次编辑器活动（编辑、选区变化、窗口获得焦点、终端活动）判断工作时段内的
+// 每一段时间是"专注"还是"摸鱼"——距上次活动超过空闲阈值即视为摸鱼，并据此拆分今日工资。
+// 本模块不依赖 vscode，事件与时间均由调用方传入。
+
+/** 默认空闲阈值（分钟） */
+const DEFAULT_IDLE_MINUTES = 5;
+
+/**
+ * 合并用户配置：是否启用与空闲阈值。
+ * @param {{ enabled?: boolean, idleMinutes?: number }} [config]
+ * @returns {{ enabled: boolean, idleMs: number }}
+ */
+function resolveActivityConfig(config = {}) {
+    const minutes = Number(config.idleMinutes);
+    return {
+        enabled: config.enabled !== false,
+        idleMs: (Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_IDLE_MINUTES) * 60 * 1000
+    };
+}
+
+/**
+ * 将 [from, to) 这段时间中落在工作时段内的部分累计为专注或摸鱼：
+ * 上次活动后 idleMs 内为专注，其余为摸鱼。
+ * @param {{ activeMs: number, idleMs: number }} day 当天已累计的时长
+ * @param {{ from: number, to: number, lastActivity: number, idleThresholdMs: number, segments: Array<{ start: Date, end: Date }> }} params
+ * @returns {{ activeMs: number, idleMs: number }} 新的累计值
+ */
+function accumulateActivity(day, params) {
+    const { from, to, lastActivity, idleThresholdMs, segments } = params;
+    let activeMs = day.activeMs || 0;
+    let idleMs = day.idleMs || 0;
+    const activeUntil = lastActivity + idleThresholdMs;
+    for (const seg of segments) {
+        const a = Math.max(from, seg.start.getTime());
+        const b = Math.min(to, seg.end.getTime());
+        if (b <= a) continue;
+        const active = Math.max(0, Math.min(b, activeUntil) - a);
+        activeMs += active;
+        idleMs += (b - a) - active;
+    }
+    return { activeMs, idleMs };
+}
+
+/**
+ * 拆分工资：专注时长按整日工资折算为"专注工资"，其余（含未打开编辑器的时间）均为"摸鱼工资"。
+ * @param {number} earned 已获得的工资
+ * @param {number} dayRate 整日工资
+ * @param {number} workMs 整日工作时长（毫秒）
+ * @param {number} activeMs 专注时长
+ * @returns {{ activeEarned: number, fishEarned: number }}
+ */
+function splitEarnings(earned, dayRate, workMs, activeMs) {
+    const activeEarned = workMs > 0 ? Math.min(earned, dayRate * (activeMs / workMs)) : 0;
+    return { activeEarned, fishEarned: Math.max(0, earned - activeEarned) };
+}
+
+module.exports = {
+    DEFAULT_IDLE_MINUTES,
+    resolveActivityConfig,
+    accumulateActivity,
+    splitEarnings
+};
@@ -0,0 +1,146 @@
+// 公开 API：activate 的返回值，供其他扩展（如站会助手、团队看板）查询作息与收入；同样的查询也注册为返回 JSON 文本的命令，
+// 供任务（${command:...}）与快捷键脚本使用。
+// 接口带版本号（version），有不兼容的变化时递增；快照与状态导出（exporter）使用同一格式。
+// 本模块不依赖 vscode：计算上下文、快照与状态变化事件由扩展传入。
+
+const { classifyDay, dayKey } = require('./schedule');
+const { parseDateKey } = require('./leave');
+const { dateIn } = require('./timeZone');
+const { getYearIndex } = require('./yearIndex');
+const { t } = require('./l10n');
+
+/** 公开 API 的版本 */
+const API_VERSION = 1;
+
+/** 查询节假日时允许的最大跨度（天），避免为过长的范围逐年建立索引 */
+const MAX_HOLIDAY_RANGE_DAYS = 5 * 366;
+
+/** 未指定结束日期时查询的天数 */
+const DEFAULT_HOLIDAY_RANGE_DAYS = 365;
+
+/**
+ * 解析时刻参数：Date、时间戳或 Date 可解析的字符串；未指定时为当前时间。
+ * @param {Date | number | string} [value]
+ * @returns {Date}
+ */
+function toTime(value) {
+    if (value === undefined || value === null || value === '') return new Date();
+    const time = value instanceof Date ? new Date(value.getTime()) : new Date(value);
+    if (Number.isNaN(time.getTime())) throw new TypeError(t('Invalid time: {0}', String(value)));
+    return time;
+}
+
+/**
+ * 解析日期参数："YYYY-MM-DD" 为该日期；其他形式按时刻解析，取其在作息时区（雇主时区）的日期。未指定时为今天。
+ * @param {Date | number | string} [value]
+ * @param {string} [timeZone]
+ * @returns {Date} 该日期（本机时区 00:00）
+ */
+function toDate(value, timeZone) {
+    if (typeof value === 'string' && /^\d{4}-\d{1,2}-\d{1,2}$/.test(value.trim())) {
+        const date = parseDateKey(value);
+        if (!date) throw new TypeError(t('Invalid date: {0}', value));
+        return date;
+    }
+    return dateIn(toTime(value), timeZone);
+}
+
+/**
+ * 某天的类型（按作息规则、节假日日历与手动指定判定；请假不改变类型）。
+ * @param {{ schedule: object, calendar: object }} input 计算上下文
+ * @param {Date | number | string} [date]
+ * @returns {{ date: string, kind: 'workday' | 'holiday' | 'rest', isWorkday: boolean }} date 为 YYYY-MM-DD
+ */
+function describeDate(input, date) {
+    const day = toDate(date, input.schedule.timeZone);
+    const kind = classifyDay(day, input.schedule, input.calendar);
+    return { date: dayKey(day), kind, isWorkday: kind === 'workday' };
+}
+
+/**
+ * 与日期范围有交集的假期（包含法定节假日的连续不上班日，含相连的休息日），按开始日期排列。
+ * @param {{ schedule: object, calendar: object }} input 计算上下文
+ * @param {Date | number | string} [from] 开始日期，默认为今天
+ * @param {Date | number | string} [to] 结束日期（含），默认为开始日期后 DEFAULT_HOLIDAY_RANGE_DAYS 天
+ * @returns {Array<{ name: string, start: string, end: string, days: number, holidayDays: number }>} 日期为 YYYY-MM-DD
+ */
+function listHolidays(input, from, to) {
+    const { schedule, calendar } = input;
+    const start = toDate(from, schedule.timeZone);
+    const end = to === undefined || to === null || to === ''
+        ? new Date(start.getFullYear(), start.getMonth(), start.getDate() + DEFAULT_HOLIDAY_RANGE_DAYS)
+        : toDate(to, schedule.timeZone);
+    if (end < start) throw new RangeError(t('The end date {0} is earlier than the start date {1}.', dayKey(end), dayKey(start)));
+    if ((end - start) / (24 * 60 * 60 * 1000) > MAX_HOLIDAY_RANGE_DAYS) {
+        throw new RangeError(t('The date range must not exceed {0} days.', MAX_HOLIDAY_RANGE_DAYS));
+    }
+    const holidays = new Map();
+    for (let year = start.getFullYear(); year <= end.getFullYear(); year++) {
+        for (const block of getYearIndex(year, schedule, calendar).blocks) {
+            // 跨年的假期在相邻两年的索引中都会出现
+            if (block.end < start || block.start > end || holidays.has(dayKey(block.start))) continue;
+            holidays.set(dayKey(block.start), {
+                name: block.name, start: dayKey(block.start), end: dayKey(block.end), days: block.days, holidayDays: block.holidayDays
+            });
+        }
+    }
+    return [...holidays.values()].sort((a, b) => a.start.localeCompare(b.start));
+}
+
+/**
+ * 状态变化的类型：上班、开始休息（如午休）、休息结束、开始/结束加班、下班，其余（如换日、标记请假）为 statusChange。
+ * @param {string} previous 变化前的状态（见 exporter.dayStatus）
+ * @param {string} status 变化后的状态
+ * @returns {'workStart' | 'breakStart' | 'breakEnd' | 'overtimeStart' | 'overtimeEnd' | 'clockOut' | 'statusChange'}
+ */
+function stateChangeType(previous, status) {
+    if (status === 'working') return previous === 'break' ? 'breakEnd' : 'workStart';
+    if (status === 'break') return 'breakStart';
+    if (status === 'overtime') return 'overtimeStart';
+    if (previous === 'overtime') return 'overtimeEnd';
+    if (status === 'offWork') return 'clockOut';
+    return 'statusChange';
+}
+
+/**
+ * 创建公开 API（activate 的返回值）。查询方法均返回 Promise：扩展尚未完成首次计算时会先等待计算。
+ * @param {{
+ *   getContext: () => Promise<{ schedule: object, calendar: object }>,
+ *   getState: (context: object, now: Date) => object,
+ *   onDidChangeState: Function
+ * }} options getContext 返回最新的计算上下文；getState 计算某时刻的快照（与状态导出的格式相同）；
+ *   onDidChangeState 为状态变化事件（vscode.Event，回调参数为 { type, previous, status, state }）
+ */
+function createApi(options) {
+    return Object.freeze({
+        version: API_VERSION,
+        /** 某时刻（默认现在）的快照：今日收入、进度、状态、下班时间、本期累计、下一个休息日与节假日等 */
+        async getSnapshot(at) {
+            const time = toTime(at);
+            return options.getState(await options.getContext(), time);
+        },
+        /** 某天（默认今天）的类型 */
+        async getDay(date) {
+            return describeDate(await options.getContext(), date);
+        },
+        /** 某天（默认今天）是否为工作日（含补班日） */
+        async isWorkday(date) {
+            return describeDate(await options.getContext(), date).isWorkday;
+        },
+        /** 日期范围内的假期 */
+        async getHolidays(from, to) {
+            return listHolidays(await options.getContext(), from, to);
+        },
+        onDidChangeState: options.onDidChangeState
+    });
+}
+
+module.exports = {
+    API_VERSION,
+    toTime,
+    toDate,
+    describeDate,
+    listHolidays,
+    stateChangeType,
+    createApi
+};
@@ -0,0 +1,148 @@
+// 节假日日历：解析 ICS 文本，按月提取法定节假日与补班/调休工作日。
+// 本模块不依赖 vscode，可直接在 Node 中测试。
+
+const { DEFAULT_KEYWORDS, parseEvents, classifyEvent, occurrenceStarts, toDayNumber, fromDayNumber } = require('./ics');
+
+/**
+ * 基于 ICS 文本创建日历对象：事件只解析一次，按"年-月"缓存展开结果，避免跨月查询时反复解析。
+ * - 多日事件按 DTSTART..DTEND（不含）展开，RRULE/EXDATE 按需展开
+ * - 事件按关键词分类为假期、补班或仅供参考（参考事件不影响工作日计算）
+ * - 同一天既有假期又有补班时，以补班为准
+ * - getLabels 返回当月假期与补班日对应的事件名称（SUMMARY）
+ * - coversYear 表示日历是否有某年的数据：该年有明确日期（非重复）的假期或补班事件
+ * - ignoredRules 列出因含不支持的部分而未展开的重复规则（只按 DTSTART 计一次），供诊断提示
+ * @param {string} icsText ICS 文本（为空时视为没有任何节假日）
+ * @param {{ keywords?: object, timeZone?: string }} [options] keywords 见 ics.DEFAULT_KEYWORDS
+ * @returns {{
+ *   getMonth: (year: number, month: number) => { holidays: number[], workdays: number[] },
+ *   getLabels: (year: number, month: number) => Record<number, string>,
+ *   coversYear: (year: number) => boolean,
+ *   ignoredRules: Array<{ summary: string, rule: string }>
+ * }}
+ */
+function createCalendar(icsText, options = {}) {
+    const keywords = { ...DEFAULT_KEYWORDS, ...(options.keywords || {}) };
+    const events = parseEvents(icsText, options)
+        .map(event => ({ ...event, kind: classifyEvent(event, keywords) }))
+        .filter(event => event.kind !== 'info');
+    const months = new Map();
+    const labels = new Map();
+    const years = new Set();
+    for (const event of events) {
+        if (event.rrule) continue;
+        const last = fromDayNumber(event.startDay + event.spanDays - 1).y;
+        for (let y = fromDayNumber(event.startDay).y; y <= last; y++) years.add(y);
+    }
+
+    function expand(year, month) {
+        const key = `${year}-${month}`;
+        if (!months.has(key)) {
+            const firstDay = toDayNumber(year, month, 1);
+            const lastDay = toDayNumber(year, month + 1, 1) - 1;
+            const holidays = new Set();
+            const workdays = new Set();
+            const names = {};
+            for (const event of events) {
+                for (const start of occurrenceStarts(event, firstDay, lastDay)) {
+                    for (let day = Math.max(start, firstDay); day < start + event.spanDays && day <= lastDay; day++) {
+                        const d = day - firstDay + 1;
+                        (event.kind === 'workday' ? workdays : holidays).add(d);
+                        // 补班优先于假期，名称也以补班事件为准
+                        if (!names[d] || event.kind === 'workday') names[d] = event.summary;
+                    }
+                }
+            }
+            for (const d of workdays) holidays.delete(d);
+            months.set(key, {
+                holidays: [...holidays].sort((a, b) => a - b),
+                workdays: [...workdays].sort((a, b) => a - b)
+            });
+            labels.set(key, names);
+        }
+        return key;
+    }
+
+    return {
+        getMonth(year, month) {
+            return months.get(expand(year, month));
+        },
+        getLabels(year, month) {
+            return labels.get(expand(year, month));
+        },
+        coversYear(year) {
+            return years.has(year);
+        },
+        ignoredRules: events.filter(event => event.ignoredRule).map(event => ({ summary: event.summary, rule: event.ignoredRule }))
+    };
+}
+
+/**
+ * 解析 ICS：提取指定月份的假期（holidays）与补班/调休工作日（workdays），均为当月的"日"。
+ * @param {string} icsText ICS 文本
+ * @param {number} year 年份
+ * @param {number} month 月份（1-12）
+ * @param {{ keywords?: object, timeZone?: string }} [options]
+ * @returns {{ holidays: number[], workdays: number[] }}
+ */
+function parseICSForMonth(icsText, year, month, options) {
+    return createCalendar(icsText, options).getMonth(year, month);
+}
+
+/**
+ * 按优先级合并多个日历：同一天以排在前面的日历为准（其中补班优先于假期），名称取自决定该天的日历。
+ * 兜底日历（如内置数据）只用于其他日历都没有数据的年份：官方安排调整后，已覆盖该年的来源不会混入内置数据中过时的日期。
+ * @param {Array<{ getMonth: Function, getLabels?: Function, coversYear?: Function }>} calendars 按优先级从高到低排列
+ * @param {{ getMonth: Function, getLabels?: Function, coversYear?: Function }} [fallback] 兜底日历
+ * @returns {ReturnType<typeof createCalendar>}
+ */
+function mergeCalendars(calendars, fallback) {
+    const months = new Map();
+    const labels = new Map();
+    const covers = (calendar, year) => !!(calendar.coversYear && calendar.coversYear(year));
+
+    function merge(year, month) {
+        const key = `${year}-${month}`;
+        if (!months.has(key)) {
+            const decided = new Map(); // 日 -> 'holiday' | 'workday'
+            const names = {};
+            const sources = fallback && !calendars.some(calendar => covers(calendar, year)) ? [...calendars, fallback] : calendars;
+            for (const calendar of sources) {
+                const { holidays, workdays } = calendar.getMonth(year, month);
+                const calendarNames = (calendar.getLabels && calendar.getLabels(year, month)) || {};
+                const claimed = [];
+                for (const d of workdays) if (!decided.has(d)) claimed.push([d, 'workday']);
+                for (const d of holidays) if (!decided.has(d) && !workdays.includes(d)) claimed.push([d, 'holiday']);
+                for (const [d, kind] of claimed) {
+                    decided.set(d, kind);
+                    if (calendarNames[d]) names[d] = calendarNames[d];
+                }
+            }
+            const holidays = [];
+            const workdays = [];
+            for (const [d, kind] of [...decided].sort((a, b) => a[0] - b[0])) {
+                (kind === 'workday' ? workdays : holidays).push(d);
+            }
+            months.set(key, { holidays, workdays });
+            labels.set(key, names);
+        }
+        return key;
+    }
+
+    return {
+        getMonth(year, month) {
+            return months.get(merge(year, month));
+        },
+        getLabels(year, month) {
+            return labels.get(merge(year, month));
+        },
+        coversYear(year) {
+            return calendars.some(calendar => covers(calendar, year)) || !!(fallback && covers(fallback, year));
+        }
+    };
+}
+
+module.exports = {
+    parseICSForMonth,
+    createCalendar,
+    mergeCalendars
+};
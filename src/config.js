@@ -0,0 +1,342 @@
+// 配置：设置项的唯一定义（与 package.json 中 contributes.configuration 一一对应）、读取、旧版设置迁移与语义校验。
+// 设置位于 fish-time-pro.* 下；早期版本从 fishTime.* 读取（休息日为 5_restDays），与声明的设置不一致，
+// 用户在设置界面中的修改因此不生效。旧版设置由 planMigration 给出迁移计划，由扩展写入新设置。
+// 本模块不依赖 vscode：readConfig 与 planMigration 通过调用方传入的读取函数访问设置。
+
+const { parseHHMMToMinutes, normalizeSegments } = require('./schedule');
+const { resolveTimeZone } = require('./timeZone');
+const { REGIONS, DEFAULT_REGION } = require('./regions');
+const { DEFAULT_CURRENCY, t } = require('./l10n');
+
+/** 设置所在的配置节 */
+const CONFIG_SECTION = 'fish-time-pro';
+/** 旧版本读取设置时使用的配置节 */
+const LEGACY_SECTION = 'fishTime';
+
+/**
+ * 默认的远程 ICS 源地址（与 HTML 一致），可通过"节假日来源"设置覆盖。
+ * 包含合法的 DTSTART;VALUE=DATE 与 SUMMARY 描述，用于识别"假期第N天"和"补班/调休"。
+ */
+const ICS_URL = 'https://www.shuy.com/githubfiles/china-holiday-calender/master/holidayCal.ics';
+
+/**
+ * 设置项：字段名 -> { key: 设置名（不含配置节）, default: 默认值（与 package.json 一致）, legacyKey?: 旧版本使用的设置名 }。
+ */
+const SETTINGS = {
+    monthlySalary: { key: '0_monthly-salary', default: 20450 },
+    morningStart: { key: '1_morning-start', default: '10:00' },
+    morningEnd: { key: '2_morning-end', default: '11:30' },
+    afternoonStart: { key: '3_afternoon-start', default: '13:30' },
+    afternoonEnd: { key: '4_afternoon-end', default: '18:00' },
+    restDays: { key: '5_rest-days', default: [6, 7], legacyKey: '5_restDays' },
+    holidaySources: { key: '6_holiday-sources', default: [ICS_URL] },
+    holidayKeywords: { key: '7_holiday-keywords', default: {} },
+    workSegments: { key: '8_work-segments', default: [] },
+    weekdaySchedules: { key: '9_weekday-schedules', default: {} },
+    restRotations: { key: '10_rest-rotations', default: [] },
+    overtime: { key: '11_overtime', default: { cutoff: '', multipliers: { workday: 1.5, rest: 2, holiday: 3 } } },
+    salaryModel: { key: '12_salary-model', default: 'monthly' },
+    salaryDivisor: { key: '13_salary-divisor', default: 'actual' },
+    hourlyRate: { key: '14_hourly-rate', default: 0 },
+    annualSalary: { key: '15_annual-salary', default: 0 },
+    salaryMonths: { key: '16_salary-months', default: 12 },
+    holidayPay: { key: '17_holiday-pay', default: 'paid' },
+    netPay: { key: '18_net-pay', default: { enabled: false } },
+    leave: { key: '19_leave', default: { annualDays: 5, sickPayRatio: 0.8 } },
+    activity: { key: '20_activity', default: { enabled: true, idleMinutes: 5 } },
+    notifications: {
+        key: '21_notifications',
+        default: { enabled: false, beforeLunchMinutes: 10, beforeClockOutMinutes: 10, clockOutSummary: true, holidayEve: true, milestones: [], snoozeMinutes: 10 }
+    },
+    payPeriod: { key: '22_pay-period', default: { startDay: 1, payday: 0, paydayAdjust: 'previous' } },
+    locale: { key: '23_locale', default: '' },
+    currency: { key: '24_currency', default: DEFAULT_CURRENCY },
+    statusBar: {
+        key: '25_status-bar',
+        default: { text: '{earned}{overtime}  |  {percent}', tooltip: '', alignment: 'left', priority: -100, secondaryText: '', secondaryAlignment: 'left', secondaryPriority: -101 }
+    },
+    region: { key: '26_region', default: DEFAULT_REGION },
+    timeZone: { key: '27_time-zone', default: '' },
+    flexibleHours: {
+        key: '28_flexible-hours',
+        default: { enabled: false, earliestStart: '07:00', hours: 8, lunchStart: '12:00', lunchMinutes: 60, clockInOnActivity: true }
+    },
+    liveExport: {
+        key: '29_live-export',
+        default: { file: false, filePath: '', intervalSeconds: 5, http: false, port: 17417, token: '', prometheus: false }
+    }
+};
+
+/** 取值限定在若干选项中的设置 */
+const CHOICES = {
+    salaryModel: ['monthly', 'hourly', 'annual'],
+    salaryDivisor: ['actual', 'statutory'],
+    holidayPay: ['paid', 'unpaid'],
+    region: Object.keys(REGIONS)
+};
+
+/**
+ * 工具：设置的完整名称（含配置节），如 fish-time-pro.5_rest-days。
+ * @param {keyof typeof SETTINGS} name
+ */
+function settingId(name) {
+    return `${CONFIG_SECTION}.${SETTINGS[name].key}`;
+}
+
+/**
+ * 读取全部设置。
+ * @param {(key: string, defaultValue: unknown) => unknown} get 读取配置节 fish-time-pro 下的设置（如 WorkspaceConfiguration.get）
+ */
+function readConfig(get) {
+    const value = {};
+    for (const [name, setting] of Object.entries(SETTINGS)) value[name] = get(setting.key, setting.default);
+    return {
+        // 薪资模型：月薪（实际计薪天数或 21.75 天）、时薪、年薪（按薪数分摊）；法定节假日是否计薪
+        salary: {
+            model: value.salaryModel,
+            monthlySalary: value.monthlySalary,
+            divisor: value.salaryDivisor,
+            hourlyRate: value.hourlyRate,
+            annualSalary: value.annualSalary,
+            months: value.salaryMonths,
+            holidayPay: value.holidayPay
+        },
+        // 四段时间，格式为 HH:mm（未配置"工作时段"时使用）
+        morningStart: value.morningStart,
+        morningEnd: value.morningEnd,
+        afternoonStart: value.afternoonStart,
+        afternoonEnd: value.afternoonEnd,
+        // 休息日（数组：1-7代表周一至周日；周日为7）
+        restDays: value.restDays,
+        // 节假日来源（按优先级从高到低）：https 链接、本地 .ics 文件或工作区文件
+        holidaySources: value.holidaySources,
+        // 节假日事件分类关键词（补班/参考/假期），未配置的类别使用内置默认值
+        holidayKeywords: value.holidayKeywords,
+        // 工作时段（任意数量，结束不晚于开始表示跨零点）；为空时沿用上面的四段时间
+        workSegments: value.workSegments,
+        // 按星期几覆盖工作时段（键为 1-7），如周五提前下班
+        weekdaySchedules: value.weekdaySchedules,
+        // 休息日轮换规则（如大小周），优先于固定休息日
+        restRotations: value.restRotations,
+        // 加班：自动开始时刻（HH:mm，留空则仅通过命令开始）与倍率
+        overtime: value.overtime,
+        // 税后工资：五险一金缴费比例与基数、专项附加扣除（enabled 为 false 时仅显示税前）
+        netPay: value.netPay,
+        // 请假：每年年假天数与病假计薪比例（请假记录保存在扩展存储中）
+        leave: value.leave,
+        // 编辑器活跃度：是否统计专注/摸鱼与空闲阈值（分钟）
+        activity: value.activity,
+        // 提醒：午休前、下班前、下班时、节假日前一天与收入里程碑
+        notifications: value.notifications,
+        // 计薪周期起始日与发薪日规则
+        payPeriod: value.payPeriod,
+        // 金额显示的语言区域（为空时跟随 VS Code 界面语言）与货币（ISO 4217 代码）
+        locale: value.locale,
+        currency: value.currency,
+        // 状态栏文字与悬浮提示模板、位置与第二个状态栏项
+        statusBar: value.statusBar,
+        // 节假日地区：决定内置数据、事件分类关键词与补假规则
+        region: value.region,
+        // 雇主所在时区（IANA 名称），工作时段、"今天"与节假日日期按该时区计算；为空时使用本机时区
+        timeZone: value.timeZone,
+        // 弹性工时：从上班打卡起累计规定时长（扣除午休），启用后代替固定的工作时段
+        flexibleHours: value.flexibleHours,
+        // 状态导出：JSON 文件与 127.0.0.1 上的只读 HTTP 服务（供 tmux、shell 提示符等使用）
+        liveExport: value.liveExport
+    };
+}
+
+/**
+ * 各设置的生效值与来源（供"诊断"命令列出）：来源为最具体的已设置作用域，均未设置时为默认值。
+ * @param {(section: string, key: string) => ({ globalValue?: unknown, workspaceValue?: unknown, workspaceFolderValue?: unknown } | undefined)} inspect
+ * @returns {Array<{ setting: string, value: unknown, source: 'default' | 'user' | 'workspace' | 'workspaceFolder' }>}
+ */
+function effectiveSettings(inspect) {
+    return Object.values(SETTINGS).map(setting => {
+        const info = inspect(CONFIG_SECTION, setting.key) || {};
+        const scope = ['workspaceFolder', 'workspace', 'global'].find(name => info[`${name}Value`] !== undefined);
+        return {
+            setting: `${CONFIG_SECTION}.${setting.key}`,
+            value: scope ? info[`${scope}Value`] : setting.default,
+            source: scope === 'global' ? 'user' : scope || 'default'
+        };
+    });
+}
+
+/** 迁移涉及的作用域（inspect 结果中的字段）：用户设置与工作区设置 */
+const MIGRATION_SCOPES = ['globalValue', 'workspaceValue'];
+
+/**
+ * 旧版设置的迁移计划：用户在 fishTime.* 下写过的设置，按作用域迁移到 fish-time-pro.* 的对应设置。
+ * 新设置在同一作用域已有值时以新设置为准（current 不为 undefined），不覆盖。
+ * @param {(section: string, key: string) => ({ globalValue?: unknown, workspaceValue?: unknown } | undefined)} inspect
+ *   读取某个设置在各作用域的值（如 WorkspaceConfiguration.inspect）
+ * @returns {Array<{ from: string, to: string, scope: 'globalValue' | 'workspaceValue', value: unknown, current: unknown }>}
+ *   from/to 为旧/新设置的完整名称；current 为新设置在该作用域的值
+ */
+function planMigration(inspect) {
+    const plan = [];
+    for (const setting of Object.values(SETTINGS)) {
+        const legacyKey = setting.legacyKey || setting.key;
+        const legacy = inspect(LEGACY_SECTION, legacyKey);
+        if (!legacy) continue;
+        const current = inspect(CONFIG_SECTION, setting.key) || {};
+        for (const scope of MIGRATION_SCOPES) {
+            if (legacy[scope] === undefined) continue;
+            plan.push({
+                from: `${LEGACY_SECTION}.${legacyKey}`,
+                to: `${CONFIG_SECTION}.${setting.key}`,
+                scope,
+                value: legacy[scope],
+                current: current[scope]
+            });
+        }
+    }
+    return plan;
+}
+
+/**
+ * 工具：校验一组工作时段（"工作时段"或某个星期几的时段），问题以 warn 报告。
+ * 与 normalizeSegments 的处理一致：时间无效的时段被忽略，开始与结束相同视为 24 小时，后一时段早于前一时段结束视为次日。
+ * @param {unknown} list
+ * @param {(message: string) => void} warn
+ */
+function checkSegments(list, warn) {
+    if (!Array.isArray(list)) return;
+    list.forEach((seg, i) => {
+        const start = parseHHMMToMinutes(seg && seg.start, null);
+        const end = parseHHMMToMinutes(seg && seg.end, null);
+        if (start === null || end === null) warn(t('Work segment {0} has an invalid start or end time (HH:mm) and is ignored.', i + 1));
+        else if (start === end) warn(t('Work segment {0} starts and ends at {1}, so it lasts 24 hours.', i + 1, seg.start));
+    });
+    const segments = normalizeSegments({ segments: list });
+    if (segments.length > 0 && segments[segments.length - 1].endMin - segments[0].startMin > 24 * 60) {
+        warn(t('The work segments span more than 24 hours because a segment starts before the previous one ends (it is treated as the next day). Check that they are listed in order.'));
+    }
+}
+
+/**
+ * 语义校验：找出格式正确但取值矛盾或会被静默修正的设置（如时间顺序颠倒、工作时长为零、休息日覆盖整周），
+ * 说明实际采用的处理方式，便于用户修改。
+ * @param {ReturnType<typeof readConfig>} cfg
+ * @returns {Array<{ setting: string, message: string }>} setting 为设置的完整名称
+ */
+function validateConfig(cfg) {
+    const warnings = [];
+    const warnOn = name => message => warnings.push({ setting: settingId(name), message });
+
+    // 四段时间：无效时使用默认值，顺序颠倒时后面的时间被推迟到前一个时间（normalizeSegments）
+    const customSegments = Array.isArray(cfg.workSegments) && cfg.workSegments.length > 0;
+    if (!customSegments) {
+        let previous = null;
+        for (const name of ['morningStart', 'morningEnd', 'afternoonStart', 'afternoonEnd']) {
+            const minutes = parseHHMMToMinutes(cfg[name], null);
+            if (minutes === null) {
+                warnOn(name)(t('"{0}" is not a valid time (HH:mm); the default {1} is used.', cfg[name], SETTINGS[name].default));
+                continue;
+            }
+            if (previous && minutes < previous.minutes) {
+                warnOn(name)(t('{0} is earlier than {1} ({2}), so it is treated as {2}.', cfg[name], settingId(previous.name), cfg[previous.name]));
+            } else {
+                previous = { name, minutes };
+            }
+        }
+    }
+    checkSegments(cfg.workSegments, warnOn('workSegments'));
+    for (const [weekday, list] of Object.entries(cfg.weekdaySchedules || {})) {
+        const warn = warnOn('weekdaySchedules');
+        if (!/^[1-7]$/.test(weekday)) warn(t('"{0}" is not a day of the week (1-7) and is ignored.', weekday));
+        else checkSegments(list, message => warn(t('Weekday {0}: {1}', weekday, message)));
+    }
+    // 工作时长为零：工作日没有任何收入
+    if (!(cfg.flexibleHours && cfg.flexibleHours.enabled)) {
+        const days = [null, ...Object.keys(cfg.weekdaySchedules || {}).filter(weekday => /^[1-7]$/.test(weekday))];
+        const schedule = {
+            segments: cfg.workSegments, weekdaySchedules: cfg.weekdaySchedules,
+            morningStart: cfg.morningStart, morningEnd: cfg.morningEnd, afternoonStart: cfg.afternoonStart, afternoonEnd: cfg.afternoonEnd
+        };
+        for (const weekday of days) {
+            // 2024-01-01 为周一：按星期几取一个日期
+            const date = weekday ? new Date(2024, 0, Number(weekday)) : undefined;
+            const minutes = normalizeSegments(schedule, date).reduce((sum, seg) => sum + seg.endMin - seg.startMin, 0);
+            if (minutes > 0) continue;
+            const setting = weekday ? 'weekdaySchedules' : customSegments ? 'workSegments' : 'morningStart';
+            warnOn(setting)(weekday
+                ? t('Weekday {0}: {1}', weekday, t('The working day has no working time, so nothing is earned on workdays.'))
+                : t('The working day has no working time, so nothing is earned on workdays.'));
+        }
+    }
+
+    // 休息日与轮换规则（无效的规则被忽略；有效规则中有上班的周时仍有工作日）
+    const restDays = Array.isArray(cfg.restDays) ? cfg.restDays : [];
+    const invalidRestDays = restDays.filter(day => !(Number.isInteger(Number(day)) && day >= 1 && day <= 7));
+    if (invalidRestDays.length) warnOn('restDays')(t('Rest days must be 1-7 (Monday to Sunday); {0} is ignored.', invalidRestDays.join(', ')));
+    const rotations = (Array.isArray(cfg.restRotations) ? cfg.restRotations : []).filter((rule, i) => {
+        const valid = rule && Array.isArray(rule.weekdays) && rule.weekdays.length > 0
+            && /^\d{4}-\d{2}-\d{2}$/.test(String(rule.anchor || '')) && Array.isArray(rule.pattern) && rule.pattern.length > 0;
+        if (!valid) warnOn('restRotations')(t('Rest rotation {0} is ignored: it needs weekdays, an anchor date (YYYY-MM-DD) and a pattern of "work" and "rest".', i + 1));
+        return valid;
+    });
+    if (new Set(restDays.map(Number).filter(day => day >= 1 && day <= 7)).size === 7 && !rotations.some(rule => rule.pattern.includes('work'))) {
+        warnOn('restDays')(t('Every day of the week is a rest day, so there are no workdays.'));
+    }
+
+    // 取值限定在选项中的设置，以及当前薪资模型的金额
+    for (const [name, choices] of Object.entries(CHOICES)) {
+        const value = name === 'region' ? String(cfg.region || '').toLowerCase()
+            : cfg.salary[{ salaryModel: 'model', salaryDivisor: 'divisor', holidayPay: 'holidayPay' }[name]];
+        if (!choices.includes(value)) warnOn(name)(t('"{0}" is not one of {1}; {2} is used.', value, choices.join(', '), SETTINGS[name].default));
+    }
+    const amount = { monthly: 'monthlySalary', hourly: 'hourlyRate', annual: 'annualSalary' }[cfg.salary.model];
+    if (amount && !(Number(cfg.salary[amount]) > 0)) {
+        warnOn(amount)(t('The salary model is "{0}", but this amount is not set, so nothing is earned.', cfg.salary.model));
+    }
+    if (cfg.salary.model === 'annual' && !(Number(cfg.salary.months) >= 12)) {
+        warnOn('salaryMonths')(t('Salary months must be at least 12; {0} is used.', SETTINGS.salaryMonths.default));
+    }
+
+    // 时区
+    if (String(cfg.timeZone || '').trim() && !resolveTimeZone(cfg.timeZone)) {
+        warnOn('timeZone')(t('"{0}" is not a known time zone; the local time zone is used.', cfg.timeZone));
+    }
+
+    // 弹性工时
+    const flexible = cfg.flexibleHours;
+    if (flexible && flexible.enabled) {
+        const warn = warnOn('flexibleHours');
+        for (const field of ['earliestStart', 'lunchStart']) {
+            if (flexible[field] !== undefined && parseHHMMToMinutes(flexible[field], null) === null) {
+                warn(t('{0}: {1}', field, t('"{0}" is not a valid time (HH:mm); the default {1} is used.', flexible[field], SETTINGS.flexibleHours.default[field])));
+            }
+        }
+        const hours = Number(flexible.hours);
+        if (flexible.hours !== undefined && !(hours > 0 && hours <= 24)) {
+            warn(t('{0}: {1}', 'hours', t('The daily working hours must be more than 0 and at most 24; {0} is used.', SETTINGS.flexibleHours.default.hours)));
+        }
+    }
+
+    // 状态导出：HTTP 服务需要令牌
+    const liveExport = cfg.liveExport;
+    if (liveExport && liveExport.http === true && !String(liveExport.token || '').trim()) {
+        warnOn('liveExport')(t('{0}: {1}', 'token', t('The HTTP endpoint does not start without an access token.')));
+    }
+
+    // 计薪周期
+    const startDay = cfg.payPeriod && cfg.payPeriod.startDay;
+    if (startDay !== undefined && !(Number.isInteger(Number(startDay)) && startDay >= 1 && startDay <= 28)) {
+        warnOn('payPeriod')(t('{0}: {1}', 'startDay', t('The pay period must start on day 1-28 so that every month has it; day 1 is used.')));
+    }
+    return warnings;
+}
+
+module.exports = {
+    CONFIG_SECTION,
+    LEGACY_SECTION,
+    ICS_URL,
+    SETTINGS,
+    settingId,
+    readConfig,
+    effectiveSettings,
+    planMigration,
+    validateConfig
+};
@@ -0,0 +1,405 @@
+// 工资计算引擎：根据作息（schedule）、节假日日历（calendar）与薪资（salary）计算某一时刻的快照。
+// 本模块不依赖 vscode，所有"当前时间"均由调用方传入，便于测试与复用。
+
+const { normalizeSegments, classifyDay, resolveWorkDate, formatSegments, dayKey } = require('./schedule');
+const { daySegments } = require('./flexHours');
+const { calcOvertime } = require('./overtime');
+const { createPayRule, resolveSalary } = require('./salary');
+const { calcMonthlyNet } = require('./netPay');
+const { LEAVE_TYPES, resolveLeavePolicy, leaveTypeOn } = require('./leave');
+const { payPeriodFor, nextPayday } = require('./payPeriod');
+const { getYearIndex, nextHoliday } = require('./yearIndex');
+const { dateIn, zonedTime, formatClock } = require('./timeZone');
+const { t } = require('./l10n');
+
+/**
+ * 计算计薪周期 [start, end) 内的"总工作日"、"已上班天数"、法定节假日天数与"今日是否为工作日"。
+ * 规则：
+ * - 总工作日 = 所有非休息日的天数 - 法定节假日 + 补班/调休日
+ * - 已上班天数只统计工作日；法定节假日单独统计（是否计薪由薪资模型决定）
+ * - 今日为法定节假日时 isTodayHoliday 与 isTodayWorkingDay 均为 true
+ * - 请假的工作日仍计入总工作日，但不计入已上班天数，单独统计；今日请假时 isTodayWorkingDay 为 false
+ * @param {Date} start 周期第一天
+ * @param {Date} end 周期结束（不含）
+ * @param {object} schedule 作息配置（休息日与轮换规则，见 isRestDate）
+ * @param {{ getMonth: Function }} calendar 节假日日历，可跨月查询
+ * @param {Date} now 当前时间（用于确定"今天"）
+ * @param {{ days?: Record<string, string> }} [leave] 请假记录（见 leave.js）
+ */
+function calcPeriodDays(start, end, schedule, calendar, now, leave) {
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const todayKey = dayKey(today);
+
+    let totalWorkingDays = 0;
+    let workedDays = 0;
+    let totalHolidays = 0;
+    let passedHolidays = 0;
+    let leaveDays = 0;
+    let passedLeaveDays = 0;
+    let todayLeave = null;
+    let isTodayWorkingDay = false;
+    let isTodayHoliday = false;
+
+    for (const date = new Date(start); date < end; date.setDate(date.getDate() + 1)) {
+        // 补班/调休优先，其次法定节假日，最后按作息规则（休息日与轮换）判断
+        const kind = classifyDay(date, schedule, calendar);
+        const passed = date <= today;
+        const isToday = dayKey(date) === todayKey;
+
+        const leaveType = kind === 'workday' ? leaveTypeOn(leave, date) : null;
+        if (leaveType) {
+            totalWorkingDays++;
+            leaveDays++;
+            if (passed) passedLeaveDays++;
+            if (isToday) todayLeave = leaveType;
+        } else if (kind === 'workday') {
+            totalWorkingDays++;
+            if (passed) workedDays++;
+            if (isToday) isTodayWorkingDay = true;
+        } else if (kind === 'holiday') {
+            totalHolidays++;
+            if (passed) passedHolidays++;
+            if (isToday) {
+                isTodayHoliday = true;
+                isTodayWorkingDay = true; // 节假日也视为工作日（是否计薪由薪资模型决定）
+            }
+        }
+    }
+
+    return {
+        totalWorkingDays,
+        workedDays,
+        totalHolidays,
+        passedHolidays,
+        leaveDays,
+        passedLeaveDays,
+        todayLeave,
+        isTodayWorkingDay,
+        isTodayHoliday
+    };
+}
+
+/**
+ * 计算某个自然月的工作日统计（见 calcPeriodDays）。
+ * @param {number} year 年份
+ * @param {number} month 月份（1-12）
+ * @param {object} schedule 作息配置（休息日与轮换规则，见 isRestDate）
+ * @param {Array<number>} holidays 当月法定节假日（日）
+ * @param {Array<number>} workdays 当月补班/调休日（日）
+ * @param {Date} now 当前时间（用于确定"今天"）
+ * @param {{ days?: Record<string, string> }} [leave] 请假记录（见 leave.js）
+ */
+function calcWorkingDays(year, month, schedule, holidays, workdays, now, leave) {
+    const calendar = { getMonth: () => ({ holidays, workdays }) };
+    return calcPeriodDays(new Date(year, month - 1, 1), new Date(year, month, 1), schedule, calendar, now, leave);
+}
+
+/**
+ * 计算距离下一个休息日的天数（今天即为休息日时返回 0）。请假的工作日也视为休息日。
+ * @param {Date} now 当前时间（按作息配置的时区确定"今天"）
+ * @param {object} schedule 作息配置（休息日与轮换规则，见 isRestDate）
+ * @param {{ getMonth: Function }} calendar 节假日日历，可跨月查询
+ * @param {{ days?: Record<string, string> }} [leave] 请假记录
+ * @returns {number} 距离下一个休息日的天数；一年内没有休息日时返回 0
+ */
+function calcNextRestDay(now, schedule, calendar, leave) {
+    const today = dateIn(now, schedule.timeZone);
+    // 按年度索引逐日查找，最多查找一年
+    for (let i = 0; i < 366; i++) {
+        const checkDate = new Date(today.getFullYear(), today.getMonth(), today.getDate() + i);
+        // 作息规则中的休息日（非补班/调休）与法定假期均为休息日
+        const kind = getYearIndex(checkDate.getFullYear(), schedule, calendar).kindOf(checkDate);
+        if (kind !== 'workday' || leaveTypeOn(leave, checkDate)) return i;
+    }
+
+    return 0;
+}
+
+/**
+ * 计算已过的有效工作时长（毫秒）、当前/下一时段与对应的状态文案。
+ * @param {Array<{ start: Date, end: Date }>} segments resolveSegments 的结果
+ * @param {Date} now
+ */
+function calcPassedWork(segments, now) {
+    let passedMs = 0;
+    let currentSegment = -1;
+    let nextSegment = -1;
+    segments.forEach((seg, i) => {
+        passedMs += Math.max(0, Math.min(now, seg.end) - seg.start);
+        if (now >= seg.start && now < seg.end) currentSegment = i;
+        if (nextSegment < 0 && now < seg.start) nextSegment = i;
+    });
+
+    let statusLabel;
+    if (currentSegment >= 0) statusLabel = t('Working');
+    else if (nextSegment === 0) statusLabel = t('Not started yet');
+    else if (nextSegment > 0) statusLabel = t('On break');
+    else statusLabel = t('Off work');
+    return { passedMs, currentSegment, nextSegment, statusLabel };
+}
+
+/**
+ * 工具：某个工作日按排班的整日时长（毫秒）；弹性工时为规定的工作时长（与是否打卡无关）。
+ * @param {object} schedule
+ * @param {Date} date
+ */
+function scheduledWorkMs(schedule, date) {
+    if (schedule.flexible) return schedule.flexible.requiredMs;
+    return daySegments(schedule, date).reduce((sum, seg) => sum + (seg.end - seg.start), 0);
+}
+
+/**
+ * 工具：某个工作日的工作时段文本（HH:mm-HH:mm，用于结算记录）；弹性工时为当天按打卡记录的实际时段。
+ * @param {object} schedule
+ * @param {Date} date
+ * @returns {string[]}
+ */
+function daySegmentLabels(schedule, date) {
+    if (!schedule.flexible) return formatSegments(normalizeSegments(schedule, date));
+    const { timeZone } = schedule;
+    return daySegments(schedule, date).map(seg => `${formatClock(seg.start, timeZone)}-${formatClock(seg.end, timeZone)}`);
+}
+
+/**
+ * 工具：默认工作日时长（毫秒），用于时薪与日薪互相折算。
+ * @param {object} schedule
+ */
+function standardDayMs(schedule) {
+    if (schedule.flexible) return schedule.flexible.requiredMs;
+    return normalizeSegments(schedule).reduce((sum, seg) => sum + (seg.endMin - seg.startMin) * 60000, 0);
+}
+
+/**
+ * 计算某一天的整日工资：工作日按当天排班计薪，法定节假日按计薪规则，请假的工作日按请假类型的计薪比例。
+ * @param {Date} date
+ * @param {{ schedule: object, calendar: { getMonth: Function }, rule: ReturnType<typeof createPayRule>, leave?: object, leaveRatios: Record<string, number> }} ctx
+ * @returns {{ kind: 'workday' | 'holiday' | 'rest', leaveType: string | null, dayRate: number, earned: number }}
+ *   dayRate 为不考虑请假时的整日工资
+ */
+function calcDayPay(date, ctx) {
+    const kind = classifyDay(date, ctx.schedule, ctx.calendar);
+    const leaveType = kind === 'workday' ? leaveTypeOn(ctx.leave, date) : null;
+    let dayRate = 0;
+    if (kind === 'workday') dayRate = ctx.rule.dayPay(scheduledWorkMs(ctx.schedule, date));
+    else if (kind === 'holiday') dayRate = ctx.rule.holidayPay;
+    return { kind, leaveType, dayRate, earned: leaveType ? dayRate * ctx.leaveRatios[leaveType] : dayRate };
+}
+
+/**
+ * 计算 [from, to) 内各天的收入之和：已结算的日期使用历史记录（保持当时的数值），
+ * 其余日期按当前配置计算整日工资与当天的加班工资。
+ * @param {Date} from
+ * @param {Date} to 不含
+ * @param {Parameters<typeof calcDayPay>[1] & { history?: { days?: Record<string, { total: number }> }, overtimeByDay?: Record<string, { pay: number }> }} ctx
+ */
+function calcPaidDays(from, to, ctx) {
+    let total = 0;
+    for (const date = new Date(from); date < to; date.setDate(date.getDate() + 1)) {
+        const key = dayKey(date);
+        const record = ctx.history && ctx.history.days ? ctx.history.days[key] : null;
+        if (record) {
+            total += Number(record.total) || 0;
+            continue;
+        }
+        total += calcDayPay(date, ctx).earned;
+        if (ctx.overtimeByDay && ctx.overtimeByDay[key]) total += ctx.overtimeByDay[key].pay;
+    }
+    return total;
+}
+
+/**
+ * 计算某一时刻的工资快照。
+ * @param {{
+ *   schedule: { segments?: Array<{ start: string, end: string }>, weekdaySchedules?: object, morningStart?: string, morningEnd?: string, afternoonStart?: string, afternoonEnd?: string, restDays: number[], rotations?: Array<object>, timeZone?: string, flexible?: object | null },
+ *   calendar: { getMonth: Function },
+ *   salary: { model?: string, monthlySalary?: number, divisor?: string, hourlyRate?: number, annualSalary?: number, months?: number, holidayPay?: string },
+ *   overtime?: { sessions: Array<{ start: number, end?: number | null }>, multipliers?: object },
+ *   netPay?: object,
+ *   leave?: { days?: Record<string, string>, sickPayRatio?: number },
+ *   history?: { days?: Record<string, { total: number }> },
+ *   payPeriod?: { startDay?: number, payday?: number, paydayAdjust?: string }
+ * }} input 作息、节假日日历、薪资配置（见 salary.js）、加班记录、税后工资配置（见 netPay.js，启用时快照包含 net）、
+ *   请假记录及病假计薪比例（见 leave.js）、已结算的历史记录（见 history.js，本期累计中的已结算日期以历史为准）
+ *   与计薪周期及发薪日（见 payPeriod.js，默认为自然月）。作息中的 flexible 为弹性工时配置与打卡记录（见 flexHours.js）
+ * @param {Date} now 计算时刻
+ */
+function computeSnapshot(input, now) {
+    const { schedule, calendar, salary } = input;
+    // 跨零点班次：凌晨仍在前一天的班次内时，以前一天为"今天"计算
+    const workDate = resolveWorkDate(schedule, calendar, now);
+    // 计薪周期：默认为自然月，工作日统计与累计工资均按周期计算
+    const period = payPeriodFor(workDate, input.payPeriod);
+
+    const leave = input.leave;
+    const leaveRatios = resolveLeavePolicy(leave).ratios;
+    const { totalWorkingDays, workedDays, totalHolidays, passedHolidays, leaveDays, passedLeaveDays, todayLeave, isTodayWorkingDay, isTodayHoliday } =
+        calcPeriodDays(period.start, period.end, schedule, calendar, workDate, leave);
+
+    // 工作时段：按排班，或按弹性工时的打卡记录（未打卡时为空）
+    const segments = daySegments(schedule, workDate);
+    const totalWorkMs = segments.reduce((sum, seg) => sum + (seg.end - seg.start), 0);
+    const workStartDate = segments.length ? segments[0].start : null;
+    const workEndDate = segments.length ? segments[segments.length - 1].end : null;
+    // 计薪规则：默认工作日时长用于时薪与日薪互相折算
+    const rule = createPayRule(salary, { totalWorkingDays, totalHolidays, standardDayMs: standardDayMs(schedule) });
+    let dailySalary = isTodayHoliday ? rule.holidayPay : rule.dayPay(schedule.flexible ? schedule.flexible.requiredMs : totalWorkMs);
+    if (todayLeave) dailySalary *= leaveRatios[todayLeave];
+
+    let earned = 0;
+    let ratio = 0; // 今日工作进度（0-1）
+    let statusLabel = '';
+    let currentSegment = -1;
+    let nextSegment = -1;
+
+    if (isTodayHoliday) {
+        // 节假日时，按计薪规则获得当日工资（不计薪时为 0），进度视为 100%
+        statusLabel = t('Holiday today');
+        earned = dailySalary;
+        ratio = 1;
+    } else if (todayLeave) {
+        // 请假时按请假类型的计薪比例获得当日工资，进度视为 100%
+        statusLabel = t('On leave today ({0})', t(LEAVE_TYPES[todayLeave].label));
+        earned = dailySalary;
+        ratio = 1;
+    } else if (!isTodayWorkingDay) statusLabel = t('Rest day today');
+    else if (rule.configError) statusLabel = rule.configError;
+    else if (schedule.flexible && segments.length === 0) statusLabel = t('Not clocked in yet');
+    else if (totalWorkMs <= 0) statusLabel = t('Invalid work hours, please check your schedule settings');
+    else {
+        const passed = calcPassedWork(segments, now);
+        ({ statusLabel, currentSegment, nextSegment } = passed);
+        ratio = Math.max(0, Math.min(1, passed.passedMs / totalWorkMs));
+        // 下班后显示整日工资
+        earned = (now >= workEndDate) ? dailySalary : dailySalary * ratio;
+    }
+
+    // 加班：正常工时的小时工资乘以当天类型对应的倍率
+    const overtime = calcOvertime({
+        sessions: input.overtime ? input.overtime.sessions : [],
+        multipliers: input.overtime ? input.overtime.multipliers : undefined,
+        schedule,
+        calendar,
+        hourlyRate: rule.hourlyRate,
+        today: workDate,
+        rangeStart: period.start,
+        rangeEnd: period.end
+    }, now);
+    // 正常工作时段内不计加班，仍显示"工作中"
+    if (overtime.active && currentSegment < 0) statusLabel = t('Working overtime');
+
+    // 本期工资：周期内此前各天的收入（已结算的以历史为准）+ 今天的实时进度工资 + 今天及以后的加班工资
+    const payCtx = { schedule, calendar, rule, leave, leaveRatios, overtimeByDay: overtime.byDay };
+    const paidBeforeToday = calcPaidDays(period.start, workDate, { ...payCtx, history: input.history });
+    const todayKey = dayKey(workDate);
+    const overtimeFromToday = Object.keys(overtime.byDay)
+        .filter(key => key >= todayKey)
+        .reduce((sum, key) => sum + overtime.byDay[key].pay, 0);
+    const monthToDate = paidBeforeToday + earned + overtimeFromToday;
+
+    // 税后：按本期税前工资（此前各天 + 今天起按整日计算 + 已发生的加班）计算扣除，再按税后比例折算实时金额；
+    // 个税按周期结束所在的月份累计预扣
+    let net = null;
+    if (input.netPay && input.netPay.enabled) {
+        const monthGross = paidBeforeToday + calcPaidDays(workDate, period.end, payCtx);
+        const monthly = calcMonthlyNet({ month: period.month, monthGross, regularGross: rule.regularMonthly }, input.netPay);
+        net = {
+            month: monthly,
+            earned: earned * monthly.ratio,
+            overtimeToday: overtime.todayPay * monthly.ratio,
+            monthToDate: monthToDate * monthly.ratio
+        };
+    }
+
+    return {
+        now,
+        workDate,
+        segments,
+        currentSegment,
+        nextSegment,
+        workStartDate,
+        workEndDate,
+        statusLabel,
+        earned,
+        ratio,
+        overtime,
+        dailySalary,
+        monthToDate,
+        net,
+        workedDays,
+        totalWorkingDays,
+        passedHolidays,
+        totalHolidays,
+        leaveDays,
+        passedLeaveDays,
+        todayLeave,
+        isTodayWorkingDay,
+        isTodayHoliday,
+        nextRestDays: calcNextRestDay(now, schedule, calendar, leave),
+        nextHoliday: nextHoliday(now, schedule, calendar),
+        payPeriod: period,
+        payday: nextPayday(workDate, input.payPeriod, schedule, calendar)
+    };
+}
+
+/**
+ * 结算某一天（整天）的收入记录，用于保存历史：当天类型、工作时段、薪资模型、工资、加班与请假。
+ * @param {Parameters<typeof computeSnapshot>[0]} input 同 computeSnapshot（history 不参与计算）
+ * @param {Date} date 要结算的日期
+ * @returns {{
+ *   date: string, kind: 'workday' | 'holiday' | 'rest', leaveType: string | null, segments: string[], workMs: number,
+ *   salary: { model: string, divisor: string, holidayPay: string }, dayRate: number, earned: number,
+ *   overtimeMs: number, overtimePay: number, total: number, net: number | null
+ * }}
+ */
+function computeDayRecord(input, date) {
+    const { schedule, calendar } = input;
+    const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    const next = new Date(day);
+    next.setDate(next.getDate() + 1);
+
+    const period = payPeriodFor(day, input.payPeriod);
+    const { totalWorkingDays, totalHolidays } = calcPeriodDays(period.start, period.end, schedule, calendar, day, input.leave);
+    const rule = createPayRule(input.salary, { totalWorkingDays, totalHolidays, standardDayMs: standardDayMs(schedule) });
+    const pay = calcDayPay(day, { schedule, calendar, rule, leave: input.leave, leaveRatios: resolveLeavePolicy(input.leave).ratios });
+
+    const overtime = calcOvertime({
+        sessions: input.overtime ? input.overtime.sessions : [],
+        multipliers: input.overtime ? input.overtime.multipliers : undefined,
+        schedule,
+        calendar,
+        hourlyRate: rule.hourlyRate,
+        today: day,
+        rangeStart: day,
+        rangeEnd: next
+    }, zonedTime(next, 0, schedule.timeZone));
+
+    const total = pay.earned + overtime.todayPay;
+    // 税后按当月税后比例折算（与当天中午的快照一致）
+    const snapshot = input.netPay && input.netPay.enabled
+        ? computeSnapshot({ ...input, history: undefined }, zonedTime(day, 12 * 60, schedule.timeZone))
+        : null;
+    const { model, divisor, holidayPay } = resolveSalary(input.salary);
+
+    return {
+        date: dayKey(day),
+        kind: pay.kind,
+        leaveType: pay.leaveType,
+        segments: pay.kind === 'workday' ? daySegmentLabels(schedule, day) : [],
+        workMs: pay.kind === 'workday' ? scheduledWorkMs(schedule, day) : 0,
+        salary: { model, divisor, holidayPay },
+        dayRate: pay.dayRate,
+        earned: pay.earned,
+        overtimeMs: overtime.todayMs,
+        overtimePay: overtime.todayPay,
+        total,
+        net: snapshot && snapshot.net ? total * snapshot.net.month.ratio : null
+    };
+}
+
+module.exports = {
+    calcWorkingDays,
+    calcPeriodDays,
+    calcNextRestDay,
+    computeSnapshot,
+    computeDayRecord
+};
@@ -0,0 +1,235 @@
+// 状态导出：把当前的实时状态（今日收入、进度、状态、下班倒计时、本期累计、下一个休息日等）提供给 VS Code 之外的程序，
+// 如 tmux 状态栏、shell 提示符与桌面小组件。两种方式（均需在设置中开启）：
+// - JSON 文件：定期写入（默认 ~/.fish-time-pro/state.json），先写临时文件再改名，读取方不会读到写了一半的内容
+// - 只读 HTTP 服务：只监听 127.0.0.1，需携带令牌（Authorization: Bearer <令牌> 或 ?token=<令牌>）；
+//   GET /state 返回同样的 JSON，开启 prometheus 后 GET /metrics 返回 Prometheus 文本格式
+// 状态由扩展按 updateStatusBar 已经建立的上下文计算后传入，本模块不依赖 vscode。
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+/** 导出状态的格式版本（字段有不兼容的变化时递增） */
+const STATE_VERSION = 1;
+
+/** 导出默认配置 */
+const DEFAULT_EXPORT = {
+    file: false,            // 是否写入 JSON 文件
+    filePath: '',           // 文件路径，为空时为 ~/.fish-time-pro/state.json
+    intervalSeconds: 5,     // 写入文件的间隔（秒）
+    http: false,            // 是否启动 HTTP 服务
+    port: 17417,            // HTTP 端口（只监听 127.0.0.1）
+    token: '',              // HTTP 访问令牌，为空时不启动服务
+    prometheus: false       // 是否提供 /metrics（Prometheus 文本格式）
+};
+
+/**
+ * 默认的状态文件路径。
+ */
+function defaultStatePath() {
+    return path.join(os.homedir(), '.fish-time-pro', 'state.json');
+}
+
+/**
+ * 合并用户配置与默认值（非法值使用默认）。文件路径支持 ~/ 开头。
+ * @param {Partial<typeof DEFAULT_EXPORT>} [config]
+ * @returns {typeof DEFAULT_EXPORT}
+ */
+function resolveExportConfig(config = {}) {
+    const raw = String(config.filePath || '').trim();
+    const interval = Number(config.intervalSeconds);
+    const port = Number(config.port);
+    return {
+        file: config.file === true,
+        filePath: !raw ? defaultStatePath() : (raw === '~' || raw.startsWith('~/')) ? path.join(os.homedir(), raw.slice(1)) : path.resolve(raw),
+        intervalSeconds: Number.isFinite(interval) && interval >= 1 ? interval : DEFAULT_EXPORT.intervalSeconds,
+        http: config.http === true,
+        port: Number.isInteger(port) && port > 0 && port < 65536 ? port : DEFAULT_EXPORT.port,
+        token: String(config.token || '').trim(),
+        prometheus: config.prometheus === true
+    };
+}
+
+/**
+ * 今天的状态（供程序判断，界面文字见 statusLabel）。
+ * @param {object} snapshot computeSnapshot 的结果
+ * @returns {'holiday' | 'leave' | 'rest' | 'notStarted' | 'working' | 'break' | 'overtime' | 'offWork'}
+ */
+function dayStatus(snapshot) {
+    if (snapshot.isTodayHoliday) return 'holiday';
+    if (snapshot.todayLeave) return 'leave';
+    if (!snapshot.isTodayWorkingDay) return snapshot.overtime.active ? 'overtime' : 'rest';
+    if (snapshot.currentSegment >= 0) return 'working';
+    if (snapshot.overtime.active) return 'overtime';
+    if (snapshot.nextSegment === 0 || snapshot.segments.length === 0) return 'notStarted';
+    if (snapshot.nextSegment > 0) return 'break';
+    return 'offWork';
+}
+
+/**
+ * 工具：日期格式化为 YYYY-MM-DD（本机时区的年月日）。
+ * @param {Date} date
+ */
+function dateText(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * 工具：金额保留两位小数。
+ * @param {number} amount
+ */
+function round(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * 由实时计算的结果生成导出的状态。
+ * @param {object} snapshot computeSnapshot 的结果
+ * @param {Date} now
+ * @param {{ currency: string, amountMode: 'gross' | 'net', text: Record<string, string | number> }} options
+ *   currency 为货币代码；amountMode 为状态栏显示税前还是税后；text 为状态栏模板占位符的取值（已格式化的文字）
+ */
+function buildExportState(snapshot, now, options) {
+    const { overtime, net, workEndDate } = snapshot;
+    const beforeClockOut = snapshot.isTodayWorkingDay && !snapshot.isTodayHoliday && !snapshot.todayLeave && workEndDate && now < workEndDate;
+    const next = snapshot.nextHoliday;
+    return {
+        version: STATE_VERSION,
+        updatedAt: now.toISOString(),
+        workDate: dateText(snapshot.workDate),
+        status: dayStatus(snapshot),
+        statusLabel: snapshot.statusLabel || '',
+        currency: options.currency,
+        amountMode: options.amountMode,
+        earned: round(snapshot.earned),
+        overtimeToday: round(overtime.todayPay),
+        ratio: snapshot.ratio,
+        monthToDate: round(snapshot.monthToDate),
+        net: net ? { earned: round(net.earned), overtimeToday: round(net.overtimeToday), monthToDate: round(net.monthToDate) } : null,
+        workedDays: snapshot.workedDays,
+        totalWorkingDays: snapshot.totalWorkingDays,
+        clockOutAt: snapshot.isTodayWorkingDay && workEndDate ? workEndDate.toISOString() : null,
+        secondsUntilClockOut: beforeClockOut ? Math.ceil((workEndDate - now) / 1000) : null,
+        nextRestDays: snapshot.nextRestDays,
+        nextHoliday: next ? { name: next.name, start: dateText(next.start), end: dateText(next.end), daysUntil: next.daysUntil } : null,
+        payday: snapshot.payday ? { date: dateText(snapshot.payday.date), days: snapshot.payday.days } : null,
+        text: options.text
+    };
+}
+
+/**
+ * 工具：转义 Prometheus 标签值。
+ * @param {string} value
+ */
+function labelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * 将导出的状态转为 Prometheus 文本格式（均为 gauge，金额带 currency 标签）。
+ * @param {ReturnType<typeof buildExportState>} state
+ * @returns {string}
+ */
+function toPrometheus(state) {
+    const money = { currency: state.currency };
+    const metrics = [
+        ['fish_time_earned_today', 'Earnings today for regular hours.', state.earned, money],
+        ['fish_time_overtime_pay_today', 'Overtime pay today.', state.overtimeToday, money],
+        ['fish_time_month_to_date', 'Earnings in the current pay period so far.', state.monthToDate, money],
+        ['fish_time_day_progress_ratio', 'Progress of today\'s working hours (0-1).', state.ratio],
+        ['fish_time_seconds_until_clock_out', 'Seconds until clock-out (0 when not before clock-out).', state.secondsUntilClockOut || 0],
+        ['fish_time_worked_days', 'Working days passed in the current pay period, including today.', state.workedDays],
+        ['fish_time_working_days', 'Working days in the current pay period.', state.totalWorkingDays],
+        ['fish_time_next_rest_days', 'Days until the next rest day (0 when resting today).', state.nextRestDays],
+        ['fish_time_status', 'Current status (1 for the active status).', 1, { status: state.status }]
+    ];
+    if (state.nextHoliday) metrics.push(['fish_time_next_holiday_days', 'Days until the next public holiday.', state.nextHoliday.daysUntil]);
+    if (state.payday) metrics.push(['fish_time_payday_days', 'Days until payday.', state.payday.days]);
+    const lines = [];
+    for (const [name, help, value, labels] of metrics) {
+        const labelText = labels ? `{${Object.entries(labels).map(([key, v]) => `${key}="${labelValue(v)}"`).join(',')}}` : '';
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, `${name}${labelText} ${Number(value) || 0}`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * 写入状态文件：先写同目录的临时文件再改名；文件只允许当前用户读写。
+ * @param {string} filePath
+ * @param {ReturnType<typeof buildExportState>} state
+ * @returns {Promise<void>}
+ */
+async function writeStateFile(filePath, state) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const temp = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temp, JSON.stringify(state, null, 2), { mode: 0o600 });
+    await fs.promises.rename(temp, filePath);
+}
+
+/**
+ * 工具：令牌比较（按摘要比较，耗时与内容无关）。
+ * @param {string} given
+ * @param {string} token
+ */
+function tokenMatches(given, token) {
+    const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(digest(given), digest(token));
+}
+
+/**
+ * 创建只读的状态 HTTP 服务（未开始监听，由调用方 listen 到 127.0.0.1）。
+ * @param {{ token: string, prometheus: boolean, getState: () => (ReturnType<typeof buildExportState> | null) }} options
+ *   getState 在每次请求时计算最新状态，尚未就绪时返回 null（响应 503）
+ * @returns {http.Server}
+ */
+function createStateServer(options) {
+    return http.createServer((req, res) => {
+        const send = (status, type, body, headers = {}) => {
+            res.writeHead(status, { 'Content-Type': type, 'Cache-Control': 'no-store', ...headers });
+            res.end(req.method === 'HEAD' ? undefined : body);
+        };
+        let url;
+        try {
+            url = new URL(req.url, 'http://127.0.0.1');
+        } catch {
+            send(400, 'text/plain; charset=utf-8', 'Bad Request\n');
+            return;
+        }
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            send(405, 'text/plain; charset=utf-8', 'Method Not Allowed\n', { Allow: 'GET, HEAD' });
+            return;
+        }
+        const auth = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+        const given = auth ? auth[1].trim() : url.searchParams.get('token');
+        if (!given || !tokenMatches(given, options.token)) {
+            send(401, 'text/plain; charset=utf-8', 'Unauthorized\n', { 'WWW-Authenticate': 'Bearer' });
+            return;
+        }
+        const route = url.pathname === '/' ? '/state' : url.pathname;
+        if (route !== '/state' && !(route === '/metrics' && options.prometheus)) {
+            send(404, 'text/plain; charset=utf-8', 'Not Found\n');
+            return;
+        }
+        const state = options.getState();
+        if (!state) {
+            send(503, 'text/plain; charset=utf-8', 'Not Ready\n');
+            return;
+        }
+        if (route === '/metrics') send(200, 'text/plain; version=0.0.4; charset=utf-8', toPrometheus(state));
+        else send(200, 'application/json; charset=utf-8', JSON.stringify(state));
+    });
+}
+
+module.exports = {
+    STATE_VERSION,
+    DEFAULT_EXPORT,
+    defaultStatePath,
+    resolveExportConfig,
+    dayStatus,
+    buildExportState,
+    toPrometheus,
+    writeStateFile,
+    createStateServer
+};
@@ -0,0 +1,132 @@
+// 弹性工时：不按固定的上下班时间，而是从每天"上班打卡"开始（命令，或最早上班时间之后的第一次编辑器活动），
+// 累计规定的工作时长（午休时间不计入）后下班。打卡记录按工作日保存：
+// { days: { 'YYYY-MM-DD': { clockIn, clockOut, source } } }（时间均为毫秒时间戳，source 为 'command' 或 'activity'），
+// 下班时刻在打卡时推算并一同保存，重启后继续使用。
+// 启用后，作息配置的 flexible 为 resolveFlexibleHours 的结果（未启用时为 null），工作时段由打卡记录决定。
+// 本模块不依赖 vscode，所有时间均由调用方传入。
+
+const { parseHHMMToMinutes, setDateToMinutes, normalizeSegments, resolveSegments, dayKey } = require('./schedule');
+
+/** 默认每天工作时长（小时） */
+const DEFAULT_HOURS = 8;
+/** 默认午休时长（分钟） */
+const DEFAULT_LUNCH_MINUTES = 60;
+
+/**
+ * 合并用户配置与打卡记录；未启用弹性工时时返回 null。
+ * @param {{ enabled?: boolean, earliestStart?: string, hours?: number, lunchStart?: string, lunchMinutes?: number, clockInOnActivity?: boolean }} [config]
+ * @param {Record<string, { clockIn: number, clockOut: number }>} [days] 打卡记录
+ * @returns {{ earliestStartMin: number, requiredMs: number, lunchStartMin: number, lunchMs: number, clockInOnActivity: boolean, days: Record<string, { clockIn: number, clockOut: number }> } | null}
+ */
+function resolveFlexibleHours(config = {}, days = {}) {
+    if (!config || !config.enabled) return null;
+    const hours = Number(config.hours);
+    const lunchMinutes = Number(config.lunchMinutes);
+    return {
+        earliestStartMin: parseHHMMToMinutes(config.earliestStart, 7 * 60),
+        requiredMs: (Number.isFinite(hours) && hours > 0 ? Math.min(hours, 24) : DEFAULT_HOURS) * 3600000,
+        lunchStartMin: parseHHMMToMinutes(config.lunchStart, 12 * 60),
+        lunchMs: (Number.isFinite(lunchMinutes) && lunchMinutes >= 0 ? lunchMinutes : DEFAULT_LUNCH_MINUTES) * 60000,
+        clockInOnActivity: config.clockInOnActivity !== false,
+        days: days || {}
+    };
+}
+
+/**
+ * 工具：某个工作日的午休区间（毫秒时间戳）。
+ * @param {NonNullable<ReturnType<typeof resolveFlexibleHours>>} flexible
+ * @param {Date} workDate
+ * @param {string} [timeZone]
+ */
+function lunchBreak(flexible, workDate, timeZone) {
+    const start = setDateToMinutes(workDate, flexible.lunchStartMin, timeZone).getTime();
+    return { start, end: start + flexible.lunchMs };
+}
+
+/**
+ * 按上班时刻推算下班时刻：累计 requiredMs 的工作时长，与午休重叠的部分不计入
+ * （午休前已满时长则不扣午休；在午休中上班时从午休结束起算）。
+ * @param {number} clockIn 上班时刻
+ * @param {Date} workDate 工作日
+ * @param {NonNullable<ReturnType<typeof resolveFlexibleHours>>} flexible
+ * @param {string} [timeZone]
+ * @returns {number} 下班时刻
+ */
+function planClockOut(clockIn, workDate, flexible, timeZone) {
+    const { requiredMs } = flexible;
+    const lunch = lunchBreak(flexible, workDate, timeZone);
+    if (flexible.lunchMs <= 0 || clockIn >= lunch.end) return clockIn + requiredMs;
+    if (clockIn >= lunch.start) return lunch.end + requiredMs;
+    const beforeLunch = lunch.start - clockIn;
+    return beforeLunch >= requiredMs ? clockIn + requiredMs : lunch.end + requiredMs - beforeLunch;
+}
+
+/**
+ * 生成一条打卡记录。
+ * @param {number} clockIn 上班时刻
+ * @param {Date} workDate 工作日
+ * @param {NonNullable<ReturnType<typeof resolveFlexibleHours>>} flexible
+ * @param {string} [timeZone]
+ * @param {'command' | 'activity'} source 打卡方式
+ * @returns {{ clockIn: number, clockOut: number, source: string }}
+ */
+function createClockRecord(clockIn, workDate, flexible, timeZone, source) {
+    return { clockIn, clockOut: planClockOut(clockIn, workDate, flexible, timeZone), source };
+}
+
+/**
+ * 按打卡记录得到某个工作日的工作时段：上班至下班，扣除午休。
+ * @param {{ clockIn: number, clockOut: number } | undefined} record 打卡记录（未打卡时为空）
+ * @param {Date} workDate
+ * @param {NonNullable<ReturnType<typeof resolveFlexibleHours>>} flexible
+ * @param {string} [timeZone]
+ * @returns {Array<{ start: Date, end: Date }>} 未打卡时为空数组
+ */
+function flexSegments(record, workDate, flexible, timeZone) {
+    if (!record || !(record.clockOut > record.clockIn)) return [];
+    const { clockIn, clockOut } = record;
+    const lunch = lunchBreak(flexible, workDate, timeZone);
+    const pieces = flexible.lunchMs > 0
+        ? [[clockIn, Math.min(clockOut, lunch.start)], [Math.max(clockIn, lunch.end), clockOut]]
+        : [[clockIn, clockOut]];
+    return pieces
+        .filter(([start, end]) => end > start)
+        .map(([start, end]) => ({ start: new Date(start), end: new Date(end) }));
+}
+
+/**
+ * 某个工作日的工作时段（具体时刻）：启用弹性工时时按当天的打卡记录，否则按排班。
+ * @param {object} schedule 作息配置（见 schedule.js，flexible 为 resolveFlexibleHours 的结果）
+ * @param {Date} workDate
+ * @returns {Array<{ start: Date, end: Date }>}
+ */
+function daySegments(schedule, workDate) {
+    const { flexible, timeZone } = schedule;
+    if (flexible) return flexSegments(flexible.days[dayKey(workDate)], workDate, flexible, timeZone);
+    return resolveSegments(normalizeSegments(schedule, workDate), workDate, timeZone);
+}
+
+/**
+ * 是否应按编辑器活动自动上班打卡：启用了活动打卡、当天尚未打卡，且最近一次活动在最早上班时间之后。
+ * 是否为工作日由调用方判断。
+ * @param {ReturnType<typeof resolveFlexibleHours>} flexible
+ * @param {Date} workDate
+ * @param {number} lastActivity 最近一次编辑器活动的时刻
+ * @param {Date} now
+ * @param {string} [timeZone]
+ */
+function shouldClockInOnActivity(flexible, workDate, lastActivity, now, timeZone) {
+    if (!flexible || !flexible.clockInOnActivity || flexible.days[dayKey(workDate)]) return false;
+    const earliest = setDateToMinutes(workDate, flexible.earliestStartMin, timeZone).getTime();
+    return lastActivity >= earliest && lastActivity <= now.getTime();
+}
+
+module.exports = {
+    DEFAULT_HOURS,
+    resolveFlexibleHours,
+    planClockOut,
+    createClockRecord,
+    flexSegments,
+    daySegments,
+    shouldClockInOnActivity
+};
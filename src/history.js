@@ -0,0 +1,176 @@
+// 收入历史：每天结束后将当天的收入结算为一条记录（见 engine.computeDayRecord）并持久化，
+// 此后修改配置不会改变已结算日期的数值；支持按月或按年导出 CSV / JSON，便于与工资条核对。
+// 历史格式为 { days: { 'YYYY-MM-DD': 记录 }, lastClosed: 'YYYY-MM-DD' | null }，由调用方持久化。
+// 本模块不依赖 vscode。
+
+const { parseDateKey, LEAVE_TYPES } = require('./leave');
+const { t } = require('./l10n');
+
+/** 首次使用或长时间未打开时，最多补结算到上月 1 日（更早的日期无法还原当时的配置） */
+const BACKFILL_MONTHS = 1;
+
+/**
+ * 列出需要结算的日期：上次结算日的次日（首次使用时为本月 1 日）至 workDate 前一天。
+ * @param {{ lastClosed?: string | null }} history
+ * @param {Date} workDate 当前工作日（跨零点班次时为前一天）
+ * @returns {Date[]}
+ */
+function pendingCloseDates(history, workDate) {
+    const today = new Date(workDate.getFullYear(), workDate.getMonth(), workDate.getDate());
+    const earliest = new Date(today.getFullYear(), today.getMonth() - BACKFILL_MONTHS, 1);
+    const last = parseDateKey(history && history.lastClosed);
+
+    let cursor;
+    if (!last) cursor = new Date(today.getFullYear(), today.getMonth(), 1);
+    else {
+        cursor = new Date(last);
+        cursor.setDate(cursor.getDate() + 1);
+        if (cursor < earliest) cursor = earliest;
+    }
+
+    const dates = [];
+    for (; cursor < today; cursor.setDate(cursor.getDate() + 1)) dates.push(new Date(cursor));
+    return dates;
+}
+
+/**
+ * 将结算记录写入历史（返回新对象，不修改原历史）。已存在的日期保持不变。
+ * @param {{ days?: Record<string, object>, lastClosed?: string | null }} history
+ * @param {Array<{ date: string }>} records 按日期先后排列
+ */
+function appendRecords(history, records) {
+    const days = { ...((history && history.days) || {}) };
+    let lastClosed = (history && history.lastClosed) || null;
+    for (const record of records) {
+        if (!days[record.date]) days[record.date] = record;
+        if (!lastClosed || record.date > lastClosed) lastClosed = record.date;
+    }
+    return { days, lastClosed };
+}
+
+/**
+ * 用重新结算的记录替换已结算日期的记录（返回新对象，不修改原历史），用于事后手动指定日期类型或标记、取消请假。
+ * 尚未结算的日期忽略（到时按新的配置结算），上次结算日不变。
+ * @param {{ days?: Record<string, object>, lastClosed?: string | null }} history
+ * @param {Array<{ date: string }>} records
+ */
+function replaceRecords(history, records) {
+    const days = { ...((history && history.days) || {}) };
+    for (const record of records) {
+        if (days[record.date]) days[record.date] = record;
+    }
+    return { days, lastClosed: (history && history.lastClosed) || null };
+}
+
+/**
+ * 解析导出周期："YYYY-MM"（按月）或 "YYYY"（按年）。
+ * @param {string} text
+ * @returns {string | null} 规范化后的周期，格式错误时返回 null
+ */
+function parsePeriod(text) {
+    const m = /^(\d{4})(?:-(\d{1,2}))?$/.exec(String(text || '').trim());
+    if (!m) return null;
+    if (m[2] === undefined) return m[1];
+    const month = Number(m[2]);
+    return month >= 1 && month <= 12 ? `${m[1]}-${String(month).padStart(2, '0')}` : null;
+}
+
+/**
+ * 选出某个周期内的记录（按日期排序）。
+ * @param {{ days?: Record<string, object> }} history
+ * @param {string} period parsePeriod 的结果
+ */
+function selectRecords(history, period) {
+    return Object.keys((history && history.days) || {})
+        .filter(key => key.startsWith(`${period}-`))
+        .sort()
+        .map(key => history.days[key]);
+}
+
+/**
+ * 汇总记录：天数与各项金额合计。
+ * @param {Array<object>} records
+ */
+function summarize(records) {
+    const sum = field => records.reduce((total, r) => total + (Number(r[field]) || 0), 0);
+    const hasNet = records.some(r => typeof r.net === 'number');
+    return {
+        days: records.length,
+        workdays: records.filter(r => r.kind === 'workday' && !r.leaveType).length,
+        leaveDays: records.filter(r => r.leaveType).length,
+        earned: sum('earned'),
+        overtimeHours: sum('overtimeMs') / 3600000,
+        overtimePay: sum('overtimePay'),
+        activeHours: sum('activeMs') / 3600000,
+        idleHours: sum('idleMs') / 3600000,
+        fishPay: sum('fishPay'),
+        total: sum('total'),
+        net: hasNet ? sum('net') : null
+    };
+}
+
+/** 当天类型的名称（英文原文，导出时翻译） */
+const KIND_LABELS = { workday: 'Workday', holiday: 'Public holiday', rest: 'Rest day' };
+
+/** 薪资模型的名称（英文原文，导出时翻译） */
+const MODEL_LABELS = { monthly: 'Monthly', hourly: 'Hourly', annual: 'Annual' };
+
+/**
+ * 导出为 CSV（带 BOM，便于 Excel 正确识别 UTF-8）。表头与类型按界面语言翻译；金额保留两位小数；
+ * 没有活跃度数据的日期专注/摸鱼列留空。
+ * @param {Array<object>} records selectRecords 的结果
+ * @returns {string}
+ */
+function toCSV(records) {
+    const money = n => (typeof n === 'number' ? n.toFixed(2) : '');
+    const cell = value => {
+        const text = String(value === null || value === undefined ? '' : value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const hours = ms => (typeof ms === 'number' ? (ms / 3600000).toFixed(2) : '');
+    const rows = [[
+        t('Date'), t('Type'), t('Leave'), t('Work hours'), t('Salary model'), t('Daily rate'), t('Earned'),
+        t('Overtime (hours)'), t('Overtime pay'), t('Total'), t('Net'), t('Focused (hours)'), t('Slacking (hours)'), t('Slacking pay')
+    ]];
+    for (const r of records) {
+        rows.push([
+            r.date,
+            KIND_LABELS[r.kind] ? t(KIND_LABELS[r.kind]) : r.kind,
+            r.leaveType ? (LEAVE_TYPES[r.leaveType] ? t(LEAVE_TYPES[r.leaveType].label) : r.leaveType) : '',
+            (r.segments || []).join(' '),
+            r.salary ? (MODEL_LABELS[r.salary.model] ? t(MODEL_LABELS[r.salary.model]) : r.salary.model) : '',
+            money(r.dayRate),
+            money(r.earned),
+            hours(Number(r.overtimeMs) || 0),
+            money(r.overtimePay),
+            money(r.total),
+            money(r.net),
+            hours(r.activeMs),
+            hours(r.idleMs),
+            money(r.fishPay)
+        ]);
+    }
+    return '\ufeff' + rows.map(row => row.map(cell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * 导出为 JSON：周期、汇总与逐日记录。
+ * @param {Array<object>} records selectRecords 的结果
+ * @param {string} period
+ * @param {Date} now 导出时间
+ * @returns {string}
+ */
+function toJSON(records, period, now) {
+    return JSON.stringify({ period, exportedAt: now.toISOString(), summary: summarize(records), days: records }, null, 2);
+}
+
+module.exports = {
+    pendingCloseDates,
+    appendRecords,
+    replaceRecords,
+    parsePeriod,
+    selectRecords,
+    summarize,
+    toCSV,
+    toJSON
+};
@@ -0,0 +1,235 @@
+// 节假日数据源：解析用户配置的来源（https 链接、本地 .ics 文件、工作区文件），
+// 按来源读取 ICS 文本并持久化缓存；扩展内置的节假日数据作为最后的兜底来源。
+// 本模块不依赖 vscode，工作区目录等信息由调用方传入。
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const https = require('https');
+const { fileURLToPath } = require('url');
+const { t } = require('./l10n');
+
+/**
+ * 扩展内置节假日数据（各地区的当年与次年）所在目录，文件名为 holidays-<地区>.ics；
+ * 内置数据始终作为优先级最低的来源参与合并。
+ */
+const BUNDLED_ICS_DIR = path.join(__dirname, '..', 'data');
+
+/**
+ * 将一条来源配置解析为可读取的来源描述。
+ * - https://...：远程 ICS
+ * - file:///...、绝对路径、~/...：本地文件
+ * - ${workspaceFolder}/... 或相对路径：相对于第一个工作区目录
+ * @param {string} spec 用户配置的来源字符串
+ * @param {{ workspaceFolder?: string }} [options]
+ * @returns {{ spec: string, kind: 'https' | 'file', location: string, label: string }}
+ */
+function resolveSource(spec, options = {}) {
+    const raw = String(spec || '').trim();
+    if (!raw) throw new Error(t('Holiday source must not be empty'));
+
+    if (/^https:\/\//i.test(raw)) {
+        return { spec: raw, kind: 'https', location: raw, label: new URL(raw).host };
+    }
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(raw) && !/^file:\/\//i.test(raw)) {
+        throw new Error(t('Unsupported holiday source (only https links and local files are supported): {0}', raw));
+    }
+
+    let location;
+    if (/^file:\/\//i.test(raw)) {
+        location = fileURLToPath(raw);
+    } else if (raw === '~' || raw.startsWith('~/')) {
+        location = path.join(os.homedir(), raw.slice(1));
+    } else {
+        const workspaceFolder = options.workspaceFolder;
+        const expanded = raw.replace(/\$\{workspaceFolder\}/g, () => {
+            if (!workspaceFolder) throw new Error(t('No workspace folder is open, cannot resolve holiday source: {0}', raw));
+            return workspaceFolder;
+        });
+        if (path.isAbsolute(expanded)) {
+            location = expanded;
+        } else if (workspaceFolder) {
+            location = path.join(workspaceFolder, expanded);
+        } else {
+            throw new Error(t('No workspace folder is open, cannot resolve relative path: {0}', raw));
+        }
+    }
+    return { spec: raw, kind: 'file', location, label: path.basename(location) };
+}
+
+/** 远程来源请求超时（毫秒） */
+const REQUEST_TIMEOUT_MS = 15 * 1000;
+
+/** 远程来源失败后的重试退避：首次 1 分钟，之后每次翻倍，最长 6 小时 */
+const BACKOFF_MS = {
+    base: 60 * 1000,
+    max: 6 * 60 * 60 * 1000
+};
+
+/**
+ * 发起 https GET 请求（支持条件请求头）。
+ * @param {string} url
+ * @param {Record<string, string>} [headers]
+ * @returns {Promise<{ statusCode: number, headers: object, body: string }>}
+ */
+function requestHttps(url, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const req = https.get(url, { headers }, res => {
+            let body = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => body += chunk);
+            res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body }));
+        });
+        req.setTimeout(REQUEST_TIMEOUT_MS, () => req.destroy(new Error(t('ICS request timed out'))));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * 计算第 failures 次失败后的退避时长。
+ * @param {number} failures 连续失败次数（从 1 开始）
+ */
+function backoffDelay(failures) {
+    return Math.min(BACKOFF_MS.max, BACKOFF_MS.base * 2 ** Math.max(0, failures - 1));
+}
+
+/**
+ * 创建持久化的节假日来源缓存：按来源保存最近一次成功读取的文本，重启后仍可使用。
+ * - https 来源在 ttl 内直接复用；过期后携带 ETag/Last-Modified 重新验证（304 时仅刷新时间）
+ * - 拉取失败时保留上一次成功的文本（标记为过期），并按指数退避推迟下一次重试
+ * - 本地文件按修改时间判断是否需要重新读取
+ * @param {{
+ *   ttl: number,
+ *   storage?: { get: (key: string) => any, update: (key: string, value: any) => Thenable<void> | Promise<void> },
+ *   storageKey?: string,
+ *   request?: typeof requestHttps
+ * }} options storage 通常为 ExtensionContext.globalState
+ */
+function createHolidayCache(options) {
+    const { ttl, storage, storageKey = 'fishTime.holidayCache' } = options;
+    const request = options.request || requestHttps;
+    const entries = new Map(Object.entries((storage && storage.get(storageKey)) || {})); // location -> 缓存条目
+    const inflight = new Map(); // location -> Promise，避免同一来源并发重复拉取
+
+    const emptyEntry = () => ({ text: null, fetchedAt: 0, etag: null, lastModified: null, mtimeMs: 0, error: null, failures: 0, retryAt: 0 });
+
+    async function refreshHttps(source, prev, nowMs, force) {
+        if (!force && prev.text !== null && (nowMs - prev.fetchedAt) < ttl) return prev;
+        if (!force && nowMs < prev.retryAt) return prev;
+
+        const headers = {};
+        if (prev.text !== null && prev.etag) headers['If-None-Match'] = prev.etag;
+        if (prev.text !== null && prev.lastModified) headers['If-Modified-Since'] = prev.lastModified;
+        const res = await request(source.location, headers);
+        if (res.statusCode === 304 && prev.text !== null) {
+            return { ...prev, fetchedAt: nowMs, error: null, failures: 0, retryAt: 0 };
+        }
+        if (res.statusCode !== 200) throw new Error(t('ICS request failed with status code {0}', res.statusCode));
+        return {
+            ...emptyEntry(),
+            text: res.body,
+            fetchedAt: nowMs,
+            etag: res.headers.etag || null,
+            lastModified: res.headers['last-modified'] || null
+        };
+    }
+
+    async function refreshFile(source, prev, nowMs) {
+        const stat = await fs.promises.stat(source.location);
+        if (prev.text !== null && prev.mtimeMs === stat.mtimeMs) {
+            return prev.error ? { ...prev, error: null, failures: 0, retryAt: 0 } : prev;
+        }
+        const text = await fs.promises.readFile(source.location, 'utf8');
+        return { ...emptyEntry(), text, fetchedAt: nowMs, mtimeMs: stat.mtimeMs };
+    }
+
+    async function refresh(source, nowMs, force, remote) {
+        // 不拉取远程来源时，使用存储中（其他窗口拉取并写入）的最新缓存
+        if (source.kind === 'https' && !remote && !force) {
+            const stored = storage && (storage.get(storageKey) || {})[source.location];
+            if (stored) entries.set(source.location, stored);
+            return entries.get(source.location) || emptyEntry();
+        }
+        const prev = entries.get(source.location) || emptyEntry();
+        let next;
+        try {
+            next = source.kind === 'https'
+                ? await refreshHttps(source, prev, nowMs, force)
+                : await refreshFile(source, prev, nowMs);
+        } catch (err) {
+            // 读取失败：保留上一次成功的文本（若有），记录错误并推迟下一次重试
+            const failures = prev.failures + 1;
+            next = { ...prev, error: String(err?.message || err), failures, retryAt: nowMs + backoffDelay(failures) };
+        }
+        if (next !== prev) entries.set(source.location, next);
+        return next;
+    }
+
+    function persist(sources) {
+        if (!storage) return;
+        // 仅保留当前配置中的来源，移除已删除来源的缓存
+        const data = {};
+        for (const source of sources) {
+            if (entries.has(source.location)) data[source.location] = entries.get(source.location);
+        }
+        Promise.resolve(storage.update(storageKey, data)).catch(() => { });
+    }
+
+    /**
+     * 依次读取全部来源（保持配置顺序）。
+     * @param {Array<ReturnType<typeof resolveSource>>} sources
+     * @param {number} nowMs
+     * @param {{ force?: boolean, remote?: boolean }} [loadOptions] force 为 true 时忽略有效期与退避，立即重新拉取；
+     *   remote 为 false 时不发起网络请求（多窗口时由主窗口拉取），远程来源使用存储中的缓存，且不写回存储
+     * @returns {Promise<Array<{ source: object, text: string | null, fetchedAt: number, stale: boolean, error: string | null, retryAt: number }>>}
+     */
+    async function load(sources, nowMs, loadOptions = {}) {
+        const before = sources.map(source => entries.get(source.location));
+        const results = await Promise.all(sources.map(async source => {
+            let pending = inflight.get(source.location);
+            if (!pending || loadOptions.force) {
+                pending = refresh(source, nowMs, !!loadOptions.force, loadOptions.remote !== false).finally(() => {
+                    if (inflight.get(source.location) === pending) inflight.delete(source.location);
+                });
+                inflight.set(source.location, pending);
+            }
+            const entry = await pending;
+            return {
+                source,
+                text: entry.text,
+                fetchedAt: entry.fetchedAt,
+                // 远程来源超过有效期仍未能重新验证，即视为过期（仍会继续使用）
+                stale: entry.text !== null && source.kind === 'https' && (nowMs - entry.fetchedAt) >= ttl,
+                error: entry.error,
+                retryAt: entry.retryAt
+            };
+        }));
+        const changed = sources.some((source, i) => entries.get(source.location) !== before[i]);
+        if (changed && (loadOptions.remote !== false || loadOptions.force)) persist(sources);
+        return results;
+    }
+
+    return { load };
+}
+
+/**
+ * 读取某地区的内置节假日数据（没有该地区的数据时为空）。
+ * @param {string} [region] 地区 id，见 regions.js
+ * @returns {string}
+ */
+function readBundledICS(region = 'cn') {
+    try {
+        return fs.readFileSync(path.join(BUNDLED_ICS_DIR, `holidays-${region}.ics`), 'utf8');
+    } catch {
+        return '';
+    }
+}
+
+module.exports = {
+    BUNDLED_ICS_DIR,
+    BACKOFF_MS,
+    resolveSource,
+    requestHttps,
+    createHolidayCache,
+    readBundledICS
+};
@@ -0,0 +1,435 @@
+// ICS（RFC 5545）解析：处理折行、CRLF、参数与转义，解析 VEVENT 的日期范围、RRULE/EXDATE，
+// 并按可配置的关键词把事件归类为"法定假期 / 补班工作日 / 仅供参考"三类。
+// 日期统一用"天序号"表示（自 1970-01-01 起的天数，不受本机时区影响），便于做日期运算。
+// 本模块不依赖 vscode，可直接在 Node 中测试。
+
+const { resolveTimeZone, wallClock, zonedTime } = require('./timeZone');
+
+/** 一天的毫秒数 */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** RRULE 展开的最大迭代次数，防止异常规则导致长时间循环 */
+const MAX_RRULE_ITERATIONS = 20000;
+
+/**
+ * 默认的事件分类关键词（不区分大小写，依次匹配 SUMMARY 与 CATEGORIES）：
+ * - workday：补班/调休上班，覆盖休息日
+ * - info：仅供参考的事件（如纪念日），不影响工作日计算
+ * - holiday：法定假期
+ * - unmatched：都未匹配时全天事件的归类（非全天事件一律视为 info）
+ */
+const DEFAULT_KEYWORDS = {
+    workday: ['补班', '调休上班', 'compensate', 'make-up', 'make up', 'workday'],
+    info: [],
+    holiday: ['假期', '放假', '休假', 'holiday'],
+    unmatched: 'holiday'
+};
+
+/**
+ * 天序号 -> { y, m, d }（m 为 1-12）。
+ * @param {number} dayNumber
+ */
+function fromDayNumber(dayNumber) {
+    const date = new Date(dayNumber * DAY_MS);
+    return { y: date.getUTCFullYear(), m: date.getUTCMonth() + 1, d: date.getUTCDate() };
+}
+
+/**
+ * { y, m, d } -> 天序号。
+ * @param {number} y
+ * @param {number} m 1-12
+ * @param {number} d
+ */
+function toDayNumber(y, m, d) {
+    return Math.floor(Date.UTC(y, m - 1, d) / DAY_MS);
+}
+
+/**
+ * 展开 RFC 5545 折行（CRLF/LF 后紧跟空格或制表符表示续行），返回逻辑行数组。
+ * @param {string} text
+ * @returns {string[]}
+ */
+function unfoldLines(text) {
+    return String(text || '')
+        .replace(/\r\n?/g, '\n')
+        .replace(/\n[ \t]/g, '')
+        .split('\n')
+        .filter(line => line.length > 0);
+}
+
+/**
+ * 解析一条内容行：NAME;PARAM=VALUE;...:VALUE（参数值可带引号，引号内允许出现 ':' 与 ';'）。
+ * @param {string} line
+ * @returns {{ name: string, params: Record<string, string>, value: string } | null}
+ */
+function parseContentLine(line) {
+    let inQuotes = false;
+    let colon = -1;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (ch === '"') inQuotes = !inQuotes;
+        else if (ch === ':' && !inQuotes) { colon = i; break; }
+    }
+    if (colon < 0) return null;
+
+    const head = line.slice(0, colon);
+    const parts = [];
+    let current = '';
+    inQuotes = false;
+    for (const ch of head) {
+        if (ch === '"') inQuotes = !inQuotes;
+        if (ch === ';' && !inQuotes) { parts.push(current); current = ''; } else current += ch;
+    }
+    parts.push(current);
+
+    const params = {};
+    for (const p of parts.slice(1)) {
+        const eq = p.indexOf('=');
+        if (eq < 0) continue;
+        params[p.slice(0, eq).toUpperCase()] = p.slice(eq + 1).replace(/^"(.*)"$/, '$1');
+    }
+    return { name: parts[0].toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+/**
+ * 反转义 TEXT 值：\\ \; \, \n \N。
+ * @param {string} value
+ */
+function unescapeText(value) {
+    return value.replace(/\\([\\;,nN])/g, (_, ch) => (ch === 'n' || ch === 'N') ? '\n' : ch);
+}
+
+/**
+ * 将 UTC 时间戳换算为指定时区（或本机时区）下的"本地挂钟时间"，以 UTC 毫秒表示。
+ * @param {number} ms UTC 时间戳
+ * @param {string} [timeZone] IANA 时区名，缺省为本机时区
+ */
+function toWallClockMs(ms, timeZone) {
+    // 格式化器按时区缓存（见 timeZone.wallClock），大量 UTC 事件重建日历时不必逐个创建
+    const c = wallClock(ms, timeZone);
+    return Date.UTC(c.year, c.month - 1, c.day, c.hour, c.minute, c.second);
+}
+
+/**
+ * 解析 DATE 或 DATE-TIME 值，返回"挂钟时间"（UTC 毫秒表示）与是否为全天。
+ * - VALUE=DATE 或 8 位日期：全天
+ * - 无后缀（浮动时间）：按书写的本地时间取日期
+ * - 以 Z 结尾（UTC）或带可识别的 TZID：先确定真实时刻，再换算到 options.timeZone（缺省为本机时区）；
+ *   无法识别的 TZID（如 Windows 时区名）按浮动时间处理
+ * @param {string} value
+ * @param {Record<string, string>} params
+ * @param {{ timeZone?: string }} options
+ * @returns {{ ms: number, allDay: boolean } | null}
+ */
+function parseDateValue(value, params, options) {
+    const m = String(value).trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+    if (!m) return null;
+    const [, y, mo, d, hh, mi, ss, z] = m;
+    const allDay = params.VALUE === 'DATE' || hh === undefined;
+    if (allDay) return { ms: Date.UTC(+y, +mo - 1, +d), allDay: true };
+    const ms = Date.UTC(+y, +mo - 1, +d, +hh, +mi, +ss);
+    if (z) return { ms: toWallClockMs(ms, options.timeZone), allDay: false };
+    const tzid = params.TZID ? resolveTimeZone(params.TZID) : '';
+    if (!tzid) return { ms, allDay: false };
+    const instant = zonedTime(new Date(+y, +mo - 1, +d), +hh * 60 + +mi, tzid).getTime() + +ss * 1000;
+    return { ms: toWallClockMs(instant, options.timeZone), allDay: false };
+}
+
+/**
+ * 解析 DURATION（如 P3D、P1W、PT8H、P1DT12H）为毫秒。
+ * @param {string} value
+ * @returns {number | null}
+ */
+function parseDuration(value) {
+    const m = String(value).trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+    if (!m) return null;
+    const [, sign, w, d, h, mi, s] = m;
+    const ms = ((+w || 0) * 7 * DAY_MS) + ((+d || 0) * DAY_MS) + ((+h || 0) * 3600000) + ((+mi || 0) * 60000) + ((+s || 0) * 1000);
+    return sign === '-' ? -ms : ms;
+}
+
+/** 支持的 RRULE 规则部分；含其他 BY* 部分（如 BYSETPOS、BYWEEKNO）的规则不展开，见 parseEvents */
+const SUPPORTED_BY_PARTS = ['BYDAY', 'BYMONTH', 'BYMONTHDAY'];
+
+/**
+ * 解析 RRULE（支持 FREQ、INTERVAL、COUNT、UNTIL、BYMONTH、BYMONTHDAY 与 BYDAY，BYDAY 可带序号，如 4TH、-1MO；周从周一开始）。
+ * @param {string} value
+ * @param {{ timeZone?: string }} options
+ * @returns {{
+ *   freq: string, interval: number, count: number | null, untilDay: number | null,
+ *   byDay: Array<{ weekday: number, n: number }>, byMonth: number[], byMonthDay: number[], unsupported: string[]
+ * } | null} weekday 为 0-6（周日为 0），n 为序号（0 表示不限）；unsupported 为不支持的规则部分
+ */
+function parseRRule(value, options) {
+    const rule = {};
+    for (const part of value.split(';')) {
+        const [k, v] = part.split('=');
+        if (k && v !== undefined) rule[k.toUpperCase()] = v;
+    }
+    const freq = (rule.FREQ || '').toUpperCase();
+    if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(freq)) return null;
+    const until = rule.UNTIL ? parseDateValue(rule.UNTIL, {}, options) : null;
+    const weekdays = { MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6, SU: 0 };
+    const byDay = (rule.BYDAY || '').split(',')
+        .map(s => /^([+-]?\d{1,2})?(MO|TU|WE|TH|FR|SA|SU)$/i.exec(s.trim()))
+        .filter(Boolean)
+        .map(([, n, wd]) => ({ weekday: weekdays[wd.toUpperCase()], n: n ? parseInt(n, 10) : 0 }));
+    const numbers = (text, max) => (text || '').split(',')
+        .map(s => parseInt(s, 10))
+        .filter(n => Number.isInteger(n) && n !== 0 && Math.abs(n) <= max);
+    return {
+        freq,
+        interval: Math.max(1, parseInt(rule.INTERVAL, 10) || 1),
+        count: rule.COUNT ? Math.max(0, parseInt(rule.COUNT, 10) || 0) : null,
+        untilDay: until ? Math.floor(until.ms / DAY_MS) : null,
+        byDay,
+        byMonth: numbers(rule.BYMONTH, 12).filter(n => n > 0),
+        byMonthDay: numbers(rule.BYMONTHDAY, 31),
+        unsupported: Object.keys(rule).filter(k => k.startsWith('BY') && !SUPPORTED_BY_PARTS.includes(k))
+    };
+}
+
+/**
+ * 解析 ICS 文本中的全部 VEVENT（未分类）。
+ * @param {string} icsText
+ * @param {{ timeZone?: string }} [options]
+ * @returns {Array<{
+ *   uid: string, summary: string, description: string, categories: string[],
+ *   allDay: boolean, startDay: number, spanDays: number, rrule: object | null, ignoredRule: string | null, exdates: Set<number>
+ * }>} ignoredRule 为因含不支持的部分而未展开的 RRULE 原文
+ */
+function parseEvents(icsText, options = {}) {
+    const events = [];
+    let current = null;
+
+    for (const line of unfoldLines(icsText)) {
+        const prop = parseContentLine(line);
+        if (!prop) continue;
+
+        if (prop.name === 'BEGIN' && prop.value.toUpperCase() === 'VEVENT') {
+            current = { summary: '', description: '', categories: [], exdates: [], rrule: null, ignoredRule: null };
+            continue;
+        }
+        if (!current) continue;
+
+        switch (prop.name) {
+            case 'UID': current.uid = prop.value; break;
+            case 'SUMMARY': current.summary = unescapeText(prop.value); break;
+            case 'DESCRIPTION': current.description = unescapeText(prop.value); break;
+            case 'CATEGORIES': current.categories.push(...prop.value.split(/(?<!\\),/).map(unescapeText)); break;
+            case 'DTSTART': current.start = parseDateValue(prop.value, prop.params, options); break;
+            case 'DTEND': current.end = parseDateValue(prop.value, prop.params, options); break;
+            case 'DURATION': current.duration = parseDuration(prop.value); break;
+            case 'RRULE': {
+                // 含不支持的规则部分时不展开（只保留 DTSTART 当次）并记下原规则供诊断，避免把假期展开到错误的日期
+                const rrule = parseRRule(prop.value, options);
+                if (rrule && rrule.unsupported.length) current.ignoredRule = prop.value;
+                else current.rrule = rrule;
+                break;
+            }
+            case 'EXDATE':
+                for (const v of prop.value.split(',')) {
+                    const ex = parseDateValue(v, prop.params, options);
+                    if (ex) current.exdates.push(Math.floor(ex.ms / DAY_MS));
+                }
+                break;
+            case 'END':
+                if (prop.value.toUpperCase() === 'VEVENT') {
+                    const event = finishEvent(current);
+                    if (event) events.push(event);
+                    current = null;
+                }
+                break;
+        }
+    }
+
+    return events;
+}
+
+/**
+ * 根据 DTSTART/DTEND/DURATION 计算事件起始天与覆盖天数（DTEND 为不含）。
+ * @param {object} raw 解析中的事件
+ */
+function finishEvent(raw) {
+    if (!raw.start) return null;
+    const startMs = raw.start.ms;
+    let endMs = null;
+    if (raw.end) endMs = raw.end.ms;
+    else if (raw.duration !== undefined && raw.duration !== null) endMs = startMs + raw.duration;
+
+    const startDay = Math.floor(startMs / DAY_MS);
+    let spanDays = 1;
+    if (endMs !== null && endMs > startMs) {
+        // 结束时刻恰为零点时，当天不计入（DTEND 不含）
+        const endDayExclusive = (endMs % DAY_MS === 0) ? endMs / DAY_MS : Math.floor(endMs / DAY_MS) + 1;
+        spanDays = Math.max(1, endDayExclusive - startDay);
+    }
+
+    return {
+        uid: raw.uid || '',
+        summary: raw.summary,
+        description: raw.description,
+        categories: raw.categories,
+        allDay: raw.start.allDay,
+        startDay,
+        spanDays,
+        rrule: raw.rrule,
+        ignoredRule: raw.ignoredRule,
+        exdates: new Set(raw.exdates)
+    };
+}
+
+/**
+ * 按关键词为事件分类：补班关键词优先，其次参考关键词，再次假期关键词。
+ * @param {{ summary: string, categories: string[], allDay: boolean }} event
+ * @param {typeof DEFAULT_KEYWORDS} [keywords]
+ * @returns {'holiday' | 'workday' | 'info'}
+ */
+function classifyEvent(event, keywords = DEFAULT_KEYWORDS) {
+    const text = [event.summary, ...event.categories].join(' ').toLowerCase();
+    const matches = list => (list || []).some(k => k && text.includes(String(k).toLowerCase()));
+
+    if (matches(keywords.workday)) return 'workday';
+    if (matches(keywords.info)) return 'info';
+    if (matches(keywords.holiday)) return 'holiday';
+    if (!event.allDay) return 'info';
+    return keywords.unmatched === 'info' ? 'info' : 'holiday';
+}
+
+/**
+ * 工具：天序号的星期（0-6，周日为 0）。
+ * @param {number} day
+ */
+function weekdayOf(day) {
+    return new Date(day * DAY_MS).getUTCDay();
+}
+
+/**
+ * 工具：范围（一个月或一年）内符合 BYDAY 的日期：序号为正取第 n 个，为负取倒数第 n 个，为 0 取全部。
+ * @param {number} firstDay
+ * @param {number} lastDay
+ * @param {Array<{ weekday: number, n: number }>} byDay
+ * @returns {number[]}
+ */
+function weekdaysIn(firstDay, lastDay, byDay) {
+    const days = [];
+    for (const { weekday, n } of byDay) {
+        const all = [];
+        for (let day = firstDay + ((weekday - weekdayOf(firstDay) + 7) % 7); day <= lastDay; day += 7) all.push(day);
+        const nth = all[n > 0 ? n - 1 : all.length + n];
+        if (n === 0) days.push(...all);
+        else if (nth !== undefined) days.push(nth);
+    }
+    return days;
+}
+
+/**
+ * 工具：某月中符合规则的日期：有 BYMONTHDAY 时取这些日子（负数从月末倒数，BYDAY 只作筛选），
+ * 否则有 BYDAY 时取符合的星期，都没有时取 DTSTART 的日子（当月没有这一天时跳过）。
+ * @param {number} y
+ * @param {number} m 1-12
+ * @param {ReturnType<typeof parseRRule>} rrule
+ * @param {number} startDate DTSTART 的日子（1-31）
+ * @returns {number[]}
+ */
+function daysInMonth(y, m, rrule, startDate) {
+    const first = toDayNumber(y, m, 1);
+    const last = toDayNumber(y, m + 1, 1) - 1;
+    const { byDay, byMonthDay } = rrule;
+    if (byMonthDay.length) {
+        const days = byMonthDay.map(n => (n > 0 ? first + n - 1 : last + n + 1)).filter(day => day >= first && day <= last);
+        return byDay.length ? days.filter(day => byDay.some(b => b.weekday === weekdayOf(day))) : days;
+    }
+    if (byDay.length) return weekdaysIn(first, last, byDay);
+    const day = toDayNumber(y, m, startDate);
+    // 不存在的日期（如 2 月 30 日）按 RFC 5545 忽略，且不计入 COUNT
+    return fromDayNumber(day).d === startDate ? [day] : [];
+}
+
+/**
+ * 计算事件（含 RRULE）各次发生的起始天序号，只返回覆盖 [fromDay, toDay] 范围的部分。
+ * DAILY/WEEKLY 下 BYMONTH、BYMONTHDAY（及 DAILY 的 BYDAY）只作筛选；MONTHLY 下 BYMONTH 只作筛选；
+ * YEARLY 下 BYMONTH 给出月份（默认 DTSTART 的月份，只有 BYMONTHDAY 时为每个月），只有 BYDAY 时在全年范围内取星期。
+ * @param {ReturnType<typeof parseEvents>[number]} event
+ * @param {number} fromDay
+ * @param {number} toDay
+ * @returns {number[]}
+ */
+function occurrenceStarts(event, fromDay, toDay) {
+    const { startDay, spanDays, rrule, exdates } = event;
+    const starts = [];
+    const accept = day => {
+        if (!exdates.has(day) && day + spanDays > fromDay && day <= toDay) starts.push(day);
+    };
+
+    if (!rrule) {
+        accept(startDay);
+        return starts;
+    }
+
+    const { freq, interval, count, untilDay, byDay, byMonth, byMonthDay } = rrule;
+    const beyond = day => day > toDay || (untilDay !== null && day > untilDay);
+    const start = fromDayNumber(startDay);
+    // DAILY/WEEKLY 的筛选条件
+    const matches = day => {
+        const { y, m, d } = fromDayNumber(day);
+        const monthLength = fromDayNumber(toDayNumber(y, m + 1, 1) - 1).d;
+        return (!byMonth.length || byMonth.includes(m))
+            && (!byMonthDay.length || byMonthDay.some(n => (n > 0 ? n : monthLength + n + 1) === d))
+            && (freq !== 'DAILY' || !byDay.length || byDay.some(b => b.weekday === weekdayOf(day)));
+    };
+    let produced = 0;
+
+    for (let k = 0; k < MAX_RRULE_ITERATIONS; k++) {
+        let candidates;
+        if (freq === 'DAILY') {
+            const day = startDay + k * interval;
+            // 筛选条件可能使候选为空，需在此判断是否已超出范围
+            if (beyond(day)) break;
+            candidates = [day].filter(matches);
+        } else if (freq === 'WEEKLY') {
+            // 有 BYDAY 时按 DTSTART 所在周（周一开始，WKST=MO）每隔 interval 周取这些星期，早于 DTSTART 的日期在下方跳过
+            const monday = startDay - ((weekdayOf(startDay) + 6) % 7) + k * interval * 7;
+            if (beyond(monday)) break;
+            candidates = (byDay.length
+                ? byDay.map(b => monday + ((b.weekday + 6) % 7))
+                : [startDay + k * interval * 7]).filter(matches);
+        } else if (freq === 'MONTHLY') {
+            const y = start.y + Math.floor((start.m - 1 + k * interval) / 12);
+            const m = ((start.m - 1 + k * interval) % 12) + 1;
+            if (toDayNumber(y, m, 1) > toDay) break;
+            candidates = !byMonth.length || byMonth.includes(m) ? daysInMonth(y, m, rrule, start.d) : [];
+        } else {
+            const y = start.y + k * interval;
+            if (toDayNumber(y, 1, 1) > toDay) break;
+            if (byDay.length && !byMonth.length && !byMonthDay.length) {
+                candidates = weekdaysIn(toDayNumber(y, 1, 1), toDayNumber(y + 1, 1, 1) - 1, byDay);
+            } else {
+                const months = byMonth.length ? byMonth : byMonthDay.length ? [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12] : [start.m];
+                candidates = months.flatMap(m => daysInMonth(y, m, rrule, start.d));
+            }
+        }
+
+        for (const day of [...new Set(candidates)].sort((a, b) => a - b)) {
+            if (day < startDay) continue;
+            if (beyond(day) || (count !== null && produced >= count)) return starts;
+            produced++;
+            accept(day);
+        }
+    }
+    return starts;
+}
+
+module.exports = {
+    DAY_MS,
+    DEFAULT_KEYWORDS,
+    toDayNumber,
+    fromDayNumber,
+    unfoldLines,
+    parseContentLine,
+    unescapeText,
+    parseDuration,
+    parseEvents,
+    classifyEvent,
+    occurrenceStarts
+};
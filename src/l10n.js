@@ -0,0 +1,107 @@
+// 本地化：界面文字以英文为源语言，通过 VS Code 的 l10n 机制翻译（见 l10n/bundle.l10n.*.json 与 package.nls.*.json）。
+// 扩展激活时注入 vscode.l10n.t；未注入时（测试、命令行）按英文原文格式化。
+// 金额、百分比与日期按"语言区域"与"货币"设置格式化。本模块不依赖 vscode。
+
+/** 默认货币 */
+const DEFAULT_CURRENCY = 'CNY';
+
+/** 未设置语言区域且无法取得 VS Code 界面语言时使用的语言区域 */
+const DEFAULT_LOCALE = 'zh-CN';
+
+let translate = null;
+
+/**
+ * 设置翻译函数（通常为 vscode.l10n.t）。传入 null 恢复为原文。
+ * @param {((message: string, ...args: Array<string | number>) => string) | null} fn
+ */
+function setTranslator(fn) {
+    translate = fn;
+}
+
+/**
+ * 翻译并格式化文字：{0}、{1}… 依次替换为参数。
+ * @param {string} message 英文原文
+ * @param {...(string | number)} args
+ * @returns {string}
+ */
+function t(message, ...args) {
+    if (translate) return translate(message, ...args);
+    return message.replace(/\{(\d+)\}/g, (match, i) => (args[i] === undefined ? match : String(args[i])));
+}
+
+/**
+ * 工具：校验语言区域，非法时返回 null。
+ * @param {string} locale
+ */
+function validLocale(locale) {
+    try {
+        return Intl.getCanonicalLocales(locale)[0] || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * 合并语言区域与货币设置：语言区域为空时跟随 VS Code 界面语言，货币为 ISO 4217 代码。
+ * @param {{ locale?: string, currency?: string }} [config]
+ * @param {string} [displayLanguage] VS Code 界面语言（vscode.env.language）
+ * @returns {{ locale: string, currency: string }}
+ */
+function resolveLocale(config = {}, displayLanguage) {
+    const locale = (config.locale && validLocale(config.locale))
+        || (displayLanguage && validLocale(displayLanguage))
+        || DEFAULT_LOCALE;
+    let currency = String(config.currency || '').trim().toUpperCase();
+    try {
+        new Intl.NumberFormat(locale, { style: 'currency', currency });
+    } catch {
+        currency = DEFAULT_CURRENCY;
+    }
+    return { locale, currency };
+}
+
+/**
+ * 创建格式化工具。
+ * @param {{ locale?: string, currency?: string }} [config] resolveLocale 的参数
+ * @param {string} [displayLanguage]
+ * @returns {{
+ *   locale: string,
+ *   currency: string,
+ *   money: (amount: number) => string,
+ *   number: (value: number, digits?: number) => string,
+ *   percent: (ratio: number) => string,
+ *   monthDay: (date: Date) => string,
+ *   weekday: (date: Date) => string,
+ *   yearMonth: (date: Date) => string
+ * }} money 为带货币符号的金额；percent 为保留两位小数的百分比；monthDay 为"月日"；weekday 为星期简称；yearMonth 为"年月"
+ */
+function createFormatter(config, displayLanguage) {
+    const { locale, currency } = resolveLocale(config, displayLanguage);
+    // 金额的小数位数由货币决定（如人民币 2 位、日元 0 位）
+    const moneyFormat = new Intl.NumberFormat(locale, { style: 'currency', currency, currencyDisplay: 'narrowSymbol' });
+    const percentFormat = new Intl.NumberFormat(locale, { style: 'percent', minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    const monthDayFormat = new Intl.DateTimeFormat(locale, { month: 'short', day: 'numeric' });
+    const weekdayFormat = new Intl.DateTimeFormat(locale, { weekday: 'short' });
+    const yearMonthFormat = new Intl.DateTimeFormat(locale, { year: 'numeric', month: 'long' });
+    const listFormat = new Intl.ListFormat(locale, { type: 'conjunction' });
+    return {
+        locale,
+        currency,
+        money: amount => moneyFormat.format(amount),
+        number: (value, digits = 0) => new Intl.NumberFormat(locale, { minimumFractionDigits: digits, maximumFractionDigits: digits }).format(value),
+        percent: ratio => percentFormat.format(ratio),
+        monthDay: date => monthDayFormat.format(date),
+        weekday: date => weekdayFormat.format(date),
+        yearMonth: date => yearMonthFormat.format(date),
+        list: items => listFormat.format(items.map(String))
+    };
+}
+
+module.exports = {
+    DEFAULT_CURRENCY,
+    DEFAULT_LOCALE,
+    setTranslator,
+    t,
+    resolveLocale,
+    createFormatter
+};
@@ -0,0 +1,49 @@
+// 多窗口协作：每个 VS Code 窗口定期把心跳写入全局存储（扩展的 globalState，各窗口共享），
+// 存活窗口中最早打开的一个为主窗口，负责拉取远程节假日日历、结算每日收入记录、累计专注/摸鱼与发出提醒；
+// 其他窗口读取主窗口写入的共享状态。主窗口关闭（或心跳超时）后，剩下的窗口中最早打开的一个自动接替。
+// 本模块不依赖 vscode，心跳的读写由调用方完成。
+
+/** 心跳写入间隔 */
+const HEARTBEAT_MS = 5 * 1000;
+
+/** 超过该时长没有心跳的窗口视为已关闭（需大于后台降频时的刷新间隔与心跳间隔之和） */
+const WINDOW_TTL_MS = 30 * 1000;
+
+/**
+ * 筛选仍存活的窗口，按打开时间排序（相同时按 id）。
+ * @param {Array<{ id: string, since: number, heartbeat: number, lastActivityAt?: number }>} windows 各窗口的心跳记录
+ * @param {number} nowMs
+ */
+function liveWindows(windows, nowMs) {
+    return windows
+        .filter(w => w && typeof w.id === 'string' && Number.isFinite(w.heartbeat) && nowMs - w.heartbeat < WINDOW_TTL_MS)
+        .sort((a, b) => (a.since - b.since) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+}
+
+/**
+ * 选出主窗口：存活窗口中最早打开的一个。新打开的窗口不会抢占已有的主窗口。
+ * @param {Parameters<typeof liveWindows>[0]} windows
+ * @param {number} nowMs
+ * @returns {string | null} 主窗口 id；没有存活窗口时为 null
+ */
+function electLeader(windows, nowMs) {
+    const live = liveWindows(windows, nowMs);
+    return live.length ? live[0].id : null;
+}
+
+/**
+ * 所有存活窗口中最近一次编辑器活动的时间（主窗口据此统计专注/摸鱼，任一窗口有活动即视为专注）。
+ * @param {Parameters<typeof liveWindows>[0]} windows
+ * @param {number} nowMs
+ */
+function latestActivity(windows, nowMs) {
+    return liveWindows(windows, nowMs).reduce((latest, w) => Math.max(latest, Number(w.lastActivityAt) || 0), 0);
+}
+
+module.exports = {
+    HEARTBEAT_MS,
+    WINDOW_TTL_MS,
+    liveWindows,
+    electLeader,
+    latestActivity
+};
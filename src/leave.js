@@ -0,0 +1,95 @@
+// 个人请假：按日期记录请假类型（年假/病假/事假/无薪假），每种类型有各自的计薪比例。
+// 请假记录格式为 { days: { 'YYYY-MM-DD': 'annual' | 'sick' | 'personal' | 'unpaid' } }，由调用方持久化。
+// 本模块不依赖 vscode。
+
+const { dayKey } = require('./schedule');
+
+/** 请假类型与默认计薪比例（病假比例可配置）；label 为英文原文，显示时经 l10n.t 翻译 */
+const LEAVE_TYPES = {
+    annual: { label: 'Annual leave', ratio: 1 },
+    sick: { label: 'Sick leave', ratio: 0.8 },
+    personal: { label: 'Personal leave', ratio: 0 },
+    unpaid: { label: 'Unpaid leave', ratio: 0 }
+};
+
+/** 一次最多标记的天数，避免误输入跨度过大的范围 */
+const MAX_RANGE_DAYS = 366;
+
+/**
+ * 合并用户配置：病假计薪比例与每年年假天数。
+ * @param {{ annualDays?: number, sickPayRatio?: number }} [config]
+ * @returns {{ annualDays: number, ratios: Record<string, number> }}
+ */
+function resolveLeavePolicy(config = {}) {
+    const ratios = {};
+    for (const [type, info] of Object.entries(LEAVE_TYPES)) ratios[type] = info.ratio;
+    const sick = Number(config.sickPayRatio);
+    if (Number.isFinite(sick) && sick >= 0 && sick <= 1) ratios.sick = sick;
+    const annualDays = Number(config.annualDays);
+    return { annualDays: Number.isFinite(annualDays) && annualDays >= 0 ? annualDays : 5, ratios };
+}
+
+/**
+ * 查询某天的请假类型。
+ * @param {{ days?: Record<string, string> } | null | undefined} leave
+ * @param {Date} date
+ * @returns {string | null}
+ */
+function leaveTypeOn(leave, date) {
+    const type = leave && leave.days ? leave.days[dayKey(date)] : undefined;
+    return type && LEAVE_TYPES[type] ? type : null;
+}
+
+/**
+ * 解析 YYYY-MM-DD 为本地日期。
+ * @param {string} text
+ * @returns {Date | null}
+ */
+function parseDateKey(text) {
+    const m = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(String(text || '').trim());
+    if (!m) return null;
+    const date = new Date(+m[1], +m[2] - 1, +m[3]);
+    return date.getMonth() === +m[2] - 1 && date.getDate() === +m[3] ? date : null;
+}
+
+/**
+ * 解析日期或日期范围："2026-10-20"、"2026-10-20~2026-10-22"（也可用"至"或空格分隔）。
+ * @param {string} text
+ * @returns {Date[] | null} 范围内的每一天（含首尾）；格式错误、结束早于开始或跨度过大时返回 null
+ */
+function parseDateRange(text) {
+    const parts = String(text || '').trim().split(/\s*(?:~|～|至|到|\s)\s*/).filter(Boolean);
+    if (parts.length < 1 || parts.length > 2) return null;
+    const start = parseDateKey(parts[0]);
+    const end = parts.length === 2 ? parseDateKey(parts[1]) : start;
+    if (!start || !end || end < start) return null;
+
+    const dates = [];
+    for (const cursor = new Date(start); cursor <= end; cursor.setDate(cursor.getDate() + 1)) {
+        if (dates.length >= MAX_RANGE_DAYS) return null;
+        dates.push(new Date(cursor));
+    }
+    return dates;
+}
+
+/**
+ * 统计某年已标记的某类请假天数（默认年假）。
+ * @param {{ days?: Record<string, string> }} leave
+ * @param {number} year
+ * @param {string} [type]
+ */
+function countLeave(leave, year, type = 'annual') {
+    const prefix = `${year}-`;
+    return Object.entries((leave && leave.days) || {})
+        .filter(([key, value]) => key.startsWith(prefix) && value === type)
+        .length;
+}
+
+module.exports = {
+    LEAVE_TYPES,
+    resolveLeavePolicy,
+    leaveTypeOn,
+    parseDateKey,
+    parseDateRange,
+    countLeave
+};
@@ -0,0 +1,226 @@
+// 月历视图："打开日历"webview 的数据与页面：按月列出每一天的类型（工作日/补班/休息日/法定节假日/请假）、
+// 判定依据（手动指定、节假日日历中的事件、轮换规则或固定休息日）与当天收入，便于核对本月统计来自哪些日子。
+// 收入：已结算的日期取历史记录，今天为实时进度，其余日期按当前配置估算。
+// 本模块不依赖 vscode：buildMonthView 计算数据，renderMonthHtml 生成页面（文字均已转义）。
+
+const { explainDay, humanDayOfWeek, dayKey } = require('./schedule');
+const { computeSnapshot, computeDayRecord } = require('./engine');
+const { LEAVE_TYPES, leaveTypeOn } = require('./leave');
+const { t } = require('./l10n');
+
+/** 各类型的显示名称（英文原文，显示时经 l10n 翻译） */
+const DAY_TYPES = {
+    workday: { label: 'Workday' },
+    makeup: { label: 'Make-up workday' },
+    rest: { label: 'Rest day' },
+    holiday: { label: 'Public holiday' },
+    leave: { label: 'Leave' }
+};
+
+/**
+ * 判定依据的说明文字。
+ * @param {ReturnType<typeof explainDay>} explained
+ * @param {string} label 节假日日历中当天的事件名称
+ */
+function describeReason({ kind, reason }, label) {
+    switch (reason) {
+        case 'override':
+            return t('Set manually as {0}', t(DAY_TYPES[kind].label));
+        case 'makeup':
+            return label ? t('Make-up workday in the holiday calendar: {0}', label) : t('Make-up workday in the holiday calendar');
+        case 'holiday':
+            return label ? t('Public holiday in the holiday calendar: {0}', label) : t('Public holiday in the holiday calendar');
+        case 'rotation':
+            return kind === 'rest' ? t('Rest day by the rest rotation rule') : t('Workday by the rest rotation rule');
+        case 'restDay':
+            return t('Weekly rest day');
+        default:
+            return t('Regular workday');
+    }
+}
+
+/**
+ * 计算某月的月历数据。
+ * @param {Parameters<typeof computeSnapshot>[0]} input 同 computeSnapshot（作息中的 overrides 为手动指定的日期类型）
+ * @param {number} year
+ * @param {number} month 1-12
+ * @param {Date} now 当前时间（确定"今天"与实时收入）
+ * @returns {{
+ *   year: number, month: number, firstWeekday: number,
+ *   days: Array<{ key: string, day: number, weekday: number, type: keyof typeof DAY_TYPES, kind: string, override: boolean,
+ *     leaveType: string | null, label: string, reasons: string[], earned: number, status: 'settled' | 'today' | 'estimated' | 'projected' }>,
+ *   totals: { workdays: number, holidays: number, rest: number, leave: number, earned: number }
+ * }} firstWeekday 为 1 日的星期（1-7，周日为 7）；status 表示收入来自历史记录、实时计算，或按当前配置估算（今天之前/之后）
+ */
+function buildMonthView(input, year, month, now) {
+    const { schedule, calendar } = input;
+    const snapshot = computeSnapshot(input, now);
+    const todayKey = dayKey(snapshot.workDate);
+    const history = (input.history && input.history.days) || {};
+    const labels = (calendar.getLabels && calendar.getLabels(year, month)) || {};
+    const totals = { workdays: 0, holidays: 0, rest: 0, leave: 0, earned: 0 };
+
+    const days = [];
+    const count = new Date(year, month, 0).getDate();
+    for (let d = 1; d <= count; d++) {
+        const date = new Date(year, month - 1, d);
+        const key = dayKey(date);
+        const explained = explainDay(date, schedule, calendar);
+        const leaveType = explained.kind === 'workday' ? leaveTypeOn(input.leave, date) : null;
+        const label = labels[d] || '';
+
+        const reasons = [describeReason(explained, label)];
+        // 事件未决定类型时（如纪念日、被手动指定覆盖）仍列出，便于发现日历数据的问题
+        if (label && explained.reason !== 'makeup' && explained.reason !== 'holiday') reasons.push(t('Holiday calendar: {0}', label));
+        if (leaveType) reasons.push(t('On leave: {0}', t(LEAVE_TYPES[leaveType].label)));
+
+        let type = explained.kind;
+        if (leaveType) type = 'leave';
+        else if (explained.reason === 'makeup') type = 'makeup';
+
+        let earned;
+        let status;
+        if (key === todayKey) {
+            earned = snapshot.earned + snapshot.overtime.todayPay;
+            status = 'today';
+        } else if (history[key]) {
+            earned = Number(history[key].total) || 0;
+            status = 'settled';
+        } else {
+            earned = computeDayRecord(input, date).total;
+            status = key < todayKey ? 'estimated' : 'projected';
+        }
+
+        if (leaveType) totals.leave++;
+        else if (explained.kind === 'workday') totals.workdays++;
+        else if (explained.kind === 'holiday') totals.holidays++;
+        else totals.rest++;
+        totals.earned += earned;
+
+        days.push({
+            key, day: d, weekday: humanDayOfWeek(date), type, kind: explained.kind, override: explained.reason === 'override',
+            leaveType, label, reasons, earned, status
+        });
+    }
+    return { year, month, firstWeekday: humanDayOfWeek(new Date(year, month - 1, 1)), days, totals };
+}
+
+/**
+ * 工具：转义 HTML 文本。
+ * @param {unknown} text
+ */
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' })[ch]);
+}
+
+/**
+ * 工具：收入来源的说明文字。
+ * @param {'settled' | 'today' | 'estimated' | 'projected'} status
+ */
+function describeStatus(status) {
+    switch (status) {
+        case 'settled': return t('Settled');
+        case 'today': return t('Today (live)');
+        case 'estimated': return t('Estimated, not settled');
+        default: return t('Projected');
+    }
+}
+
+/**
+ * 生成月历页面：月份切换、按周排列的日期格子（点击可手动指定类型）、本月合计与每天的判定依据。
+ * @param {ReturnType<typeof buildMonthView>} view
+ * @param {{ title: string, weekdayNames: string[], money: (amount: number) => string, nonce: string, cspSource: string }} options
+ *   weekdayNames 为周一至周日的名称；nonce 与 cspSource 用于 webview 的内容安全策略
+ * @returns {string}
+ */
+function renderMonthHtml(view, options) {
+    const { title, weekdayNames, money, nonce, cspSource } = options;
+    const cells = [];
+    for (let i = 1; i < view.firstWeekday; i++) cells.push('<td class="empty"></td>');
+    for (const day of view.days) {
+        const classes = ['day', day.type, day.status === 'today' ? 'today' : '', day.override ? 'override' : ''].filter(Boolean).join(' ');
+        const tip = [t(DAY_TYPES[day.type].label), ...day.reasons].join('\n');
+        cells.push(`<td><button class="${classes}" data-command="override" data-date="${day.key}" title="${escapeHtml(tip)}">`
+            + `<span class="num">${day.day}${day.override ? ' ✎' : ''}</span>`
+            + `<span class="type">${escapeHtml(t(DAY_TYPES[day.type].label))}</span>`
+            + `<span class="amount ${day.status}">${escapeHtml(money(day.earned))}</span>`
+            + '</button></td>');
+    }
+    while (cells.length % 7) cells.push('<td class="empty"></td>');
+    const rows = [];
+    for (let i = 0; i < cells.length; i += 7) rows.push(`<tr>${cells.slice(i, i + 7).join('')}</tr>`);
+
+    const details = view.days.map(day => `<tr class="${day.type}"><td>${day.key}</td><td>${escapeHtml(t(DAY_TYPES[day.type].label))}</td>`
+        + `<td class="num">${escapeHtml(money(day.earned))}</td><td>${escapeHtml(describeStatus(day.status))}</td>`
+        + `<td>${day.reasons.map(escapeHtml).join('<br>')}</td></tr>`).join('');
+    const { totals } = view;
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${cspSource} 'unsafe-inline'; script-src 'nonce-${nonce}';">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: var(--vscode-font-family); color: var(--vscode-foreground); padding: 0 16px 16px; }
+header { display: flex; align-items: center; gap: 8px; }
+header h1 { font-size: 1.4em; margin: 12px 8px 12px 0; }
+button { font: inherit; color: inherit; cursor: pointer; }
+header button { background: var(--vscode-button-secondaryBackground); color: var(--vscode-button-secondaryForeground); border: none; padding: 4px 10px; }
+table { border-collapse: collapse; }
+.grid { width: 100%; table-layout: fixed; }
+.grid th { font-weight: normal; opacity: 0.8; padding: 4px; }
+.grid td { padding: 2px; }
+.day { width: 100%; min-height: 64px; display: flex; flex-direction: column; align-items: flex-start; padding: 6px; border: 1px solid var(--vscode-panel-border); background: var(--vscode-editor-background); text-align: left; }
+.day:hover { border-color: var(--vscode-focusBorder); }
+.day .num { font-weight: bold; }
+.day .type, .day .amount { font-size: 0.85em; }
+.day .amount.projected, .day .amount.estimated { opacity: 0.65; font-style: italic; }
+.day.rest { background: var(--vscode-editorWidget-background); }
+.day.holiday { border-left: 4px solid var(--vscode-charts-red); }
+.day.makeup { border-left: 4px solid var(--vscode-charts-orange); }
+.day.leave { border-left: 4px solid var(--vscode-charts-blue); }
+.day.workday { border-left: 4px solid var(--vscode-charts-green); }
+.day.today { outline: 2px solid var(--vscode-focusBorder); }
+.summary { margin: 12px 0; }
+.details { margin-top: 8px; width: 100%; }
+.details th, .details td { text-align: left; padding: 3px 8px; border-bottom: 1px solid var(--vscode-panel-border); vertical-align: top; }
+.details td.num { text-align: right; white-space: nowrap; }
+.hint { opacity: 0.7; }
+</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(title)}</h1>
+<button data-command="previous">${escapeHtml(t('Previous month'))}</button>
+<button data-command="today">${escapeHtml(t('This month'))}</button>
+<button data-command="next">${escapeHtml(t('Next month'))}</button>
+</header>
+<table class="grid">
+<thead><tr>${weekdayNames.map(name => `<th>${escapeHtml(name)}</th>`).join('')}</tr></thead>
+<tbody>${rows.join('\n')}</tbody>
+</table>
+<p class="summary">${escapeHtml(t('{0} workday(s), {1} public holiday(s), {2} rest day(s), {3} leave day(s); earnings {4}', totals.workdays, totals.holidays, totals.rest, totals.leave, money(totals.earned)))}</p>
+<p class="hint">${escapeHtml(t('Click a day to set its type manually. Italic amounts are estimated with the current settings.'))}</p>
+<table class="details">
+<thead><tr><th>${escapeHtml(t('Date'))}</th><th>${escapeHtml(t('Type'))}</th><th>${escapeHtml(t('Earnings'))}</th><th>${escapeHtml(t('Source'))}</th><th>${escapeHtml(t('Why'))}</th></tr></thead>
+<tbody>${details}</tbody>
+</table>
+<script nonce="${nonce}">
+const vscode = acquireVsCodeApi();
+document.addEventListener('click', event => {
+    const target = event.target.closest('[data-command]');
+    if (target) vscode.postMessage({ command: target.dataset.command, date: target.dataset.date });
+});
+</script>
+</body>
+</html>`;
+}
+
+module.exports = {
+    DAY_TYPES,
+    describeReason,
+    buildMonthView,
+    renderMonthHtml
+};
@@ -0,0 +1,124 @@
+// 税后工资：按五险一金个人缴费比例（缴费基数有上下限）与个人所得税累计预扣法计算每月扣除。
+// 每月的社保公积金与个税按当月税前工资的比例分摊到每一天，实时金额按同一比例折算为税后。
+// 本模块不依赖 vscode。
+
+/** 每月基本减除费用（元） */
+const MONTHLY_STANDARD_DEDUCTION = 5000;
+
+/** 综合所得预扣率表（累计预扣预缴应纳税所得额上限、税率、速算扣除数） */
+const IIT_BRACKETS = [
+    { upTo: 36000, rate: 0.03, quick: 0 },
+    { upTo: 144000, rate: 0.10, quick: 2520 },
+    { upTo: 300000, rate: 0.20, quick: 16920 },
+    { upTo: 420000, rate: 0.25, quick: 31920 },
+    { upTo: 660000, rate: 0.30, quick: 52920 },
+    { upTo: 960000, rate: 0.35, quick: 85920 },
+    { upTo: Infinity, rate: 0.45, quick: 181920 }
+];
+
+/** 税后工资默认配置：缴费基数为 0 表示按税前月工资，上限为 0 表示不设上限 */
+const DEFAULT_NET_PAY = {
+    enabled: false,
+    socialInsuranceBase: 0,
+    socialInsuranceBaseMin: 0,
+    socialInsuranceBaseMax: 0,
+    housingFundBase: 0,
+    housingFundBaseMin: 0,
+    housingFundBaseMax: 0,
+    pensionRate: 0.08,
+    medicalRate: 0.02,
+    unemploymentRate: 0.005,
+    housingFundRate: 0.12,
+    specialDeductions: 0,   // 每月专项附加扣除合计
+    startMonth: 1           // 本年度开始领薪的月份（年中入职时用于累计预扣）
+};
+
+/**
+ * 合并用户配置与默认值（非法值使用默认）。
+ * @param {Partial<typeof DEFAULT_NET_PAY>} [config]
+ * @returns {typeof DEFAULT_NET_PAY}
+ */
+function resolveNetPay(config = {}) {
+    const result = { ...DEFAULT_NET_PAY, enabled: config.enabled === true };
+    for (const key of Object.keys(DEFAULT_NET_PAY)) {
+        if (key === 'enabled') continue;
+        const value = Number(config[key]);
+        if (Number.isFinite(value) && value >= 0) result[key] = value;
+    }
+    result.startMonth = Math.min(12, Math.max(1, Math.floor(result.startMonth)));
+    return result;
+}
+
+/**
+ * 工具：按上下限确定缴费基数。
+ * @param {number} base 配置的基数，0 表示按税前月工资
+ * @param {number} gross 税前月工资
+ * @param {number} min 下限，0 表示不设下限
+ * @param {number} max 上限，0 表示不设上限
+ */
+function clampBase(base, gross, min, max) {
+    let value = base > 0 ? base : gross;
+    if (min > 0) value = Math.max(value, min);
+    if (max > 0) value = Math.min(value, max);
+    return value;
+}
+
+/**
+ * 计算每月五险一金个人缴费（养老、医疗、失业保险与住房公积金）。
+ * @param {number} monthlyGross 正常月份的税前工资（作为默认缴费基数）
+ * @param {ReturnType<typeof resolveNetPay>} config
+ */
+function calcContributions(monthlyGross, config) {
+    const insuranceBase = clampBase(config.socialInsuranceBase, monthlyGross, config.socialInsuranceBaseMin, config.socialInsuranceBaseMax);
+    const housingBase = clampBase(config.housingFundBase, monthlyGross, config.housingFundBaseMin, config.housingFundBaseMax);
+    const pension = insuranceBase * config.pensionRate;
+    const medical = insuranceBase * config.medicalRate;
+    const unemployment = insuranceBase * config.unemploymentRate;
+    const housingFund = housingBase * config.housingFundRate;
+    return { pension, medical, unemployment, housingFund, total: pension + medical + unemployment + housingFund };
+}
+
+/**
+ * 按预扣率表计算累计应预扣税额。
+ * @param {number} taxable 累计预扣预缴应纳税所得额
+ */
+function calcCumulativeTax(taxable) {
+    if (taxable <= 0) return 0;
+    const bracket = IIT_BRACKETS.find(b => taxable <= b.upTo);
+    return taxable * bracket.rate - bracket.quick;
+}
+
+/**
+ * 计算某月的税后工资（累计预扣法）。
+ * 本年度此前各月（自 startMonth 起）按 regularGross 估算，本月按 monthGross 计算。
+ * @param {{ month: number, monthGross: number, regularGross: number }} params
+ *   month 为 1-12；monthGross 为本月税前工资（含加班）；regularGross 为正常月份的税前工资
+ * @param {Partial<typeof DEFAULT_NET_PAY>} config
+ * @returns {{ gross: number, contributions: ReturnType<typeof calcContributions>, tax: number, net: number, ratio: number }}
+ *   ratio 为税后/税前比例，用于将实时金额折算为税后
+ */
+function calcMonthlyNet(params, config) {
+    const c = resolveNetPay(config);
+    const { month, monthGross, regularGross } = params;
+    const deduction = MONTHLY_STANDARD_DEDUCTION + c.specialDeductions;
+
+    // 缴费基数按正常月份的税前工资确定，不随当月加班变化
+    const contributions = calcContributions(regularGross, c);
+    const priorMonths = Math.max(0, month - c.startMonth);
+    const priorTaxable = priorMonths * (regularGross - contributions.total - deduction);
+    const taxable = priorTaxable + (monthGross - contributions.total - deduction);
+
+    const tax = Math.max(0, calcCumulativeTax(taxable) - calcCumulativeTax(priorTaxable));
+    const net = monthGross - contributions.total - tax;
+    return { gross: monthGross, contributions, tax, net, ratio: monthGross > 0 ? Math.max(0, net) / monthGross : 0 };
+}
+
+module.exports = {
+    MONTHLY_STANDARD_DEDUCTION,
+    IIT_BRACKETS,
+    DEFAULT_NET_PAY,
+    resolveNetPay,
+    calcContributions,
+    calcCumulativeTax,
+    calcMonthlyNet
+};
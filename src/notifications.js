@@ -0,0 +1,156 @@
+// 作息提醒：午休前、下班前、下班时（附今日收入）、节假日前一天，以及今日收入达到自定义金额时发出通知。
+// 每个提醒以"日期:类型"为 id，已发出、稍后提醒与今天不再提醒的记录保存在提醒状态中：
+// { day: 'YYYY-MM-DD', fired: { id: 窗口 id }, snoozed: { id: 时间戳 }, muted: [类型] }，由调用方持久化（多窗口共享）。
+// 本模块不依赖 vscode，提醒文案由调用方生成。
+
+const { classifyDay, dayKey, setDateToMinutes } = require('./schedule');
+
+/** 提醒默认配置：提前分钟数为 0 表示不提醒 */
+const DEFAULT_NOTIFICATIONS = {
+    enabled: false,
+    beforeLunchMinutes: 10,
+    beforeClockOutMinutes: 10,
+    clockOutSummary: true,
+    holidayEve: true,
+    milestones: [],
+    snoozeMinutes: 10
+};
+
+/** 下班总结在下班后多久内仍会补发（例如下班时电脑未打开 VS Code） */
+const CLOCK_OUT_GRACE_MS = 2 * 60 * 60 * 1000;
+
+/**
+ * 合并用户配置与默认值（非法值使用默认）。
+ * @param {Partial<typeof DEFAULT_NOTIFICATIONS>} [config]
+ * @returns {typeof DEFAULT_NOTIFICATIONS}
+ */
+function resolveNotificationConfig(config = {}) {
+    const minutes = (value, fallback) => {
+        const n = Number(value);
+        return Number.isFinite(n) && n >= 0 ? n : fallback;
+    };
+    const milestones = Array.isArray(config.milestones)
+        ? [...new Set(config.milestones.map(Number).filter(n => Number.isFinite(n) && n > 0))].sort((a, b) => a - b)
+        : [];
+    return {
+        enabled: config.enabled === true,
+        beforeLunchMinutes: minutes(config.beforeLunchMinutes, DEFAULT_NOTIFICATIONS.beforeLunchMinutes),
+        beforeClockOutMinutes: minutes(config.beforeClockOutMinutes, DEFAULT_NOTIFICATIONS.beforeClockOutMinutes),
+        clockOutSummary: config.clockOutSummary !== false,
+        holidayEve: config.holidayEve !== false,
+        milestones,
+        snoozeMinutes: Math.max(1, minutes(config.snoozeMinutes, DEFAULT_NOTIFICATIONS.snoozeMinutes))
+    };
+}
+
+/**
+ * 读取当天的提醒状态；日期变化时重置。
+ * @param {{ day?: string, fired?: object, snoozed?: object, muted?: string[] } | null | undefined} state
+ * @param {string} day 当前工作日 YYYY-MM-DD
+ */
+function stateForDay(state, day) {
+    if (!state || state.day !== day) return { day, fired: {}, snoozed: {}, muted: [] };
+    return { day, fired: { ...(state.fired || {}) }, snoozed: { ...(state.snoozed || {}) }, muted: [...(state.muted || [])] };
+}
+
+/**
+ * 统计从某天起连续不上班的天数（节假日与休息日，最多 30 天）。
+ * @param {Date} from
+ * @param {object} schedule
+ * @param {{ getMonth: Function }} calendar
+ */
+function countDaysOff(from, schedule, calendar) {
+    const cursor = new Date(from);
+    let days = 0;
+    while (days < 30 && classifyDay(cursor, schedule, calendar) !== 'workday') {
+        days++;
+        cursor.setDate(cursor.getDate() + 1);
+    }
+    return days;
+}
+
+/**
+ * 列出今天的所有提醒（不论是否已到时间）。
+ * @param {object} snapshot engine.computeSnapshot 的结果
+ * @param {{ schedule: object, calendar: { getMonth: Function } }} ctx
+ * @param {ReturnType<typeof resolveNotificationConfig>} config
+ * @returns {Array<{ id: string, type: string, at: Date, until: Date, target?: Date, amount?: number, daysOff?: number }>}
+ *   at 为提醒时间，until 之后不再提醒；target 为午休/下班时间，amount 为里程碑金额，daysOff 为节假日连休天数
+ */
+function listNotifications(snapshot, ctx, config) {
+    const { workDate, segments, workEndDate } = snapshot;
+    const key = dayKey(workDate);
+    // 当天的起止时刻（按作息配置的时区）
+    const startOfDay = setDateToMinutes(workDate, 0, ctx.schedule.timeZone);
+    const endOfDay = setDateToMinutes(workDate, 24 * 60, ctx.schedule.timeZone);
+    const minutesBefore = (date, minutes) => new Date(date.getTime() - minutes * 60 * 1000);
+    const working = snapshot.isTodayWorkingDay && !snapshot.isTodayHoliday && !snapshot.todayLeave && segments.length > 0;
+    const list = [];
+
+    if (working) {
+        // 午休：第一个工作时段结束（之后还有时段时）
+        if (segments.length > 1 && config.beforeLunchMinutes > 0) {
+            const target = segments[0].end;
+            list.push({ id: `${key}:lunch`, type: 'lunch', at: minutesBefore(target, config.beforeLunchMinutes), until: target, target });
+        }
+        if (config.beforeClockOutMinutes > 0) {
+            list.push({ id: `${key}:clockOutSoon`, type: 'clockOutSoon', at: minutesBefore(workEndDate, config.beforeClockOutMinutes), until: workEndDate, target: workEndDate });
+        }
+        if (config.clockOutSummary) {
+            list.push({ id: `${key}:clockOut`, type: 'clockOut', at: workEndDate, until: new Date(workEndDate.getTime() + CLOCK_OUT_GRACE_MS), target: workEndDate });
+        }
+    }
+
+    // 节假日前一天：明天是法定节假日且今天不是，上班开始后提醒（不上班时当天任意时间）
+    if (config.holidayEve && !snapshot.isTodayHoliday) {
+        const tomorrow = new Date(workDate.getFullYear(), workDate.getMonth(), workDate.getDate() + 1);
+        if (classifyDay(tomorrow, ctx.schedule, ctx.calendar) === 'holiday') {
+            const at = working ? snapshot.workStartDate : startOfDay;
+            list.push({ id: `${key}:holidayEve`, type: 'holidayEve', at, until: endOfDay, daysOff: countDaysOff(tomorrow, ctx.schedule, ctx.calendar) });
+        }
+    }
+
+    // 收入里程碑：今日收入（含加班）达到金额时提醒，只提醒已达到的最高一档
+    const todayTotal = snapshot.earned + snapshot.overtime.todayPay;
+    const reached = config.milestones.filter(amount => todayTotal >= amount);
+    if (reached.length) {
+        const amount = reached[reached.length - 1];
+        list.push({ id: `${key}:milestone:${amount}`, type: 'milestone', at: startOfDay, until: endOfDay, amount });
+    }
+    return list;
+}
+
+/**
+ * 选出此刻应发出的提醒：已到时间、未过期、未发出且未被今天不再提醒；
+ * 稍后提醒的在稍后时间到达后再次发出（当天内，不受过期时间限制）。
+ * @param {object} snapshot engine.computeSnapshot 的结果
+ * @param {{ schedule: object, calendar: { getMonth: Function } }} ctx
+ * @param {Partial<typeof DEFAULT_NOTIFICATIONS>} config
+ * @param {ReturnType<typeof stateForDay>} state 当天的提醒状态
+ * @param {Date} now
+ */
+function dueNotifications(snapshot, ctx, config, state, now) {
+    const c = resolveNotificationConfig(config);
+    if (!c.enabled) return [];
+    const t = now.getTime();
+    // 里程碑：只要更高一档已发出，较低的不再补发
+    const firedMilestones = Object.keys(state.fired)
+        .filter(id => id.startsWith(`${state.day}:milestone:`))
+        .map(id => Number(id.split(':')[2]));
+    return listNotifications(snapshot, ctx, c).filter(n => {
+        if (state.muted.includes(n.type)) return false;
+        const snoozedUntil = state.snoozed[n.id];
+        if (snoozedUntil) return t >= snoozedUntil;
+        if (state.fired[n.id]) return false;
+        if (n.type === 'milestone' && firedMilestones.some(amount => amount >= n.amount)) return false;
+        return t >= n.at.getTime() && t < n.until.getTime();
+    });
+}
+
+module.exports = {
+    DEFAULT_NOTIFICATIONS,
+    resolveNotificationConfig,
+    stateForDay,
+    listNotifications,
+    dueNotifications
+};
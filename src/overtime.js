@@ -0,0 +1,145 @@
+// 加班计算：按加班记录（开始/结束时刻）与当天类型计算加班时长和加班工资。
+// 倍率默认依照《劳动法》第四十四条：工作日 1.5 倍、休息日 2 倍、法定节假日 3 倍，可通过配置调整。
+// 本模块不依赖 vscode，所有时间均由调用方传入。
+
+const { parseHHMMToMinutes, setDateToMinutes, classifyDay, dayKey } = require('./schedule');
+const { daySegments } = require('./flexHours');
+const { dateIn } = require('./timeZone');
+
+/** 默认加班倍率 */
+const DEFAULT_MULTIPLIERS = {
+    workday: 1.5,
+    rest: 2,
+    holiday: 3
+};
+
+/**
+ * 合并用户配置的倍率（非法值使用默认）。
+ * @param {Partial<typeof DEFAULT_MULTIPLIERS>} [multipliers]
+ * @returns {typeof DEFAULT_MULTIPLIERS}
+ */
+function resolveMultipliers(multipliers) {
+    const result = { ...DEFAULT_MULTIPLIERS };
+    for (const key of Object.keys(result)) {
+        const value = Number(multipliers && multipliers[key]);
+        if (Number.isFinite(value) && value >= 0) result[key] = value;
+    }
+    return result;
+}
+
+/**
+ * 将一段加班区间按自然日（按作息配置的时区）拆分，并扣除与工作日正常工作时段重叠的部分（正常工时不重复计入加班）。
+ * @param {number} startMs
+ * @param {number} endMs
+ * @param {object} schedule 作息配置
+ * @param {{ getMonth: Function }} calendar
+ * @returns {Array<{ date: Date, kind: 'workday' | 'rest' | 'holiday', ms: number }>}
+ */
+function splitOvertimeByDay(startMs, endMs, schedule, calendar) {
+    const { timeZone } = schedule;
+    const pieces = [];
+    let cursor = dateIn(startMs, timeZone);
+    while (setDateToMinutes(cursor, 0, timeZone).getTime() < endMs) {
+        const next = new Date(cursor.getFullYear(), cursor.getMonth(), cursor.getDate() + 1);
+        const from = Math.max(startMs, setDateToMinutes(cursor, 0, timeZone).getTime());
+        const to = Math.min(endMs, setDateToMinutes(next, 0, timeZone).getTime());
+        let ms = to - from;
+
+        // 当天与前一天（跨零点班次）的正常工作时段不计入加班
+        const prev = new Date(cursor.getFullYear(), cursor.getMonth(), cursor.getDate() - 1);
+        for (const workDate of [prev, cursor]) {
+            if (classifyDay(workDate, schedule, calendar) !== 'workday') continue;
+            for (const seg of daySegments(schedule, workDate)) {
+                ms -= Math.max(0, Math.min(to, seg.end.getTime()) - Math.max(from, seg.start.getTime()));
+            }
+        }
+
+        if (ms > 0) pieces.push({ date: cursor, kind: classifyDay(cursor, schedule, calendar), ms });
+        cursor = next;
+    }
+    return pieces;
+}
+
+/**
+ * 汇总加班：今日加班时长与工资、指定区间（通常为本月）内的加班工资及按天明细（键为 YYYY-MM-DD）。
+ * @param {{
+ *   sessions: Array<{ start: number, end?: number | null }>,
+ *   schedule: object,
+ *   calendar: { getMonth: Function },
+ *   multipliers?: object,
+ *   hourlyRate: number,
+ *   today: Date,
+ *   rangeStart: Date,
+ *   rangeEnd: Date
+ * }} params hourlyRate 为正常工时的小时工资
+ * @param {Date} now
+ */
+function calcOvertime(params, now) {
+    const { sessions, schedule, calendar, hourlyRate, today, rangeStart, rangeEnd } = params;
+    const multipliers = resolveMultipliers(params.multipliers);
+    const todayKey = dayKey(today);
+    // 区间的起止日期按作息配置的时区换算为时刻
+    const rangeFrom = setDateToMinutes(rangeStart, 0, schedule.timeZone).getTime();
+    const rangeTo = setDateToMinutes(rangeEnd, 0, schedule.timeZone).getTime();
+
+    let todayMs = 0;
+    let todayPay = 0;
+    let rangePay = 0;
+    const byDay = {};
+    let active = null;
+
+    for (const session of sessions || []) {
+        const end = session.end || now.getTime();
+        if (!session.end) active = session;
+        const from = Math.max(session.start, rangeFrom);
+        const to = Math.min(end, rangeTo, now.getTime());
+        if (to <= from) continue;
+
+        for (const piece of splitOvertimeByDay(from, to, schedule, calendar)) {
+            const pay = (piece.ms / 3600000) * hourlyRate * multipliers[piece.kind];
+            rangePay += pay;
+            const key = dayKey(piece.date);
+            byDay[key] = { ms: (byDay[key] ? byDay[key].ms : 0) + piece.ms, pay: (byDay[key] ? byDay[key].pay : 0) + pay };
+            if (key === todayKey) {
+                todayMs += piece.ms;
+                todayPay += pay;
+            }
+        }
+    }
+
+    return {
+        active: !!active,
+        activeSince: active ? new Date(active.start) : null,
+        multiplier: multipliers[classifyDay(today, schedule, calendar)],
+        todayMs,
+        todayPay,
+        rangePay,
+        byDay
+    };
+}
+
+/**
+ * 判断是否应按"自动加班时刻"开始加班：仅在工作日、正常下班之后且到达该时刻时，每天最多自动开始一次。
+ * @param {{ cutoff?: string }} overtimeConfig cutoff 为 HH:mm，留空表示不自动开始
+ * @param {{ isTodayWorkingDay: boolean, isTodayHoliday: boolean, workDate: Date, workEndDate: Date | null }} snapshot
+ * @param {{ sessions: Array<object>, autoStartedOn?: string | null }} state
+ * @param {Date} now
+ * @param {string} [timeZone] 自动加班时刻所在的时区（与作息配置相同，为空时使用本机时区）
+ */
+function shouldAutoStartOvertime(overtimeConfig, snapshot, state, now, timeZone) {
+    const cutoffMin = parseHHMMToMinutes(overtimeConfig && overtimeConfig.cutoff, null);
+    if (cutoffMin === null) return false;
+    if (!snapshot.isTodayWorkingDay || snapshot.isTodayHoliday) return false;
+    if ((state.sessions || []).some(s => !s.end)) return false;
+    if (state.autoStartedOn === dayKey(snapshot.workDate)) return false;
+    if (snapshot.workEndDate && now < snapshot.workEndDate) return false;
+    return now >= setDateToMinutes(snapshot.workDate, cutoffMin, timeZone);
+}
+
+module.exports = {
+    DEFAULT_MULTIPLIERS,
+    resolveMultipliers,
+    splitOvertimeByDay,
+    calcOvertime,
+    shouldAutoStartOvertime
+};
@@ -0,0 +1,95 @@
+// 计薪周期与发薪日：计薪周期可从每月任意一天开始（例如上月 26 日至本月 25 日），
+// 工作日统计与累计工资均按计薪周期计算；发薪日为每月固定日期，遇节假日或休息日按规则提前或顺延。
+// 本模块不依赖 vscode。
+
+const { classifyDay } = require('./schedule');
+
+/** 计薪周期默认配置：startDay 为 1 即自然月；payday 为 0 表示不显示发薪日 */
+const DEFAULT_PAY_PERIOD = {
+    startDay: 1,
+    payday: 0,
+    paydayAdjust: 'previous'    // previous：提前到上一个工作日；next：顺延到下一个工作日；none：不调整
+};
+
+const PAYDAY_ADJUSTS = ['previous', 'next', 'none'];
+
+/**
+ * 合并用户配置与默认值（非法值使用默认）。起始日最大为 28，保证每个月都有这一天。
+ * @param {Partial<typeof DEFAULT_PAY_PERIOD>} [config]
+ * @returns {typeof DEFAULT_PAY_PERIOD}
+ */
+function resolvePayPeriod(config = {}) {
+    const day = (value, max, fallback) => {
+        const n = Number(value);
+        return Number.isInteger(n) && n >= 0 && n <= max ? n : fallback;
+    };
+    return {
+        startDay: Math.max(1, day(config.startDay, 28, DEFAULT_PAY_PERIOD.startDay)),
+        payday: day(config.payday, 31, DEFAULT_PAY_PERIOD.payday),
+        paydayAdjust: PAYDAY_ADJUSTS.includes(config.paydayAdjust) ? config.paydayAdjust : DEFAULT_PAY_PERIOD.paydayAdjust
+    };
+}
+
+/**
+ * 确定某天所属的计薪周期。
+ * @param {Date} date
+ * @param {Partial<typeof DEFAULT_PAY_PERIOD>} [config]
+ * @returns {{ start: Date, end: Date, year: number, month: number }} start 含、end 不含；
+ *   year/month 为周期结束所在的月份（即"几月工资"，用于个税累计预扣）
+ */
+function payPeriodFor(date, config) {
+    const { startDay } = resolvePayPeriod(config);
+    const offset = date.getDate() >= startDay ? 0 : -1;
+    const start = new Date(date.getFullYear(), date.getMonth() + offset, startDay);
+    const end = new Date(start.getFullYear(), start.getMonth() + 1, startDay);
+    const last = new Date(end.getFullYear(), end.getMonth(), end.getDate() - 1);
+    return { start, end, year: last.getFullYear(), month: last.getMonth() + 1 };
+}
+
+/**
+ * 计算某月的实际发薪日：固定日期（超过当月天数时取月末），遇节假日或休息日按规则调整。
+ * @param {number} year
+ * @param {number} month 1-12
+ * @param {ReturnType<typeof resolvePayPeriod>} config
+ * @param {object} schedule 作息配置
+ * @param {{ getMonth: Function }} calendar
+ * @returns {Date}
+ */
+function paydayOf(year, month, config, schedule, calendar) {
+    const daysInMonth = new Date(year, month, 0).getDate();
+    const date = new Date(year, month - 1, Math.min(config.payday, daysInMonth));
+    if (config.paydayAdjust === 'none') return date;
+    const step = config.paydayAdjust === 'next' ? 1 : -1;
+    // 最多调整 30 天（长假也足够），避免日历异常时无限循环
+    for (let i = 0; i < 30 && classifyDay(date, schedule, calendar) !== 'workday'; i++) date.setDate(date.getDate() + step);
+    return date;
+}
+
+/**
+ * 计算下一个发薪日（今天即为发薪日时返回今天）。
+ * @param {Date} now
+ * @param {Partial<typeof DEFAULT_PAY_PERIOD>} config
+ * @param {object} schedule 作息配置
+ * @param {{ getMonth: Function }} calendar
+ * @returns {{ date: Date, days: number } | null} 发薪日与距今天数；未配置发薪日时为 null
+ */
+function nextPayday(now, config, schedule, calendar) {
+    const c = resolvePayPeriod(config);
+    if (!c.payday) return null;
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    // 本月发薪日可能因顺延落到下月、上月发薪日也可能顺延到本月，因此从上月开始找
+    for (let offset = -1; offset <= 1; offset++) {
+        const month = new Date(today.getFullYear(), today.getMonth() + offset, 1);
+        const date = paydayOf(month.getFullYear(), month.getMonth() + 1, c, schedule, calendar);
+        if (date >= today) return { date, days: Math.round((date - today) / 86400000) };
+    }
+    return null;
+}
+
+module.exports = {
+    DEFAULT_PAY_PERIOD,
+    resolvePayPeriod,
+    payPeriodFor,
+    paydayOf,
+    nextPayday
+};
@@ -0,0 +1,190 @@
+// 地区节假日规则：不同地区的节假日日历写法不同（中国大陆用"补班/调休"，台湾用"補假/補班"，
+// 香港、日本与美国的假日逢周末时另行补假），每个地区定义：
+// - keywords：ICS 事件分类关键词（见 ics.DEFAULT_KEYWORDS），决定哪些事件是假期、哪些是补班工作日
+// - observe：由法定假日推算补假的规则（如周日的假日顺延到下一个非假日），只用于扩展内置的数据；
+//   远程与本地来源的日历通常已经包含补假，按原样使用
+// 每个地区在 data/holidays-<id>.ics 中带有当年与次年的内置数据，无需联网即可使用。
+// 本模块不依赖 vscode。
+
+const { DEFAULT_KEYWORDS, toDayNumber, fromDayNumber } = require('./ics');
+const { createCalendar } = require('./calendar');
+
+/** 默认地区：中国大陆 */
+const DEFAULT_REGION = 'cn';
+
+/**
+ * 天序号对应的星期（0 为周日）。1970-01-01 为周四。
+ * @param {number} day 天序号
+ */
+function weekdayOf(day) {
+    return (((day + 4) % 7) + 7) % 7;
+}
+
+/**
+ * 周日的假日顺延到之后第一个不是假日（也不是已顺延的补假）的日子。
+ * @param {Map<number, string>} holidays 天序号 -> 假日名称
+ * @param {(name: string) => string} label 补假的名称
+ * @returns {Map<number, string>} 补假：天序号 -> 名称
+ */
+function sundayToNextDay(holidays, label) {
+    const observed = new Map();
+    for (const [day, name] of [...holidays].sort((a, b) => a[0] - b[0])) {
+        if (weekdayOf(day) !== 0) continue;
+        let next = day + 1;
+        while (holidays.has(next) || observed.has(next)) next++;
+        observed.set(next, label(name));
+    }
+    return observed;
+}
+
+/**
+ * 补假规则（按地区）：参数为假日（天序号 -> 名称），返回补假（天序号 -> 名称）。
+ */
+const OBSERVANCE_RULES = {
+    // 香港：公众假期逢周日，翌日补假（翌日已是假期时继续顺延）
+    hk: holidays => sundayToNextDay(holidays, name => `The day following ${name.replace(/^The\b/, 'the')}`),
+    // 日本：祝日逢周日，之后第一个非祝日为振替休日；夹在两个祝日之间的平日为国民の休日
+    jp: holidays => {
+        const observed = sundayToNextDay(holidays, () => '振替休日');
+        for (const day of holidays.keys()) {
+            const between = day + 1;
+            if (holidays.has(day + 2) && !holidays.has(between) && !observed.has(between) && weekdayOf(between) !== 0) {
+                observed.set(between, '国民の休日');
+            }
+        }
+        return observed;
+    },
+    // 美国联邦假日：逢周六提前到周五，逢周日推后到周一
+    us: holidays => {
+        const observed = new Map();
+        for (const [day, name] of holidays) {
+            const weekday = weekdayOf(day);
+            const target = weekday === 6 ? day - 1 : weekday === 0 ? day + 1 : null;
+            if (target !== null && !holidays.has(target)) observed.set(target, `${name} (observed)`);
+        }
+        return observed;
+    }
+};
+
+/**
+ * 支持的地区。label 为界面显示的英文名称（经 l10n 翻译）。
+ */
+const REGIONS = {
+    cn: { label: 'Mainland China', keywords: DEFAULT_KEYWORDS },
+    hk: {
+        label: 'Hong Kong',
+        // 香港政府的公众假期日历只包含假期
+        keywords: { workday: [], info: [], holiday: [], unmatched: 'holiday' },
+        observe: OBSERVANCE_RULES.hk
+    },
+    tw: {
+        label: 'Taiwan',
+        // 人事行政總處公告的"補行上班"為補班；紀念日等不放假的事件不含關鍵詞，只作參考
+        keywords: { workday: ['補行上班', '補班', '調整上班', 'make-up', 'workday'], info: [], holiday: ['放假', '補假', '假期', '休假', 'holiday'], unmatched: 'info' }
+    },
+    jp: {
+        label: 'Japan',
+        keywords: { workday: [], info: [], holiday: [], unmatched: 'holiday' },
+        observe: OBSERVANCE_RULES.jp
+    },
+    us: {
+        label: 'United States',
+        keywords: { workday: [], info: [], holiday: [], unmatched: 'holiday' },
+        observe: OBSERVANCE_RULES.us
+    }
+};
+
+/**
+ * 解析地区设置（不支持的值使用默认地区）。
+ * @param {string} [id]
+ * @returns {{ id: string, label: string, keywords: object, observe?: Function }}
+ */
+function resolveRegion(id) {
+    const key = String(id || '').toLowerCase();
+    const region = Object.prototype.hasOwnProperty.call(REGIONS, key) ? key : DEFAULT_REGION;
+    return { id: region, ...REGIONS[region] };
+}
+
+/**
+ * 在日历上加上按规则推算的补假。补假按年推算（前后各多看一个月，处理跨年的补假，如周六的元旦在前一年 12 月 31 日补假），
+ * 不覆盖原日历中的补班日。
+ * @param {{ getMonth: Function, getLabels?: Function }} calendar
+ * @param {(holidays: Map<number, string>) => Map<number, string>} observe 补假规则
+ * @returns {ReturnType<typeof createCalendar>}
+ */
+function withObservedHolidays(calendar, observe) {
+    const years = new Map();
+    const months = new Map();
+    const labels = new Map();
+
+    function observedFor(year) {
+        if (!years.has(year)) {
+            const holidays = new Map();
+            for (let i = 0; i < 14; i++) {
+                const y = year + Math.floor((i - 1) / 12);
+                const m = ((i + 11) % 12) + 1;
+                const names = (calendar.getLabels && calendar.getLabels(y, m)) || {};
+                for (const d of calendar.getMonth(y, m).holidays) holidays.set(toDayNumber(y, m, d), names[d] || '');
+            }
+            const observed = new Map();
+            for (const [day, name] of observe(holidays)) {
+                if (fromDayNumber(day).y === year) observed.set(day, name);
+            }
+            years.set(year, observed);
+        }
+        return years.get(year);
+    }
+
+    function expand(year, month) {
+        const key = `${year}-${month}`;
+        if (!months.has(key)) {
+            const { holidays, workdays } = calendar.getMonth(year, month);
+            const names = { ...((calendar.getLabels && calendar.getLabels(year, month)) || {}) };
+            const added = new Set(holidays);
+            for (const [day, name] of observedFor(year)) {
+                const { m, d } = fromDayNumber(day);
+                if (m !== month || workdays.includes(d) || added.has(d)) continue;
+                added.add(d);
+                names[d] = name;
+            }
+            months.set(key, { holidays: [...added].sort((a, b) => a - b), workdays: [...workdays] });
+            labels.set(key, names);
+        }
+        return key;
+    }
+
+    return {
+        getMonth(year, month) {
+            return months.get(expand(year, month));
+        },
+        getLabels(year, month) {
+            return labels.get(expand(year, month));
+        },
+        coversYear(year) {
+            return !!(calendar.coversYear && calendar.coversYear(year));
+        },
+        ignoredRules: calendar.ignoredRules || []
+    };
+}
+
+/**
+ * 按地区规则创建日历：用地区的分类关键词（可被用户关键词覆盖）解析 ICS，内置数据再加上推算的补假。
+ * @param {string} icsText
+ * @param {string} region 地区 id
+ * @param {{ keywords?: object, observe?: boolean, timeZone?: string }} [options] observe 为 true 时按地区规则推算补假（仅用于内置数据）；
+ *   timeZone 为带时刻的事件（UTC 或 TZID）换算日期所用的时区（雇主时区），缺省为本机时区
+ * @returns {ReturnType<typeof createCalendar>}
+ */
+function createRegionCalendar(icsText, region, options = {}) {
+    const rules = resolveRegion(region);
+    const calendar = createCalendar(icsText, { keywords: { ...rules.keywords, ...(options.keywords || {}) }, timeZone: options.timeZone });
+    return options.observe && rules.observe ? withObservedHolidays(calendar, rules.observe) : calendar;
+}
+
+module.exports = {
+    DEFAULT_REGION,
+    REGIONS,
+    resolveRegion,
+    withObservedHolidays,
+    createRegionCalendar
+};
@@ -0,0 +1,110 @@
+// 薪资模型：月薪（按当月实际计薪天数或 21.75 天法定月计薪天数折算日工资）、时薪、年薪（按 12/13/14+ 薪分摊到每月）。
+// 法定节假日是否计薪由 holidayPay 决定；本模块只负责"某一天值多少钱"，天数统计由 engine 完成。
+// 本模块不依赖 vscode。
+
+const { t } = require('./l10n');
+
+/** 法定月计薪天数：(365 - 104) / 12，已包含 11 天法定节假日 */
+const STATUTORY_PAY_DAYS = 21.75;
+
+/** 薪资默认配置 */
+const DEFAULT_SALARY = {
+    model: 'monthly',       // monthly | hourly | annual
+    monthlySalary: 0,
+    divisor: 'actual',      // actual：当月实际计薪天数；statutory：21.75 天
+    hourlyRate: 0,
+    annualSalary: 0,
+    months: 12,             // 年薪分摊的月数（12/13/14...），多出的月份为年终奖，不计入每月累计
+    holidayPay: 'paid'      // paid：法定节假日按计薪日发薪；unpaid：不单独计薪
+};
+
+const MODELS = ['monthly', 'hourly', 'annual'];
+const DIVISORS = ['actual', 'statutory'];
+const HOLIDAY_PAY = ['paid', 'unpaid'];
+
+/**
+ * 合并用户配置与默认值（非法值使用默认）。
+ * @param {Partial<typeof DEFAULT_SALARY>} [salary]
+ * @returns {typeof DEFAULT_SALARY}
+ */
+function resolveSalary(salary = {}) {
+    const pick = (value, allowed, fallback) => allowed.includes(value) ? value : fallback;
+    const amount = value => {
+        const n = Number(value);
+        return Number.isFinite(n) && n > 0 ? n : 0;
+    };
+    const months = Number(salary.months);
+    return {
+        model: pick(salary.model, MODELS, DEFAULT_SALARY.model),
+        monthlySalary: amount(salary.monthlySalary),
+        divisor: pick(salary.divisor, DIVISORS, DEFAULT_SALARY.divisor),
+        hourlyRate: amount(salary.hourlyRate),
+        annualSalary: amount(salary.annualSalary),
+        months: Number.isFinite(months) && months >= 12 ? months : DEFAULT_SALARY.months,
+        holidayPay: pick(salary.holidayPay, HOLIDAY_PAY, DEFAULT_SALARY.holidayPay)
+    };
+}
+
+/**
+ * 创建某个月的计薪规则。
+ * @param {Partial<typeof DEFAULT_SALARY>} salary 薪资配置
+ * @param {{ totalWorkingDays: number, totalHolidays: number, standardDayMs: number }} month
+ *   当月工作日数、法定节假日数，以及默认工作日时长（毫秒，用于时薪与日薪互相折算）
+ * @returns {{
+ *   configError: string | null,
+ *   dayPay: (workMs: number) => number,
+ *   holidayPay: number,
+ *   hourlyRate: number,
+ *   regularMonthly: number
+ * }} dayPay 为工作日（当天排班时长为 workMs）的整日工资；holidayPay 为法定节假日的工资；
+ *   hourlyRate 为正常工时的小时工资（加班工资的基数）；regularMonthly 为正常月份的税前月工资
+ *   （时薪按 21.75 天估算，用于社保基数与个税累计预扣）
+ */
+function createPayRule(salary, month) {
+    const s = resolveSalary(salary);
+    const standardHours = month.standardDayMs / 3600000;
+
+    if (s.model === 'hourly') {
+        if (s.hourlyRate <= 0) return invalidRule(t('Please set your hourly rate in settings'));
+        return {
+            configError: null,
+            dayPay: workMs => s.hourlyRate * (workMs / 3600000),
+            holidayPay: s.holidayPay === 'paid' ? s.hourlyRate * standardHours : 0,
+            hourlyRate: s.hourlyRate,
+            regularMonthly: s.hourlyRate * standardHours * STATUTORY_PAY_DAYS
+        };
+    }
+
+    const monthly = s.model === 'annual' ? s.annualSalary / s.months : s.monthlySalary;
+    if (monthly <= 0) return invalidRule(s.model === 'annual' ? t('Please set your annual salary in settings') : t('Please set your monthly salary in settings'));
+
+    // 计薪天数：法定 21.75 天，或当月实际工作日（法定节假日计薪时一并计入）
+    const payDays = s.divisor === 'statutory'
+        ? STATUTORY_PAY_DAYS
+        : month.totalWorkingDays + (s.holidayPay === 'paid' ? month.totalHolidays : 0);
+    if (payDays <= 0) return invalidRule(t('There are no working days in this pay period (check your holiday data and rest days)'));
+
+    const daily = monthly / payDays;
+    return {
+        configError: null,
+        dayPay: () => daily,
+        holidayPay: s.holidayPay === 'paid' ? daily : 0,
+        hourlyRate: standardHours > 0 ? daily / standardHours : 0,
+        regularMonthly: monthly
+    };
+}
+
+/**
+ * 工具：配置无效时的计薪规则（各项工资均为 0）。
+ * @param {string} configError
+ */
+function invalidRule(configError) {
+    return { configError, dayPay: () => 0, holidayPay: 0, hourlyRate: 0, regularMonthly: 0 };
+}
+
+module.exports = {
+    STATUTORY_PAY_DAYS,
+    DEFAULT_SALARY,
+    resolveSalary,
+    createPayRule
+};
@@ -0,0 +1,244 @@
+// 作息规则：工作时段、休息日与轮换规则、某天的类型（工作日/法定假期/休息日）。
+// 作息配置的 timeZone（IANA 时区名，可为空）决定工作时段与"今天"按哪个时区计算，见 timeZone.js。
+// 本模块不依赖 vscode，所有日期均由调用方传入。
+
+const { dateIn, zonedTime } = require('./timeZone');
+
+/**
+ * 工具：将 HH:mm 字符串转为分钟数（从 00:00 起）；非法则返回默认。
+ * @param {string} hhmm
+ * @param {number} defMinutes 默认分钟（例如 9:00 -> 540）
+ */
+function parseHHMMToMinutes(hhmm, defMinutes) {
+    try {
+        const m = hhmm.match(/^([01]\d|2[0-3]):([0-5]\d)$/);
+        if (!m) return defMinutes;
+        const h = parseInt(m[1], 10);
+        const min = parseInt(m[2], 10);
+        return h * 60 + min;
+    } catch {
+        return defMinutes;
+    }
+}
+
+/**
+ * 工具：根据分钟数设置到一个 Date（当天）。
+ * @param {Date} base
+ * @param {number} minutesFromMidnight
+ * @param {string} [timeZone] 按该时区的挂钟时间解析（为空时使用本机时区）
+ */
+function setDateToMinutes(base, minutesFromMidnight, timeZone) {
+    if (timeZone) return zonedTime(base, minutesFromMidnight, timeZone);
+    const d = new Date(base);
+    const h = Math.floor(minutesFromMidnight / 60);
+    const m = minutesFromMidnight % 60;
+    d.setHours(h, m, 0, 0);
+    return d;
+}
+
+/**
+ * 工具：将休息日配置（1-7，周日为7）规范化为 Set。
+ * @param {Array<number|string>} restDaysConfig
+ * @returns {Set<number>}
+ */
+function toRestSet(restDaysConfig) {
+    return new Set((restDaysConfig || []).map(n => parseInt(n, 10)).filter(n => n >= 1 && n <= 7));
+}
+
+/**
+ * 工具：Date.getDay()（0=周日）映射为 1-7（周日为7）。
+ * @param {Date} date
+ */
+function humanDayOfWeek(date) {
+    const dow = date.getDay();
+    return (dow === 0) ? 7 : dow;
+}
+
+/**
+ * 工具：日期所在周（周一为一周开始）的周一，以"天序号"表示（不受夏令时影响）。
+ * @param {number} y
+ * @param {number} m 1-12
+ * @param {number} d
+ */
+function mondayDayNumber(y, m, d) {
+    const dayNumber = Math.floor(Date.UTC(y, m - 1, d) / 86400000);
+    const dow = new Date(dayNumber * 86400000).getUTCDay();
+    return dayNumber - ((dow + 6) % 7);
+}
+
+/**
+ * 工具：某天命中的轮换规则取值（'work' 或 'rest'）；没有命中的规则时为 null。
+ * @param {Date} date
+ * @param {{ rotations?: Array<{ weekdays: number[], anchor: string, pattern: string[] }> }} schedule
+ * @returns {string | null}
+ */
+function rotationOn(date, schedule) {
+    const dow = humanDayOfWeek(date);
+    for (const rule of schedule.rotations || []) {
+        if (!rule || !Array.isArray(rule.weekdays) || !rule.weekdays.map(Number).includes(dow)) continue;
+        const anchor = String(rule.anchor || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        const pattern = Array.isArray(rule.pattern) ? rule.pattern : [];
+        if (!anchor || pattern.length === 0) continue;
+        const weeks = (mondayDayNumber(date.getFullYear(), date.getMonth() + 1, date.getDate()) - mondayDayNumber(+anchor[1], +anchor[2], +anchor[3])) / 7;
+        return pattern[((weeks % pattern.length) + pattern.length) % pattern.length] === 'rest' ? 'rest' : 'work';
+    }
+    return null;
+}
+
+/**
+ * 判断某天按作息规则是否为休息日（不考虑节假日）。
+ * 轮换规则（如大小周）优先于固定休息日：命中规则的星期几，按距锚定日期的周数在 pattern 中循环取值。
+ * 例如 `{ weekdays: [6], anchor: '2026-01-05', pattern: ['work', 'rest'] }` 表示锚定日期所在周的周六上班、下一周的周六休息，依此交替。
+ * @param {Date} date
+ * @param {{ restDays?: number[], rotations?: Array<{ weekdays: number[], anchor: string, pattern: string[] }> }} schedule
+ */
+function isRestDate(date, schedule) {
+    const rotation = rotationOn(date, schedule);
+    if (rotation) return rotation === 'rest';
+    return toRestSet(schedule.restDays).has(humanDayOfWeek(date));
+}
+
+/**
+ * 将作息配置规范化为按时间顺序排列的工作时段（分钟数，相对于工作日当天 00:00，可超过 24:00）。
+ * - 传入 date 且该星期几在 weekdaySchedules 中配置了时段时，优先使用（如周五提前下班）
+ * - 配置了 segments 时使用任意数量的时段；结束时间不晚于开始时间表示跨越零点（次日结束）
+ * - 后一时段的开始早于前一时段的结束时，视为次日（例如 22:00-02:00 之后的 03:00-06:00）
+ * - 未配置 segments 时沿用上午/下午四段时间，并做顺序修正（避免负值）
+ * @param {{ segments?: Array<{ start: string, end: string }>, weekdaySchedules?: Record<string, Array<{ start: string, end: string }>>, morningStart?: string, morningEnd?: string, afternoonStart?: string, afternoonEnd?: string }} schedule
+ * @param {Date} [date] 工作日
+ * @returns {Array<{ startMin: number, endMin: number }>}
+ */
+function normalizeSegments(schedule, date) {
+    const weekdaySegments = date && schedule.weekdaySchedules ? schedule.weekdaySchedules[humanDayOfWeek(date)] : null;
+    const list = (Array.isArray(weekdaySegments) && weekdaySegments.length > 0) ? weekdaySegments : schedule.segments;
+    if (Array.isArray(list) && list.length > 0) {
+        const result = [];
+        let cursor = 0;
+        for (const seg of list) {
+            let startMin = parseHHMMToMinutes(seg && seg.start, null);
+            let endMin = parseHHMMToMinutes(seg && seg.end, null);
+            if (startMin === null || endMin === null) continue;
+            while (startMin < cursor) startMin += 24 * 60;
+            while (endMin <= startMin) endMin += 24 * 60;
+            result.push({ startMin, endMin });
+            cursor = endMin;
+        }
+        return result;
+    }
+
+    const msMin = parseHHMMToMinutes(schedule.morningStart, 9 * 60);
+    const meMin = Math.max(parseHHMMToMinutes(schedule.morningEnd, 12 * 60), msMin);
+    const asMin = Math.max(parseHHMMToMinutes(schedule.afternoonStart, 13 * 60), meMin);
+    const aeMin = Math.max(parseHHMMToMinutes(schedule.afternoonEnd, 18 * 60), asMin);
+    return [{ startMin: msMin, endMin: meMin }, { startMin: asMin, endMin: aeMin }];
+}
+
+/**
+ * 将工作时段解析为某个工作日的具体时刻。
+ * @param {Array<{ startMin: number, endMin: number }>} segments normalizeSegments 的结果
+ * @param {Date} workDate 工作日（任意时刻，只取日期）
+ * @param {string} [timeZone] 工作时段所在的时区（为空时使用本机时区）
+ * @returns {Array<{ start: Date, end: Date }>}
+ */
+function resolveSegments(segments, workDate, timeZone) {
+    return segments.map(seg => ({
+        start: setDateToMinutes(workDate, seg.startMin, timeZone),
+        end: setDateToMinutes(workDate, seg.endMin, timeZone)
+    }));
+}
+
+/**
+ * 判断某天的类型并给出依据：用户手动指定（作息配置的 overrides，键为 YYYY-MM-DD）优先，
+ * 其次为补班/调休与法定节假日，最后按作息规则（轮换规则与固定休息日）判断。
+ * @param {Date} date
+ * @param {object} schedule 作息配置（见 isRestDate）
+ * @param {{ getMonth: Function }} calendar
+ * @returns {{ kind: 'workday' | 'holiday' | 'rest', reason: 'override' | 'makeup' | 'holiday' | 'rotation' | 'restDay' | 'weekday' }}
+ */
+function explainDay(date, schedule, calendar) {
+    const override = schedule.overrides && schedule.overrides[dayKey(date)];
+    if (override === 'workday' || override === 'holiday' || override === 'rest') return { kind: override, reason: 'override' };
+    const { holidays, workdays } = calendar.getMonth(date.getFullYear(), date.getMonth() + 1);
+    const day = date.getDate();
+    if (workdays.includes(day)) return { kind: 'workday', reason: 'makeup' };
+    if (holidays.includes(day)) return { kind: 'holiday', reason: 'holiday' };
+    const rotation = rotationOn(date, schedule);
+    if (rotation) return { kind: rotation === 'rest' ? 'rest' : 'workday', reason: 'rotation' };
+    return toRestSet(schedule.restDays).has(humanDayOfWeek(date)) ? { kind: 'rest', reason: 'restDay' } : { kind: 'workday', reason: 'weekday' };
+}
+
+/**
+ * 判断某天的类型（依据见 explainDay）。
+ * @param {Date} date
+ * @param {object} schedule 作息配置（见 isRestDate）
+ * @param {{ getMonth: Function }} calendar
+ * @returns {'workday' | 'holiday' | 'rest'}
+ */
+function classifyDay(date, schedule, calendar) {
+    return explainDay(date, schedule, calendar).kind;
+}
+
+/**
+ * 确定 now 所属的工作日（按作息配置的时区）：若前一天是工作日且其（跨零点的）班次尚未结束，则仍属于前一天。
+ * 启用弹性工时时，以前一天打卡记录的下班时刻判断。
+ * @param {object} schedule 作息配置
+ * @param {{ getMonth: Function }} calendar
+ * @param {Date} now
+ * @returns {Date} 工作日当天 00:00
+ */
+function resolveWorkDate(schedule, calendar, now) {
+    const today = dateIn(now, schedule.timeZone);
+    const yesterday = new Date(today);
+    yesterday.setDate(yesterday.getDate() - 1);
+
+    if (schedule.flexible) {
+        const record = schedule.flexible.days[dayKey(yesterday)];
+        return record && now.getTime() < record.clockOut ? yesterday : today;
+    }
+
+    const segments = normalizeSegments(schedule, yesterday);
+    const last = segments[segments.length - 1];
+    if (!last || last.endMin <= 24 * 60) return today;
+    if (classifyDay(yesterday, schedule, calendar) === 'workday' && now < setDateToMinutes(yesterday, last.endMin, schedule.timeZone)) {
+        return yesterday;
+    }
+    return today;
+}
+
+/**
+ * 工具：将时段格式化为 HH:mm-HH:mm，次日的时刻标注 (+1)。
+ * @param {Array<{ startMin: number, endMin: number }>} segments normalizeSegments 的结果
+ * @returns {string[]}
+ */
+function formatSegments(segments) {
+    const hhmm = min => {
+        const m = min % 1440;
+        const text = `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+        return min >= 1440 ? `${text}(+1)` : text;
+    };
+    return segments.map(seg => `${hhmm(seg.startMin)}-${hhmm(seg.endMin)}`);
+}
+
+/**
+ * 工具：日期键 YYYY-MM-DD（本地日期），用于持久化按天记录的数据。
+ * @param {Date} date
+ */
+function dayKey(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+module.exports = {
+    parseHHMMToMinutes,
+    setDateToMinutes,
+    toRestSet,
+    humanDayOfWeek,
+    isRestDate,
+    explainDay,
+    normalizeSegments,
+    resolveSegments,
+    classifyDay,
+    resolveWorkDate,
+    formatSegments,
+    dayKey
+};
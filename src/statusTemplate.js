@@ -0,0 +1,95 @@
+// 状态栏模板：状态栏文字、悬浮提示与第二个状态栏项可用 {占位符} 自定义，例如 "{earned}  |  {percent}"。
+// 本模块负责合并配置、替换占位符、生成进度条与转义 Markdown；占位符的取值（已格式化的金额、倒计时等）由调用方生成。
+// 本模块不依赖 vscode。
+
+/** 状态栏默认配置：tooltip 为空时使用默认布局；secondaryText 为空时不显示第二个状态栏项 */
+const DEFAULT_STATUS_BAR = {
+    text: '{earned}{overtime}  |  {percent}',
+    tooltip: '',
+    alignment: 'left',
+    priority: -100,
+    secondaryText: '',
+    secondaryAlignment: 'left',
+    secondaryPriority: -101
+};
+
+/** 状态栏文字与悬浮提示均可使用的占位符 */
+const PLACEHOLDERS = [
+    'earned', 'overtime', 'percent', 'progress', 'countdown', 'clockOut', 'status',
+    'monthToDate', 'workedDays', 'totalDays', 'periodProgress', 'nextRestDays', 'nextHoliday', 'payday',
+    'employerTime', 'localTime'
+];
+
+/** 仅悬浮提示可用的占位符：默认布局中的各段（Markdown） */
+const TOOLTIP_SECTIONS = ['todaySection', 'periodSection', 'sourceSection'];
+
+const ALIGNMENTS = ['left', 'right'];
+
+/**
+ * 合并用户配置与默认值（非法值使用默认）。
+ * @param {Partial<typeof DEFAULT_STATUS_BAR>} [config]
+ * @returns {typeof DEFAULT_STATUS_BAR}
+ */
+function resolveStatusBarConfig(config = {}) {
+    const text = (value, fallback) => (typeof value === 'string' ? value : fallback);
+    const priority = (value, fallback) => (Number.isFinite(value) ? value : fallback);
+    return {
+        text: text(config.text, '').trim() ? config.text : DEFAULT_STATUS_BAR.text,
+        tooltip: text(config.tooltip, DEFAULT_STATUS_BAR.tooltip),
+        alignment: ALIGNMENTS.includes(config.alignment) ? config.alignment : DEFAULT_STATUS_BAR.alignment,
+        priority: priority(config.priority, DEFAULT_STATUS_BAR.priority),
+        secondaryText: text(config.secondaryText, DEFAULT_STATUS_BAR.secondaryText),
+        secondaryAlignment: ALIGNMENTS.includes(config.secondaryAlignment) ? config.secondaryAlignment : DEFAULT_STATUS_BAR.secondaryAlignment,
+        secondaryPriority: priority(config.secondaryPriority, DEFAULT_STATUS_BAR.secondaryPriority)
+    };
+}
+
+/**
+ * 替换模板中的 {占位符}；未知或无值的占位符原样保留，便于用户发现拼写错误。
+ * @param {string} template
+ * @param {Record<string, string | number | null | undefined>} values
+ * @returns {string}
+ */
+function renderTemplate(template, values) {
+    return String(template).replace(/\{(\w+)\}/g, (match, name) => {
+        const value = values[name];
+        return value === undefined || value === null ? match : String(value);
+    });
+}
+
+/**
+ * 文字进度条，例如 ██████░░░░。
+ * @param {number} ratio 0-1，超出范围时截断
+ * @param {number} [width] 总格数
+ */
+function progressBar(ratio, width = 10) {
+    const filled = Math.round(Math.min(1, Math.max(0, Number(ratio) || 0)) * width);
+    return '█'.repeat(filled) + '░'.repeat(width - filled);
+}
+
+/**
+ * 转义 Markdown 特殊字符，使文字按原样显示。
+ * @param {string | number} text
+ */
+function escapeMarkdown(text) {
+    return String(text).replace(/[\\`*_{}[\]()#+\-.!|<>~$]/g, '\\$&');
+}
+
+/**
+ * 模板渲染结果是否有可显示的内容（忽略 $(icon) 图标与空白），用于隐藏空的第二个状态栏项。
+ * @param {string} text
+ */
+function hasVisibleText(text) {
+    return String(text).replace(/\$\([\w-]+(~[\w-]+)?\)/g, '').trim() !== '';
+}
+
+module.exports = {
+    DEFAULT_STATUS_BAR,
+    PLACEHOLDERS,
+    TOOLTIP_SECTIONS,
+    resolveStatusBarConfig,
+    renderTemplate,
+    progressBar,
+    escapeMarkdown,
+    hasVisibleText
+};
@@ -0,0 +1,116 @@
+// 时区：为雇主在其他时区的远程工作者，按设置的 IANA 时区（如 America/New_York）解析工作时段、"今天"、月份边界与节假日日期。
+// 约定：日期（工作日、节假日等只关心年月日的值）仍以本机时区 00:00 的 Date 表示，只取其年月日；
+// 具体时刻（上下班时间、当前时间）为真实的时间点。本模块在两者之间换算：
+// - dateIn：某时刻在该时区是哪一天
+// - zonedTime：该时区某天的某个挂钟时间对应的时刻；夏令时切换当天，时段时长按真实经过的时间计算
+// 时区为空时使用本机时区（与 Date 的本地方法一致）。
+// 本模块不依赖 vscode。
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 时区 -> Intl.DateTimeFormat（创建代价较高，按时区缓存）
+const formatters = new Map();
+
+/**
+ * 工具：读取（或创建）某时区的挂钟时间格式化器；时区无效时抛出 RangeError。
+ * @param {string} timeZone
+ */
+function formatterFor(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone, hourCycle: 'h23',
+            year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+/**
+ * 校验并规范化时区设置。
+ * @param {string} [name] IANA 时区名
+ * @returns {string} 规范的时区名；为空或无效时为空字符串（使用本机时区）
+ */
+function resolveTimeZone(name) {
+    const text = String(name || '').trim();
+    if (!text) return '';
+    try {
+        return formatterFor(text).resolvedOptions().timeZone;
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * 某时刻在指定时区的挂钟时间。
+ * @param {Date | number} instant
+ * @param {string} [timeZone] 为空时使用本机时区
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number }} month 为 1-12
+ */
+function wallClock(instant, timeZone) {
+    const date = new Date(instant);
+    if (!timeZone) {
+        return {
+            year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate(),
+            hour: date.getHours(), minute: date.getMinutes(), second: date.getSeconds()
+        };
+    }
+    const parts = {};
+    for (const p of formatterFor(timeZone).formatToParts(date)) parts[p.type] = parseInt(p.value, 10);
+    return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute, second: parts.second };
+}
+
+/**
+ * 工具：某时刻在指定时区相对 UTC 的偏移（毫秒）。
+ * @param {number} ms
+ * @param {string} timeZone
+ */
+function offsetAt(ms, timeZone) {
+    const c = wallClock(ms, timeZone);
+    return Date.UTC(c.year, c.month - 1, c.day, c.hour, c.minute, c.second) - Math.floor(ms / 1000) * 1000;
+}
+
+/**
+ * 某时刻在指定时区的日期。
+ * @param {Date | number} instant
+ * @param {string} [timeZone]
+ * @returns {Date} 该日期（本机时区 00:00）
+ */
+function dateIn(instant, timeZone) {
+    const { year, month, day } = wallClock(instant, timeZone);
+    return new Date(year, month - 1, day);
+}
+
+/**
+ * 指定时区某天 00:00 起若干分钟的挂钟时间对应的时刻（分钟数可超过 24 小时，表示之后的日子）。
+ * 夏令时开始时不存在的时间顺延（如 02:30 -> 03:30），结束时重复的时间取较早的一次，与 Date.setHours 的行为一致。
+ * @param {Date} date 日期（只取年月日）
+ * @param {number} minutes 距当天 00:00 的分钟数
+ * @param {string} [timeZone]
+ * @returns {Date}
+ */
+function zonedTime(date, minutes, timeZone) {
+    if (!timeZone) return new Date(date.getFullYear(), date.getMonth(), date.getDate(), 0, minutes);
+    const wall = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), 0, minutes);
+    // 前后一天的偏移覆盖了当天可能发生的切换：两者相同时即为当天的偏移
+    const offsets = [offsetAt(wall - DAY_MS, timeZone), offsetAt(wall + DAY_MS, timeZone)];
+    const exact = offsets.map(offset => wall - offset).filter(ms => offsetAt(ms, timeZone) === wall - ms);
+    return new Date(exact.length ? Math.min(...exact) : wall - offsets[0]);
+}
+
+/**
+ * 工具：格式化某时刻在指定时区的时间为 HH:mm。
+ * @param {Date | number} instant
+ * @param {string} [timeZone]
+ */
+function formatClock(instant, timeZone) {
+    const { hour, minute } = wallClock(instant, timeZone);
+    return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+module.exports = {
+    resolveTimeZone,
+    wallClock,
+    dateIn,
+    zonedTime,
+    formatClock
+};
@@ -0,0 +1,182 @@
+// 年度日历索引：把一年（前后各延伸一个月）的每一天按作息规则、法定节假日与补班分类一次，
+// 供"下一个休息日""下一个法定节假日"、年度假期总览与拼假建议使用，避免逐日重复查询日历。
+// 索引按日历对象缓存：日历内容或作息规则变化时重新建立。
+// 本模块不依赖 vscode。
+
+const { classifyDay } = require('./schedule');
+const { dateIn } = require('./timeZone');
+
+/** 索引在本年前后各延伸的天数，使跨年的假期（如元旦）也能完整识别 */
+const PAD_DAYS = 31;
+
+/** 拼假建议默认最多请假的天数 */
+const DEFAULT_MAX_LEAVE_DAYS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 日历对象 -> Map(年份与作息规则 -> 索引)
+const indexCache = new WeakMap();
+
+/**
+ * 从事件名称中提取节日名，例如"春节 假期第1天"->"春节"、"元旦 补班"->"元旦"、"Independence Day (observed)"->"Independence Day"。
+ * @param {string} summary
+ */
+function holidayName(summary) {
+    return String(summary || '')
+        .replace(/\s*(假期第\s*\d+\s*天|假期|放假|休假|補假|补班|補班|補行上班|调休上班|调休|\(observed\))\s*$/i, '')
+        .trim();
+}
+
+/**
+ * 建立某年的日历索引。
+ * @param {number} year
+ * @param {{ restDays?: number[], rotations?: Array<object>, overrides?: Record<string, string> }} schedule 作息规则
+ * @param {{ getMonth: Function, getLabels?: Function }} calendar
+ * @returns {{
+ *   year: number,
+ *   dates: Date[],
+ *   kinds: Array<'workday' | 'holiday' | 'rest'>,
+ *   indexOf: (date: Date) => number,
+ *   kindOf: (date: Date) => 'workday' | 'holiday' | 'rest' | null,
+ *   blocks: Array<{ start: Date, end: Date, days: number, holidayDays: number, name: string }>,
+ *   makeupDays: Array<{ date: Date, name: string }>
+ * }} blocks 为与本年有交集的假期（包含法定节假日的连续不上班日，含相连的休息日），makeupDays 为本年的补班日
+ */
+function createYearIndex(year, schedule, calendar) {
+    const dates = [];
+    const kinds = [];
+    const labels = [];
+    const makeup = [];
+    const end = new Date(year + 1, 0, 1 + PAD_DAYS);
+    for (let date = new Date(year, 0, 1 - PAD_DAYS); date < end; date = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1)) {
+        const y = date.getFullYear();
+        const m = date.getMonth() + 1;
+        const d = date.getDate();
+        dates.push(date);
+        const kind = classifyDay(date, schedule, calendar);
+        kinds.push(kind);
+        labels.push((calendar.getLabels && calendar.getLabels(y, m) || {})[d] || '');
+        makeup.push(kind === 'workday' && calendar.getMonth(y, m).workdays.includes(d));
+    }
+    const first = dates[0];
+    const indexOf = date => Math.round((new Date(date.getFullYear(), date.getMonth(), date.getDate()) - first) / DAY_MS);
+    const inYear = date => date.getFullYear() === year;
+
+    const blocks = [];
+    for (let i = 0; i < dates.length; i++) {
+        if (kinds[i] === 'workday') continue;
+        let j = i;
+        while (j + 1 < dates.length && kinds[j + 1] !== 'workday') j++;
+        const holidayDays = kinds.slice(i, j + 1).filter(kind => kind === 'holiday').length;
+        if (holidayDays > 0 && (inYear(dates[i]) || inYear(dates[j]))) {
+            const named = labels.slice(i, j + 1).find((label, k) => label && kinds[i + k] === 'holiday');
+            blocks.push({ start: dates[i], end: dates[j], days: j - i + 1, holidayDays, name: holidayName(named) });
+        }
+        i = j;
+    }
+    const makeupDays = dates
+        .map((date, i) => ({ date, name: holidayName(labels[i]), makeup: makeup[i] }))
+        .filter(day => day.makeup && inYear(day.date))
+        .map(({ date, name }) => ({ date, name }));
+
+    return {
+        year,
+        dates,
+        kinds,
+        indexOf,
+        kindOf(date) {
+            const i = indexOf(date);
+            return i >= 0 && i < kinds.length ? kinds[i] : null;
+        },
+        blocks,
+        makeupDays
+    };
+}
+
+/**
+ * 读取某年的日历索引（按日历对象与作息规则缓存）。
+ * @param {number} year
+ * @param {object} schedule
+ * @param {{ getMonth: Function, getLabels?: Function }} calendar
+ * @returns {ReturnType<typeof createYearIndex>}
+ */
+function getYearIndex(year, schedule, calendar) {
+    let byKey = indexCache.get(calendar);
+    if (!byKey) {
+        byKey = new Map();
+        indexCache.set(calendar, byKey);
+    }
+    const key = JSON.stringify([year, schedule.restDays || [], schedule.rotations || [], schedule.overrides || {}]);
+    if (!byKey.has(key)) byKey.set(key, createYearIndex(year, schedule, calendar));
+    return byKey.get(key);
+}
+
+/**
+ * 下一个法定节假日（今天正在放假时返回本次假期）。
+ * @param {Date} now 当前时间（按作息配置的时区确定"今天"）
+ * @param {object} schedule
+ * @param {{ getMonth: Function, getLabels?: Function }} calendar
+ * @returns {(ReturnType<typeof createYearIndex>['blocks'][number] & { daysUntil: number }) | null} daysUntil 为距假期开始的天数（放假中为 0）；
+ *   今明两年都没有节假日数据时为 null
+ */
+function nextHoliday(now, schedule, calendar) {
+    const today = dateIn(now, schedule.timeZone);
+    for (const year of [today.getFullYear(), today.getFullYear() + 1]) {
+        const block = getYearIndex(year, schedule, calendar).blocks.find(b => b.end >= today);
+        if (block) return { ...block, daysUntil: Math.max(0, Math.round((block.start - today) / DAY_MS)) };
+    }
+    return null;
+}
+
+/**
+ * 拼假建议：在假期前后请几天假，连上相邻的休息日，得到尽可能长的连休。
+ * 请假天数从 1 到 maxLeaveDays 依次尝试，只保留每多请一天假、连休天数增加超过一天的方案（即请假连上了休息日）。
+ * @param {ReturnType<typeof createYearIndex>} index
+ * @param {{ start: Date, end: Date, days: number }} block 假期
+ * @param {number} [maxLeaveDays]
+ * @returns {Array<{ leaveDates: Date[], start: Date, end: Date, days: number }>} 按请假天数从少到多排列
+ */
+function suggestLeave(index, block, maxLeaveDays = DEFAULT_MAX_LEAVE_DAYS) {
+    const { kinds, dates } = index;
+    // 从 from 向 step 方向延伸：休息日直接连上，工作日需要请假，请满 leaveDays 天后遇到工作日即停止
+    const extend = (from, step, leaveDays) => {
+        const leave = [];
+        let edge = from;
+        for (let i = from + step; i >= 0 && i < kinds.length; i += step) {
+            if (kinds[i] === 'workday') {
+                if (leave.length >= leaveDays) break;
+                leave.push(i);
+            }
+            edge = i;
+        }
+        return { edge, leave };
+    };
+    const s = index.indexOf(block.start);
+    const e = index.indexOf(block.end);
+    const suggestions = [];
+    let previous = { leaveDays: 0, days: block.days };
+    for (let n = 1; n <= maxLeaveDays; n++) {
+        let best = null;
+        for (let before = 0; before <= n; before++) {
+            const left = extend(s, -1, before);
+            const right = extend(e, 1, n - before);
+            // 超出索引范围时请不满 n 天
+            if (left.leave.length + right.leave.length < n) continue;
+            const days = right.edge - left.edge + 1;
+            if (!best || days > best.days) best = { days, from: left.edge, to: right.edge, leave: [...left.leave.reverse(), ...right.leave] };
+        }
+        if (!best || best.days - previous.days <= n - previous.leaveDays) continue;
+        suggestions.push({ leaveDates: best.leave.map(i => dates[i]), start: dates[best.from], end: dates[best.to], days: best.days });
+        previous = { leaveDays: n, days: best.days };
+    }
+    return suggestions;
+}
+
+module.exports = {
+    DEFAULT_MAX_LEAVE_DAYS,
+    holidayName,
+    createYearIndex,
+    getYearIndex,
+    nextHoliday,
+    suggestLeave
+};
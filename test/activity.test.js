@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveActivityConfig, accumulateActivity, splitEarnings } = require('../src/activity');
+
+const at = (h, m = 0) => new Date(2026, 0, 5, h, m).getTime();
+const segments = [
+    { start: new Date(at(9)), end: new Date(at(12)) },
+    { start: new Date(at(13)), end: new Date(at(18)) }
+];
+const MIN = 60 * 1000;
+
+test('resolveActivityConfig 默认启用，阈值 5 分钟', () => {
+    assert.deepStrictEqual(resolveActivityConfig(), { enabled: true, idleMs: 5 * MIN });
+    assert.deepStrictEqual(resolveActivityConfig({ enabled: false, idleMinutes: 10 }), { enabled: false, idleMs: 10 * MIN });
+    assert.strictEqual(resolveActivityConfig({ idleMinutes: -1 }).idleMs, 5 * MIN);
+});
+
+test('accumulateActivity 上次活动后阈值内为专注，其余为摸鱼', () => {
+    const day = accumulateActivity({ activeMs: 0, idleMs: 0 }, {
+        from: at(10), to: at(10, 20), lastActivity: at(10), idleThresholdMs: 5 * MIN, segments
+    });
+    assert.deepStrictEqual(day, { activeMs: 5 * MIN, idleMs: 15 * MIN });
+});
+
+test('accumulateActivity 只统计工作时段内的时间', () => {
+    // 11:50-13:10，最近活动在 11:58：午休不计
+    const day = accumulateActivity({ activeMs: 60 * MIN, idleMs: 0 }, {
+        from: at(11, 50), to: at(13, 10), lastActivity: at(11, 58), idleThresholdMs: 5 * MIN, segments
+    });
+    assert.deepStrictEqual(day, { activeMs: 70 * MIN, idleMs: 10 * MIN });
+});
+
+test('splitEarnings 专注时长折算专注工资，其余为摸鱼工资', () => {
+    // 日薪 800、8 小时：专注 3 小时即 300；已获得 500 时摸鱼 200
+    assert.deepStrictEqual(splitEarnings(500, 800, 8 * 60 * MIN, 3 * 60 * MIN), { activeEarned: 300, fishEarned: 200 });
+    assert.deepStrictEqual(splitEarnings(0, 800, 0, 0), { activeEarned: 0, fishEarned: 0 });
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createCalendar } = require('../src/calendar');
+const { readBundledICS } = require('../src/holidaySources');
+const { API_VERSION, toTime, toDate, describeDate, listHolidays, stateChangeType, createApi } = require('../src/api');
+
+const input = { schedule: { restDays: [6, 7] }, calendar: createCalendar(readBundledICS()) };
+const key = date => `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+
+test('toTime 与 toDate 解析时刻与日期参数', () => {
+    assert.strictEqual(toTime('2026-10-19T10:00:00Z').toISOString(), '2026-10-19T10:00:00.000Z');
+    assert.strictEqual(toTime(0).getTime(), 0);
+    assert.throws(() => toTime('soon'), TypeError);
+    assert.strictEqual(key(toDate('2026-2-3')), '2026-2-3');
+    assert.throws(() => toDate('2026-02-30'), TypeError);
+    // 时刻取其在作息时区的日期
+    assert.strictEqual(key(toDate('2026-10-19T20:00:00Z', 'Asia/Shanghai')), '2026-10-20');
+});
+
+test('describeDate 按节假日、补班与休息日判定', () => {
+    assert.deepStrictEqual(describeDate(input, '2026-10-01'), { date: '2026-10-01', kind: 'holiday', isWorkday: false });
+    assert.deepStrictEqual(describeDate(input, '2026-01-04'), { date: '2026-01-04', kind: 'workday', isWorkday: true });
+    assert.deepStrictEqual(describeDate(input, '2026-10-17'), { date: '2026-10-17', kind: 'rest', isWorkday: false });
+});
+
+test('listHolidays 列出与范围有交集的假期，跨年的假期只列一次', () => {
+    const holidays = listHolidays(input, '2026-09-01', '2027-01-10');
+    assert.deepStrictEqual(holidays.map(h => h.name), ['中秋节', '国庆节', '元旦']);
+    assert.strictEqual(holidays[1].start, '2026-10-01');
+    assert.strictEqual(holidays[2].end, '2027-01-03');
+    assert.strictEqual(listHolidays(input, '2026-10-05', '2026-10-05').length, 1);
+    assert.deepStrictEqual(listHolidays(input, '2026-12-31', '2027-01-10').map(h => h.start), ['2027-01-01']);
+    assert.throws(() => listHolidays(input, '2026-10-05', '2026-10-01'), RangeError);
+    assert.throws(() => listHolidays(input, '2026-01-01', '2036-01-01'), RangeError);
+});
+
+test('stateChangeType 区分上班、休息、加班与下班', () => {
+    assert.strictEqual(stateChangeType('notStarted', 'working'), 'workStart');
+    assert.strictEqual(stateChangeType('working', 'break'), 'breakStart');
+    assert.strictEqual(stateChangeType('break', 'working'), 'breakEnd');
+    assert.strictEqual(stateChangeType('working', 'offWork'), 'clockOut');
+    assert.strictEqual(stateChangeType('offWork', 'overtime'), 'overtimeStart');
+    assert.strictEqual(stateChangeType('overtime', 'offWork'), 'overtimeEnd');
+    assert.strictEqual(stateChangeType('offWork', 'notStarted'), 'statusChange');
+});
+
+test('createApi 带版本号，查询前等待计算上下文', async () => {
+    let calls = 0;
+    const onDidChangeState = () => ({ dispose() { } });
+    const api = createApi({
+        getContext: async () => { calls++; return input; },
+        getState: (context, now) => ({ at: now.toISOString(), same: context === input }),
+        onDidChangeState
+    });
+    assert.strictEqual(api.version, API_VERSION);
+    assert.ok(Object.isFrozen(api));
+    assert.deepStrictEqual(await api.getSnapshot('2026-10-19T10:00:00Z'), { at: '2026-10-19T10:00:00.000Z', same: true });
+    assert.strictEqual(await api.isWorkday('2026-10-01'), false);
+    assert.strictEqual((await api.getDay('2026-01-04')).kind, 'workday');
+    assert.strictEqual((await api.getHolidays('2026-10-01', '2026-10-31'))[0].name, '国庆节');
+    assert.strictEqual(api.onDidChangeState, onDidChangeState);
+    assert.strictEqual(calls, 4);
+    await assert.rejects(api.getSnapshot('soon'), TypeError);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseICSForMonth, createCalendar, mergeCalendars } = require('../src/calendar');
+
+const ICS = [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'DTSTART;VALUE=DATE:20260101',
+    'SUMMARY:元旦 假期第1天',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'DTSTART;VALUE=DATE:20260102',
+    'SUMMARY:元旦 假期第2天',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'DTSTART:20260104T000000',
+    'SUMMARY:元旦 补班',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'DTSTART;VALUE=DATE:20260215',
+    'SUMMARY:春节 假期第1天',
+    'END:VEVENT',
+    'END:VCALENDAR'
+].join('\n');
+const ics = (...lines) => ['BEGIN:VCALENDAR', ...lines, 'END:VCALENDAR'].join('\n');
+
+test('parseICSForMonth 只返回指定月份的假期与补班', () => {
+    assert.deepStrictEqual(parseICSForMonth(ICS, 2026, 1), { holidays: [1, 2], workdays: [4] });
+    assert.deepStrictEqual(parseICSForMonth(ICS, 2026, 2), { holidays: [15], workdays: [] });
+    assert.deepStrictEqual(parseICSForMonth(ICS, 2025, 1), { holidays: [], workdays: [] });
+});
+
+test('parseICSForMonth 对空文本返回空结果', () => {
+    assert.deepStrictEqual(parseICSForMonth('', 2026, 1), { holidays: [], workdays: [] });
+    assert.deepStrictEqual(parseICSForMonth(undefined, 2026, 1), { holidays: [], workdays: [] });
+});
+
+test('createCalendar 按月缓存解析结果', () => {
+    const calendar = createCalendar(ICS);
+    const first = calendar.getMonth(2026, 1);
+    assert.strictEqual(calendar.getMonth(2026, 1), first);
+    assert.deepStrictEqual(calendar.getMonth(2026, 2).holidays, [15]);
+});
+
+test('mergeCalendars 同一天以优先级高的日历为准', () => {
+    const primary = createCalendar([
+        'BEGIN:VEVENT', 'DTSTART:20260102T090000', 'SUMMARY:测试 补班', 'END:VEVENT'
+    ].join('\n'));
+    const merged = mergeCalendars([primary, createCalendar(ICS)]);
+    assert.deepStrictEqual(merged.getMonth(2026, 1), { holidays: [1], workdays: [2, 4] });
+    assert.deepStrictEqual(merged.getMonth(2026, 2), { holidays: [15], workdays: [] });
+});
+
+test('getLabels 返回假期与补班的事件名称，合并时取自决定该天的日历', () => {
+    const calendar = createCalendar(ICS);
+    assert.deepStrictEqual(calendar.getLabels(2026, 1), { 1: '元旦 假期第1天', 2: '元旦 假期第2天', 4: '元旦 补班' });
+    const override = createCalendar([
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT',
+        'DTSTART;VALUE=DATE:20260102',
+        'SUMMARY:公司 补班',
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ].join('\n'));
+    const merged = mergeCalendars([override, calendar, { getMonth: () => ({ holidays: [20], workdays: [] }) }]);
+    assert.deepStrictEqual(merged.getLabels(2026, 1), { 1: '元旦 假期第1天', 2: '公司 补班', 4: '元旦 补班' });
+    assert.deepStrictEqual(merged.getMonth(2026, 1), { holidays: [1, 20], workdays: [2, 4] });
+});
+
+test('mergeCalendars 的兜底日历只用于其他日历都没有数据的年份', () => {
+    // 来源已覆盖 2026 年且春节改在 16 日；内置数据中过时的 15 日不再出现，2027 年仍使用内置数据
+    const source = createCalendar(ics('BEGIN:VEVENT', 'DTSTART;VALUE=DATE:20260216', 'SUMMARY:春节 假期第1天', 'END:VEVENT'));
+    const bundled = createCalendar(ics(
+        'BEGIN:VEVENT', 'DTSTART;VALUE=DATE:20260215', 'SUMMARY:春节 假期第1天', 'END:VEVENT',
+        'BEGIN:VEVENT', 'DTSTART;VALUE=DATE:20270206', 'SUMMARY:春节 假期第1天', 'END:VEVENT'
+    ));
+    const merged = mergeCalendars([source], bundled);
+    assert.deepStrictEqual(merged.getMonth(2026, 2).holidays, [16]);
+    assert.deepStrictEqual(merged.getMonth(2027, 2).holidays, [6]);
+    assert.strictEqual(merged.coversYear(2027), true);
+    assert.strictEqual(merged.coversYear(2028), false);
+    // 只有重复规则的事件不算覆盖该年
+    const recurring = createCalendar(ics('BEGIN:VEVENT', 'DTSTART;VALUE=DATE:20250101', 'RRULE:FREQ=YEARLY', 'SUMMARY:元旦 假期', 'END:VEVENT'));
+    assert.strictEqual(recurring.coversYear(2026), false);
+    assert.deepStrictEqual(mergeCalendars([recurring], bundled).getMonth(2026, 2).holidays, [15]);
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { CONFIG_SECTION, LEGACY_SECTION, SETTINGS, readConfig, effectiveSettings, planMigration, validateConfig } = require('../src/config');
+
+const defaults = () => readConfig((key, defaultValue) => defaultValue);
+
+// 模拟 WorkspaceConfiguration.inspect：values 为 { 'section.key': { globalValue, workspaceValue } }
+const inspector = values => (section, key) => values[`${section}.${key}`];
+
+test('设置定义与 package.json 中声明的设置一致（名称、顺序与默认值）', () => {
+    const pkg = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'package.json'), 'utf8'));
+    const properties = pkg.contributes.configuration.properties;
+    assert.deepStrictEqual(Object.values(SETTINGS).map(s => `${CONFIG_SECTION}.${s.key}`), Object.keys(properties));
+    for (const setting of Object.values(SETTINGS)) {
+        assert.deepStrictEqual(setting.default, properties[`${CONFIG_SECTION}.${setting.key}`].default, setting.key);
+    }
+});
+
+test('readConfig 按设置名读取，未设置时使用默认值', () => {
+    const cfg = readConfig((key, defaultValue) => ({ '5_rest-days': [7], '12_salary-model': 'hourly' })[key] ?? defaultValue);
+    assert.deepStrictEqual(cfg.restDays, [7]);
+    assert.strictEqual(cfg.salary.model, 'hourly');
+    assert.strictEqual(cfg.salary.monthlySalary, 20450);
+    assert.strictEqual(cfg.morningStart, '10:00');
+    assert.strictEqual(cfg.statusBar.priority, -100);
+});
+
+test('planMigration 迁移旧版设置，新设置已有值时保留新值', () => {
+    const plan = planMigration(inspector({
+        [`${LEGACY_SECTION}.5_restDays`]: { globalValue: [7] },
+        [`${LEGACY_SECTION}.0_monthly-salary`]: { globalValue: 30000, workspaceValue: 25000 },
+        [`${CONFIG_SECTION}.0_monthly-salary`]: { workspaceValue: 28000 }
+    }));
+    assert.deepStrictEqual(plan, [
+        { from: 'fishTime.0_monthly-salary', to: 'fish-time-pro.0_monthly-salary', scope: 'globalValue', value: 30000, current: undefined },
+        { from: 'fishTime.0_monthly-salary', to: 'fish-time-pro.0_monthly-salary', scope: 'workspaceValue', value: 25000, current: 28000 },
+        { from: 'fishTime.5_restDays', to: 'fish-time-pro.5_rest-days', scope: 'globalValue', value: [7], current: undefined }
+    ]);
+    assert.deepStrictEqual(planMigration(inspector({})), []);
+});
+
+test('effectiveSettings 给出生效值及其来源', () => {
+    const settings = effectiveSettings(inspector({
+        [`${CONFIG_SECTION}.0_monthly-salary`]: { globalValue: 30000, workspaceValue: 25000 },
+        [`${CONFIG_SECTION}.26_region`]: { globalValue: 'jp' }
+    }));
+    const bySetting = Object.fromEntries(settings.map(s => [s.setting, s]));
+    assert.deepStrictEqual(bySetting['fish-time-pro.0_monthly-salary'], { setting: 'fish-time-pro.0_monthly-salary', value: 25000, source: 'workspace' });
+    assert.deepStrictEqual(bySetting['fish-time-pro.26_region'], { setting: 'fish-time-pro.26_region', value: 'jp', source: 'user' });
+    assert.deepStrictEqual(bySetting['fish-time-pro.5_rest-days'], { setting: 'fish-time-pro.5_rest-days', value: [6, 7], source: 'default' });
+});
+
+test('validateConfig 默认设置没有问题', () => {
+    assert.deepStrictEqual(validateConfig(defaults()), []);
+});
+
+test('validateConfig 报告顺序颠倒与无效的四段时间，以及工作时长为零', () => {
+    const settings = warnings => warnings.map(w => w.setting);
+    const reversed = validateConfig({ ...defaults(), morningEnd: '09:00', afternoonStart: '25:00' });
+    assert.deepStrictEqual(settings(reversed), ['fish-time-pro.2_morning-end', 'fish-time-pro.3_afternoon-start']);
+    assert.match(reversed[0].message, /09:00 is earlier than fish-time-pro\.1_morning-start \(10:00\)/);
+
+    const empty = validateConfig({ ...defaults(), morningEnd: '10:00', afternoonStart: '18:00' });
+    assert.deepStrictEqual(settings(empty), ['fish-time-pro.1_morning-start']);
+    assert.match(empty[0].message, /no working time/);
+    // 弹性工时不使用固定时段
+    assert.deepStrictEqual(validateConfig({ ...defaults(), morningEnd: '10:00', afternoonStart: '18:00', flexibleHours: { enabled: true } }), []);
+});
+
+test('validateConfig 报告工作时段与按星期几的时段中的问题', () => {
+    const warnings = validateConfig({
+        ...defaults(),
+        workSegments: [{ start: '09:00', end: '12:00' }, { start: '08:00', end: '10:00' }, { start: '9:00', end: '10:00' }],
+        weekdaySchedules: { 5: [{ start: '09:00', end: '09:00' }], 8: [] }
+    });
+    assert.deepStrictEqual(warnings.map(w => w.setting), [
+        'fish-time-pro.8_work-segments', 'fish-time-pro.8_work-segments', 'fish-time-pro.9_weekday-schedules', 'fish-time-pro.9_weekday-schedules'
+    ]);
+    assert.match(warnings[0].message, /Work segment 3 has an invalid/);
+    assert.match(warnings[1].message, /more than 24 hours/);
+    assert.match(warnings[2].message, /^Weekday 5: Work segment 1 starts and ends at 09:00/);
+    assert.match(warnings[3].message, /"8" is not a day of the week/);
+    // 跨零点的夜班是正常的
+    assert.deepStrictEqual(validateConfig({ ...defaults(), workSegments: [{ start: '22:00', end: '02:00' }, { start: '03:00', end: '06:00' }] }), []);
+});
+
+test('validateConfig 报告休息日、薪资、时区与弹性工时的问题', () => {
+    const warnings = validateConfig({
+        ...defaults(),
+        restDays: [1, 2, 3, 4, 5, 6, 7, 8],
+        restRotations: [{ weekdays: [6], anchor: '2026-1-5', pattern: ['work', 'rest'] }],
+        salary: { ...defaults().salary, model: 'hourly', hourlyRate: 0, divisor: 'weekly' },
+        timeZone: 'Mars/Olympus',
+        region: 'xx',
+        flexibleHours: { enabled: true, earliestStart: '7:00', hours: 30 },
+        payPeriod: { startDay: 31 }
+    });
+    assert.deepStrictEqual(warnings.map(w => w.setting), [
+        'fish-time-pro.5_rest-days', 'fish-time-pro.10_rest-rotations', 'fish-time-pro.5_rest-days',
+        'fish-time-pro.13_salary-divisor', 'fish-time-pro.26_region', 'fish-time-pro.14_hourly-rate',
+        'fish-time-pro.27_time-zone', 'fish-time-pro.28_flexible-hours', 'fish-time-pro.28_flexible-hours', 'fish-time-pro.22_pay-period'
+    ]);
+    assert.match(warnings[0].message, /8 is ignored/);
+    assert.match(warnings[2].message, /Every day of the week is a rest day/);
+    assert.match(warnings[3].message, /"weekly" is not one of actual, statutory; actual is used/);
+    assert.match(warnings[7].message, /^earliestStart: "7:00" is not a valid time/);
+});
+
+test('validateConfig 提示未设置令牌的 HTTP 导出', () => {
+    const warnings = validateConfig({ ...defaults(), liveExport: { ...defaults().liveExport, http: true } });
+    assert.deepStrictEqual(warnings.map(w => w.setting), ['fish-time-pro.29_live-export']);
+    assert.match(warnings[0].message, /^token: The HTTP endpoint does not start/);
+    assert.deepStrictEqual(validateConfig({ ...defaults(), liveExport: { ...defaults().liveExport, http: true, token: 'x' } }), []);
+});
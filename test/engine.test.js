@@ -0,0 +1,429 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createCalendar } = require('../src/calendar');
+const { calcWorkingDays, calcNextRestDay, computeSnapshot, computeDayRecord } = require('../src/engine');
+const { isRestDate, explainDay, normalizeSegments, parseHHMMToMinutes } = require('../src/schedule');
+const { resolveFlexibleHours } = require('../src/flexHours');
+const { appendRecords, replaceRecords } = require('../src/history');
+
+// 2026 年 1 月：1-3 日元旦放假，4 日（周日）补班；2 月 2 日为测试用假期
+const ICS = [
+    'BEGIN:VCALENDAR',
+    ...[1, 2, 3].map(d => [
+        'BEGIN:VEVENT',
+        `DTSTART;VALUE=DATE:2026010${d}`,
+        `SUMMARY:元旦 假期第${d}天`,
+        'END:VEVENT'
+    ]).flat(),
+    'BEGIN:VEVENT',
+    'DTSTART:20260104T000000',
+    'SUMMARY:元旦 补班',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'DTSTART;VALUE=DATE:20260202',
+    'SUMMARY:测试 假期第1天',
+    'END:VEVENT',
+    'END:VCALENDAR'
+].join('\n');
+
+const calendar = createCalendar(ICS);
+
+/** 9:00-12:00、13:00-18:00，每天 8 小时；1 月共 21 个工作日 + 3 天带薪假期，月薪 24000 即日薪 1000 */
+function input(overrides = {}) {
+    return {
+        schedule: {
+            morningStart: '09:00',
+            morningEnd: '12:00',
+            afternoonStart: '13:00',
+            afternoonEnd: '18:00',
+            restDays: [6, 7],
+            ...overrides.schedule
+        },
+        calendar,
+        salary: { monthlySalary: 24000, ...overrides.salary },
+        netPay: overrides.netPay,
+        leave: overrides.leave,
+        payPeriod: overrides.payPeriod
+    };
+}
+
+test('parseHHMMToMinutes 解析合法时间，非法时返回默认值', () => {
+    assert.strictEqual(parseHHMMToMinutes('09:30', 0), 570);
+    assert.strictEqual(parseHHMMToMinutes('24:00', 60), 60);
+    assert.strictEqual(parseHHMMToMinutes(undefined, 60), 60);
+});
+
+test('calcWorkingDays 分别统计工作日与节假日', () => {
+    const { holidays, workdays } = calendar.getMonth(2026, 1);
+    const result = calcWorkingDays(2026, 1, { restDays: [6, 7] }, holidays, workdays, new Date(2026, 0, 5));
+    assert.deepStrictEqual(result, {
+        totalWorkingDays: 21,
+        workedDays: 2, // 4 日补班 + 5 日
+        totalHolidays: 3,
+        passedHolidays: 3,
+        leaveDays: 0,
+        passedLeaveDays: 0,
+        todayLeave: null,
+        isTodayWorkingDay: true,
+        isTodayHoliday: false
+    });
+});
+
+test('calcWorkingDays 在月末包含整月', () => {
+    const { holidays, workdays } = calendar.getMonth(2026, 1);
+    const result = calcWorkingDays(2026, 1, { restDays: [6, 7] }, holidays, workdays, new Date(2026, 0, 31));
+    assert.strictEqual(result.totalWorkingDays, 21);
+    assert.strictEqual(result.workedDays, 21);
+    assert.strictEqual(result.totalHolidays, 3);
+    assert.strictEqual(result.isTodayWorkingDay, false);
+});
+
+test('上班前收入为 0', () => {
+    const s = computeSnapshot(input(), new Date(2026, 0, 5, 8, 0));
+    assert.strictEqual(s.statusLabel, 'Not started yet');
+    assert.strictEqual(s.earned, 0);
+    assert.strictEqual(s.ratio, 0);
+});
+
+test('上午工作中按已过时长累计', () => {
+    const s = computeSnapshot(input(), new Date(2026, 0, 5, 10, 30));
+    assert.strictEqual(s.statusLabel, 'Working');
+    assert.strictEqual(s.currentSegment, 0);
+    assert.strictEqual(s.dailySalary, 1000);
+    assert.strictEqual(s.ratio, 1.5 / 8);
+    assert.strictEqual(s.earned, 187.5);
+    assert.strictEqual(s.monthToDate, 4 * 1000 + 187.5);
+});
+
+test('午休期间收入保持上午结束时的数值', () => {
+    const s = computeSnapshot(input(), new Date(2026, 0, 5, 12, 30));
+    assert.strictEqual(s.statusLabel, 'On break');
+    assert.strictEqual(s.nextSegment, 1);
+    assert.strictEqual(s.earned, 375);
+});
+
+test('下午工作中累计上午与下午时长', () => {
+    const s = computeSnapshot(input(), new Date(2026, 0, 5, 15, 0));
+    assert.strictEqual(s.statusLabel, 'Working');
+    assert.strictEqual(s.currentSegment, 1);
+    assert.strictEqual(s.earned, 625);
+});
+
+test('下班后显示整日工资', () => {
+    const s = computeSnapshot(input(), new Date(2026, 0, 5, 19, 0));
+    assert.strictEqual(s.statusLabel, 'Off work');
+    assert.strictEqual(s.earned, 1000);
+    assert.strictEqual(s.ratio, 1);
+});
+
+test('法定节假日获得整日工资', () => {
+    const s = computeSnapshot(input(), new Date(2026, 0, 1, 10, 0));
+    assert.strictEqual(s.statusLabel, 'Holiday today');
+    assert.strictEqual(s.isTodayHoliday, true);
+    assert.strictEqual(s.earned, 1000);
+    assert.strictEqual(s.ratio, 1);
+    assert.strictEqual(s.monthToDate, 1000);
+});
+
+test('周末补班按工作日计算', () => {
+    const s = computeSnapshot(input(), new Date(2026, 0, 4, 10, 0));
+    assert.strictEqual(s.statusLabel, 'Working');
+    assert.strictEqual(s.isTodayWorkingDay, true);
+    assert.strictEqual(s.earned, 125);
+});
+
+test('普通休息日收入为 0', () => {
+    const s = computeSnapshot(input(), new Date(2026, 0, 10, 10, 0));
+    assert.strictEqual(s.statusLabel, 'Rest day today');
+    assert.strictEqual(s.earned, 0);
+    assert.strictEqual(s.nextRestDays, 0);
+});
+
+test('月薪未配置时给出提示', () => {
+    const s = computeSnapshot(input({ salary: { monthlySalary: 0 } }), new Date(2026, 0, 5, 10, 0));
+    assert.strictEqual(s.statusLabel, 'Please set your monthly salary in settings');
+    assert.strictEqual(s.earned, 0);
+    assert.strictEqual(s.monthToDate, 0);
+});
+
+test('按实际计薪天数时，月末累计工资等于月薪', () => {
+    // 1 月 31 日（周六）：21 个工作日与 3 天带薪假期均已计入
+    const s = computeSnapshot(input(), new Date(2026, 0, 31, 10, 0));
+    assert.strictEqual(s.monthToDate, 24000);
+    const unpaid = computeSnapshot(input({ salary: { monthlySalary: 21000, holidayPay: 'unpaid' } }), new Date(2026, 0, 31, 10, 0));
+    assert.strictEqual(unpaid.monthToDate, 21000);
+});
+
+test('法定节假日不计薪时当天收入为 0', () => {
+    const s = computeSnapshot(input({ salary: { monthlySalary: 21000, holidayPay: 'unpaid' } }), new Date(2026, 0, 1, 10, 0));
+    assert.strictEqual(s.statusLabel, 'Holiday today');
+    assert.strictEqual(s.earned, 0);
+    assert.strictEqual(s.monthToDate, 0);
+});
+
+test('时薪按每天的排班时长累计', () => {
+    const weekdaySchedules = { 5: [{ start: '09:00', end: '12:00' }, { start: '13:00', end: '16:00' }] };
+    const salary = { model: 'hourly', hourlyRate: 100, holidayPay: 'unpaid' };
+    // 1 月 12 日（周一）10:00：4-8 日各 8 小时，9 日（周五）6 小时，今天已 1 小时
+    const s = computeSnapshot(input({ schedule: { weekdaySchedules }, salary }), new Date(2026, 0, 12, 10, 0));
+    assert.strictEqual(s.dailySalary, 800);
+    assert.strictEqual(s.earned, 100);
+    assert.strictEqual(s.monthToDate, 5 * 800 + 600 + 100);
+});
+
+test('启用税后工资时按当月税后比例折算实时金额', () => {
+    const s = computeSnapshot(input({ netPay: { enabled: true } }), new Date(2026, 0, 5, 10, 30));
+    assert.strictEqual(s.net.month.gross, 24000);
+    assert.strictEqual(s.net.earned, s.earned * s.net.month.ratio);
+    assert.strictEqual(s.net.monthToDate, s.monthToDate * s.net.month.ratio);
+    assert.strictEqual(computeSnapshot(input(), new Date(2026, 0, 5, 10, 30)).net, null);
+});
+
+test('请假的工作日按计薪比例计算，并视为休息日', () => {
+    // 1 月 6 日年假、7 日病假（60%）、8 日事假
+    const leave = { days: { '2026-01-06': 'annual', '2026-01-07': 'sick', '2026-01-08': 'personal' }, sickPayRatio: 0.6 };
+    const sick = computeSnapshot(input({ leave }), new Date(2026, 0, 7, 10, 0));
+    assert.strictEqual(sick.statusLabel, 'On leave today (Sick leave)');
+    assert.strictEqual(sick.todayLeave, 'sick');
+    assert.strictEqual(sick.isTodayWorkingDay, false);
+    assert.strictEqual(sick.earned, 600);
+    assert.strictEqual(sick.nextRestDays, 0);
+    assert.strictEqual(sick.totalWorkingDays, 21);
+    assert.strictEqual(sick.workedDays, 2); // 4、5 日
+
+    const friday = computeSnapshot(input({ leave }), new Date(2026, 0, 9, 19, 0));
+    assert.strictEqual(friday.passedLeaveDays, 3);
+    // 1-3 日假期 + 4、5、9 日 + 年假 1000 + 病假 600 + 事假 0
+    assert.strictEqual(friday.monthToDate, 3 * 1000 + 3 * 1000 + 1000 + 600);
+    // 5 日（周一）：次日请假即为下一个休息日
+    assert.strictEqual(calcNextRestDay(new Date(2026, 0, 5, 9), { restDays: [6, 7] }, calendar, leave), 1);
+});
+
+test('computeDayRecord 结算整天的工资、时段与请假', () => {
+    const record = computeDayRecord(input({ leave: { days: { '2026-01-06': 'sick' } } }), new Date(2026, 0, 6, 15, 0));
+    assert.strictEqual(record.date, '2026-01-06');
+    assert.strictEqual(record.kind, 'workday');
+    assert.strictEqual(record.leaveType, 'sick');
+    assert.deepStrictEqual(record.segments, ['09:00-12:00', '13:00-18:00']);
+    assert.strictEqual(record.workMs, 8 * 3600000);
+    assert.deepStrictEqual(record.salary, { model: 'monthly', divisor: 'actual', holidayPay: 'paid' });
+    assert.strictEqual(record.dayRate, 1000);
+    assert.strictEqual(record.earned, 800);
+    assert.strictEqual(record.total, 800);
+    assert.strictEqual(record.net, null);
+
+    const holiday = computeDayRecord(input(), new Date(2026, 0, 1));
+    assert.strictEqual(holiday.kind, 'holiday');
+    assert.deepStrictEqual(holiday.segments, []);
+    assert.strictEqual(holiday.total, 1000);
+});
+
+test('已结算的日期事后标记请假并重新结算后，本月累计随之变化', () => {
+    const now = new Date(2026, 0, 6, 19, 0);
+    const settled = appendRecords({}, [computeDayRecord(input(), new Date(2026, 0, 5))]);
+    assert.strictEqual(computeSnapshot({ ...input(), history: settled }, now).monthToDate, 6 * 1000);
+    // 次日补记 5 日病假（按 80% 计薪）：只改请假记录时仍取历史数值，重新结算后一致
+    const withLeave = input({ leave: { days: { '2026-01-05': 'sick' } } });
+    assert.strictEqual(computeSnapshot({ ...withLeave, history: settled }, now).monthToDate, 6 * 1000);
+    const history = replaceRecords(settled, [computeDayRecord(withLeave, new Date(2026, 0, 5))]);
+    assert.strictEqual(computeSnapshot({ ...withLeave, history }, now).monthToDate, 5 * 1000 + 800);
+});
+
+test('本月累计中已结算的日期保持历史数值', () => {
+    // 5 日按当时的月薪结算为 500；之后月薪调整不影响这一天
+    const history = { days: { '2026-01-05': { date: '2026-01-05', total: 500 } } };
+    const s = computeSnapshot({ ...input(), history }, new Date(2026, 0, 6, 19, 0));
+    // 1-3 日假期 + 4 日按当前配置，5 日取历史，6 日已下班
+    assert.strictEqual(s.monthToDate, 4 * 1000 + 500 + 1000);
+});
+
+test('calcNextRestDay 跳过补班的周末', () => {
+    // 1 月 2 日（周五）为假期：当天即休息日；1 月 5 日（周一）距周六 5 天
+    assert.strictEqual(calcNextRestDay(new Date(2026, 0, 2, 9), { restDays: [6, 7] }, calendar), 0);
+    assert.strictEqual(calcNextRestDay(new Date(2026, 0, 5, 9), { restDays: [6, 7] }, calendar), 5);
+});
+
+test('calcNextRestDay 跨月读取下月日历', () => {
+    // 仅周日休息：1 月 30 日（周五）-> 2 月 1 日（周日）
+    assert.strictEqual(calcNextRestDay(new Date(2026, 0, 30, 9), { restDays: [7] }, calendar), 2);
+    // 没有周休：1 月 30 日 -> 2 月 2 日假期
+    assert.strictEqual(calcNextRestDay(new Date(2026, 0, 30, 9), { restDays: [] }, calendar), 3);
+});
+
+test('calcNextRestDay 查找超过 30 天；快照包含下一个法定节假日', () => {
+    // 没有周休：1 月 3 日假期结束后，下一个休息日为 2 月 2 日
+    assert.strictEqual(calcNextRestDay(new Date(2026, 0, 4, 9), { restDays: [] }, calendar), 29);
+    assert.strictEqual(calcNextRestDay(new Date(2026, 1, 3, 9), { restDays: [] }, calendar), 0);
+    // 2 月 2 日（周一）的假期连上前面的周末
+    const { nextHoliday } = computeSnapshot(input(), new Date(2026, 0, 5, 10, 0));
+    assert.strictEqual(nextHoliday.name, '测试');
+    assert.deepStrictEqual([nextHoliday.start, nextHoliday.end], [new Date(2026, 0, 31), new Date(2026, 1, 2)]);
+    assert.strictEqual(nextHoliday.daysUntil, 26);
+    assert.strictEqual(nextHoliday.days, 3);
+});
+
+test('normalizeSegments 处理跨零点与次日时段', () => {
+    assert.deepStrictEqual(normalizeSegments({
+        segments: [{ start: '22:00', end: '02:00' }, { start: '03:00', end: '06:00' }]
+    }), [{ startMin: 1320, endMin: 1560 }, { startMin: 1620, endMin: 1800 }]);
+    // 未配置时段时沿用四段时间，并修正顺序
+    assert.deepStrictEqual(normalizeSegments({
+        morningStart: '09:00', morningEnd: '08:00', afternoonStart: '13:00', afternoonEnd: '18:00'
+    }), [{ startMin: 540, endMin: 540 }, { startMin: 780, endMin: 1080 }]);
+});
+
+test('三段工作时段按当前或下一段给出状态', () => {
+    const segments = [{ start: '09:00', end: '12:00' }, { start: '13:00', end: '17:00' }, { start: '18:00', end: '20:00' }];
+    const dinner = computeSnapshot(input({ schedule: { segments } }), new Date(2026, 0, 5, 17, 30));
+    assert.strictEqual(dinner.statusLabel, 'On break');
+    assert.strictEqual(dinner.nextSegment, 2);
+    assert.strictEqual(dinner.earned, 7 / 9 * 1000);
+    assert.deepStrictEqual(dinner.workEndDate, new Date(2026, 0, 5, 20, 0));
+
+    const evening = computeSnapshot(input({ schedule: { segments } }), new Date(2026, 0, 5, 19, 0));
+    assert.strictEqual(evening.statusLabel, 'Working');
+    assert.strictEqual(evening.currentSegment, 2);
+});
+
+test('跨零点班次在凌晨仍计入前一天', () => {
+    const segments = [{ start: '22:00', end: '06:00' }];
+    // 1 月 9 日（周五）夜班，10 日（周六）凌晨 2 点仍在班上
+    const s = computeSnapshot(input({ schedule: { segments } }), new Date(2026, 0, 10, 2, 0));
+    assert.deepStrictEqual(s.workDate, new Date(2026, 0, 9));
+    assert.strictEqual(s.statusLabel, 'Working');
+    assert.strictEqual(s.earned, 500);
+    assert.deepStrictEqual(s.workEndDate, new Date(2026, 0, 10, 6, 0));
+
+    // 下班后回到当天（周六休息）
+    const after = computeSnapshot(input({ schedule: { segments } }), new Date(2026, 0, 10, 7, 0));
+    assert.deepStrictEqual(after.workDate, new Date(2026, 0, 10));
+    assert.strictEqual(after.statusLabel, 'Rest day today');
+});
+
+test('跨零点班次的前一天为休息日时不计入', () => {
+    const segments = [{ start: '22:00', end: '06:00' }];
+    // 1 月 11 日（周日）休息，12 日（周一）凌晨不属于任何班次
+    const s = computeSnapshot(input({ schedule: { segments } }), new Date(2026, 0, 12, 2, 0));
+    assert.deepStrictEqual(s.workDate, new Date(2026, 0, 12));
+    assert.strictEqual(s.statusLabel, 'Not started yet');
+    assert.strictEqual(s.earned, 0);
+});
+
+/** 大小周：以 1 月 5 日所在周为"大周"（周六上班），之后隔周交替 */
+const BIG_SMALL_WEEK = { weekdays: [6], anchor: '2026-01-05', pattern: ['work', 'rest'] };
+
+test('isRestDate 按锚定日期交替大小周', () => {
+    const schedule = { restDays: [6, 7], rotations: [BIG_SMALL_WEEK] };
+    assert.strictEqual(isRestDate(new Date(2026, 0, 10), schedule), false);
+    assert.strictEqual(isRestDate(new Date(2026, 0, 17), schedule), true);
+    assert.strictEqual(isRestDate(new Date(2026, 0, 24), schedule), false);
+    // 锚定日期之前同样交替
+    assert.strictEqual(isRestDate(new Date(2026, 0, 3), schedule), true);
+    assert.strictEqual(isRestDate(new Date(2025, 11, 27), schedule), false);
+    // 未命中规则的星期几按固定休息日
+    assert.strictEqual(isRestDate(new Date(2026, 0, 11), schedule), true);
+});
+
+test('explainDay 给出类型的依据，手动指定优先', () => {
+    const schedule = { restDays: [6, 7], rotations: [BIG_SMALL_WEEK], overrides: { '2026-01-02': 'workday', '2026-01-06': 'rest' } };
+    assert.deepStrictEqual(explainDay(new Date(2026, 0, 1), schedule, calendar), { kind: 'holiday', reason: 'holiday' });
+    assert.deepStrictEqual(explainDay(new Date(2026, 0, 2), schedule, calendar), { kind: 'workday', reason: 'override' });
+    assert.deepStrictEqual(explainDay(new Date(2026, 0, 4), schedule, calendar), { kind: 'workday', reason: 'makeup' });
+    assert.deepStrictEqual(explainDay(new Date(2026, 0, 6), schedule, calendar), { kind: 'rest', reason: 'override' });
+    assert.deepStrictEqual(explainDay(new Date(2026, 0, 10), schedule, calendar), { kind: 'workday', reason: 'rotation' });
+    assert.deepStrictEqual(explainDay(new Date(2026, 0, 11), schedule, calendar), { kind: 'rest', reason: 'restDay' });
+    assert.deepStrictEqual(explainDay(new Date(2026, 0, 7), schedule, calendar), { kind: 'workday', reason: 'weekday' });
+});
+
+test('手动指定的日期类型计入月度统计', () => {
+    // 1 月 2 日（元旦假期）改为工作日、6 日改为休息日：工作日总数不变，法定节假日少 1 天，7 日时已上班 2、4、5、7 日
+    const s = computeSnapshot(input({ schedule: { overrides: { '2026-01-02': 'workday', '2026-01-06': 'rest' } } }), new Date(2026, 0, 7, 10, 0));
+    assert.strictEqual(s.totalWorkingDays, 21);
+    assert.strictEqual(s.totalHolidays, 2);
+    assert.strictEqual(s.workedDays, 4);
+    assert.strictEqual(s.isTodayWorkingDay, true);
+});
+
+test('大小周计入月度工作日与下一个休息日', () => {
+    const schedule = { restDays: [6, 7], rotations: [BIG_SMALL_WEEK] };
+    const { holidays, workdays } = calendar.getMonth(2026, 1);
+    // 1 月 10、24 日（周六）上班；3 日为元旦假期
+    const result = calcWorkingDays(2026, 1, schedule, holidays, workdays, new Date(2026, 0, 31));
+    assert.strictEqual(result.totalWorkingDays, 23);
+    // 1 月 5 日（周一）：周六上班，下一个休息日是周日
+    assert.strictEqual(calcNextRestDay(new Date(2026, 0, 5, 9), schedule, calendar), 6);
+    assert.strictEqual(calcNextRestDay(new Date(2026, 0, 12, 9), schedule, calendar), 5);
+});
+
+test('按星期几使用不同的工作时段', () => {
+    const weekdaySchedules = { 5: [{ start: '09:00', end: '12:00' }, { start: '13:00', end: '16:00' }] };
+    // 1 月 9 日（周五）16:00 下班，全天 6 小时
+    const friday = computeSnapshot(input({ schedule: { weekdaySchedules } }), new Date(2026, 0, 9, 15, 0));
+    assert.deepStrictEqual(friday.workEndDate, new Date(2026, 0, 9, 16, 0));
+    assert.strictEqual(friday.ratio, 5 / 6);
+    // 其他工作日仍使用默认时段
+    const monday = computeSnapshot(input({ schedule: { weekdaySchedules } }), new Date(2026, 0, 5, 15, 0));
+    assert.deepStrictEqual(monday.workEndDate, new Date(2026, 0, 5, 18, 0));
+});
+
+test('大周周六按工作日计算工资', () => {
+    const s = computeSnapshot(input({ schedule: { rotations: [BIG_SMALL_WEEK] } }), new Date(2026, 0, 10, 10, 0));
+    assert.strictEqual(s.statusLabel, 'Working');
+    assert.strictEqual(s.totalWorkingDays, 23);
+});
+
+test('计薪周期从上月 26 日开始时按周期统计工作日与累计工资', () => {
+    // 2025-12-26 至 2026-01-25：12 月 4 个工作日 + 1 月 16 个工作日（含 4 日补班），3 天带薪假期
+    const s = computeSnapshot(input({ payPeriod: { startDay: 26 } }), new Date(2026, 0, 5, 19, 0));
+    assert.deepStrictEqual([s.payPeriod.start, s.payPeriod.end], [new Date(2025, 11, 26), new Date(2026, 0, 26)]);
+    assert.strictEqual(s.payPeriod.month, 1);
+    assert.strictEqual(s.totalWorkingDays, 20);
+    assert.strictEqual(s.workedDays, 6);
+    assert.strictEqual(s.totalHolidays, 3);
+    assert.strictEqual(s.dailySalary, 24000 / 23);
+    assert.ok(Math.abs(s.monthToDate - 9 * 24000 / 23) < 1e-6);
+
+    // 26 日起进入下一个周期
+    const next = computeSnapshot(input({ payPeriod: { startDay: 26 } }), new Date(2026, 0, 26, 10, 0));
+    assert.deepStrictEqual(next.payPeriod.start, new Date(2026, 0, 26));
+    assert.strictEqual(next.payPeriod.month, 2);
+});
+
+test('快照给出下一个发薪日', () => {
+    // 1 月 3 日为假期，提前到上一个工作日（2025-12-31）；之后为 2 月 3 日
+    const s = computeSnapshot(input({ payPeriod: { payday: 3 } }), new Date(2026, 0, 2, 10, 0));
+    assert.deepStrictEqual(s.payday, { date: new Date(2026, 1, 3), days: 32 });
+    assert.strictEqual(computeSnapshot(input(), new Date(2026, 0, 2, 10, 0)).payday, null);
+});
+
+test('按雇主时区解析班次，夏令时开始当天的夜班只有 7 小时', () => {
+    const schedule = { segments: [{ start: '22:00', end: '06:00' }], restDays: [], timeZone: 'America/New_York' };
+    // 纽约 3 月 8 日 02:00 起改为夏令时：3 月 7 日 22:00（EST，03:00Z）至 8 日 06:00（EDT，10:00Z）
+    const s = computeSnapshot(input({ schedule }), new Date(Date.UTC(2026, 2, 8, 7, 0)));
+    assert.deepStrictEqual(s.workDate, new Date(2026, 2, 7));
+    assert.strictEqual(s.statusLabel, 'Working');
+    assert.deepStrictEqual(s.workEndDate, new Date(Date.UTC(2026, 2, 8, 10, 0)));
+    assert.ok(Math.abs(s.earned / s.dailySalary - 4 / 7) < 1e-9);
+    assert.strictEqual(computeDayRecord(input({ schedule }), new Date(2026, 2, 7)).workMs, 7 * 3600000);
+});
+
+test('弹性工时未打卡时收入为 0，打卡后按打卡时间累计并推算下班时间', () => {
+    const flexible = resolveFlexibleHours({ enabled: true, hours: 8, lunchStart: '12:00', lunchMinutes: 60 });
+    const before = computeSnapshot(input({ schedule: { flexible } }), new Date(2026, 0, 5, 9, 0));
+    assert.strictEqual(before.statusLabel, 'Not clocked in yet');
+    assert.strictEqual(before.earned, 0);
+    assert.strictEqual(before.workEndDate, null);
+    assert.strictEqual(before.dailySalary, 1000);
+
+    // 10:40 打卡：15:00 时已工作 1:20 + 2:00，19:40 下班
+    const days = { '2026-01-05': { clockIn: new Date(2026, 0, 5, 10, 40).getTime(), clockOut: new Date(2026, 0, 5, 19, 40).getTime() } };
+    const clocked = input({ schedule: { flexible: { ...flexible, days } } });
+    const s = computeSnapshot(clocked, new Date(2026, 0, 5, 15, 0));
+    assert.strictEqual(s.statusLabel, 'Working');
+    assert.deepStrictEqual(s.workEndDate, new Date(2026, 0, 5, 19, 40));
+    assert.ok(Math.abs(s.earned - 1000 * (200 / 480)) < 1e-9);
+
+    const record = computeDayRecord(clocked, new Date(2026, 0, 5));
+    assert.deepStrictEqual(record.segments, ['10:40-12:00', '13:00-19:40']);
+    assert.strictEqual(record.workMs, 8 * 3600000);
+});
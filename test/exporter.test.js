@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const http = require('node:http');
+const os = require('node:os');
+const path = require('node:path');
+const { STATE_VERSION, defaultStatePath, resolveExportConfig, buildExportState, toPrometheus, writeStateFile, createStateServer } = require('../src/exporter');
+
+// computeSnapshot 结果中导出用到的字段：工作日 14:00，18:00 下班
+const snapshot = (overrides = {}) => ({
+    workDate: new Date(2026, 2, 10),
+    isTodayHoliday: false,
+    todayLeave: null,
+    isTodayWorkingDay: true,
+    currentSegment: 1,
+    nextSegment: -1,
+    segments: [{}, {}],
+    statusLabel: '工作中',
+    earned: 523.456,
+    ratio: 0.5,
+    monthToDate: 5000.004,
+    overtime: { active: false, todayPay: 0 },
+    net: null,
+    workedDays: 7,
+    totalWorkingDays: 22,
+    workEndDate: new Date(2026, 2, 10, 18, 0),
+    nextRestDays: 4,
+    nextHoliday: { name: '清明节', start: new Date(2026, 3, 4), end: new Date(2026, 3, 6), daysUntil: 25 },
+    payday: { date: new Date(2026, 2, 15), days: 5 },
+    ...overrides
+});
+const now = new Date(2026, 2, 10, 14, 0);
+const options = { currency: 'CNY', amountMode: 'gross', text: { earned: '¥523.46' } };
+
+test('resolveExportConfig 合并默认值，非法值使用默认，路径支持 ~/', () => {
+    assert.deepStrictEqual(resolveExportConfig(), {
+        file: false, filePath: defaultStatePath(), intervalSeconds: 5, http: false, port: 17417, token: '', prometheus: false
+    });
+    const config = resolveExportConfig({ file: true, filePath: '~/fish/state.json', intervalSeconds: 0, http: true, port: 70000, token: ' abc ' });
+    assert.strictEqual(config.filePath, path.join(os.homedir(), 'fish', 'state.json'));
+    assert.strictEqual(config.intervalSeconds, 5);
+    assert.strictEqual(config.port, 17417);
+    assert.strictEqual(config.token, 'abc');
+});
+
+test('buildExportState 给出状态、金额与倒计时', () => {
+    const state = buildExportState(snapshot(), now, options);
+    assert.strictEqual(state.version, STATE_VERSION);
+    assert.strictEqual(state.workDate, '2026-03-10');
+    assert.strictEqual(state.status, 'working');
+    assert.strictEqual(state.earned, 523.46);
+    assert.strictEqual(state.monthToDate, 5000);
+    assert.strictEqual(state.secondsUntilClockOut, 4 * 3600);
+    assert.deepStrictEqual(state.nextHoliday, { name: '清明节', start: '2026-04-04', end: '2026-04-06', daysUntil: 25 });
+    assert.deepStrictEqual(state.payday, { date: '2026-03-15', days: 5 });
+    assert.deepStrictEqual(state.text, { earned: '¥523.46' });
+
+    assert.strictEqual(buildExportState(snapshot({ currentSegment: -1, nextSegment: 1 }), now, options).status, 'break');
+    const off = buildExportState(snapshot({ currentSegment: -1 }), new Date(2026, 2, 10, 19, 0), options);
+    assert.strictEqual(off.status, 'offWork');
+    assert.strictEqual(off.secondsUntilClockOut, null);
+    const rest = buildExportState(snapshot({ isTodayWorkingDay: false, currentSegment: -1, segments: [] }), now, options);
+    assert.strictEqual(rest.status, 'rest');
+    assert.strictEqual(rest.clockOutAt, null);
+    assert.strictEqual(buildExportState(snapshot({ isTodayHoliday: true }), now, options).status, 'holiday');
+});
+
+test('toPrometheus 输出带货币与状态标签的 gauge', () => {
+    const text = toPrometheus(buildExportState(snapshot(), now, options));
+    assert.match(text, /^# TYPE fish_time_earned_today gauge$/m);
+    assert.match(text, /^fish_time_earned_today\{currency="CNY"\} 523\.46$/m);
+    assert.match(text, /^fish_time_status\{status="working"\} 1$/m);
+    assert.match(text, /^fish_time_next_holiday_days 25$/m);
+    assert.ok(text.endsWith('\n'));
+});
+
+test('writeStateFile 创建目录并整体替换文件', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fish-time-export-'));
+    try {
+        const file = path.join(dir, 'nested', 'state.json');
+        await writeStateFile(file, { version: 1, earned: 1 });
+        await writeStateFile(file, { version: 1, earned: 2 });
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')), { version: 1, earned: 2 });
+        assert.deepStrictEqual(fs.readdirSync(path.dirname(file)), ['state.json']);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+/**
+ * 启动状态服务（随机端口），执行 fn 后关闭。
+ * @param {Parameters<typeof createStateServer>[0]} options
+ * @param {(request: (pathname: string, init?: { method?: string, headers?: object }) => Promise<{ status: number, type: string, body: string }>) => Promise<void>} fn
+ */
+async function withServer(options, fn) {
+    const server = createStateServer(options);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    const request = (pathname, init = {}) => new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', port, path: pathname, method: init.method || 'GET', headers: init.headers, agent: false }, res => {
+            let body = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, type: res.headers['content-type'], body }));
+        });
+        req.on('error', reject);
+        req.end();
+    });
+    try {
+        await fn(request);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+}
+
+test('状态服务需要令牌，/metrics 仅在开启 prometheus 时提供', async () => {
+    const state = buildExportState(snapshot(), now, options);
+    await withServer({ token: 'secret', prometheus: false, getState: () => state }, async request => {
+        assert.strictEqual((await request('/state')).status, 401);
+        assert.strictEqual((await request('/state?token=wrong')).status, 401);
+        const ok = await request('/state', { headers: { Authorization: 'Bearer secret' } });
+        assert.strictEqual(ok.status, 200);
+        assert.match(ok.type, /^application\/json/);
+        assert.strictEqual(JSON.parse(ok.body).earned, 523.46);
+        assert.strictEqual((await request('/?token=secret')).status, 200);
+        assert.strictEqual((await request('/metrics?token=secret')).status, 404);
+        assert.strictEqual((await request('/state?token=secret', { method: 'POST' })).status, 405);
+    });
+    await withServer({ token: 'secret', prometheus: true, getState: () => state }, async request => {
+        const metrics = await request('/metrics?token=secret');
+        assert.strictEqual(metrics.status, 200);
+        assert.match(metrics.body, /^fish_time_status\{status="working"\} 1$/m);
+    });
+    await withServer({ token: 'secret', prometheus: false, getState: () => null }, async request => {
+        assert.strictEqual((await request('/state?token=secret')).status, 503);
+    });
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveFlexibleHours, planClockOut, createClockRecord, flexSegments, daySegments, shouldClockInOnActivity } = require('../src/flexHours');
+const { resolveWorkDate } = require('../src/schedule');
+
+const day = new Date(2026, 0, 5);
+const at = (h, m = 0) => new Date(2026, 0, 5, h, m).getTime();
+const flexible = resolveFlexibleHours({ enabled: true });
+
+test('resolveFlexibleHours 未启用时为 null，非法值使用默认', () => {
+    assert.strictEqual(resolveFlexibleHours({}), null);
+    assert.strictEqual(resolveFlexibleHours(undefined), null);
+    assert.deepStrictEqual(resolveFlexibleHours({ enabled: true, hours: -1, lunchMinutes: 'x', earliestStart: '7点' }), {
+        earliestStartMin: 7 * 60, requiredMs: 8 * 3600000, lunchStartMin: 12 * 60, lunchMs: 60 * 60000, clockInOnActivity: true, days: {}
+    });
+    assert.strictEqual(resolveFlexibleHours({ enabled: true, hours: 7.5, lunchMinutes: 0 }).requiredMs, 7.5 * 3600000);
+});
+
+test('planClockOut 累计规定时长，跨过午休时顺延', () => {
+    // 10:40 上班：午休前 1:20，午休后再 6:40，19:40 下班
+    assert.strictEqual(planClockOut(at(10, 40), day, flexible), at(19, 40));
+    // 午休中上班从午休结束起算；午休后上班不扣午休
+    assert.strictEqual(planClockOut(at(12, 30), day, flexible), at(21, 0));
+    assert.strictEqual(planClockOut(at(13, 30), day, flexible), at(21, 30));
+    // 午休前已满时长
+    assert.strictEqual(planClockOut(at(3, 0), day, flexible), at(11, 0));
+    assert.strictEqual(planClockOut(at(10, 40), day, resolveFlexibleHours({ enabled: true, lunchMinutes: 0 })), at(18, 40));
+});
+
+test('flexSegments 按打卡记录扣除午休，未打卡时为空', () => {
+    const record = createClockRecord(at(10, 40), day, flexible, '', 'command');
+    assert.deepStrictEqual(record, { clockIn: at(10, 40), clockOut: at(19, 40), source: 'command' });
+    assert.deepStrictEqual(flexSegments(record, day, flexible), [
+        { start: new Date(at(10, 40)), end: new Date(at(12, 0)) },
+        { start: new Date(at(13, 0)), end: new Date(at(19, 40)) }
+    ]);
+    assert.deepStrictEqual(flexSegments(undefined, day, flexible), []);
+});
+
+test('daySegments 未启用弹性工时时按排班', () => {
+    const schedule = { segments: [{ start: '09:00', end: '18:00' }] };
+    assert.deepStrictEqual(daySegments(schedule, day), [{ start: new Date(at(9)), end: new Date(at(18)) }]);
+    const days = { '2026-01-05': { clockIn: at(13, 30), clockOut: at(21, 30) } };
+    assert.deepStrictEqual(daySegments({ ...schedule, flexible: { ...flexible, days } }, day), [{ start: new Date(at(13, 30)), end: new Date(at(21, 30)) }]);
+});
+
+test('shouldClockInOnActivity 只在最早上班时间之后、当天未打卡时自动打卡', () => {
+    const now = new Date(at(10, 41));
+    assert.strictEqual(shouldClockInOnActivity(flexible, day, at(6, 59), now), false);
+    assert.strictEqual(shouldClockInOnActivity(flexible, day, at(10, 40), now), true);
+    assert.strictEqual(shouldClockInOnActivity({ ...flexible, days: { '2026-01-05': {} } }, day, at(10, 40), now), false);
+    assert.strictEqual(shouldClockInOnActivity({ ...flexible, clockInOnActivity: false }, day, at(10, 40), now), false);
+    assert.strictEqual(shouldClockInOnActivity(null, day, at(10, 40), now), false);
+});
+
+test('resolveWorkDate 在前一天的弹性工时跨零点时仍属于前一天', () => {
+    const days = { '2026-01-04': { clockIn: new Date(2026, 0, 4, 20, 0).getTime(), clockOut: at(5, 0) } };
+    const schedule = { restDays: [], flexible: { ...flexible, days } };
+    const calendar = { getMonth: () => ({ holidays: [], workdays: [] }) };
+    assert.deepStrictEqual(resolveWorkDate(schedule, calendar, new Date(at(4, 0))), new Date(2026, 0, 4));
+    assert.deepStrictEqual(resolveWorkDate(schedule, calendar, new Date(at(5, 0))), day);
+});
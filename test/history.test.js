@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { pendingCloseDates, appendRecords, replaceRecords, parsePeriod, selectRecords, summarize, toCSV, toJSON } = require('../src/history');
+
+const record = (date, total, extra = {}) => ({
+    date, kind: 'workday', leaveType: null, segments: ['09:00-12:00', '13:00-18:00'],
+    salary: { model: 'monthly', divisor: 'actual', holidayPay: 'paid' },
+    dayRate: total, earned: total, overtimeMs: 0, overtimePay: 0, total, net: null, ...extra
+});
+
+test('pendingCloseDates 首次使用从本月 1 日开始', () => {
+    const dates = pendingCloseDates({}, new Date(2026, 0, 4, 10));
+    assert.deepStrictEqual(dates, [new Date(2026, 0, 1), new Date(2026, 0, 2), new Date(2026, 0, 3)]);
+});
+
+test('pendingCloseDates 从上次结算的次日开始，最多补到上月 1 日', () => {
+    assert.deepStrictEqual(pendingCloseDates({ lastClosed: '2026-01-02' }, new Date(2026, 0, 4)), [new Date(2026, 0, 3)]);
+    assert.deepStrictEqual(pendingCloseDates({ lastClosed: '2026-01-03' }, new Date(2026, 0, 4)), []);
+    const dates = pendingCloseDates({ lastClosed: '2025-06-30' }, new Date(2026, 0, 4));
+    assert.deepStrictEqual(dates[0], new Date(2025, 11, 1));
+    assert.strictEqual(dates.length, 34);
+});
+
+test('appendRecords 不覆盖已结算的日期', () => {
+    const history = appendRecords({}, [record('2026-01-05', 1000)]);
+    const next = appendRecords(history, [record('2026-01-05', 1), record('2026-01-06', 800)]);
+    assert.strictEqual(next.days['2026-01-05'].total, 1000);
+    assert.strictEqual(next.lastClosed, '2026-01-06');
+    assert.strictEqual(Object.keys(history.days).length, 1);
+});
+
+test('replaceRecords 只替换已结算的日期', () => {
+    const history = appendRecords({}, [record('2026-01-05', 1000)]);
+    const next = replaceRecords(history, [record('2026-01-05', 0, { leaveType: 'personal' }), record('2026-01-06', 800)]);
+    assert.strictEqual(next.days['2026-01-05'].total, 0);
+    assert.strictEqual(next.days['2026-01-06'], undefined);
+    assert.strictEqual(next.lastClosed, '2026-01-05');
+    assert.strictEqual(history.days['2026-01-05'].total, 1000);
+});
+
+test('parsePeriod 与 selectRecords 按月或按年筛选', () => {
+    assert.strictEqual(parsePeriod('2026-1'), '2026-01');
+    assert.strictEqual(parsePeriod('2026'), '2026');
+    assert.strictEqual(parsePeriod('2026-13'), null);
+    assert.strictEqual(parsePeriod('26-01'), null);
+
+    const history = appendRecords({}, [record('2025-12-31', 1), record('2026-01-06', 2), record('2026-01-05', 3), record('2026-02-01', 4)]);
+    assert.deepStrictEqual(selectRecords(history, '2026-01').map(r => r.date), ['2026-01-05', '2026-01-06']);
+    assert.strictEqual(selectRecords(history, '2026').length, 3);
+});
+
+test('summarize 汇总金额，未启用税后时 net 为 null', () => {
+    const records = [record('2026-01-05', 1000), record('2026-01-06', 1375, { overtimeMs: 3 * 3600000, overtimePay: 375, earned: 1000 }), record('2026-01-07', 0, { leaveType: 'personal' })];
+    const summary = summarize(records);
+    assert.strictEqual(summary.workdays, 2);
+    assert.strictEqual(summary.leaveDays, 1);
+    assert.strictEqual(summary.overtimeHours, 3);
+    assert.strictEqual(summary.total, 2375);
+    assert.strictEqual(summary.net, null);
+});
+
+test('toCSV 带 BOM 与表头，金额保留两位小数', () => {
+    const csv = toCSV([
+        record('2026-01-05', 1000),
+        record('2026-01-07', 0, { leaveType: 'sick', net: 0 }),
+        record('2026-01-08', 1000, { activeMs: 6 * 3600000, idleMs: 2 * 3600000, fishPay: 250 })
+    ]);
+    const lines = csv.replace(/^\uFEFF/, '').trim().split('\r\n');
+    assert.ok(csv.startsWith('\uFEFFDate,'));
+    assert.strictEqual(lines.length, 4);
+    assert.strictEqual(lines[1], '2026-01-05,Workday,,09:00-12:00 13:00-18:00,Monthly,1000.00,1000.00,0.00,0.00,1000.00,,,,');
+    assert.ok(lines[2].includes(',Sick leave,'));
+    assert.ok(lines[3].endsWith(',6.00,2.00,250.00'));
+});
+
+test('toJSON 包含周期、汇总与逐日记录', () => {
+    const json = JSON.parse(toJSON([record('2026-01-05', 1000)], '2026-01', new Date(Date.UTC(2026, 0, 6))));
+    assert.strictEqual(json.period, '2026-01');
+    assert.strictEqual(json.exportedAt, '2026-01-06T00:00:00.000Z');
+    assert.strictEqual(json.summary.total, 1000);
+    assert.strictEqual(json.days[0].date, '2026-01-05');
+});
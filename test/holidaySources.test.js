@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createCalendar } = require('../src/calendar');
+const { BACKOFF_MS, resolveSource, createHolidayCache, readBundledICS } = require('../src/holidaySources');
+
+/** 与 globalState 接口一致的内存存储 */
+function memoryStorage(initial = {}) {
+    const data = { ...initial };
+    return {
+        data,
+        get: key => data[key],
+        update: async (key, value) => { data[key] = value; }
+    };
+}
+
+test('resolveSource 识别 https、本地与工作区来源', () => {
+    assert.strictEqual(resolveSource('https://example.com/cal.ics').kind, 'https');
+    assert.strictEqual(resolveSource('~/cal.ics').location, path.join(os.homedir(), 'cal.ics'));
+    assert.strictEqual(resolveSource('/tmp/cal.ics').location, '/tmp/cal.ics');
+    assert.strictEqual(resolveSource('cal/x.ics', { workspaceFolder: '/ws' }).location, path.join('/ws', 'cal/x.ics'));
+    assert.strictEqual(resolveSource('${workspaceFolder}/x.ics', { workspaceFolder: '/ws' }).location, path.join('/ws', 'x.ics'));
+});
+
+test('resolveSource 拒绝不支持的协议与无工作区的相对路径', () => {
+    assert.throws(() => resolveSource('http://example.com/cal.ics'), /Unsupported/);
+    assert.throws(() => resolveSource('x.ics'), /No workspace folder/);
+    assert.throws(() => resolveSource(''), /must not be empty/);
+});
+
+test('createHolidayCache 在有效期内复用缓存，过期后携带 ETag 重新验证', async () => {
+    const requests = [];
+    const cache = createHolidayCache({
+        ttl: 1000,
+        request: async (url, headers) => {
+            requests.push(headers);
+            if (headers['If-None-Match'] === '"v1"') return { statusCode: 304, headers: {}, body: '' };
+            return { statusCode: 200, headers: { etag: '"v1"', 'last-modified': 'Mon, 05 Jan 2026 00:00:00 GMT' }, body: 'ICS' };
+        }
+    });
+    const source = resolveSource('https://example.com/cal.ics');
+
+    assert.strictEqual((await cache.load([source], 0))[0].text, 'ICS');
+    await cache.load([source], 500);
+    assert.strictEqual(requests.length, 1);
+
+    const [result] = await cache.load([source], 1500);
+    assert.strictEqual(requests.length, 2);
+    assert.deepStrictEqual(requests[1], { 'If-None-Match': '"v1"', 'If-Modified-Since': 'Mon, 05 Jan 2026 00:00:00 GMT' });
+    assert.strictEqual(result.text, 'ICS');
+    assert.strictEqual(result.fetchedAt, 1500);
+    assert.strictEqual(result.stale, false);
+});
+
+test('createHolidayCache 失败时继续使用过期数据并按退避推迟重试', async () => {
+    let calls = 0;
+    let fail = false;
+    const cache = createHolidayCache({
+        ttl: 1000,
+        request: async () => {
+            calls++;
+            if (fail) throw new Error('offline');
+            return { statusCode: 200, headers: {}, body: 'ICS' };
+        }
+    });
+    const source = resolveSource('https://example.com/cal.ics');
+    await cache.load([source], 0);
+
+    fail = true;
+    const [result] = await cache.load([source], 2000);
+    assert.strictEqual(calls, 2);
+    assert.strictEqual(result.text, 'ICS');
+    assert.strictEqual(result.stale, true);
+    assert.strictEqual(result.error, 'offline');
+    assert.strictEqual(result.retryAt, 2000 + BACKOFF_MS.base);
+
+    // 退避期内不再请求；强制刷新则忽略退避
+    await cache.load([source], 3000);
+    assert.strictEqual(calls, 2);
+    fail = false;
+    const [forced] = await cache.load([source], 3000, { force: true });
+    assert.strictEqual(calls, 3);
+    assert.strictEqual(forced.stale, false);
+    assert.strictEqual(forced.error, null);
+});
+
+test('createHolidayCache 将数据持久化并在重启后直接使用', async () => {
+    const storage = memoryStorage();
+    const source = resolveSource('https://example.com/cal.ics');
+    const first = createHolidayCache({ ttl: 1000, storage, request: async () => ({ statusCode: 200, headers: {}, body: 'ICS' }) });
+    await first.load([source], 0);
+    await new Promise(resolve => setImmediate(resolve));
+
+    const restarted = createHolidayCache({
+        ttl: 1000,
+        storage,
+        request: async () => { throw new Error('offline'); }
+    });
+    const [result] = await restarted.load([source], 100);
+    assert.strictEqual(result.text, 'ICS');
+    assert.strictEqual(result.error, null);
+});
+
+test('createHolidayCache 不拉取远程来源时读取其他窗口写入的缓存', async () => {
+    const storage = memoryStorage();
+    const source = resolveSource('https://example.com/cal.ics');
+    let requests = 0;
+    const follower = createHolidayCache({ ttl: 1000, storage, request: async () => { requests++; return { statusCode: 200, headers: {}, body: 'MINE' }; } });
+    const [empty] = await follower.load([source], 0, { remote: false });
+    assert.strictEqual(empty.text, null);
+
+    const leader = createHolidayCache({ ttl: 1000, storage, request: async () => ({ statusCode: 200, headers: {}, body: 'ICS' }) });
+    await leader.load([source], 10);
+    await new Promise(resolve => setImmediate(resolve));
+    const [shared] = await follower.load([source], 20, { remote: false });
+    assert.strictEqual(shared.text, 'ICS');
+    assert.strictEqual(requests, 0);
+
+    // 手动刷新时仍会拉取
+    const [forced] = await follower.load([source], 30, { remote: false, force: true });
+    assert.strictEqual(forced.text, 'MINE');
+    assert.strictEqual(requests, 1);
+});
+
+test('createHolidayCache 读取本地文件并在修改后重新读取', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fish-time-'));
+    const file = path.join(dir, 'cal.ics');
+    try {
+        fs.writeFileSync(file, 'A');
+        const loader = createHolidayCache({ ttl: 1000 });
+        const source = resolveSource(file);
+        assert.strictEqual((await loader.load([source], 0))[0].text, 'A');
+
+        fs.writeFileSync(file, 'B');
+        fs.utimesSync(file, new Date(), new Date(Date.now() + 5000));
+        assert.strictEqual((await loader.load([source], 10))[0].text, 'B');
+
+        const [missing] = await loader.load([resolveSource(path.join(dir, 'missing.ics'))], 20);
+        assert.strictEqual(missing.text, null);
+        assert.ok(missing.error);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('内置数据包含当年的节假日与补班', () => {
+    const calendar = createCalendar(readBundledICS());
+    assert.deepStrictEqual(calendar.getMonth(2026, 10), { holidays: [1, 2, 3, 4, 5, 6, 7], workdays: [10] });
+    assert.deepStrictEqual(calendar.getMonth(2026, 2).workdays, [14, 28]);
+    assert.ok(calendar.getMonth(2027, 2).holidays.length > 0);
+});
@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { unfoldLines, parseContentLine, parseDuration, parseEvents, classifyEvent, DEFAULT_KEYWORDS } = require('../src/ics');
+const { createCalendar } = require('../src/calendar');
+
+/** 以 CRLF 拼接为 ICS 文本 */
+const ics = (...lines) => ['BEGIN:VCALENDAR', ...lines, 'END:VCALENDAR'].join('\r\n');
+
+test('unfoldLines 展开折行并兼容 CRLF', () => {
+    assert.deepStrictEqual(unfoldLines('SUMMARY:春\r\n 节\r\nEND:VEVENT\r\n'), ['SUMMARY:春节', 'END:VEVENT']);
+    assert.deepStrictEqual(unfoldLines('A:1\n\tB\nC:2'), ['A:1B', 'C:2']);
+});
+
+test('parseContentLine 处理参数与带冒号的值', () => {
+    assert.deepStrictEqual(parseContentLine('DTSTART;TZID="Asia/Shanghai";VALUE=DATE-TIME:20260104T090000'), {
+        name: 'DTSTART',
+        params: { TZID: 'Asia/Shanghai', VALUE: 'DATE-TIME' },
+        value: '20260104T090000'
+    });
+    assert.strictEqual(parseContentLine('SUMMARY:会议: 10:00').value, '会议: 10:00');
+});
+
+test('parseDuration 支持天、周与时分', () => {
+    assert.strictEqual(parseDuration('P3D'), 3 * 86400000);
+    assert.strictEqual(parseDuration('P1W'), 7 * 86400000);
+    assert.strictEqual(parseDuration('PT8H30M'), 8.5 * 3600000);
+    assert.strictEqual(parseDuration('bogus'), null);
+});
+
+test('parseEvents 反转义 SUMMARY 并保留冒号', () => {
+    const [event] = parseEvents(ics('BEGIN:VEVENT', 'DTSTART;VALUE=DATE:20260101', 'SUMMARY:元旦: 假期\\, 第1天\;共3天', 'END:VEVENT'));
+    assert.strictEqual(event.summary, '元旦: 假期, 第1天;共3天');
+    assert.strictEqual(event.allDay, true);
+});
+
+test('classifyEvent 按关键词区分假期、补班与参考事件', () => {
+    const event = (summary, allDay = true) => ({ summary, categories: [], allDay });
+    assert.strictEqual(classifyEvent(event('春节 假期第1天')), 'holiday');
+    assert.strictEqual(classifyEvent(event('春节 补班', false)), 'workday');
+    assert.strictEqual(classifyEvent(event('上班打卡提醒', false)), 'info');
+    assert.strictEqual(classifyEvent(event('母亲节')), 'holiday');
+    assert.strictEqual(classifyEvent(event('母亲节'), { ...DEFAULT_KEYWORDS, info: ['母亲节'] }), 'info');
+    assert.strictEqual(classifyEvent(event('母亲节'), { ...DEFAULT_KEYWORDS, unmatched: 'info' }), 'info');
+});
+
+test('createCalendar 按 DTEND 展开多日假期（DTEND 不含）', () => {
+    const calendar = createCalendar(ics(
+        'BEGIN:VEVENT', 'DTSTART;VALUE=DATE:20260930', 'DTEND;VALUE=DATE:20261008', 'SUMMARY:国庆节 放假', 'END:VEVENT'
+    ));
+    assert.deepStrictEqual(calendar.getMonth(2026, 9).holidays, [30]);
+    assert.deepStrictEqual(calendar.getMonth(2026, 10).holidays, [1, 2, 3, 4, 5, 6, 7]);
+});
+
+test('createCalendar 支持 DURATION 与带 TZID 的补班', () => {
+    const calendar = createCalendar(ics(
+        'BEGIN:VEVENT', 'DTSTART;VALUE=DATE:20260501', 'DURATION:P5D', 'SUMMARY:劳动节 假期', 'END:VEVENT',
+        'BEGIN:VEVENT', 'DTSTART;TZID=Asia/Shanghai:20260509T090000', 'DTEND;TZID=Asia/Shanghai:20260509T180000', 'SUMMARY:劳动节 补班', 'END:VEVENT'
+    ));
+    assert.deepStrictEqual(calendar.getMonth(2026, 5), { holidays: [1, 2, 3, 4, 5], workdays: [9] });
+});
+
+test('带 TZID 的事件换算为真实时刻后按指定时区确定日期', () => {
+    // 洛杉矶 1 月 1 日 20:00 即上海 1 月 2 日 12:00
+    const text = ics(
+        'BEGIN:VEVENT', 'DTSTART;TZID=America/Los_Angeles:20260101T200000', 'DTEND;TZID=America/Los_Angeles:20260101T210000',
+        'SUMMARY:测试 放假', 'END:VEVENT'
+    );
+    assert.deepStrictEqual(createCalendar(text, { timeZone: 'America/Los_Angeles' }).getMonth(2026, 1).holidays, [1]);
+    assert.deepStrictEqual(createCalendar(text, { timeZone: 'Asia/Shanghai' }).getMonth(2026, 1).holidays, [2]);
+    // 无法识别的 TZID 按书写的时间处理
+    const unknown = text.replace(/America\/Los_Angeles/g, 'Pacific Standard Time');
+    assert.deepStrictEqual(createCalendar(unknown, { timeZone: 'Asia/Shanghai' }).getMonth(2026, 1).holidays, [1]);
+});
+
+test('createCalendar 展开 RRULE 并排除 EXDATE', () => {
+    const calendar = createCalendar(ics(
+        'BEGIN:VEVENT',
+        'DTSTART;VALUE=DATE:20240101',
+        'RRULE:FREQ=YEARLY;COUNT=5',
+        'EXDATE;VALUE=DATE:20270101',
+        'SUMMARY:元旦 假期',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'DTSTART;VALUE=DATE:20260105',
+        'RRULE:FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20260114',
+        'SUMMARY:测试 放假',
+        'END:VEVENT'
+    ));
+    assert.deepStrictEqual(calendar.getMonth(2026, 1).holidays, [1, 5, 7, 12, 14]);
+    assert.deepStrictEqual(calendar.getMonth(2027, 1).holidays, []);
+    assert.deepStrictEqual(calendar.getMonth(2028, 1).holidays, [1]);
+    assert.deepStrictEqual(calendar.getMonth(2029, 1).holidays, []);
+});
+
+test('createCalendar 按 DTSTART 所在周（周一开始）展开隔周的 BYDAY', () => {
+    // 2026-01-07 为周三：本周只有周三（周一早于 DTSTART），之后每隔一周的周一、周三
+    const calendar = createCalendar(ics(
+        'BEGIN:VEVENT',
+        'DTSTART;VALUE=DATE:20260107',
+        'RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=4',
+        'SUMMARY:测试 放假',
+        'END:VEVENT'
+    ));
+    assert.deepStrictEqual(calendar.getMonth(2026, 1).holidays, [7, 19, 21]);
+    assert.deepStrictEqual(calendar.getMonth(2026, 2).holidays, [2]);
+});
+
+test('createCalendar 按 BYMONTH 与带序号的 BYDAY 展开每月、每年的规则', () => {
+    const calendar = createCalendar(ics(
+        // 感恩节：11 月第 4 个周四
+        'BEGIN:VEVENT', 'DTSTART;VALUE=DATE:20261126', 'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=4TH', 'SUMMARY:Thanksgiving', 'END:VEVENT',
+        // 每月第 1 个周一
+        'BEGIN:VEVENT', 'DTSTART;VALUE=DATE:20260105', 'RRULE:FREQ=MONTHLY;BYDAY=1MO;COUNT=3', 'SUMMARY:测试 放假', 'END:VEVENT',
+        // 阵亡将士纪念日：5 月最后一个周一
+        'BEGIN:VEVENT', 'DTSTART;VALUE=DATE:20260525', 'RRULE:FREQ=YEARLY;BYMONTH=5;BYDAY=-1MO', 'SUMMARY:Memorial Day', 'END:VEVENT',
+        // 每月最后一天
+        'BEGIN:VEVENT', 'DTSTART;VALUE=DATE:20260131', 'RRULE:FREQ=MONTHLY;BYMONTHDAY=-1;COUNT=2', 'SUMMARY:月末 放假', 'END:VEVENT'
+    ));
+    assert.deepStrictEqual(calendar.getMonth(2026, 11).holidays, [26]);
+    assert.deepStrictEqual(calendar.getMonth(2027, 11).holidays, [25]);
+    assert.deepStrictEqual(calendar.getMonth(2026, 1).holidays, [5, 31]);
+    assert.deepStrictEqual(calendar.getMonth(2026, 2).holidays, [2, 28]);
+    assert.deepStrictEqual(calendar.getMonth(2026, 3).holidays, [2]);
+    assert.deepStrictEqual(calendar.getMonth(2026, 4).holidays, []);
+    assert.deepStrictEqual(calendar.getMonth(2027, 5).holidays, [31]);
+});
+
+test('createCalendar 不展开含不支持部分的规则，并列出这些规则', () => {
+    const calendar = createCalendar(ics(
+        'BEGIN:VEVENT', 'DTSTART;VALUE=DATE:20260130', 'RRULE:FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1', 'SUMMARY:测试 放假', 'END:VEVENT'
+    ));
+    assert.deepStrictEqual(calendar.getMonth(2026, 1).holidays, [30]);
+    assert.deepStrictEqual(calendar.getMonth(2026, 2).holidays, []);
+    assert.deepStrictEqual(calendar.ignoredRules, [{ summary: '测试 放假', rule: 'FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1' }]);
+});
+
+test('createCalendar 忽略参考事件，且补班覆盖同日假期', () => {
+    const calendar = createCalendar(ics(
+        'BEGIN:VEVENT', 'DTSTART;VALUE=DATE:20260308', 'SUMMARY:妇女节', 'END:VEVENT',
+        'BEGIN:VEVENT', 'DTSTART;VALUE=DATE:20260301', 'DTEND;VALUE=DATE:20260304', 'SUMMARY:测试 假期', 'END:VEVENT',
+        'BEGIN:VEVENT', 'DTSTART;VALUE=DATE:20260302', 'SUMMARY:测试 补班', 'END:VEVENT'
+    ), { keywords: { info: ['妇女节'] } });
+    assert.deepStrictEqual(calendar.getMonth(2026, 3), { holidays: [1, 3], workdays: [2] });
+});
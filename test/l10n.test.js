@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { setTranslator, t, resolveLocale, createFormatter } = require('../src/l10n');
+const { LEAVE_TYPES } = require('../src/leave');
+const { REGIONS } = require('../src/regions');
+const { DAY_TYPES } = require('../src/monthView');
+
+const root = path.join(__dirname, '..');
+const readJson = file => JSON.parse(fs.readFileSync(path.join(root, file), 'utf8'));
+
+test('t 未设置翻译函数时按原文替换参数', () => {
+    assert.strictEqual(t('Marked {0} day(s) of {1}.', 2, 'Sick leave'), 'Marked 2 day(s) of Sick leave.');
+    assert.strictEqual(t('{0} {1}', 'a'), 'a {1}');
+});
+
+test('setTranslator 注入翻译函数，传入 null 恢复原文', () => {
+    setTranslator((message, ...args) => `[${message}|${args.join(',')}]`);
+    try {
+        assert.strictEqual(t('Net {0}', 1), '[Net {0}|1]');
+    } finally {
+        setTranslator(null);
+    }
+    assert.strictEqual(t('Net {0}', 1), 'Net 1');
+});
+
+test('resolveLocale 语言区域为空时跟随界面语言，非法值使用默认', () => {
+    assert.deepStrictEqual(resolveLocale({}, 'en'), { locale: 'en', currency: 'CNY' });
+    assert.deepStrictEqual(resolveLocale({ locale: 'ja-JP', currency: 'jpy' }, 'en'), { locale: 'ja-JP', currency: 'JPY' });
+    assert.deepStrictEqual(resolveLocale({ locale: 'not a locale!', currency: 'RMB!' }), { locale: 'zh-CN', currency: 'CNY' });
+});
+
+test('createFormatter 金额小数位随货币，百分比保留两位小数', () => {
+    const cny = createFormatter({ locale: 'zh-CN', currency: 'CNY' });
+    assert.strictEqual(cny.money(1234.5), '¥1,234.50');
+    assert.strictEqual(cny.percent(0.12345), '12.35%');
+    const jpy = createFormatter({ locale: 'ja-JP', currency: 'JPY' });
+    assert.strictEqual(jpy.money(1234.5), '￥1,235');
+    const usd = createFormatter({ locale: 'en-US', currency: 'USD' });
+    assert.strictEqual(usd.money(-3), '-$3.00');
+    assert.strictEqual(usd.monthDay(new Date(2026, 9, 20)), 'Oct 20');
+    assert.strictEqual(usd.weekday(new Date(2026, 9, 20)), 'Tue');
+    assert.strictEqual(usd.list(['Sep 28', 'Sep 29', 'Sep 30']), 'Sep 28, Sep 29, and Sep 30');
+    assert.strictEqual(cny.list(['9月28日', '9月29日', '9月30日']), '9月28日、9月29日和9月30日');
+});
+
+test('所有界面文字都有英文与中文翻译', () => {
+    const files = ['fishTimePro.js', ...fs.readdirSync(path.join(root, 'src')).map(name => `src/${name}`)];
+    const messages = new Set([...Object.values(LEAVE_TYPES), ...Object.values(REGIONS), ...Object.values(DAY_TYPES)].map(info => info.label));
+    for (const file of files) {
+        const source = fs.readFileSync(path.join(root, file), 'utf8');
+        for (const match of source.matchAll(/\bt\(\s*(['"])((?:\\.|(?!\1).)*)\1/g)) {
+            messages.add(match[2].replace(/\\(.)/g, '$1'));
+        }
+    }
+    const en = readJson('l10n/bundle.l10n.json');
+    const zh = readJson('l10n/bundle.l10n.zh-cn.json');
+    for (const message of messages) {
+        assert.ok(message in en, `bundle.l10n.json 缺少：${message}`);
+        assert.ok(message in zh, `bundle.l10n.zh-cn.json 缺少：${message}`);
+    }
+});
+
+test('package.json 中的 %key% 在 package.nls 中都有定义', () => {
+    const keys = [...fs.readFileSync(path.join(root, 'package.json'), 'utf8').matchAll(/"%([^%"]+)%"/g)].map(m => m[1]);
+    assert.ok(keys.length > 0);
+    const en = readJson('package.nls.json');
+    const zh = readJson('package.nls.zh-cn.json');
+    for (const key of keys) {
+        assert.ok(key in en, `package.nls.json 缺少：${key}`);
+        assert.ok(key in zh, `package.nls.zh-cn.json 缺少：${key}`);
+    }
+});
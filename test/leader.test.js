@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { WINDOW_TTL_MS, liveWindows, electLeader, latestActivity } = require('../src/leader');
+
+const windows = [
+    { id: 'b', since: 100, heartbeat: 1000, lastActivityAt: 900 },
+    { id: 'a', since: 200, heartbeat: 1000, lastActivityAt: 950 },
+    { id: 'c', since: 50, heartbeat: 1000 - WINDOW_TTL_MS, lastActivityAt: 990 }
+];
+
+test('electLeader 选出存活窗口中最早打开的一个', () => {
+    assert.strictEqual(electLeader(windows, 1000), 'b');
+    // c 更早打开，但心跳已超时
+    assert.deepStrictEqual(liveWindows(windows, 1000).map(w => w.id), ['b', 'a']);
+    // 主窗口超时后由下一个窗口接替
+    assert.strictEqual(electLeader(windows.slice(1), 1000), 'a');
+    assert.strictEqual(electLeader([], 1000), null);
+});
+
+test('electLeader 打开时间相同时按 id 选出，忽略无效记录', () => {
+    const tied = [{ id: 'y', since: 1, heartbeat: 10 }, null, { since: 0, heartbeat: 10 }, { id: 'x', since: 1, heartbeat: 10 }];
+    assert.strictEqual(electLeader(tied, 10), 'x');
+});
+
+test('latestActivity 取存活窗口中最近的编辑器活动', () => {
+    assert.strictEqual(latestActivity(windows, 1000), 950);
+    assert.strictEqual(latestActivity([], 1000), 0);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveLeavePolicy, leaveTypeOn, parseDateKey, parseDateRange, countLeave } = require('../src/leave');
+
+test('resolveLeavePolicy 病假比例可配置，其余类型固定', () => {
+    const policy = resolveLeavePolicy({ sickPayRatio: 0.6, annualDays: 10 });
+    assert.deepStrictEqual(policy.ratios, { annual: 1, sick: 0.6, personal: 0, unpaid: 0 });
+    assert.strictEqual(policy.annualDays, 10);
+    assert.strictEqual(resolveLeavePolicy({ sickPayRatio: 2 }).ratios.sick, 0.8);
+    assert.strictEqual(resolveLeavePolicy().annualDays, 5);
+});
+
+test('leaveTypeOn 忽略未知类型', () => {
+    const leave = { days: { '2026-01-06': 'annual', '2026-01-07': 'vacation' } };
+    assert.strictEqual(leaveTypeOn(leave, new Date(2026, 0, 6)), 'annual');
+    assert.strictEqual(leaveTypeOn(leave, new Date(2026, 0, 7)), null);
+    assert.strictEqual(leaveTypeOn(undefined, new Date(2026, 0, 6)), null);
+});
+
+test('parseDateKey 拒绝不存在的日期', () => {
+    assert.deepStrictEqual(parseDateKey('2026-2-3'), new Date(2026, 1, 3));
+    assert.strictEqual(parseDateKey('2026-02-30'), null);
+    assert.strictEqual(parseDateKey('20260203'), null);
+});
+
+test('parseDateRange 支持单日与多种分隔符', () => {
+    assert.deepStrictEqual(parseDateRange('2026-01-06'), [new Date(2026, 0, 6)]);
+    assert.strictEqual(parseDateRange('2026-01-30 ~ 2026-02-02').length, 4);
+    assert.strictEqual(parseDateRange('2026-01-30 至 2026-02-02').length, 4);
+    assert.strictEqual(parseDateRange('2026-02-02~2026-01-30'), null);
+    assert.strictEqual(parseDateRange('2026-01-01~2028-01-01'), null);
+    assert.strictEqual(parseDateRange(''), null);
+});
+
+test('countLeave 按年份与类型统计', () => {
+    const leave = { days: { '2025-12-31': 'annual', '2026-01-06': 'annual', '2026-01-07': 'sick', '2026-03-02': 'annual' } };
+    assert.strictEqual(countLeave(leave, 2026), 2);
+    assert.strictEqual(countLeave(leave, 2026, 'sick'), 1);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createCalendar } = require('../src/calendar');
+const { buildMonthView, renderMonthHtml } = require('../src/monthView');
+
+// 2026 年 1 月：1-3 日元旦放假，4 日（周日）补班，8 日为名称带标签的假期（用于检查转义）
+const ICS = [
+    'BEGIN:VCALENDAR',
+    ...[1, 2, 3].map(d => ['BEGIN:VEVENT', `DTSTART;VALUE=DATE:2026010${d}`, `SUMMARY:元旦 假期第${d}天`, 'END:VEVENT']).flat(),
+    'BEGIN:VEVENT', 'DTSTART;VALUE=DATE:20260104', 'SUMMARY:元旦 补班', 'END:VEVENT',
+    'BEGIN:VEVENT', 'DTSTART;VALUE=DATE:20260108', 'SUMMARY:<b>纪念日</b>', 'END:VEVENT',
+    'END:VCALENDAR'
+].join('\n');
+
+function input() {
+    return {
+        schedule: { segments: [{ start: '09:00', end: '18:00' }], restDays: [6, 7], overrides: { '2026-01-02': 'workday', '2026-01-09': 'rest' } },
+        calendar: createCalendar(ICS),
+        salary: { monthlySalary: 23000 },
+        leave: { days: { '2026-01-06': 'sick' } },
+        history: { days: { '2026-01-05': { total: 123 } } }
+    };
+}
+
+test('buildMonthView 给出每天的类型、依据与收入来源', () => {
+    const view = buildMonthView(input(), 2026, 1, new Date(2026, 0, 7, 13, 30));
+    const day = d => view.days[d - 1];
+    assert.strictEqual(view.days.length, 31);
+    assert.strictEqual(view.firstWeekday, 4);
+
+    assert.strictEqual(day(1).type, 'holiday');
+    assert.deepStrictEqual(day(1).reasons, ['Public holiday in the holiday calendar: 元旦 假期第1天']);
+    assert.strictEqual(day(4).type, 'makeup');
+    assert.strictEqual(day(5).status, 'settled');
+    assert.strictEqual(day(5).earned, 123);
+    assert.strictEqual(day(6).type, 'leave');
+    assert.deepStrictEqual(day(6).reasons, ['Regular workday', 'On leave: Sick leave']);
+    assert.strictEqual(day(2).status, 'estimated');
+
+    // 今天为实时收入：20 个工作日 + 3 天假期，日薪 1000，9:00-13:30 过半
+    assert.strictEqual(day(7).status, 'today');
+    assert.strictEqual(day(7).earned, 500);
+    // 手动指定的日期标记为 override，被覆盖的日历事件仍列出
+    assert.strictEqual(day(2).override, true);
+    assert.deepStrictEqual(day(2).reasons, ['Set manually as Workday', 'Holiday calendar: 元旦 假期第2天']);
+    assert.strictEqual(day(9).override, true);
+    assert.deepStrictEqual(day(9).reasons, ['Set manually as Rest day']);
+    assert.strictEqual(day(12).status, 'projected');
+    assert.strictEqual(day(12).earned, 1000);
+
+    assert.deepStrictEqual({ ...view.totals, earned: undefined }, { workdays: 19, holidays: 3, rest: 8, leave: 1, earned: undefined });
+});
+
+test('renderMonthHtml 按周排列日期并转义文字', () => {
+    const view = buildMonthView(input(), 2026, 1, new Date(2026, 0, 7, 13, 30));
+    const html = renderMonthHtml(view, {
+        title: 'January 2026',
+        weekdayNames: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'],
+        money: amount => amount.toFixed(2),
+        nonce: 'abc',
+        cspSource: 'vscode-resource:'
+    });
+    // 1 日为周四：第一周前面 3 个空格子；31 天共 5 周（另有月历与明细的表头各一行）
+    assert.strictEqual((html.match(/<tr>/g) || []).length, 2 + 5);
+    assert.ok(html.includes('<tbody><tr><td class="empty"></td><td class="empty"></td><td class="empty"></td><td><button class="day holiday"'));
+    assert.ok(html.includes('data-date="2026-01-09"'));
+    assert.ok(html.includes("script-src 'nonce-abc'"));
+    assert.ok(html.includes('&lt;b&gt;纪念日&lt;/b&gt;'));
+    assert.ok(!html.includes('<b>纪念日'));
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveNetPay, calcContributions, calcCumulativeTax, calcMonthlyNet } = require('../src/netPay');
+
+// 税前 20000：五险一金 8% + 2% + 0.5% + 12% = 4500，每月应纳税所得额 20000 - 4500 - 5000 = 10500
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} != ${expected}`);
+
+test('calcContributions 按上下限确定缴费基数', () => {
+    const config = resolveNetPay({ socialInsuranceBaseMax: 10000, housingFundBaseMin: 30000 });
+    const result = calcContributions(20000, config);
+    close(result.pension, 800);
+    close(result.medical, 200);
+    close(result.unemployment, 50);
+    close(result.housingFund, 3600);
+    close(calcContributions(20000, resolveNetPay({ socialInsuranceBase: 5000 })).pension, 400);
+});
+
+test('calcCumulativeTax 按预扣率表与速算扣除数计算', () => {
+    assert.strictEqual(calcCumulativeTax(-100), 0);
+    close(calcCumulativeTax(36000), 1080);
+    close(calcCumulativeTax(42000), 1680);
+});
+
+test('calcMonthlyNet 累计预扣：跨入高税率档的月份个税增加', () => {
+    const january = calcMonthlyNet({ month: 1, monthGross: 20000, regularGross: 20000 }, {});
+    close(january.contributions.total, 4500);
+    close(january.tax, 315);
+    close(january.net, 20000 - 4500 - 315);
+    close(january.ratio, january.net / 20000);
+
+    // 4 月：累计所得额 42000，累计税额 1680，减去前 3 个月累计 945
+    close(calcMonthlyNet({ month: 4, monthGross: 20000, regularGross: 20000 }, {}).tax, 735);
+});
+
+test('calcMonthlyNet 年中入职与专项附加扣除', () => {
+    // 3 月入职：3 月视为本年第一个月
+    close(calcMonthlyNet({ month: 3, monthGross: 20000, regularGross: 20000 }, { startMonth: 3 }).tax, 315);
+    // 每月专项附加扣除 3000
+    close(calcMonthlyNet({ month: 1, monthGross: 20000, regularGross: 20000 }, { specialDeductions: 3000 }).tax, 225);
+});
+
+test('calcMonthlyNet 加班只影响个税，不影响缴费基数', () => {
+    const result = calcMonthlyNet({ month: 1, monthGross: 22000, regularGross: 20000 }, {});
+    close(result.contributions.total, 4500);
+    close(result.tax, 375);
+});
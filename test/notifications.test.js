@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createCalendar } = require('../src/calendar');
+const { computeSnapshot } = require('../src/engine');
+const { resolveNotificationConfig, stateForDay, dueNotifications } = require('../src/notifications');
+
+// 2026 年 2 月 3-4 日（周二、周三）为测试用假期，2 日（周一）为节前最后一个工作日
+const calendar = createCalendar([
+    'BEGIN:VCALENDAR',
+    ...[3, 4].map(d => [
+        'BEGIN:VEVENT',
+        `DTSTART;VALUE=DATE:2026020${d}`,
+        `SUMMARY:测试 假期第${d - 2}天`,
+        'END:VEVENT'
+    ]).flat(),
+    'END:VCALENDAR'
+].join('\n'));
+
+const schedule = { morningStart: '09:00', morningEnd: '12:00', afternoonStart: '13:00', afternoonEnd: '18:00', restDays: [6, 7] };
+const ctx = { schedule, calendar };
+const config = { enabled: true, milestones: [500, 100] };
+const snapshotAt = now => computeSnapshot({ schedule, calendar, salary: { monthlySalary: 24000 } }, now);
+const due = (now, state) => dueNotifications(snapshotAt(now), ctx, config, state || stateForDay(null, '2026-01-05'), now)
+    .map(n => n.type);
+
+test('resolveNotificationConfig 默认关闭，里程碑去重排序', () => {
+    const c = resolveNotificationConfig({ milestones: [300, '100', -1, 300] });
+    assert.strictEqual(c.enabled, false);
+    assert.deepStrictEqual(c.milestones, [100, 300]);
+    assert.strictEqual(c.beforeLunchMinutes, 10);
+    assert.strictEqual(resolveNotificationConfig({ beforeClockOutMinutes: 0 }).beforeClockOutMinutes, 0);
+});
+
+test('dueNotifications 未启用时不提醒', () => {
+    const now = new Date(2026, 0, 5, 11, 55);
+    assert.deepStrictEqual(dueNotifications(snapshotAt(now), ctx, {}, stateForDay(null, '2026-01-05'), now), []);
+});
+
+test('dueNotifications 午休前与下班前按提前分钟数提醒，到点后不再补发', () => {
+    assert.deepStrictEqual(due(new Date(2026, 0, 5, 11, 49)), ['milestone']);
+    assert.deepStrictEqual(due(new Date(2026, 0, 5, 11, 55)), ['lunch', 'milestone']);
+    assert.deepStrictEqual(due(new Date(2026, 0, 5, 12, 30)), ['milestone']);
+    assert.deepStrictEqual(due(new Date(2026, 0, 5, 17, 55)), ['clockOutSoon', 'milestone']);
+});
+
+test('dueNotifications 下班时提醒，下班两小时后不再补发', () => {
+    const state = stateForDay(null, '2026-01-05');
+    state.fired['2026-01-05:milestone:500'] = 'w1';
+    assert.deepStrictEqual(due(new Date(2026, 0, 5, 18, 0), state), ['clockOut']);
+    assert.deepStrictEqual(due(new Date(2026, 0, 5, 20, 0), state), []);
+});
+
+test('dueNotifications 已发出、稍后提醒与今天不再提醒', () => {
+    const now = new Date(2026, 0, 5, 11, 55);
+    const state = stateForDay(null, '2026-01-05');
+    state.fired['2026-01-05:lunch'] = 'w1';
+    state.muted.push('milestone');
+    assert.deepStrictEqual(due(now, state), []);
+
+    // 稍后提醒：到时间后再次提醒，即使已过午休时间
+    state.snoozed['2026-01-05:lunch'] = new Date(2026, 0, 5, 12, 5).getTime();
+    assert.deepStrictEqual(due(now, state), []);
+    assert.deepStrictEqual(due(new Date(2026, 0, 5, 12, 5), state), ['lunch']);
+});
+
+test('dueNotifications 收入里程碑只提醒已达到的最高一档', () => {
+    // 1 月 22 个工作日，日薪约 1090.91：10:30 约 204.55，17:00 约 954.55
+    const state = stateForDay(null, '2026-01-05');
+    const at1030 = dueNotifications(snapshotAt(new Date(2026, 0, 5, 10, 30)), ctx, config, state, new Date(2026, 0, 5, 10, 30));
+    assert.deepStrictEqual(at1030.map(n => n.id), ['2026-01-05:milestone:100']);
+    state.fired['2026-01-05:milestone:500'] = 'w1';
+    assert.deepStrictEqual(due(new Date(2026, 0, 5, 17, 0), state), []);
+});
+
+test('dueNotifications 节假日前一天上班后提醒，并给出连休天数', () => {
+    const now = new Date(2026, 1, 2, 9, 30);
+    const list = dueNotifications(snapshotAt(now), ctx, { enabled: true }, stateForDay(null, '2026-02-02'), now);
+    const eve = list.find(n => n.type === 'holidayEve');
+    assert.ok(eve);
+    assert.strictEqual(eve.daysOff, 2);
+    // 上班前不提醒
+    const early = new Date(2026, 1, 2, 8, 0);
+    assert.deepStrictEqual(dueNotifications(snapshotAt(early), ctx, { enabled: true }, stateForDay(null, '2026-02-02'), early), []);
+});
+
+test('stateForDay 日期变化时重置', () => {
+    const state = { day: '2026-01-05', fired: { a: 'w1' }, snoozed: {}, muted: ['lunch'] };
+    assert.deepStrictEqual(stateForDay(state, '2026-01-05').muted, ['lunch']);
+    assert.deepStrictEqual(stateForDay(state, '2026-01-06'), { day: '2026-01-06', fired: {}, snoozed: {}, muted: [] });
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createCalendar } = require('../src/calendar');
+const { computeSnapshot } = require('../src/engine');
+const { calcOvertime, resolveMultipliers, shouldAutoStartOvertime, splitOvertimeByDay } = require('../src/overtime');
+
+// 2026 年 1 月：1-3 日元旦放假；9:00-12:00、13:00-18:00，月薪 24000（21 个工作日 + 3 天带薪假期）即日薪 1000、时薪 125
+const calendar = createCalendar([
+    ...[1, 2, 3].map(d => ['BEGIN:VEVENT', `DTSTART;VALUE=DATE:2026010${d}`, 'SUMMARY:元旦 假期', 'END:VEVENT']).flat(),
+    'BEGIN:VEVENT', 'DTSTART:20260104T090000', 'SUMMARY:元旦 补班', 'END:VEVENT'
+].join('\n'));
+const schedule = { morningStart: '09:00', morningEnd: '12:00', afternoonStart: '13:00', afternoonEnd: '18:00', restDays: [6, 7] };
+const at = (d, h, m = 0) => new Date(2026, 0, d, h, m).getTime();
+
+function params(sessions, overrides = {}) {
+    return {
+        sessions,
+        schedule,
+        calendar,
+        hourlyRate: 125,
+        today: new Date(2026, 0, 5),
+        rangeStart: new Date(2026, 0, 1),
+        rangeEnd: new Date(2026, 1, 1),
+        ...overrides
+    };
+}
+
+test('resolveMultipliers 合并配置并忽略非法值', () => {
+    assert.deepStrictEqual(resolveMultipliers({ workday: 2, rest: -1, holiday: 'x' }), { workday: 2, rest: 2, holiday: 3 });
+});
+
+test('splitOvertimeByDay 扣除正常工时并按自然日拆分', () => {
+    // 1 月 5 日（周一）17:00 至 6 日 01:00：18:00 前为正常工时
+    const pieces = splitOvertimeByDay(at(5, 17), at(6, 1), schedule, calendar);
+    assert.deepStrictEqual(pieces.map(p => [p.date.getDate(), p.kind, p.ms / 3600000]), [[5, 'workday', 6], [6, 'workday', 1]]);
+});
+
+test('calcOvertime 按工作日、休息日与法定节假日倍率计算', () => {
+    const result = calcOvertime(params([
+        { start: at(5, 18), end: at(5, 20) }, // 工作日 2 小时 × 1.5
+        { start: at(10, 9), end: at(10, 13) }, // 周六 4 小时 × 2
+        { start: at(1, 10), end: at(1, 11) } // 元旦 1 小时 × 3
+    ]), new Date(at(31, 12)));
+    assert.strictEqual(result.todayMs, 2 * 3600000);
+    assert.strictEqual(result.todayPay, 375);
+    assert.strictEqual(result.rangePay, 375 + 1000 + 375);
+    assert.strictEqual(result.active, false);
+});
+
+test('calcOvertime 进行中的加班计算到当前时刻', () => {
+    const result = calcOvertime(params([{ start: at(5, 19) }], { multipliers: { workday: 2 } }), new Date(at(5, 20, 30)));
+    assert.strictEqual(result.active, true);
+    assert.strictEqual(result.todayPay, 1.5 * 125 * 2);
+    assert.strictEqual(result.multiplier, 2);
+});
+
+test('加班工资单独统计并计入本月累计', () => {
+    const input = {
+        schedule,
+        calendar,
+        salary: { monthlySalary: 24000 },
+        overtime: { sessions: [{ start: at(10, 9), end: at(10, 13) }, { start: at(12, 18) }] }
+    };
+    const s = computeSnapshot(input, new Date(at(12, 20)));
+    assert.strictEqual(s.statusLabel, 'Working overtime');
+    assert.strictEqual(s.earned, 1000);
+    assert.strictEqual(s.overtime.todayPay, 375);
+    assert.strictEqual(s.overtime.rangePay, 1375);
+    // 1-3 日假期 + 4、5-9、12 日共 10 天整日工资 + 加班
+    assert.strictEqual(s.monthToDate, 10 * 1000 + 1375);
+});
+
+test('正常工作时段内开始的加班仍显示工作中，且不计加班工资', () => {
+    const input = { schedule, calendar, salary: { monthlySalary: 24000 }, overtime: { sessions: [{ start: at(12, 16) }] } };
+    const s = computeSnapshot(input, new Date(at(12, 17)));
+    assert.strictEqual(s.statusLabel, 'Working');
+    assert.strictEqual(s.overtime.active, true);
+    assert.strictEqual(s.overtime.todayPay, 0);
+});
+
+test('休息日加班不再显示为 0', () => {
+    const input = { schedule, calendar, salary: { monthlySalary: 24000 }, overtime: { sessions: [{ start: at(10, 9) }] } };
+    const s = computeSnapshot(input, new Date(at(10, 11)));
+    assert.strictEqual(s.earned, 0);
+    assert.strictEqual(s.overtime.todayPay, 500);
+    assert.strictEqual(s.overtime.multiplier, 2);
+});
+
+test('shouldAutoStartOvertime 仅在工作日下班后到达设定时刻时触发一次', () => {
+    const snapshot = { isTodayWorkingDay: true, isTodayHoliday: false, workDate: new Date(2026, 0, 5), workEndDate: new Date(at(5, 18)) };
+    const cfg = { cutoff: '19:00' };
+    assert.strictEqual(shouldAutoStartOvertime(cfg, snapshot, { sessions: [] }, new Date(at(5, 18, 30))), false);
+    assert.strictEqual(shouldAutoStartOvertime(cfg, snapshot, { sessions: [] }, new Date(at(5, 19))), true);
+    assert.strictEqual(shouldAutoStartOvertime(cfg, snapshot, { sessions: [], autoStartedOn: '2026-01-05' }, new Date(at(5, 19))), false);
+    assert.strictEqual(shouldAutoStartOvertime({ cutoff: '' }, snapshot, { sessions: [] }, new Date(at(5, 19))), false);
+    assert.strictEqual(shouldAutoStartOvertime(cfg, { ...snapshot, isTodayWorkingDay: false }, { sessions: [] }, new Date(at(5, 19))), false);
+});
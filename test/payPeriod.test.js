@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createCalendar } = require('../src/calendar');
+const { resolvePayPeriod, payPeriodFor, paydayOf, nextPayday } = require('../src/payPeriod');
+
+// 2026 年国庆：10 月 1-7 日放假，10 月 10 日（周六）补班
+const calendar = createCalendar([
+    'BEGIN:VCALENDAR',
+    ...[1, 2, 3, 4, 5, 6, 7].map(d => [
+        'BEGIN:VEVENT',
+        `DTSTART;VALUE=DATE:2026100${d}`,
+        `SUMMARY:国庆节 假期第${d}天`,
+        'END:VEVENT'
+    ]).flat(),
+    'BEGIN:VEVENT',
+    'DTSTART;VALUE=DATE:20261010',
+    'SUMMARY:国庆节 补班',
+    'END:VEVENT',
+    'END:VCALENDAR'
+].join('\n'));
+const schedule = { restDays: [6, 7] };
+
+test('resolvePayPeriod 默认为自然月，非法值使用默认', () => {
+    assert.deepStrictEqual(resolvePayPeriod(), { startDay: 1, payday: 0, paydayAdjust: 'previous' });
+    assert.deepStrictEqual(resolvePayPeriod({ startDay: 31, payday: 40, paydayAdjust: 'x' }), { startDay: 1, payday: 0, paydayAdjust: 'previous' });
+    assert.strictEqual(resolvePayPeriod({ startDay: 0 }).startDay, 1);
+});
+
+test('payPeriodFor 按起始日确定周期，月份为周期结束所在月', () => {
+    assert.deepStrictEqual(payPeriodFor(new Date(2026, 9, 19)), {
+        start: new Date(2026, 9, 1), end: new Date(2026, 10, 1), year: 2026, month: 10
+    });
+    assert.deepStrictEqual(payPeriodFor(new Date(2026, 9, 19), { startDay: 26 }), {
+        start: new Date(2026, 8, 26), end: new Date(2026, 9, 26), year: 2026, month: 10
+    });
+    assert.deepStrictEqual(payPeriodFor(new Date(2026, 11, 28), { startDay: 26 }), {
+        start: new Date(2026, 11, 26), end: new Date(2027, 0, 26), year: 2027, month: 1
+    });
+});
+
+test('paydayOf 遇节假日按规则提前、顺延或不调整', () => {
+    const rule = adjust => resolvePayPeriod({ payday: 3, paydayAdjust: adjust });
+    assert.deepStrictEqual(paydayOf(2026, 10, rule('previous'), schedule, calendar), new Date(2026, 8, 30));
+    assert.deepStrictEqual(paydayOf(2026, 10, rule('next'), schedule, calendar), new Date(2026, 9, 8));
+    assert.deepStrictEqual(paydayOf(2026, 10, rule('none'), schedule, calendar), new Date(2026, 9, 3));
+    // 超过当月天数时取月末（2026-02-28 为周六，提前到 27 日）
+    assert.deepStrictEqual(paydayOf(2026, 2, resolvePayPeriod({ payday: 31 }), schedule, calendar), new Date(2026, 1, 27));
+});
+
+test('nextPayday 考虑提前到上月的发薪日', () => {
+    assert.deepStrictEqual(nextPayday(new Date(2026, 8, 29, 10), { payday: 3 }, schedule, calendar), { date: new Date(2026, 8, 30), days: 1 });
+    assert.deepStrictEqual(nextPayday(new Date(2026, 8, 30, 10), { payday: 3 }, schedule, calendar), { date: new Date(2026, 8, 30), days: 0 });
+    assert.deepStrictEqual(nextPayday(new Date(2026, 9, 2, 10), { payday: 3 }, schedule, calendar), { date: new Date(2026, 10, 3), days: 32 });
+    assert.strictEqual(nextPayday(new Date(2026, 9, 2), {}, schedule, calendar), null);
+});
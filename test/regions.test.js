@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { REGIONS, resolveRegion, createRegionCalendar } = require('../src/regions');
+const { readBundledICS } = require('../src/holidaySources');
+
+const bundled = region => createRegionCalendar(readBundledICS(region), region, { observe: true });
+const event = (date, summary) => ['BEGIN:VEVENT', `DTSTART;VALUE=DATE:${date}`, `SUMMARY:${summary}`, 'END:VEVENT'];
+const ics = (...events) => ['BEGIN:VCALENDAR', ...events.flat(), 'END:VCALENDAR'].join('\n');
+
+test('resolveRegion 不支持的地区使用中国大陆', () => {
+    assert.strictEqual(resolveRegion('JP').id, 'jp');
+    assert.strictEqual(resolveRegion('xx').id, 'cn');
+    assert.strictEqual(resolveRegion('toString').id, 'cn');
+    assert.strictEqual(resolveRegion().label, 'Mainland China');
+});
+
+test('每个地区都有当年与次年的内置数据', () => {
+    for (const region of Object.keys(REGIONS)) {
+        const calendar = bundled(region);
+        for (const year of [2026, 2027]) {
+            const days = Array.from({ length: 12 }, (_, i) => calendar.getMonth(year, i + 1).holidays.length).reduce((a, b) => a + b, 0);
+            assert.ok(days >= 8, `${region} ${year}`);
+        }
+    }
+});
+
+test('日本：逢周日的祝日之后补振替休日，夹在祝日之间的平日为国民の休日', () => {
+    const calendar = bundled('jp');
+    // 2026 年 5 月 3 日（周日）宪法纪念日，4、5 日已是祝日，6 日补休
+    assert.deepStrictEqual(calendar.getMonth(2026, 5).holidays, [3, 4, 5, 6]);
+    assert.strictEqual(calendar.getLabels(2026, 5)[6], '振替休日');
+    // 9 月 21 日敬老の日与 23 日秋分の日之间的 22 日
+    assert.deepStrictEqual(calendar.getMonth(2026, 9).holidays, [21, 22, 23]);
+    assert.strictEqual(calendar.getLabels(2026, 9)[22], '国民の休日');
+});
+
+test('美国：逢周六提前到周五、逢周日推后到周一，可跨年', () => {
+    const calendar = bundled('us');
+    assert.deepStrictEqual(calendar.getMonth(2026, 7).holidays, [3, 4]);
+    assert.strictEqual(calendar.getLabels(2026, 7)[3], 'Independence Day (observed)');
+    assert.deepStrictEqual(calendar.getMonth(2027, 7).holidays, [4, 5]);
+    // 2028 年元旦为周六，2027 年 12 月 31 日补假
+    assert.deepStrictEqual(calendar.getMonth(2027, 12).holidays, [24, 25, 31]);
+});
+
+test('香港：逢周日的假期顺延到之后第一个非假期', () => {
+    const calendar = bundled('hk');
+    // 2026 年清明（周日）的翌日是复活节星期一，补假顺延到 4 月 7 日
+    assert.deepStrictEqual(calendar.getMonth(2026, 4).holidays, [3, 4, 5, 6, 7]);
+    assert.strictEqual(calendar.getLabels(2026, 4)[7], 'The day following Ching Ming Festival');
+});
+
+test('台湾：按"補行上班"识别补班，不含放假关键词的事件仅供参考', () => {
+    const calendar = createRegionCalendar(ics(event('20260110', '補行上班'), event('20260111', '春節 補假'), event('20260312', '植樹節')), 'tw');
+    assert.deepStrictEqual(calendar.getMonth(2026, 1), { holidays: [11], workdays: [10] });
+    assert.deepStrictEqual(calendar.getMonth(2026, 3).holidays, []);
+});
+
+test('用户关键词覆盖地区默认值；只有内置数据推算补假', () => {
+    const text = ics(event('20260704', 'Independence Day'), event('20260705', 'Office Picnic'));
+    const custom = createRegionCalendar(text, 'us', { keywords: { holiday: ['Independence'], unmatched: 'info' } });
+    assert.deepStrictEqual(custom.getMonth(2026, 7).holidays, [4]);
+    assert.deepStrictEqual(createRegionCalendar(text, 'us').getMonth(2026, 7).holidays, [4, 5]);
+    assert.deepStrictEqual(createRegionCalendar(text, 'us', { observe: true }).getMonth(2026, 7).holidays, [3, 4, 5, 6]);
+});
+
+test('带时刻的事件按指定时区（雇主时区）确定日期', () => {
+    const text = ['BEGIN:VEVENT', 'DTSTART:20260101T200000Z', 'DTEND:20260101T210000Z', 'SUMMARY:元旦 放假', 'END:VEVENT'].join('\n');
+    assert.deepStrictEqual(createRegionCalendar(text, 'tw', { timeZone: 'UTC' }).getMonth(2026, 1).holidays, [1]);
+    assert.deepStrictEqual(createRegionCalendar(text, 'tw', { timeZone: 'Asia/Taipei' }).getMonth(2026, 1).holidays, [2]);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveSalary, createPayRule } = require('../src/salary');
+
+// 1 月：21 个工作日 + 3 天法定节假日，默认工作日 8 小时
+const JANUARY = { totalWorkingDays: 21, totalHolidays: 3, standardDayMs: 8 * 3600000 };
+
+test('resolveSalary 非法值使用默认', () => {
+    const s = resolveSalary({ model: 'weekly', monthlySalary: -1, divisor: 'x', months: 10, holidayPay: 'maybe' });
+    assert.strictEqual(s.model, 'monthly');
+    assert.strictEqual(s.monthlySalary, 0);
+    assert.strictEqual(s.divisor, 'actual');
+    assert.strictEqual(s.months, 12);
+    assert.strictEqual(s.holidayPay, 'paid');
+});
+
+test('月薪按实际计薪天数：法定节假日计薪时计入天数', () => {
+    const paid = createPayRule({ monthlySalary: 24000 }, JANUARY);
+    assert.strictEqual(paid.dayPay(8 * 3600000), 1000);
+    assert.strictEqual(paid.holidayPay, 1000);
+    assert.strictEqual(paid.hourlyRate, 125);
+
+    const unpaid = createPayRule({ monthlySalary: 21000, holidayPay: 'unpaid' }, JANUARY);
+    assert.strictEqual(unpaid.dayPay(8 * 3600000), 1000);
+    assert.strictEqual(unpaid.holidayPay, 0);
+});
+
+test('月薪按 21.75 天折算，日工资与当月天数无关', () => {
+    const rule = createPayRule({ monthlySalary: 21750, divisor: 'statutory' }, JANUARY);
+    assert.strictEqual(rule.dayPay(), 1000);
+    assert.strictEqual(createPayRule({ monthlySalary: 21750, divisor: 'statutory' }, { ...JANUARY, totalWorkingDays: 17 }).dayPay(), 1000);
+});
+
+test('年薪按薪数分摊到每月', () => {
+    const rule = createPayRule({ model: 'annual', annualSalary: 312000, months: 13 }, JANUARY);
+    assert.strictEqual(rule.dayPay(), 1000);
+});
+
+test('时薪按当天排班时长计算', () => {
+    const rule = createPayRule({ model: 'hourly', hourlyRate: 100 }, JANUARY);
+    assert.strictEqual(rule.dayPay(6 * 3600000), 600);
+    assert.strictEqual(rule.holidayPay, 800);
+    assert.strictEqual(rule.hourlyRate, 100);
+    assert.strictEqual(createPayRule({ model: 'hourly', hourlyRate: 100, holidayPay: 'unpaid' }, JANUARY).holidayPay, 0);
+});
+
+test('未配置薪资时给出对应提示', () => {
+    assert.strictEqual(createPayRule({}, JANUARY).configError, 'Please set your monthly salary in settings');
+    assert.strictEqual(createPayRule({ model: 'hourly' }, JANUARY).configError, 'Please set your hourly rate in settings');
+    assert.strictEqual(createPayRule({ model: 'annual' }, JANUARY).configError, 'Please set your annual salary in settings');
+    assert.strictEqual(createPayRule({ monthlySalary: 1 }, { ...JANUARY, totalWorkingDays: 0, totalHolidays: 0 }).dayPay(), 0);
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_STATUS_BAR, resolveStatusBarConfig, renderTemplate, progressBar, escapeMarkdown, hasVisibleText } = require('../src/statusTemplate');
+
+test('resolveStatusBarConfig 空模板与非法值使用默认', () => {
+    assert.deepStrictEqual(resolveStatusBarConfig(), DEFAULT_STATUS_BAR);
+    const c = resolveStatusBarConfig({ text: '  ', alignment: 'top', priority: '5', secondaryText: '{countdown}', secondaryAlignment: 'right', secondaryPriority: 10 });
+    assert.strictEqual(c.text, DEFAULT_STATUS_BAR.text);
+    assert.strictEqual(c.alignment, 'left');
+    assert.strictEqual(c.priority, -100);
+    assert.strictEqual(c.secondaryText, '{countdown}');
+    assert.strictEqual(c.secondaryAlignment, 'right');
+    assert.strictEqual(c.secondaryPriority, 10);
+});
+
+test('renderTemplate 替换占位符，未知或无值的占位符原样保留', () => {
+    const values = { earned: '¥100.00', workedDays: 3, totalDays: 21, payday: '', status: null };
+    assert.strictEqual(renderTemplate('{earned} {workedDays}/{totalDays}', values), '¥100.00 3/21');
+    assert.strictEqual(renderTemplate('[{payday}]{status}{unknown}', values), '[]{status}{unknown}');
+});
+
+test('progressBar 按比例填充并截断超出范围的值', () => {
+    assert.strictEqual(progressBar(0.5, 4), '██░░');
+    assert.strictEqual(progressBar(0.26), '███░░░░░░░');
+    assert.strictEqual(progressBar(-1, 3), '░░░');
+    assert.strictEqual(progressBar(2, 3), '███');
+});
+
+test('escapeMarkdown 转义 Markdown 字符', () => {
+    assert.strictEqual(escapeMarkdown('a_b *c* (1.5)'), 'a\\_b \\*c\\* \\(1\\.5\\)');
+    assert.strictEqual(escapeMarkdown(12), '12');
+});
+
+test('hasVisibleText 忽略图标与空白', () => {
+    assert.strictEqual(hasVisibleText('$(watch) '), false);
+    assert.strictEqual(hasVisibleText('$(sync~spin) 01:02:03'), true);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveTimeZone, wallClock, dateIn, zonedTime, formatClock } = require('../src/timeZone');
+
+const NY = 'America/New_York';
+
+test('resolveTimeZone 规范化时区名，无效或为空时使用本机时区', () => {
+    assert.strictEqual(resolveTimeZone(' Europe/Berlin '), 'Europe/Berlin');
+    assert.strictEqual(resolveTimeZone('Not/AZone'), '');
+    assert.strictEqual(resolveTimeZone(''), '');
+    assert.strictEqual(resolveTimeZone(undefined), '');
+});
+
+test('dateIn 与 formatClock 按时区给出日期与时间', () => {
+    // 2026-01-05 03:30Z：纽约仍是 4 日晚上，东京已是 5 日中午
+    const instant = Date.UTC(2026, 0, 5, 3, 30);
+    assert.deepStrictEqual(dateIn(instant, NY), new Date(2026, 0, 4));
+    assert.deepStrictEqual(dateIn(instant, 'Asia/Tokyo'), new Date(2026, 0, 5));
+    assert.strictEqual(formatClock(instant, NY), '22:30');
+    assert.strictEqual(formatClock(instant, 'Asia/Tokyo'), '12:30');
+    assert.deepStrictEqual(wallClock(instant, 'UTC'), { year: 2026, month: 1, day: 5, hour: 3, minute: 30, second: 0 });
+});
+
+test('zonedTime 把时区的挂钟时间换算为时刻，超过 24 小时表示次日', () => {
+    assert.strictEqual(zonedTime(new Date(2026, 0, 5), 9 * 60, NY).getTime(), Date.UTC(2026, 0, 5, 14, 0));
+    assert.strictEqual(zonedTime(new Date(2026, 0, 5), 30 * 60, NY).getTime(), Date.UTC(2026, 0, 6, 11, 0));
+    assert.deepStrictEqual(zonedTime(new Date(2026, 0, 5), 9 * 60), new Date(2026, 0, 5, 9, 0));
+});
+
+test('zonedTime 在夏令时切换当天按真实经过的时间计算', () => {
+    // 2026-03-08 02:00 纽约改为夏令时：00:00 至 24:00 只有 23 小时，不存在的 02:30 顺延到 03:30
+    const spring = new Date(2026, 2, 8);
+    assert.strictEqual(zonedTime(spring, 24 * 60, NY) - zonedTime(spring, 0, NY), 23 * 3600000);
+    assert.strictEqual(zonedTime(spring, 150, NY).getTime(), Date.UTC(2026, 2, 8, 7, 30));
+
+    // 2026-11-01 02:00 恢复标准时间：当天 25 小时，重复的 01:30 取较早的一次（EDT）
+    const fall = new Date(2026, 10, 1);
+    assert.strictEqual(zonedTime(fall, 24 * 60, NY) - zonedTime(fall, 0, NY), 25 * 3600000);
+    assert.strictEqual(zonedTime(fall, 90, NY).getTime(), Date.UTC(2026, 10, 1, 5, 30));
+});
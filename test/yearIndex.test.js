@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createCalendar } = require('../src/calendar');
+const { readBundledICS } = require('../src/holidaySources');
+const { holidayName, createYearIndex, getYearIndex, nextHoliday, suggestLeave } = require('../src/yearIndex');
+
+const calendar = createCalendar(readBundledICS());
+const schedule = { restDays: [6, 7] };
+const key = date => `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+const index = createYearIndex(2026, schedule, calendar);
+const blockOn = (month, day) => index.blocks.find(b => b.start <= new Date(2026, month - 1, day) && b.end >= new Date(2026, month - 1, day));
+
+test('holidayName 去掉"假期第N天""补班"等后缀', () => {
+    assert.strictEqual(holidayName('春节 假期第8天'), '春节');
+    assert.strictEqual(holidayName('元旦 补班'), '元旦');
+    assert.strictEqual(holidayName('Christmas Day'), 'Christmas Day');
+    assert.strictEqual(holidayName('Independence Day (observed)'), 'Independence Day');
+    assert.strictEqual(holidayName('清明節 補假'), '清明節');
+});
+
+test('createYearIndex 列出本年的假期（含相连的周末）与补班日', () => {
+    const spring = blockOn(2, 15);
+    assert.strictEqual(spring.name, '春节');
+    assert.strictEqual(key(spring.start), '2026-2-15');
+    assert.strictEqual(key(spring.end), '2026-2-23');
+    assert.strictEqual(spring.days, 9);
+    assert.strictEqual(index.blocks[0].name, '元旦');
+    assert.deepStrictEqual(index.makeupDays.slice(0, 2).map(d => [key(d.date), d.name]), [['2026-1-4', '元旦'], ['2026-2-14', '春节']]);
+    assert.strictEqual(index.kindOf(new Date(2026, 0, 4)), 'workday');
+    assert.strictEqual(index.kindOf(new Date(2026, 0, 10)), 'rest');
+    assert.strictEqual(index.kindOf(new Date(2030, 0, 1)), null);
+});
+
+test('getYearIndex 按日历与作息规则缓存', () => {
+    assert.strictEqual(getYearIndex(2026, schedule, calendar), getYearIndex(2026, { restDays: [6, 7] }, calendar));
+    assert.notStrictEqual(getYearIndex(2026, schedule, calendar), getYearIndex(2026, { restDays: [7] }, calendar));
+});
+
+test('nextHoliday 返回下一个法定节假日，可跨年；放假中返回本次假期', () => {
+    const next = nextHoliday(new Date(2026, 9, 19, 10), schedule, calendar);
+    assert.strictEqual(next.name, '元旦');
+    assert.strictEqual(key(next.start), '2027-1-1');
+    assert.strictEqual(next.daysUntil, 74);
+    assert.strictEqual(next.days, 3);
+    const current = nextHoliday(new Date(2026, 9, 2, 10), schedule, calendar);
+    assert.strictEqual(key(current.start), '2026-10-1');
+    assert.strictEqual(current.daysUntil, 0);
+    assert.strictEqual(nextHoliday(new Date(2026, 0, 1), schedule, createCalendar('')), null);
+});
+
+test('suggestLeave 请假连上相邻的假期与周末', () => {
+    // 中秋 9 月 25-27 日，请 28-30 日三天假连上国庆
+    const [bridge] = suggestLeave(index, blockOn(9, 25));
+    assert.deepStrictEqual(bridge.leaveDates.map(key), ['2026-9-28', '2026-9-29', '2026-9-30']);
+    assert.strictEqual(key(bridge.start), '2026-9-25');
+    assert.strictEqual(key(bridge.end), '2026-10-7');
+    assert.strictEqual(bridge.days, 13);
+});
+
+test('suggestLeave 只保留比单纯请假更划算的方案', () => {
+    // 清明 4 月 4-6 日（周六至周一）：请 1-3 天假只是多休 1-3 天，不建议
+    const qingming = blockOn(4, 4);
+    assert.deepStrictEqual(suggestLeave(index, qingming, 3), []);
+    // 请 7-10 日四天假连上下一个周末，共 9 天
+    const [week] = suggestLeave(index, qingming, 4);
+    assert.strictEqual(week.leaveDates.length, 4);
+    assert.strictEqual(key(week.end), '2026-4-12');
+    assert.strictEqual(week.days, 9);
+});